@@ -3,7 +3,10 @@
  * Computes layout positions using simplified box model
  */
 
-const { parseSpacing, parsePixelValue, parseBorder } = require('./parseCSS');
+const { parsePixelValue, getBoxSpacing, getBorderSides } = require('./parseCSS');
+const { resolveLength } = require('./resolveUnits');
+const { parseTrackList, expandTrackList, parseTemplateAreas, parseGridLine } = require('./parseGrid');
+const { wrapText, getFontMetrics } = require('./measureText');
 
 /**
  * Default viewport dimensions
@@ -14,13 +17,9 @@ const DEFAULT_VIEWPORT = {
 };
 
 /**
- * Approximate character widths for text measurement
+ * overflow values that make a box a scroll container
  */
-const CHAR_WIDTHS = {
-  default: 8,
-  narrow: 4,
-  wide: 12
-};
+const SCROLL_OVERFLOW = ['hidden', 'scroll', 'auto'];
 
 /**
  * Compute layout for design tree
@@ -60,12 +59,12 @@ function computeElementLayout(element, context) {
   
   // Parse dimensions
   const width = computeWidth(styles, viewport.width);
-  const height = computeHeight(styles, element);
+  const height = computeHeight(styles, element, width);
   
   // Parse spacing
-  const margin = parseSpacing(styles.margin);
-  const padding = parseSpacing(styles.padding);
-  const border = parseBorder(styles.border || styles.borderWidth);
+  const margin = getBoxSpacing(styles, 'margin');
+  const padding = getBoxSpacing(styles, 'padding');
+  const border = getBorderSides(styles);
   
   // Compute position based on display type
   const display = styles.display || 'block';
@@ -80,8 +79,8 @@ function computeElementLayout(element, context) {
   }
   
   // Compute content dimensions
-  const contentWidth = width - padding.left - padding.right - (border.width * 2);
-  const contentHeight = height - padding.top - padding.bottom - (border.width * 2);
+  const contentWidth = width - padding.left - padding.right - border.left.width - border.right.width;
+  const contentHeight = height - padding.top - padding.bottom - border.top.width - border.bottom.width;
   
   // Update context for next element
   if (display === 'block') {
@@ -94,8 +93,8 @@ function computeElementLayout(element, context) {
     w: Math.round(width),
     h: Math.round(height),
     contentBox: {
-      x: Math.round(x + padding.left + border.width),
-      y: Math.round(y + padding.top + border.width),
+      x: Math.round(x + padding.left + border.left.width),
+      y: Math.round(y + padding.top + border.top.width),
       w: Math.round(contentWidth),
       h: Math.round(contentHeight)
     }
@@ -114,33 +113,30 @@ function computeWidth(styles, parentWidth) {
   if (!width || width === 'auto') {
     // Block elements fill parent width
     if (styles.display === 'block' || !styles.display) {
-      const margin = parseSpacing(styles.margin);
+      const margin = getBoxSpacing(styles, 'margin');
       return parentWidth - margin.left - margin.right;
     }
     // Inline elements get content width (estimate)
     return 100;
   }
   
-  // Percentage width
-  if (typeof width === 'string' && width.endsWith('%')) {
-    return (parseFloat(width) / 100) * parentWidth;
-  }
-  
-  return parsePixelValue(width);
+  // Percentages (including inside calc()) refer to the parent width
+  return parsePixelValue(width, { fontSize: parsePixelValue(styles.fontSize) || 16 }, parentWidth);
 }
 
 /**
  * Compute height for element
  * @param {Object} styles - Computed styles
  * @param {Object} element - Element data
+ * @param {number} width - Border-box width the content wraps in
  * @returns {number} - Computed height
  */
-function computeHeight(styles, element) {
+function computeHeight(styles, element, width = null) {
   const height = styles.height;
   
   if (!height || height === 'auto') {
     // Estimate height based on content
-    return estimateContentHeight(element, styles);
+    return estimateContentHeight(element, styles, width);
   }
   
   return parsePixelValue(height);
@@ -150,19 +146,20 @@ function computeHeight(styles, element) {
  * Estimate content height based on text and children
  * @param {Object} element - Element data
  * @param {Object} styles - Computed styles
+ * @param {number} width - Border-box width the text wraps in (the width style if omitted)
  * @returns {number} - Estimated height
  */
-function estimateContentHeight(element, styles) {
-  const padding = parseSpacing(styles.padding);
-  const lineHeight = parsePixelValue(styles.lineHeight) || 
-                     parsePixelValue(styles.fontSize) * 1.2 || 
-                     19.2;
+function estimateContentHeight(element, styles, width = null) {
+  const padding = getBoxSpacing(styles, 'padding');
+  const units = { fontSize: parsePixelValue(styles.fontSize) || 16 };
+  const lineHeight = getLineHeight(styles, units);
   
   let contentHeight = 0;
   
   // Text content
   if (element.textContent) {
-    const lines = estimateTextLines(element.textContent, styles);
+    const contentWidth = width === null ? null : Math.max(0, width - getBoxExtras(styles, units).width);
+    const lines = estimateTextLines(element.textContent, styles, contentWidth);
     contentHeight = lines * lineHeight;
   } else {
     // Minimum height for empty elements
@@ -174,133 +171,1616 @@ function estimateContentHeight(element, styles) {
 
 /**
  * Estimate number of text lines
+ * Text wraps at word boundaries using the font's advance widths
  * @param {string} text - Text content
  * @param {Object} styles - Computed styles
+ * @param {number} containerWidth - Width available to the text (the width style if omitted)
  * @returns {number} - Estimated line count
  */
-function estimateTextLines(text, styles) {
+function estimateTextLines(text, styles, containerWidth = null) {
   if (!text) return 1;
   
-  const fontSize = parsePixelValue(styles.fontSize) || 16;
-  const charWidth = fontSize * 0.5; // Approximate character width
-  const containerWidth = parsePixelValue(styles.width) || 1000;
+  const units = { fontSize: parsePixelValue(styles.fontSize) || 16 };
+  const width = containerWidth ?? (resolveLength(styles.width, units, null) || null);
+  
+  return Math.max(1, wrapText(text, styles, units, width).length);
+}
+
+/**
+ * Compute flex layout for a container
+ * Implements the flexbox algorithm: order, flex-basis, grow/shrink with
+ * min/max clamping, wrapping into lines, justify-content (including auto
+ * margins), align-items/align-self, align-content, gaps and reverse directions
+ * @param {Object} container - Content box { x, y, width, height } (height null when auto),
+ *   plus the container's computed styles and unit context as { styles, units }
+ * @param {Array} items - Flex items { styles, units, minContentWidth(), maxContentWidth(), heightForWidth(width) }
+ *   where sizes are border-box sizes
+ * @returns {Array} - Border-box layout { x, y, w, h } per item, in input order
+ */
+function computeFlexLayout(container, items) {
+  const styles = container.styles || {};
+  const direction = styles.flexDirection || 'row';
+  const isRow = direction.startsWith('row');
+  const isReverse = direction.endsWith('-reverse');
+  const wrap = styles.flexWrap || 'nowrap';
+  
+  const mainSize = isRow ? container.width : container.height;
+  const crossSize = isRow ? container.height : container.width;
+  const mainGap = resolveGap(isRow ? styles.columnGap : styles.rowGap, container.units, mainSize);
+  const crossGap = resolveGap(isRow ? styles.rowGap : styles.columnGap, container.units, crossSize);
+  
+  // Items are placed in order-modified document order
+  const flexItems = items
+    .map((item, index) => createFlexItem(item, index, isRow, container))
+    .sort((a, b) => a.order - b.order || a.index - b.index);
+  
+  // Break items into lines
+  const lines = [];
+  let line = [];
+  let lineLength = 0;
+  for (const item of flexItems) {
+    const outer = item.hypothetical + item.mainMargin;
+    if (wrap !== 'nowrap' && mainSize !== null && line.length > 0 && lineLength + mainGap + outer > mainSize) {
+      lines.push(line);
+      line = [];
+      lineLength = 0;
+    }
+    lineLength += (line.length > 0 ? mainGap : 0) + outer;
+    line.push(item);
+  }
+  if (line.length > 0) lines.push(line);
+  
+  // Resolve flexible lengths and cross sizes per line
+  for (const lineItems of lines) {
+    resolveFlexibleLengths(lineItems, mainSize, mainGap);
+    for (const item of lineItems) {
+      item.cross = item.definiteCross ?? (isRow
+        ? item.source.heightForWidth(item.main)
+        : Math.min(item.source.maxContentWidth(), Math.max(0, (crossSize ?? Infinity) - item.crossMargin)));
+      item.cross = clamp(item.cross, item.minCross, item.maxCross);
+    }
+  }
+  
+  // A single-line container with a definite cross size gives its line that size
+  const lineCrossSizes = lines.map(lineItems => Math.max(0, ...lineItems.map(item => item.cross + item.crossMargin)));
+  if (wrap === 'nowrap' && crossSize !== null) {
+    lineCrossSizes[0] = crossSize;
+  }
+  
+  // align-content distributes leftover cross space between lines
+  const usedCross = lineCrossSizes.reduce((sum, size) => sum + size, 0) + crossGap * (lines.length - 1);
+  const crossFree = wrap !== 'nowrap' && crossSize !== null ? crossSize - usedCross : 0;
+  const alignContent = normalizeAlignment(styles.alignContent || 'normal');
+  let lineOffset = 0;
+  let lineSpacing = 0;
+  if (crossFree > 0 || alignContent === 'center' || alignContent === 'flex-end') {
+    switch (alignContent) {
+      case 'flex-end':
+        lineOffset = crossFree;
+        break;
+      case 'center':
+        lineOffset = crossFree / 2;
+        break;
+      case 'space-between':
+        lineSpacing = lines.length > 1 ? crossFree / (lines.length - 1) : 0;
+        break;
+      case 'space-around':
+        lineSpacing = crossFree / lines.length;
+        lineOffset = lineSpacing / 2;
+        break;
+      case 'space-evenly':
+        lineSpacing = crossFree / (lines.length + 1);
+        lineOffset = lineSpacing;
+        break;
+      case 'stretch':
+        lineCrossSizes.forEach((size, i) => { lineCrossSizes[i] = size + crossFree / lines.length; });
+        break;
+    }
+  }
+  
+  const totalMain = mainSize ?? Math.max(0, ...lines.map(lineItems =>
+    lineItems.reduce((sum, item) => sum + item.hypothetical + item.mainMargin, 0) + mainGap * (lineItems.length - 1)
+  ));
+  const totalCross = crossSize ?? usedCross;
+  const results = new Array(items.length);
+  let crossPosition = lineOffset;
   
-  const charsPerLine = Math.floor(containerWidth / charWidth);
-  const textLength = text.length;
+  lines.forEach((lineItems, lineIndex) => {
+    const lineCross = lineCrossSizes[lineIndex];
+    const positions = justifyLine(lineItems, mainSize, mainGap, styles.justifyContent);
+    
+    lineItems.forEach((item, i) => {
+      // Stretched items fill the line
+      const align = item.alignSelf;
+      if (align === 'stretch' && item.definiteCross === null && !item.autoCrossStart && !item.autoCrossEnd) {
+        item.cross = clamp(lineCross - item.crossMargin, item.minCross, item.maxCross);
+      }
+      
+      const free = lineCross - item.cross - item.crossMargin;
+      let cross = item.crossMarginStart;
+      if (item.autoCrossStart && item.autoCrossEnd) {
+        cross += free / 2;
+      } else if (item.autoCrossStart) {
+        cross += free;
+      } else if (!item.autoCrossEnd) {
+        if (align === 'flex-end') cross += free;
+        if (align === 'center') cross += free / 2;
+      }
+      
+      // Reverse directions and wrap-reverse mirror the flow-relative positions
+      let main = positions[i];
+      if (isReverse) main = totalMain - main - item.main;
+      let crossOffset = crossPosition + cross;
+      if (wrap === 'wrap-reverse') crossOffset = totalCross - crossOffset - item.cross;
+      
+      results[item.index] = isRow
+        ? { x: container.x + main, y: container.y + crossOffset, w: item.main, h: item.cross }
+        : { x: container.x + crossOffset, y: container.y + main, w: item.cross, h: item.main };
+    });
+    
+    crossPosition += lineCross + crossGap + lineSpacing;
+  });
   
-  return Math.max(1, Math.ceil(textLength / charsPerLine));
+  return results.map(box => box && {
+    x: Math.round(box.x),
+    y: Math.round(box.y),
+    w: Math.round(box.w),
+    h: Math.round(box.h)
+  });
 }
 
 /**
- * Compute flex layout for container
- * @param {Object} container - Container element
- * @param {Array} children - Child elements
- * @returns {Array} - Children with computed flex layout
+ * Collect the sizing inputs of a flex item
+ * @param {Object} source - Item from computeFlexLayout's input
+ * @param {number} index - Input index
+ * @param {boolean} isRow - Main axis is horizontal
+ * @param {Object} container - Flex container
+ * @returns {Object} - Flex item state
  */
-function computeFlexLayout(container, children) {
-  const styles = container.computedStyles || {};
-  const containerLayout = container.layout;
+function createFlexItem(source, index, isRow, container) {
+  const { styles, units } = source;
+  const margin = getBoxSpacing(styles, 'margin', units);
+  const isAuto = side => String(styles[`margin${side}`]).trim() === 'auto';
   
-  const flexDirection = styles.flexDirection || 'row';
-  const justifyContent = styles.justifyContent || 'flex-start';
-  const alignItems = styles.alignItems || 'stretch';
-  const gap = parsePixelValue(styles.gap) || 0;
+  const [mainStart, mainEnd, crossStart, crossEnd] = isRow
+    ? ['Left', 'Right', 'Top', 'Bottom']
+    : ['Top', 'Bottom', 'Left', 'Right'];
+  const mainProperty = isRow ? 'width' : 'height';
+  const crossProperty = isRow ? 'height' : 'width';
+  const mainBase = isRow ? container.width : container.height;
+  const crossBase = isRow ? container.height : container.width;
   
-  const isRow = flexDirection === 'row' || flexDirection === 'row-reverse';
-  const isReverse = flexDirection === 'row-reverse' || flexDirection === 'column-reverse';
+  const toBorderBox = (value, axis, base) => resolveBorderBoxSize(value, axis, styles, units, base);
   
-  // Calculate available space
-  const padding = parseSpacing(styles.padding);
-  const availableWidth = containerLayout.w - padding.left - padding.right;
-  const availableHeight = containerLayout.h - padding.top - padding.bottom;
+  const item = {
+    source,
+    index,
+    order: parseInt(styles.order, 10) || 0,
+    grow: Math.max(0, parseFloat(styles.flexGrow) || 0),
+    shrink: styles.flexShrink === undefined || isNaN(parseFloat(styles.flexShrink)) ? 1 : Math.max(0, parseFloat(styles.flexShrink)),
+    mainMarginStart: margin[mainStart.toLowerCase()],
+    mainMargin: margin[mainStart.toLowerCase()] + margin[mainEnd.toLowerCase()],
+    crossMarginStart: margin[crossStart.toLowerCase()],
+    crossMargin: margin[crossStart.toLowerCase()] + margin[crossEnd.toLowerCase()],
+    autoMainStart: isAuto(mainStart),
+    autoMainEnd: isAuto(mainEnd),
+    autoCrossStart: isAuto(crossStart),
+    autoCrossEnd: isAuto(crossEnd),
+    minMain: toBorderBox(styles[isRow ? 'minWidth' : 'minHeight'], mainProperty, mainBase) ?? 0,
+    maxMain: toBorderBox(styles[isRow ? 'maxWidth' : 'maxHeight'], mainProperty, mainBase) ?? Infinity,
+    minCross: toBorderBox(styles[isRow ? 'minHeight' : 'minWidth'], crossProperty, crossBase) ?? 0,
+    maxCross: toBorderBox(styles[isRow ? 'maxHeight' : 'maxWidth'], crossProperty, crossBase) ?? Infinity,
+    definiteCross: toBorderBox(styles[crossProperty], crossProperty, crossBase),
+    alignSelf: normalizeAlignment(
+      !styles.alignSelf || styles.alignSelf === 'auto' ? container.styles?.alignItems || 'normal' : styles.alignSelf
+    )
+  };
   
-  // Calculate total children size
-  let totalChildSize = 0;
-  for (const child of children) {
-    totalChildSize += isRow ? child.layout.w : child.layout.h;
+  // Column items are as wide as their cross size, or fit their content; their content
+  // height is laid out once
+  let contentHeight = null;
+  const getContentHeight = () => {
+    if (contentHeight === null) {
+      const width = item.definiteCross ?? (item.alignSelf === 'stretch' && container.width !== null
+        ? container.width - item.crossMargin
+        : Math.min(source.maxContentWidth(), container.width ?? Infinity));
+      contentHeight = source.heightForWidth(width);
+    }
+    return contentHeight;
+  };
+  
+  // flex-basis, then the main size property, then the content size
+  const basis = String(styles.flexBasis || 'auto').trim();
+  const specified = toBorderBox(styles[mainProperty], mainProperty, mainBase);
+  let base = basis === 'auto' || basis === 'content' ? null : toBorderBox(basis, mainProperty, mainBase);
+  if (base === null && basis !== 'content') {
+    base = specified;
+  }
+  if (base === null) {
+    base = isRow ? source.maxContentWidth() : getContentHeight();
   }
-  totalChildSize += gap * (children.length - 1);
   
-  // Calculate starting position based on justify-content
-  let currentPos = 0;
-  const availableSpace = (isRow ? availableWidth : availableHeight) - totalChildSize;
+  // An auto minimum keeps items that aren't scroll containers from shrinking below
+  // their min-content size (or their specified size, when that is smaller)
+  const minProperty = String(styles[isRow ? 'minWidth' : 'minHeight'] ?? 'auto').trim();
+  const overflow = [styles.overflowX || styles.overflow, styles.overflowY || styles.overflow]
+    .map(value => String(value || 'visible').trim().toLowerCase());
+  if (minProperty === 'auto' && !overflow.some(value => SCROLL_OVERFLOW.includes(value))) {
+    const content = isRow ? source.minContentWidth?.() ?? 0 : getContentHeight();
+    item.minMain = Math.min(content, specified ?? Infinity, item.maxMain);
+  }
   
-  switch (justifyContent) {
-    case 'center':
-      currentPos = availableSpace / 2;
-      break;
+  item.basis = base;
+  item.hypothetical = clamp(base, item.minMain, item.maxMain);
+  item.main = item.hypothetical;
+  return item;
+}
+
+/**
+ * Grow or shrink the items of a line to fill the main size
+ * Items that hit their min/max size are frozen and the rest redistributed
+ * @param {Array} items - Flex items in the line
+ * @param {number|null} mainSize - Available main size, or null when indefinite
+ * @param {number} gap - Main-axis gap
+ */
+function resolveFlexibleLengths(items, mainSize, gap) {
+  if (mainSize === null) return;
+  
+  const used = items.reduce((sum, item) => sum + item.hypothetical + item.mainMargin, 0) + gap * (items.length - 1);
+  const growing = used < mainSize;
+  const frozen = new Set(items.filter(item => (growing ? item.grow : item.shrink) === 0));
+  
+  for (let pass = 0; pass < items.length && frozen.size < items.length; pass++) {
+    const active = items.filter(item => !frozen.has(item));
+    const fixed = items.reduce((sum, item) =>
+      sum + item.mainMargin + (frozen.has(item) ? item.main : item.basis), 0) + gap * (items.length - 1);
+    let free = mainSize - fixed;
+    
+    if (growing) {
+      const totalGrow = active.reduce((sum, item) => sum + item.grow, 0);
+      // Grow factors summing below 1 only take that fraction of the space
+      if (totalGrow < 1) free *= totalGrow;
+      active.forEach(item => { item.main = item.basis + free * item.grow / totalGrow; });
+    } else {
+      const totalScaled = active.reduce((sum, item) => sum + item.shrink * item.basis, 0);
+      active.forEach(item => {
+        item.main = totalScaled > 0 ? item.basis + free * item.shrink * item.basis / totalScaled : item.basis;
+      });
+    }
+    
+    // Freeze anything that violates its min/max and go again
+    let clamped = false;
+    for (const item of active) {
+      const limited = clamp(item.main, item.minMain, item.maxMain);
+      if (limited !== item.main) {
+        item.main = limited;
+        frozen.add(item);
+        clamped = true;
+      }
+    }
+    if (!clamped) break;
+  }
+  
+  items.forEach(item => { item.main = Math.max(0, item.main); });
+}
+
+/**
+ * Position the items of a line along the main axis
+ * @param {Array} items - Flex items in the line
+ * @param {number|null} mainSize - Main size, or null when indefinite
+ * @param {number} gap - Main-axis gap
+ * @param {string} justifyContent - justify-content value
+ * @returns {Array} - Flow-relative border-box start of each item
+ */
+function justifyLine(items, mainSize, gap, justifyContent = 'normal') {
+  const used = items.reduce((sum, item) => sum + item.main + item.mainMargin, 0) + gap * (items.length - 1);
+  let free = mainSize === null ? 0 : mainSize - used;
+  
+  // Auto margins absorb positive free space before justify-content
+  const autoMargins = items.reduce((count, item) => count + item.autoMainStart + item.autoMainEnd, 0);
+  const autoShare = free > 0 && autoMargins > 0 ? free / autoMargins : 0;
+  if (autoShare > 0) free = 0;
+  
+  let offset = 0;
+  let spacing = 0;
+  switch (normalizeAlignment(justifyContent)) {
     case 'flex-end':
-      currentPos = availableSpace;
+      offset = free;
+      break;
+    case 'center':
+      offset = free / 2;
       break;
     case 'space-between':
-      // Gap will be distributed between items
+      spacing = items.length > 1 && free > 0 ? free / (items.length - 1) : 0;
       break;
     case 'space-around':
-      currentPos = availableSpace / (children.length * 2);
+      spacing = free > 0 ? free / items.length : 0;
+      offset = spacing / 2;
       break;
     case 'space-evenly':
-      currentPos = availableSpace / (children.length + 1);
+      spacing = free > 0 ? free / (items.length + 1) : 0;
+      offset = spacing;
       break;
   }
   
-  // Position children
-  const positionedChildren = [];
-  const spaceBetween = justifyContent === 'space-between' && children.length > 1
-    ? availableSpace / (children.length - 1)
-    : 0;
+  const positions = [];
+  let position = offset;
+  for (const item of items) {
+    position += item.mainMarginStart + (item.autoMainStart ? autoShare : 0);
+    positions.push(position);
+    position += item.main + (item.mainMargin - item.mainMarginStart) + (item.autoMainEnd ? autoShare : 0) + gap + spacing;
+  }
+  return positions;
+}
+
+/**
+ * Lay out grid items
+ * Resolves the explicit grid from the templates and areas, places items
+ * (explicitly, then with auto-placement and implicit tracks), sizes the
+ * tracks and aligns the tracks and items
+ * @param {Object} container - Content box { x, y, width, height } (height null when auto),
+ *   plus the container's computed styles and unit context as { styles, units }
+ * @param {Array} items - Grid items { styles, units, maxContentWidth(), heightForWidth(width) }
+ *   where sizes are border-box sizes
+ * @returns {Object} - { boxes, columns, rows, areas }: a border-box layout { x, y, w, h } and a
+ *   grid area { rowStart, rowEnd, columnStart, columnEnd } (1-based lines) per item in input
+ *   order, and the sized column and row tracks as { start, size } relative to the content box
+ */
+function computeGridLayout(container, items) {
+  const styles = container.styles || {};
+  const { units } = container;
+  const areas = parseTemplateAreas(styles.gridTemplateAreas);
+  
+  const columns = createGridAxis(styles.gridTemplateColumns, styles.gridAutoColumns, container.width,
+    resolveGap(styles.columnGap, units, container.width), units, areas?.columns, false);
+  const rows = createGridAxis(styles.gridTemplateRows, styles.gridAutoRows, container.height,
+    resolveGap(styles.rowGap, units, container.height), units, areas?.rows, true);
   
-  for (let i = 0; i < children.length; i++) {
-    const child = children[i];
-    const childLayout = { ...child.layout };
-    
-    if (isRow) {
-      childLayout.x = containerLayout.x + padding.left + currentPos;
-      childLayout.y = computeCrossAxisPosition(
-        child, containerLayout, alignItems, padding, availableHeight, false
+  const gridItems = items
+    .map((source, index) => ({
+      source,
+      index,
+      order: parseInt(source.styles.order, 10) || 0,
+      margin: getBoxSpacing(source.styles, 'margin', source.units),
+      row: resolveGridPlacement(source.styles.gridRowStart, source.styles.gridRowEnd, rows, areas),
+      column: resolveGridPlacement(source.styles.gridColumnStart, source.styles.gridColumnEnd, columns, areas)
+    }))
+    .sort((a, b) => a.order - b.order || a.index - b.index);
+  
+  placeGridItems(gridItems, rows, columns, styles.gridAutoFlow);
+  
+  // auto-fit drops repeated tracks that ended up empty
+  for (const axis of [columns, rows]) {
+    if (axis.autoFit) {
+      const key = axis === columns ? 'column' : 'row';
+      axis.collapsed = axis.repeated.filter(track =>
+        !gridItems.some(item => item[key].start <= track && item[key].end > track)
       );
-      currentPos += childLayout.w + gap + spaceBetween;
+    }
+  }
+  
+  // Columns first; item heights depend on their column widths
+  const columnSizes = sizeGridTracks(columns, gridItems, 'column', item => {
+    const { styles: itemStyles, units: itemUnits } = item.source;
+    const extra = item.margin.left + item.margin.right;
+    const fixed = resolveBorderBoxSize(itemStyles.width, 'width', itemStyles, itemUnits, null);
+    const min = fixed ?? resolveBorderBoxSize(itemStyles.minWidth, 'width', itemStyles, itemUnits, null) ?? 0;
+    return { min: min + extra, max: Math.max(min, item.source.maxContentWidth()) + extra };
+  }, styles.justifyContent);
+  const columnPositions = distributeTracks(columnSizes, columns, container.width, styles.justifyContent);
+  
+  for (const item of gridItems) {
+    const area = getTrackSpan(columnPositions, item.column);
+    item.area = { x: area.start, w: area.size };
+    item.width = resolveGridItemSize(item, 'width', area.size, styles.justifyItems);
+  }
+  
+  const rowSizes = sizeGridTracks(rows, gridItems, 'row', item => {
+    const { styles: itemStyles, units: itemUnits } = item.source;
+    const extra = item.margin.top + item.margin.bottom;
+    const fixed = resolveBorderBoxSize(itemStyles.height, 'height', itemStyles, itemUnits, null);
+    const height = fixed ?? item.source.heightForWidth(item.width);
+    return { min: height + extra, max: height + extra };
+  }, styles.alignContent);
+  const rowPositions = distributeTracks(rowSizes, rows, container.height, styles.alignContent);
+  
+  const boxes = new Array(items.length);
+  const placements = new Array(items.length);
+  for (const item of gridItems) {
+    const area = getTrackSpan(rowPositions, item.row);
+    const height = resolveGridItemSize(item, 'height', area.size, styles.alignItems);
+    const x = alignInArea(item, 'width', item.width, item.area.w, styles.justifyItems);
+    const y = alignInArea(item, 'height', height, area.size, styles.alignItems);
+    
+    boxes[item.index] = {
+      x: Math.round(container.x + item.area.x + x),
+      y: Math.round(container.y + area.start + y),
+      w: Math.round(item.width),
+      h: Math.round(height)
+    };
+    placements[item.index] = {
+      rowStart: item.row.start + 1,
+      rowEnd: item.row.end + 1,
+      columnStart: item.column.start + 1,
+      columnEnd: item.column.end + 1
+    };
+  }
+  
+  const roundTracks = positions => positions.map(track => ({
+    start: Math.round(track.start),
+    size: Math.round(track.size)
+  }));
+  
+  return {
+    boxes,
+    columns: roundTracks(columnPositions),
+    rows: roundTracks(rowPositions),
+    areas: placements
+  };
+}
+
+/**
+ * Build one axis of the explicit grid
+ * auto-fill/auto-fit repeat as often as fits the available size (once when it is indefinite)
+ * @param {string} template - grid-template-columns/rows
+ * @param {string} autoTemplate - grid-auto-columns/rows (sizes of implicit tracks)
+ * @param {number|null} available - Content size of the container on this axis
+ * @param {number} gap - Gap between tracks
+ * @param {Object} units - Unit context
+ * @param {number} areaTracks - Tracks required by grid-template-areas
+ * @param {boolean} isRow - The axis holds rows
+ * @returns {Object} - Axis state { tracks, lineNames, repeated, autoFit, collapsed, autoTracks,
+ *   gap, available, explicitCount, isRow }
+ */
+function createGridAxis(template, autoTemplate, available, gap, units, areaTracks = 0, isRow = false) {
+  const list = parseTrackList(template, units, available);
+  let count = 0;
+  
+  if (list.autoRepeat) {
+    count = 1;
+    const fixedSize = track => [track.max, track.min].find(size => size.type === 'length')?.value;
+    const repeatSizes = list.autoRepeat.tracks.map(fixedSize);
+    if (available !== null && repeatSizes.every(size => size !== undefined)) {
+      const others = list.tracks.reduce((sum, track) => sum + (fixedSize(track) || 0) + gap, 0);
+      const repeatSize = repeatSizes.reduce((sum, size) => sum + size + gap, 0);
+      count = Math.max(1, Math.floor((available - others + gap) / Math.max(1, repeatSize)));
+    }
+  }
+  
+  const expanded = expandTrackList(list, count);
+  const autoTracks = parseTrackList(autoTemplate || 'auto', units, available).tracks;
+  if (autoTracks.length === 0) autoTracks.push({ min: { type: 'auto' }, max: { type: 'auto' } });
+  
+  // Areas beyond the templates add explicit tracks sized like implicit ones
+  while (expanded.tracks.length < areaTracks) {
+    expanded.tracks.push(autoTracks[expanded.tracks.length % autoTracks.length]);
+    expanded.lineNames.push([]);
+  }
+  
+  return {
+    ...expanded,
+    autoFit: list.autoRepeat?.type === 'auto-fit',
+    collapsed: [],
+    autoTracks,
+    gap,
+    available,
+    explicitCount: expanded.tracks.length,
+    isRow
+  };
+}
+
+/**
+ * Resolve a grid item's placement on one axis
+ * @param {string} startValue - grid-row-start or grid-column-start
+ * @param {string} endValue - grid-row-end or grid-column-end
+ * @param {Object} axis - Grid axis
+ * @param {Object|null} areas - Parsed grid-template-areas
+ * @returns {Object} - { start, end } 0-based lines when definite, otherwise { span }
+ */
+function resolveGridPlacement(startValue, endValue, axis, areas) {
+  const start = parseGridLine(startValue);
+  const end = parseGridLine(endValue);
+  const startLine = start.type === 'line' ? resolveGridLine(start, 'start', axis, areas) : null;
+  const endLine = end.type === 'line' ? resolveGridLine(end, 'end', axis, areas) : null;
+  
+  if (startLine !== null && endLine !== null) {
+    if (startLine === endLine) return { start: startLine, end: startLine + 1 };
+    return { start: Math.min(startLine, endLine), end: Math.max(startLine, endLine) };
+  }
+  if (startLine !== null) {
+    return { start: startLine, end: startLine + (end.type === 'span' ? end.count : 1) };
+  }
+  if (endLine !== null) {
+    const span = start.type === 'span' ? start.count : 1;
+    // Lines before the first one aren't modelled; the item is pushed into the grid
+    const first = Math.max(0, endLine - span);
+    return { start: first, end: first + span };
+  }
+  
+  return { span: start.type === 'span' ? start.count : end.type === 'span' ? end.count : 1 };
+}
+
+/**
+ * Resolve a line reference to a 0-based line index
+ * Named lines match [names] in the template and the implicit name-start/name-end lines of areas
+ * @param {Object} line - Parsed grid line { number, name }
+ * @param {string} side - 'start' or 'end'
+ * @param {Object} axis - Grid axis
+ * @param {Object|null} areas - Parsed grid-template-areas
+ * @returns {number} - Line index
+ */
+function resolveGridLine(line, side, axis, areas) {
+  const lineCount = axis.tracks.length + 1;
+  
+  if (!line.name) {
+    return Math.max(0, line.number > 0 ? line.number - 1 : lineCount + line.number);
+  }
+  
+  // Collect every line carrying the name, including area edges
+  const matches = new Set();
+  axis.lineNames.forEach((names, index) => {
+    if (names.includes(line.name) || names.includes(`${line.name}-${side}`)) matches.add(index);
+  });
+  for (const [name, area] of Object.entries(areas?.areas || {})) {
+    const [startKey, endKey] = axis.isRow ? ['rowStart', 'rowEnd'] : ['columnStart', 'columnEnd'];
+    if (`${name}-start` === line.name || (name === line.name && side === 'start')) matches.add(area[startKey]);
+    if (`${name}-end` === line.name || (name === line.name && side === 'end')) matches.add(area[endKey]);
+  }
+  
+  const sorted = [...matches].sort((a, b) => a - b);
+  const number = line.number ?? 1;
+  const match = number > 0 ? sorted[number - 1] : sorted[sorted.length + number];
+  
+  // Missing names refer to the first implicit line
+  return match ?? lineCount;
+}
+
+/**
+ * Place grid items, adding implicit tracks as needed
+ * Follows the grid-auto-flow placement order: fully definite items, items
+ * locked to a row (or column), then the rest with a sparse or dense cursor
+ * @param {Array} items - Grid items with row and column placements (modified in place)
+ * @param {Object} rows - Row axis
+ * @param {Object} columns - Column axis
+ * @param {string} autoFlow - grid-auto-flow
+ */
+function placeGridItems(items, rows, columns, autoFlow = 'row') {
+  const flow = String(autoFlow || 'row').toLowerCase();
+  const dense = flow.includes('dense');
+  const [major, minor] = flow.includes('column') ? ['column', 'row'] : ['row', 'column'];
+  const axes = { row: rows, column: columns };
+  const occupied = new Set();
+  
+  const isDefinite = placement => placement.start !== undefined;
+  const fits = (item, at) => {
+    for (let r = at.row.start; r < at.row.end; r++) {
+      for (let c = at.column.start; c < at.column.end; c++) {
+        if (occupied.has(`${r},${c}`)) return false;
+      }
+    }
+    return true;
+  };
+  const occupy = item => {
+    for (let r = item.row.start; r < item.row.end; r++) {
+      for (let c = item.column.start; c < item.column.end; c++) {
+        occupied.add(`${r},${c}`);
+      }
+    }
+  };
+  
+  // 1. Items with a definite row and column
+  for (const item of items) {
+    if (isDefinite(item.row) && isDefinite(item.column)) occupy(item);
+  }
+  
+  // 2. Items locked to a track on the major axis
+  const lockCursors = {};
+  for (const item of items) {
+    if (!isDefinite(item[major]) || isDefinite(item[minor])) continue;
+    
+    const key = item[major].start;
+    let position = dense ? 0 : lockCursors[key] || 0;
+    const span = item[minor].span;
+    while (!fits(item, { [major]: item[major], [minor]: { start: position, end: position + span } })) {
+      position++;
+    }
+    item[minor] = { start: position, end: position + span };
+    lockCursors[key] = position + span;
+    occupy(item);
+  }
+  
+  // The minor axis has the explicit tracks plus whatever placed items need
+  let minorCount = axes[minor].tracks.length;
+  for (const item of items) {
+    minorCount = Math.max(minorCount, isDefinite(item[minor]) ? item[minor].end : item[minor].span);
+  }
+  
+  // 3. Everything else, following the cursor
+  let cursorMajor = 0;
+  let cursorMinor = 0;
+  for (const item of items) {
+    if (isDefinite(item.row) && isDefinite(item.column)) continue;
+    
+    if (dense) {
+      cursorMajor = 0;
+      cursorMinor = 0;
+    }
+    const majorSpan = item[major].span;
+    
+    if (isDefinite(item[minor])) {
+      if (!dense && item[minor].start < cursorMinor) cursorMajor++;
+      while (!fits(item, { [major]: { start: cursorMajor, end: cursorMajor + majorSpan }, [minor]: item[minor] })) {
+        cursorMajor++;
+      }
+      cursorMinor = item[minor].end;
     } else {
-      childLayout.x = computeCrossAxisPosition(
-        child, containerLayout, alignItems, padding, availableWidth, true
-      );
-      childLayout.y = containerLayout.y + padding.top + currentPos;
-      currentPos += childLayout.h + gap + spaceBetween;
+      const minorSpan = item[minor].span;
+      for (;;) {
+        if (cursorMinor + minorSpan > minorCount) {
+          cursorMajor++;
+          cursorMinor = 0;
+          continue;
+        }
+        const at = {
+          [major]: { start: cursorMajor, end: cursorMajor + majorSpan },
+          [minor]: { start: cursorMinor, end: cursorMinor + minorSpan }
+        };
+        if (fits(item, at)) break;
+        cursorMinor++;
+      }
+      item[minor] = { start: cursorMinor, end: cursorMinor + minorSpan };
+      cursorMinor += minorSpan;
     }
     
-    positionedChildren.push({
-      ...child,
-      layout: childLayout
-    });
+    item[major] = { start: cursorMajor, end: cursorMajor + majorSpan };
+    occupy(item);
+  }
+  
+  // Implicit tracks cycle through grid-auto-rows/columns
+  for (const key of ['row', 'column']) {
+    const axis = axes[key];
+    const needed = Math.max(axis.tracks.length, ...items.map(item => item[key].end));
+    while (axis.tracks.length < needed) {
+      axis.tracks.push(axis.autoTracks[(axis.tracks.length - axis.explicitCount) % axis.autoTracks.length]);
+      axis.lineNames.push([]);
+    }
+  }
+}
+
+/**
+ * Size the tracks of one axis
+ * Intrinsic tracks grow to fit the items spanning them, free space then grows
+ * tracks up to their limits, fr tracks share what is left and auto tracks
+ * stretch into any remainder
+ * @param {Object} axis - Grid axis
+ * @param {Array} items - Placed grid items
+ * @param {string} key - 'row' or 'column'
+ * @param {Function} contribution - Returns an item's outer { min, max } size on this axis
+ * @param {string} contentAlignment - justify-content or align-content
+ * @returns {Array} - Track sizes
+ */
+function sizeGridTracks(axis, items, key, contribution, contentAlignment = 'normal') {
+  const { tracks, gap, available } = axis;
+  const collapsed = new Set(axis.collapsed);
+  const isFlexible = index => tracks[index].max.type === 'fr';
+  
+  const base = tracks.map((track, i) => (collapsed.has(i) ? 0 : track.min.type === 'length' ? track.min.value : 0));
+  const limit = tracks.map((track, i) => {
+    if (collapsed.has(i)) return 0;
+    if (track.max.type === 'length') return Math.max(track.max.value, base[i]);
+    return track.max.type === 'fr' ? base[i] : null;
+  });
+  
+  const contributions = new Map(items.map(item => [item, contribution(item)]));
+  const growIntrinsic = (span, isMin) => {
+    for (const item of items) {
+      const { start, end } = item[key];
+      if (end - start !== span) continue;
+      const spanned = range(start, end).filter(i => !collapsed.has(i));
+      if (spanned.length === 0 || (span > 1 && spanned.some(isFlexible))) continue;
+      
+      const size = isMin ? contributions.get(item).min : contributions.get(item).max;
+      const sizes = isMin ? base : limit;
+      const current = spanned.reduce((sum, i) => sum + (sizes[i] ?? base[i]), 0) + gap * (spanned.length - 1);
+      const growable = spanned.filter(i => isMin
+        ? tracks[i].min.type !== 'length'
+        : tracks[i].max.type !== 'length' && tracks[i].max.type !== 'fr');
+      if (size <= current || growable.length === 0) continue;
+      
+      const share = (size - current) / growable.length;
+      for (const i of growable) {
+        sizes[i] = (sizes[i] ?? base[i]) + share;
+      }
+    }
+  };
+  
+  // Single-span items first, then wider spans grow what is still too small
+  const maxSpan = Math.max(1, ...items.map(item => item[key].end - item[key].start));
+  for (let span = 1; span <= maxSpan; span++) {
+    growIntrinsic(span, true);
+    growIntrinsic(span, false);
   }
   
-  if (isReverse) {
-    positionedChildren.reverse();
+  tracks.forEach((track, i) => {
+    if (track.max.type === 'fit-content' && limit[i] !== null) {
+      limit[i] = Math.min(limit[i], track.max.value);
+    } else if (track.max.type === 'min-content') {
+      limit[i] = base[i];
+    }
+    limit[i] = Math.max(limit[i] ?? base[i], base[i]);
+  });
+  
+  const gaps = gap * Math.max(0, tracks.length - 1 - collapsed.size);
+  const sizes = [...base];
+  
+  // Grow tracks toward their limits
+  if (available === null) {
+    tracks.forEach((track, i) => { sizes[i] = limit[i]; });
+  } else {
+    let free = available - gaps - sizes.reduce((sum, size) => sum + size, 0);
+    let growing = sizes.map((size, i) => i).filter(i => sizes[i] < limit[i]);
+    while (free > 0.01 && growing.length > 0) {
+      const share = free / growing.length;
+      for (const i of growing) {
+        const grow = Math.min(share, limit[i] - sizes[i]);
+        sizes[i] += grow;
+        free -= grow;
+      }
+      growing = growing.filter(i => sizes[i] < limit[i]);
+    }
   }
   
-  return positionedChildren;
+  // fr tracks share the remaining space
+  const flexible = tracks.map((track, i) => i).filter(i => isFlexible(i) && !collapsed.has(i));
+  if (flexible.length > 0) {
+    let frSize;
+    if (available === null) {
+      // Indefinite: each fr unit is as large as the largest per-fr content need
+      frSize = Math.max(0, ...flexible.map(i => limit[i] / Math.max(1, tracks[i].max.value)));
+      for (const item of items) {
+        const spanned = range(item[key].start, item[key].end);
+        const frs = spanned.filter(isFlexible).reduce((sum, i) => sum + tracks[i].max.value, 0);
+        if (frs > 0 && spanned.length === 1) {
+          frSize = Math.max(frSize, contributions.get(item).max / Math.max(1, frs));
+        }
+      }
+    } else {
+      // Tracks whose base beats their fr share are treated as inflexible
+      let candidates = [...flexible];
+      for (;;) {
+        const leftover = available - gaps - sizes.reduce((sum, size, i) => sum + (candidates.includes(i) ? 0 : size), 0);
+        const frs = candidates.reduce((sum, i) => sum + tracks[i].max.value, 0);
+        frSize = Math.max(0, leftover) / Math.max(1, frs);
+        const inflexible = candidates.filter(i => tracks[i].max.value * frSize < base[i]);
+        if (inflexible.length === 0) break;
+        candidates = candidates.filter(i => !inflexible.includes(i));
+      }
+    }
+    for (const i of flexible) {
+      sizes[i] = Math.max(base[i], tracks[i].max.value * frSize);
+    }
+  }
+  
+  // Auto tracks stretch into leftover space
+  const alignment = String(contentAlignment || 'normal').toLowerCase();
+  if (available !== null && (alignment === 'normal' || alignment === 'stretch')) {
+    const autoTracks = tracks.map((track, i) => i).filter(i => tracks[i].max.type === 'auto' && !collapsed.has(i));
+    const free = available - gaps - sizes.reduce((sum, size) => sum + size, 0);
+    if (free > 0 && autoTracks.length > 0) {
+      for (const i of autoTracks) sizes[i] += free / autoTracks.length;
+    }
+  }
+  
+  return sizes;
 }
 
 /**
- * Compute cross-axis position for flex item
+ * Position sized tracks, distributing free space with justify-content/align-content
+ * @param {Array} sizes - Track sizes
+ * @param {Object} axis - Grid axis
+ * @param {number|null} available - Content size of the container on this axis
+ * @param {string} contentAlignment - justify-content or align-content
+ * @returns {Array} - Tracks { start, size } relative to the content box
  */
-function computeCrossAxisPosition(child, containerLayout, alignItems, padding, availableSize, isColumn) {
-  const childSize = isColumn ? child.layout.w : child.layout.h;
-  const containerStart = isColumn 
-    ? containerLayout.x + padding.left 
-    : containerLayout.y + padding.top;
+function distributeTracks(sizes, axis, available, contentAlignment = 'normal') {
+  const collapsed = new Set(axis.collapsed);
+  const visible = sizes.map((size, i) => i).filter(i => !collapsed.has(i));
+  const used = sizes.reduce((sum, size) => sum + size, 0) + axis.gap * Math.max(0, visible.length - 1);
+  const free = available === null ? 0 : available - used;
   
-  switch (alignItems) {
-    case 'center':
-      return containerStart + (availableSize - childSize) / 2;
+  let offset = 0;
+  let spacing = 0;
+  if (free > 0) {
+    switch (normalizeAlignment(contentAlignment || 'normal')) {
+      case 'flex-end':
+        offset = free;
+        break;
+      case 'center':
+        offset = free / 2;
+        break;
+      case 'space-between':
+        spacing = visible.length > 1 ? free / (visible.length - 1) : 0;
+        break;
+      case 'space-around':
+        spacing = free / visible.length;
+        offset = spacing / 2;
+        break;
+      case 'space-evenly':
+        spacing = free / (visible.length + 1);
+        offset = spacing;
+        break;
+    }
+  }
+  
+  let position = offset;
+  return sizes.map((size, i) => {
+    const track = { start: position, size };
+    if (!collapsed.has(i)) position += size + axis.gap + spacing;
+    return track;
+  });
+}
+
+/**
+ * Get the position and size of a span of tracks, including the gaps inside it
+ * @param {Array} tracks - Positioned tracks
+ * @param {Object} placement - { start, end } line indices
+ * @returns {Object} - { start, size }
+ */
+function getTrackSpan(tracks, placement) {
+  const first = tracks[placement.start];
+  const last = tracks[placement.end - 1];
+  return { start: first.start, size: last.start + last.size - first.start };
+}
+
+/**
+ * Resolve a grid item's border-box size within its area
+ * Auto sizes stretch unless the item is aligned otherwise or has auto margins
+ * @param {Object} item - Grid item
+ * @param {string} axis - 'width' or 'height'
+ * @param {number} areaSize - Size of the grid area
+ * @param {string} itemsAlignment - justify-items or align-items of the container
+ * @returns {number} - Border-box size
+ */
+function resolveGridItemSize(item, axis, areaSize, itemsAlignment) {
+  const { styles, units } = item.source;
+  const [startSide, endSide] = axis === 'width' ? ['Left', 'Right'] : ['Top', 'Bottom'];
+  const margins = item.margin[startSide.toLowerCase()] + item.margin[endSide.toLowerCase()];
+  const maxProperty = axis === 'width' ? 'maxWidth' : 'maxHeight';
+  const minProperty = axis === 'width' ? 'minWidth' : 'minHeight';
+  const limits = [
+    resolveBorderBoxSize(styles[minProperty], axis, styles, units, areaSize) ?? 0,
+    resolveBorderBoxSize(styles[maxProperty], axis, styles, units, areaSize) ?? Infinity
+  ];
+  
+  let size = resolveBorderBoxSize(styles[axis], axis, styles, units, areaSize);
+  if (size === null) {
+    const hasAutoMargin = String(styles[`margin${startSide}`]).trim() === 'auto' ||
+      String(styles[`margin${endSide}`]).trim() === 'auto';
+    const stretches = !hasAutoMargin && getSelfAlignment(item, axis, itemsAlignment) === 'stretch';
+    const fit = axis === 'width' ? item.source.maxContentWidth() : item.source.heightForWidth(item.width);
+    size = stretches ? areaSize - margins : Math.min(fit, Math.max(0, areaSize - margins));
+  }
+  
+  return clamp(size, ...limits);
+}
+
+/**
+ * Get an item's offset inside its grid area on one axis
+ * @param {Object} item - Grid item
+ * @param {string} axis - 'width' or 'height'
+ * @param {number} size - Item border-box size
+ * @param {number} areaSize - Size of the grid area
+ * @param {string} itemsAlignment - justify-items or align-items of the container
+ * @returns {number} - Offset of the border box from the area's start
+ */
+function alignInArea(item, axis, size, areaSize, itemsAlignment) {
+  const { styles } = item.source;
+  const [startSide, endSide] = axis === 'width' ? ['Left', 'Right'] : ['Top', 'Bottom'];
+  const marginStart = item.margin[startSide.toLowerCase()];
+  const free = areaSize - size - marginStart - item.margin[endSide.toLowerCase()];
+  const autoStart = String(styles[`margin${startSide}`]).trim() === 'auto';
+  const autoEnd = String(styles[`margin${endSide}`]).trim() === 'auto';
+  
+  if (autoStart && autoEnd) return marginStart + free / 2;
+  if (autoStart) return marginStart + free;
+  if (autoEnd) return marginStart;
+  
+  switch (getSelfAlignment(item, axis, itemsAlignment)) {
     case 'flex-end':
-      return containerStart + availableSize - childSize;
-    case 'stretch':
-    case 'flex-start':
+      return marginStart + free;
+    case 'center':
+      return marginStart + free / 2;
+    default:
+      return marginStart;
+  }
+}
+
+/**
+ * Get the justify-self/align-self of a grid item, falling back to the container's *-items
+ * @param {Object} item - Grid item
+ * @param {string} axis - 'width' (justify) or 'height' (align)
+ * @param {string} itemsAlignment - justify-items or align-items of the container
+ * @returns {string} - Normalized alignment keyword
+ */
+function getSelfAlignment(item, axis, itemsAlignment) {
+  const self = axis === 'width' ? item.source.styles.justifySelf : item.source.styles.alignSelf;
+  const value = !self || self === 'auto' ? itemsAlignment : self;
+  const keyword = String(value || 'normal').toLowerCase();
+  return keyword === 'legacy' ? 'stretch' : normalizeAlignment(keyword);
+}
+
+/**
+ * List the integers from start up to (not including) end
+ * @param {number} start - First value
+ * @param {number} end - End value
+ * @returns {Array} - Integers
+ */
+function range(start, end) {
+  return Array.from({ length: Math.max(0, end - start) }, (_, i) => start + i);
+}
+
+/**
+ * Lay out an inline formatting context
+ * Breaks text, inline boxes and atomic inlines (inline-blocks, replaced
+ * elements) into line boxes, honouring white-space, text-indent, text-align
+ * and vertical-align
+ * @param {Object} container - Content box { x, y, width } (width null for no wrapping), plus
+ *   the container's { styles, units } and measureText(text, styles, units) returning a width
+ * @param {Array} items - Inline content in document order, each one of
+ *   { type: 'text', text, styles, units },
+ *   { type: 'start', styles, units } and { type: 'end' } around an inline element's content,
+ *   { type: 'atomic', styles, units, width, height, margin, baseline } with a border-box size and
+ *   the baseline's distance from the border-box top (null for the bottom margin edge),
+ *   { type: 'break' } for a forced line break, or { type: 'anchor' } to track a position
+ * @returns {Object} - { height, width, lines, results } where lines are line boxes
+ *   { x, y, w, h, baseline } and results hold per item: text fragments
+ *   [{ x, y, w, h, text, line }], the border box { x, y, w, h } of atomics and of inline
+ *   elements (at 'start'), or the position { x, y } of anchors
+ */
+function computeInlineLayout(container, items) {
+  const pieces = createInlinePieces(container, items);
+  const lines = breakInlineLines(pieces, container);
+  const results = items.map(item => (item.type === 'text' ? [] : null));
+  const lineBoxes = [];
+  let y = container.y;
+  let width = 0;
+  
+  lines.forEach((line, lineIndex) => {
+    const content = trimLine(line.pieces);
+    const used = content.reduce((sum, piece) => sum + piece.width, 0);
+    const indent = lineIndex === 0 ? getTextIndent(container) : 0;
+    width = Math.max(width, indent + used);
+    
+    // Horizontal alignment
+    const available = container.width ?? used + indent;
+    const free = available - used - indent;
+    const align = String(container.styles.textAlign || 'left').toLowerCase();
+    let x = container.x + indent;
+    let spaceExtra = 0;
+    if (align === 'right' || align === 'end') {
+      x += free;
+    } else if (align === 'center') {
+      x += free / 2;
+    } else if (align === 'justify' && !line.forced && lineIndex < lines.length - 1 && free > 0) {
+      const spaces = content.filter(piece => piece.kind === 'space' && piece.width > 0).length;
+      spaceExtra = spaces > 0 ? free / spaces : 0;
+    }
+    for (const piece of content) {
+      piece.x = x;
+      if (piece.kind === 'space' && piece.width > 0) piece.width += spaceExtra;
+      x += piece.width;
+    }
+    
+    // Vertical alignment against the line's baseline; the strut keeps empty lines open
+    const strut = getInlineBoxMetrics(container.styles, container.units);
+    let above = strut.above;
+    let below = strut.below;
+    let edgeAligned = 0;
+    for (const piece of content) {
+      const extent = getPieceExtent(piece);
+      if (extent.edge) {
+        edgeAligned = Math.max(edgeAligned, extent.height);
+        continue;
+      }
+      above = Math.max(above, -extent.top);
+      below = Math.max(below, extent.bottom);
+    }
+    const height = Math.max(above + below, edgeAligned);
+    const baseline = y + above;
+    
+    for (const piece of content) {
+      const extent = getPieceExtent(piece);
+      if (extent.edge === 'top') piece.top = y;
+      else if (extent.edge === 'bottom') piece.top = y + height - extent.height;
+      else piece.top = baseline + extent.top;
+      piece.baseline = baseline;
+      piece.line = lineIndex;
+    }
+    
+    lineBoxes.push({
+      x: Math.round(container.x),
+      y: Math.round(y),
+      w: Math.round(available),
+      h: Math.round(height),
+      baseline: Math.round(baseline)
+    });
+    y += height;
+  });
+  
+  collectInlineResults(pieces, items, results);
+  
+  return {
+    height: Math.round(y - container.y),
+    width: Math.round(width),
+    lines: lineBoxes,
+    results
+  };
+}
+
+/**
+ * Turn inline items into measured pieces: words, spaces, inline box edges,
+ * atomic inlines, forced breaks and anchors
+ * @param {Object} container - Inline formatting context container
+ * @param {Array} items - Inline items
+ * @returns {Array} - Pieces { kind, item, width, text, owners, frame, breakAfter, breakBefore }
+ */
+function createInlinePieces(container, items) {
+  const pieces = [];
+  const rootFrame = { styles: container.styles, units: container.units, shift: 0 };
+  const stack = [];
+  const frame = () => (stack.length > 0 ? stack[stack.length - 1].frame : rootFrame);
+  const owners = () => stack.map(entry => entry.index);
+  // Collapsible spaces collapse across element boundaries and vanish at the start
+  let afterSpace = true;
+  
+  items.forEach((item, index) => {
+    switch (item.type) {
+      case 'start': {
+        const parent = frame();
+        const edges = getInlineEdges(item.styles, item.units, 'Left');
+        const itemFrame = {
+          styles: item.styles,
+          units: item.units,
+          shift: parent.shift + getVerticalShift(item.styles, item.units, parent)
+        };
+        pieces.push({ kind: 'start', item: index, width: edges, owners: owners(), frame: itemFrame });
+        stack.push({ index, frame: itemFrame });
+        break;
+      }
+      case 'end': {
+        const entry = stack.pop();
+        if (!entry) break;
+        const startItem = items[entry.index];
+        pieces.push({
+          kind: 'end',
+          item: entry.index,
+          width: getInlineEdges(startItem.styles, startItem.units, 'Right'),
+          owners: owners(),
+          frame: entry.frame
+        });
+        break;
+      }
+      case 'atomic':
+        pieces.push({
+          kind: 'atomic',
+          item: index,
+          width: item.width + item.margin.left + item.margin.right,
+          atomic: item,
+          owners: owners(),
+          frame: frame(),
+          breakBefore: allowsWrap(frame().styles),
+          breakAfter: allowsWrap(frame().styles)
+        });
+        afterSpace = false;
+        break;
+      case 'break':
+        pieces.push({ kind: 'break', item: index, width: 0, owners: owners(), frame: frame() });
+        afterSpace = true;
+        break;
+      case 'anchor':
+        pieces.push({ kind: 'anchor', item: index, width: 0, owners: owners(), frame: frame() });
+        break;
+      case 'text': {
+        const textFrame = { ...frame(), styles: item.styles, units: item.units };
+        const whiteSpace = String(item.styles.whiteSpace || 'normal').toLowerCase();
+        const collapse = ['normal', 'nowrap', 'pre-line'].includes(whiteSpace);
+        const keepNewlines = whiteSpace !== 'normal' && whiteSpace !== 'nowrap';
+        const wrap = allowsWrap(item.styles);
+        const segments = keepNewlines ? String(item.text).split('\n') : [String(item.text)];
+        
+        segments.forEach((segment, i) => {
+          if (i > 0) {
+            pieces.push({ kind: 'break', item: index, width: 0, owners: owners(), frame: textFrame });
+            afterSpace = true;
+          }
+          
+          let text = segment.replace(/\t/g, ' '.repeat(parseInt(item.styles.tabSize, 10) || 8));
+          if (collapse) text = text.replace(/[ \n\r\f]+/g, ' ');
+          
+          for (const [token] of text.matchAll(/ +|[^ ]+/g)) {
+            const isSpace = token[0] === ' ';
+            if (isSpace && collapse && afterSpace) continue;
+            
+            pieces.push({
+              kind: isSpace ? 'space' : 'word',
+              item: index,
+              text: token,
+              width: container.measureText(token, item.styles, item.units),
+              owners: owners(),
+              frame: textFrame,
+              collapsible: isSpace && collapse,
+              breakAfter: isSpace && wrap
+            });
+            afterSpace = isSpace;
+          }
+        });
+        break;
+      }
+    }
+  });
+  
+  return pieces;
+}
+
+/**
+ * Break pieces into lines greedily at soft wrap opportunities
+ * Words wider than the line are split when overflow-wrap or word-break allow it
+ * @param {Array} pieces - Inline pieces
+ * @param {Object} container - Inline formatting context container
+ * @returns {Array} - Lines { pieces, forced }
+ */
+function breakInlineLines(pieces, container) {
+  const lines = [];
+  let line = { pieces: [], width: getTextIndent(container), forced: false };
+  const hasContent = () => line.pieces.some(piece => piece.kind === 'word' || piece.kind === 'atomic' ||
+    (piece.kind === 'space' && !piece.collapsible));
+  const pushLine = forced => {
+    line.forced = forced;
+    lines.push(line);
+    line = { pieces: [], width: 0, forced: false };
+  };
+  
+  const queue = [...pieces];
+  while (queue.length > 0) {
+    // The next unbreakable segment runs up to a wrap opportunity
+    const segment = [];
+    while (queue.length > 0) {
+      const piece = queue[0];
+      if (piece.kind === 'break') break;
+      if (segment.length > 0 && piece.breakBefore) break;
+      segment.push(queue.shift());
+      if (piece.breakAfter) break;
+    }
+    
+    // Trailing collapsible spaces may hang past the line end
+    let trailing = segment.length;
+    while (trailing > 0 && (segment[trailing - 1].collapsible || segment[trailing - 1].kind === 'end')) trailing--;
+    const segmentWidth = segment.slice(0, trailing).reduce((sum, piece) => sum + piece.width, 0);
+    
+    if (container.width !== null && line.width + segmentWidth > container.width + 0.01) {
+      if (hasContent()) {
+        pushLine(false);
+        while (segment[0]?.collapsible) segment.shift();
+      } else if (allowsWordBreak(segment)) {
+        // Split the first word that overflows and put the rest back
+        const overflow = splitOverflowingWord(segment, container.width - line.width, container);
+        if (overflow) queue.unshift(...overflow);
+      }
+    }
+    
+    line.pieces.push(...segment);
+    line.width += segment.reduce((sum, piece) => sum + piece.width, 0);
+    
+    if (queue[0]?.kind === 'break') {
+      line.pieces.push(queue.shift());
+      pushLine(true);
+    }
+  }
+  if (line.pieces.length > 0 || lines.length === 0) pushLine(false);
+  
+  // Lines holding nothing but collapsed spaces and empty inline edges disappear
+  return lines.filter((current, i) => current.forced || i === 0 || current.pieces.some(piece =>
+    piece.kind === 'word' || piece.kind === 'atomic' || piece.width > 0
+  ));
+}
+
+/**
+ * Split the overflowing word of a segment at the last character that fits
+ * @param {Array} segment - Segment pieces (modified in place)
+ * @param {number} available - Width left on the line
+ * @param {Object} container - Inline formatting context container
+ * @returns {Array|null} - Pieces to put back in the queue
+ */
+function splitOverflowingWord(segment, available, container) {
+  let used = 0;
+  for (let i = 0; i < segment.length; i++) {
+    const piece = segment[i];
+    if (piece.kind !== 'word' || used + piece.width <= available) {
+      used += piece.width;
+      continue;
+    }
+    
+    const { styles, units } = piece.frame;
+    const chars = Array.from(piece.text);
+    let count = 1;
+    while (count < chars.length &&
+      used + container.measureText(chars.slice(0, count + 1).join(''), styles, units) <= available) {
+      count++;
+    }
+    if (count >= chars.length) return null;
+    
+    const head = chars.slice(0, count).join('');
+    const tail = chars.slice(count).join('');
+    const rest = segment.splice(i + 1);
+    segment[i] = { ...piece, text: head, width: container.measureText(head, styles, units) };
+    return [{ ...piece, text: tail, width: container.measureText(tail, styles, units) }, ...rest];
+  }
+  return null;
+}
+
+/**
+ * Drop collapsible spaces at the start and end of a line
+ * @param {Array} pieces - Line pieces
+ * @returns {Array} - Pieces with those spaces zeroed
+ */
+function trimLine(pieces) {
+  const trim = order => {
+    for (const piece of order) {
+      if (piece.collapsible) {
+        piece.width = 0;
+      } else if (piece.kind !== 'start' && piece.kind !== 'end' && piece.kind !== 'anchor') {
+        break;
+      }
+    }
+  };
+  trim(pieces);
+  trim([...pieces].reverse());
+  return pieces.filter(piece => piece.kind !== 'break');
+}
+
+/**
+ * Get a piece's vertical extent relative to the line's baseline
+ * @param {Object} piece - Inline piece
+ * @returns {Object} - { top, bottom, height } (negative top is above the baseline), with
+ *   edge 'top' or 'bottom' for atomics aligned to the line box edges
+ */
+function getPieceExtent(piece) {
+  const { frame } = piece;
+  
+  if (piece.kind !== 'atomic') {
+    const metrics = getInlineBoxMetrics(frame.styles, frame.units);
+    return { top: frame.shift - metrics.above, bottom: frame.shift + metrics.below, height: metrics.above + metrics.below };
+  }
+  
+  const item = piece.atomic;
+  const height = item.height + item.margin.top + item.margin.bottom;
+  const baseline = item.margin.top + (item.baseline ?? item.height + item.margin.bottom);
+  const align = String(item.styles.verticalAlign || 'baseline').toLowerCase();
+  
+  if (align === 'top' || align === 'bottom') {
+    return { top: 0, bottom: height, height, edge: align };
+  }
+  if (align === 'middle') {
+    const center = frame.shift - getFontSize(frame.units) * 0.25;
+    return { top: center - height / 2, bottom: center + height / 2, height };
+  }
+  
+  const parentMetrics = getFontMetrics(frame.styles, frame.units);
+  if (align === 'text-top') {
+    const top = frame.shift - parentMetrics.ascent;
+    return { top, bottom: top + height, height };
+  }
+  if (align === 'text-bottom') {
+    const bottom = frame.shift + parentMetrics.descent;
+    return { top: bottom - height, bottom, height };
+  }
+  
+  const shift = frame.shift + getVerticalShift(item.styles, item.units, frame);
+  return { top: shift - baseline, bottom: shift - baseline + height, height };
+}
+
+/**
+ * Collect per-item results from positioned pieces
+ * @param {Array} pieces - Positioned pieces
+ * @param {Array} items - Inline items
+ * @param {Array} results - Results array to fill (text items start with [])
+ */
+function collectInlineResults(pieces, items, results) {
+  const boxes = new Map();
+  const ownerFrames = new Map(pieces.filter(piece => piece.kind === 'start').map(piece => [piece.item, piece.frame]));
+  const extend = (index, left, top, right, bottom) => {
+    const box = boxes.get(index);
+    if (!box) {
+      boxes.set(index, { left, top, right, bottom });
+    } else {
+      box.left = Math.min(box.left, left);
+      box.top = Math.min(box.top, top);
+      box.right = Math.max(box.right, right);
+      box.bottom = Math.max(box.bottom, bottom);
+    }
+  };
+  
+  for (const piece of pieces) {
+    if (piece.x === undefined) continue;
+    const item = items[piece.item];
+    
+    if (piece.kind === 'space' && piece.width === 0) continue;
+    
+    if (piece.kind === 'word' || piece.kind === 'space') {
+      const fragments = results[piece.item];
+      const last = fragments[fragments.length - 1];
+      const extent = getPieceExtent(piece);
+      if (last && last.line === piece.line) {
+        last.w = piece.x + piece.width - last.x;
+        last.text += piece.text;
+      } else {
+        fragments.push({ x: piece.x, y: piece.top, w: piece.width, h: extent.height, text: piece.text, line: piece.line });
+      }
+    } else if (piece.kind === 'atomic') {
+      results[piece.item] = {
+        x: Math.round(piece.x + item.margin.left),
+        y: Math.round(piece.top + item.margin.top),
+        w: Math.round(item.width),
+        h: Math.round(item.height)
+      };
+    } else if (piece.kind === 'anchor') {
+      results[piece.item] = { x: Math.round(piece.x), y: Math.round(piece.top) };
+    }
+    
+    // Inline boxes wrap their content area, padding and border on every line they touch
+    const owners = piece.kind === 'start' || piece.kind === 'end' ? [...piece.owners, piece.item] : piece.owners;
+    for (const owner of owners) {
+      const { styles, units } = items[owner];
+      const { shift } = ownerFrames.get(owner);
+      const metrics = getFontMetrics(styles, units);
+      const padding = getBoxSpacing(styles, 'padding', units);
+      const border = getBorderSides(styles, units);
+      const margin = getBoxSpacing(styles, 'margin', units);
+      
+      let left = piece.x;
+      let right = piece.x + piece.width;
+      if (piece.kind === 'start' && piece.item === owner) left += margin.left;
+      if (piece.kind === 'end' && piece.item === owner) right -= margin.right;
+      
+      extend(
+        owner,
+        left,
+        piece.baseline + shift - metrics.ascent - padding.top - border.top.width,
+        right,
+        piece.baseline + shift + metrics.descent + padding.bottom + border.bottom.width
+      );
+    }
+  }
+  
+  for (const [index, box] of boxes) {
+    results[index] = {
+      x: Math.round(box.left),
+      y: Math.round(box.top),
+      w: Math.round(box.right - box.left),
+      h: Math.round(box.bottom - box.top)
+    };
+  }
+  for (const fragments of results.filter(Array.isArray)) {
+    for (const fragment of fragments) {
+      fragment.x = Math.round(fragment.x);
+      fragment.y = Math.round(fragment.y);
+      fragment.w = Math.round(fragment.w);
+      fragment.h = Math.round(fragment.h);
+    }
+  }
+}
+
+/**
+ * Get the space an inline box takes above and below the baseline (half-leading model)
+ * @param {Object} styles - Computed styles
+ * @param {Object} units - Unit context
+ * @returns {Object} - { above, below } in pixels
+ */
+function getInlineBoxMetrics(styles, units) {
+  const { ascent, descent } = getFontMetrics(styles, units);
+  const lineHeight = getLineHeight(styles, units);
+  const leading = (lineHeight - ascent - descent) / 2;
+  return { above: ascent + leading, below: descent + leading };
+}
+
+/**
+ * Get the used line height in pixels
+ * Unitless line-heights multiply the font size; normal uses the font's own metrics
+ * @param {Object} styles - Computed styles
+ * @param {Object} units - Unit context
+ * @returns {number} - Line height in pixels
+ */
+function getLineHeight(styles, units) {
+  const fontSize = getFontSize(units, styles);
+  if (/^[\d.]+$/.test(String(styles.lineHeight))) {
+    return parseFloat(styles.lineHeight) * fontSize;
+  }
+  
+  const explicit = parsePixelValue(styles.lineHeight);
+  if (explicit) return explicit;
+  
+  const metrics = getFontMetrics(styles, { ...units, fontSize });
+  return metrics.ascent + metrics.descent + metrics.lineGap;
+}
+
+/**
+ * Get the font size from a unit context, falling back to the styles
+ * @param {Object} units - Unit context
+ * @param {Object} styles - Computed styles
+ * @returns {number} - Font size in pixels
+ */
+function getFontSize(units = {}, styles = {}) {
+  return units.fontSize || parsePixelValue(styles.fontSize) || 16;
+}
+
+/**
+ * Get the baseline shift vertical-align gives an inline box (positive is down)
+ * top, bottom and middle only apply to atomic inlines and are handled there
+ * @param {Object} styles - Computed styles of the box
+ * @param {Object} units - Unit context of the box
+ * @param {Object} parent - Parent frame { styles, units }
+ * @returns {number} - Shift in pixels
+ */
+function getVerticalShift(styles, units, parent) {
+  const align = String(styles.verticalAlign || 'baseline').toLowerCase();
+  const parentSize = getFontSize(parent.units, parent.styles);
+  
+  switch (align) {
+    case 'sub':
+      return parentSize * 0.2;
+    case 'super':
+      return -parentSize * 0.33;
+    case 'text-top':
+      return getFontMetrics(styles, units).ascent - getFontMetrics(parent.styles, parent.units).ascent;
+    case 'text-bottom':
+      return getFontMetrics(parent.styles, parent.units).descent - getFontMetrics(styles, units).descent;
+    case 'middle': {
+      const own = getFontMetrics(styles, units);
+      return -parentSize * 0.25 - (own.descent - own.ascent) / 2;
+    }
+    case 'baseline':
+    case 'top':
+    case 'bottom':
+      return 0;
+    default: {
+      // Lengths raise the box; percentages refer to its line height
+      const raise = resolveLength(align, units, getLineHeight(styles, units));
+      return raise === null ? 0 : -raise;
+    }
+  }
+}
+
+/**
+ * Get the margin, border and padding on one inline side of an inline box
+ * @param {Object} styles - Computed styles
+ * @param {Object} units - Unit context
+ * @param {string} side - 'Left' or 'Right'
+ * @returns {number} - Width in pixels
+ */
+function getInlineEdges(styles, units, side) {
+  const key = side.toLowerCase();
+  const margin = getBoxSpacing(styles, 'margin', units)[key];
+  const padding = getBoxSpacing(styles, 'padding', units)[key];
+  const border = getBorderSides(styles, units)[key].width;
+  return margin + padding + border;
+}
+
+/**
+ * Get the first line's text-indent
+ * @param {Object} container - Inline formatting context container
+ * @returns {number} - Indent in pixels
+ */
+function getTextIndent(container) {
+  return resolveLength(container.styles.textIndent || '0', container.units, container.width ?? 0) ?? 0;
+}
+
+/**
+ * Check whether white-space allows soft wrapping
+ * @param {Object} styles - Computed styles
+ * @returns {boolean} - False for nowrap and pre
+ */
+function allowsWrap(styles) {
+  const whiteSpace = String(styles.whiteSpace || 'normal').toLowerCase();
+  return whiteSpace !== 'nowrap' && whiteSpace !== 'pre';
+}
+
+/**
+ * Check whether a segment's words may break anywhere when they overflow
+ * @param {Array} segment - Segment pieces
+ * @returns {boolean} - True for overflow-wrap anywhere/break-word or word-break break-all
+ */
+function allowsWordBreak(segment) {
+  return segment.some(piece => {
+    if (piece.kind !== 'word') return false;
+    const { styles } = piece.frame;
+    return ['anywhere', 'break-word'].includes(styles.overflowWrap) ||
+      ['break-all', 'break-word'].includes(styles.wordBreak);
+  });
+}
+
+/**
+ * Map alignment keywords onto the flex-start/flex-end/center/stretch family
+ * @param {string} value - Alignment value
+ * @returns {string} - Normalized keyword
+ */
+function normalizeAlignment(value) {
+  const keyword = String(value).trim().toLowerCase().replace(/^(safe|unsafe)\s+/, '');
+  switch (keyword) {
+    case 'start':
+    case 'self-start':
+    case 'left':
+    case 'baseline':
+    case 'first baseline':
+      return 'flex-start';
+    case 'end':
+    case 'self-end':
+    case 'right':
+    case 'last baseline':
+      return 'flex-end';
+    case 'normal':
+      return 'stretch';
     default:
-      return containerStart;
+      return keyword;
   }
 }
 
+/**
+ * Resolve a gap value ('normal' is 0 in flex containers)
+ * @param {string} value - row-gap or column-gap
+ * @param {Object} units - Unit context
+ * @param {number|null} base - Size that percentages refer to
+ * @returns {number} - Gap in pixels
+ */
+function resolveGap(value, units, base) {
+  if (!value || value === 'normal') return 0;
+  return Math.max(0, resolveLength(value, units, base ?? 0) ?? 0);
+}
+
+/**
+ * Get the horizontal and vertical padding plus border of a box
+ * @param {Object} styles - Computed styles
+ * @param {Object} units - Unit context
+ * @returns {Object} - { width, height } in pixels
+ */
+function getBoxExtras(styles, units = {}) {
+  const padding = getBoxSpacing(styles, 'padding', units);
+  const border = getBorderSides(styles, units);
+  
+  return {
+    width: padding.left + padding.right + border.left.width + border.right.width,
+    height: padding.top + padding.bottom + border.top.width + border.bottom.width
+  };
+}
+
+/**
+ * Resolve a width or height value to a border-box size
+ * Sizes are content-box sizes unless box-sizing is border-box
+ * @param {string} value - CSS size value
+ * @param {string} axis - 'width' or 'height'
+ * @param {Object} styles - Computed styles of the box
+ * @param {Object} units - Unit context
+ * @param {number|null} base - Size that percentages refer to; null if they can't resolve
+ * @returns {number|null} - Border-box size, or null for auto and other intrinsic sizes
+ */
+function resolveBorderBoxSize(value, axis, styles, units = {}, base = null) {
+  const resolved = resolveLength(value, units, base);
+  if (resolved === null) return null;
+  
+  const extra = getBoxExtras(styles, units)[axis];
+  return styles.boxSizing === 'border-box' ? Math.max(resolved, extra) : resolved + extra;
+}
+
+/**
+ * Clamp a size between a minimum and maximum (the minimum wins)
+ * @param {number} value - Size
+ * @param {number} min - Minimum
+ * @param {number} max - Maximum
+ * @returns {number} - Clamped size
+ */
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
 /**
  * Build hierarchical layout from flat elements
  * @param {Array} elements - Flat array of elements
@@ -340,7 +1820,7 @@ function buildLayoutTree(elements, viewport = DEFAULT_VIEWPORT) {
     // Calculate element dimensions
     const width = computeWidth(styles, currentParent.layout.w);
     const height = computeHeight(styles, element);
-    const margin = parseSpacing(styles.margin);
+    const margin = getBoxSpacing(styles, 'margin');
     
     const layout = {
       x: currentParent.layout.x + margin.left,
@@ -371,6 +1851,13 @@ module.exports = {
   estimateContentHeight,
   estimateTextLines,
   computeFlexLayout,
+  computeGridLayout,
+  computeInlineLayout,
+  getLineHeight,
+  getFontMetrics,
+  getBoxExtras,
+  resolveBorderBoxSize,
+  clamp,
   buildLayoutTree,
   DEFAULT_VIEWPORT
 };
@@ -0,0 +1,424 @@
+/**
+ * flattenRules.js - Conditional Rule Evaluation
+ * Flattens @media, @supports and @layer blocks into a list of
+ * style rules that apply to the conversion viewport
+ */
+
+const cssom = require('cssom');
+const {
+  CSSLayerBlockRule,
+  CSSLayerStatementRule,
+  splitSelectorList,
+  findClosingParen,
+  parsePixelValue
+} = require('./parseCSS');
+
+/**
+ * Default media environment (a desktop screen)
+ */
+const DEFAULT_MEDIA_ENVIRONMENT = {
+  width: 1200,
+  height: 800,
+  colorScheme: 'light',
+  deviceScaleFactor: 1,
+  mediaType: 'screen'
+};
+
+/**
+ * Values reported for discrete media features
+ */
+const DISCRETE_MEDIA_FEATURES = {
+  'hover': 'hover',
+  'any-hover': 'hover',
+  'pointer': 'fine',
+  'any-pointer': 'fine',
+  'prefers-reduced-motion': 'no-preference',
+  'prefers-reduced-transparency': 'no-preference',
+  'prefers-contrast': 'no-preference',
+  'forced-colors': 'none',
+  'inverted-colors': 'none',
+  'color-gamut': 'srgb',
+  'display-mode': 'browser',
+  'scripting': 'enabled',
+  'update': 'fast',
+  'overflow-block': 'scroll',
+  'overflow-inline': 'scroll'
+};
+
+/**
+ * Known media types
+ */
+const MEDIA_TYPES = ['all', 'screen', 'print', 'speech', 'tv', 'projection', 'handheld', 'tty', 'braille', 'embossed', 'aural'];
+
+/**
+ * Flatten conditional and layer rules into applicable style rules
+ * @param {Array} rules - CSS rules (may contain @media, @supports, @layer)
+ * @param {Object} environment - Media environment (width, height, colorScheme, deviceScaleFactor)
+ * @returns {Array} - Style rules with selectorText, style and layerOrder
+ */
+function flattenRules(rules, environment = {}) {
+  const env = { ...DEFAULT_MEDIA_ENVIRONMENT, ...environment };
+  const layerRoot = { children: new Map() };
+  const entries = [];
+  let anonymousLayers = 0;
+
+  function registerLayer(layerPath) {
+    let node = layerRoot;
+    for (const name of layerPath) {
+      if (!node.children.has(name)) {
+        node.children.set(name, { children: new Map() });
+      }
+      node = node.children.get(name);
+    }
+  }
+
+  function walk(ruleList, layerPath) {
+    for (const rule of ruleList) {
+      if (rule instanceof CSSLayerStatementRule) {
+        for (const name of rule.nameList) {
+          registerLayer([...layerPath, ...name.split('.')]);
+        }
+      } else if (rule instanceof CSSLayerBlockRule) {
+        const names = rule.name ? rule.name.split('.') : [`anonymous-${++anonymousLayers}`];
+        const nestedPath = [...layerPath, ...names];
+        registerLayer(nestedPath);
+        walk(rule.cssRules, nestedPath);
+      } else if (rule instanceof cssom.CSSMediaRule) {
+        if (matchesMedia(rule.media.mediaText, env)) {
+          walk(rule.cssRules, layerPath);
+        }
+      } else if (rule instanceof cssom.CSSSupportsRule) {
+        if (supportsCondition(rule.conditionText)) {
+          walk(rule.cssRules, layerPath);
+        }
+      } else if (rule.selectorText && rule.style) {
+        entries.push({ rule, layer: layerPath.join('.') });
+      }
+    }
+  }
+
+  walk(rules, []);
+
+  const layerOrder = computeLayerOrder(layerRoot);
+
+  return entries.map(({ rule, layer }) => ({
+    selectorText: rule.selectorText,
+    style: rule.style,
+    layerOrder: layer ? layerOrder.get(layer) : Infinity
+  }));
+}
+
+/**
+ * Rank layers by precedence
+ * Sub-layers come before their parent's own rules, siblings in declaration order
+ * @param {Object} root - Layer tree
+ * @returns {Map} - Full layer name to rank (higher wins)
+ */
+function computeLayerOrder(root) {
+  const order = new Map();
+  let rank = 0;
+
+  function visit(node, prefix) {
+    for (const [name, child] of node.children) {
+      const fullName = prefix ? `${prefix}.${name}` : name;
+      visit(child, fullName);
+      order.set(fullName, rank++);
+    }
+  }
+
+  visit(root, '');
+  return order;
+}
+
+/**
+ * Check if a media query list matches the environment
+ * @param {string} mediaText - Media query list
+ * @param {Object} environment - Media environment
+ * @returns {boolean} - True if any query matches
+ */
+function matchesMedia(mediaText, environment = {}) {
+  if (!mediaText || !mediaText.trim()) return true;
+
+  const env = { ...DEFAULT_MEDIA_ENVIRONMENT, ...environment };
+
+  // Media query lists follow the same top-level comma rules as selector lists
+  return splitSelectorList(mediaText).some(query => {
+    const normalized = query.trim().toLowerCase().replace(/^only\s+/, '');
+    return evaluateCondition(normalized, feature => evaluateMediaFeature(feature, env));
+  });
+}
+
+/**
+ * Check if an @supports condition holds
+ * Assumes a Chromium-like engine: standard and -webkit- properties are supported
+ * @param {string} conditionText - Supports condition
+ * @returns {boolean} - True if supported
+ */
+function supportsCondition(conditionText) {
+  if (!conditionText || !conditionText.trim()) return true;
+  return evaluateCondition(conditionText.trim(), evaluateSupportsFeature);
+}
+
+/**
+ * Split a condition into top-level tokens (words and parenthesized groups)
+ * @param {string} text - Condition text
+ * @returns {Array} - Tokens
+ */
+function tokenizeCondition(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    while (i < text.length && !/[\s(]/.test(text[i])) i++;
+    if (text[i] === '(') {
+      i = findClosingParen(text, i) + 1;
+    }
+    tokens.push(text.slice(start, i));
+  }
+
+  return tokens;
+}
+
+/**
+ * Evaluate a boolean condition built from not/and/or and parentheses
+ * @param {string} text - Condition text
+ * @param {Function} evaluateLeaf - Evaluates a single feature or keyword
+ * @returns {boolean} - Result
+ */
+function evaluateCondition(text, evaluateLeaf) {
+  const tokens = tokenizeCondition(text);
+  if (tokens.length === 0) return false;
+
+  if (tokens[0].toLowerCase() === 'not') {
+    return !evaluateCondition(tokens.slice(1).join(' '), evaluateLeaf);
+  }
+
+  let result = null;
+  let operator = 'and';
+
+  for (const token of tokens) {
+    const lower = token.toLowerCase();
+    if (lower === 'and' || lower === 'or') {
+      operator = lower;
+      continue;
+    }
+
+    const value = evaluateOperand(token, evaluateLeaf);
+    if (result === null) {
+      result = value;
+    } else {
+      result = operator === 'or' ? result || value : result && value;
+    }
+  }
+
+  return result === true;
+}
+
+/**
+ * Evaluate a single condition token
+ * @param {string} token - Word, function or parenthesized group
+ * @param {Function} evaluateLeaf - Evaluates a single feature or keyword
+ * @returns {boolean} - Result
+ */
+function evaluateOperand(token, evaluateLeaf) {
+  if (!token.startsWith('(')) {
+    return evaluateLeaf(token);
+  }
+
+  const inner = token.slice(1, token.endsWith(')') ? -1 : undefined).trim();
+  if (inner.startsWith('(') || /^not\s/i.test(inner)) {
+    return evaluateCondition(inner, evaluateLeaf);
+  }
+  return evaluateLeaf(inner);
+}
+
+/**
+ * Evaluate a media type or media feature expression
+ * @param {string} expression - e.g. "screen", "min-width: 600px", "width >= 40em"
+ * @param {Object} env - Media environment
+ * @returns {boolean} - True if it matches
+ */
+function evaluateMediaFeature(expression, env) {
+  const expr = expression.trim().toLowerCase();
+
+  if (MEDIA_TYPES.includes(expr)) {
+    return expr === 'all' || expr === env.mediaType;
+  }
+
+  // Range syntax: (width >= 600px), (400px <= width < 800px)
+  if (/[<>=]/.test(expr) && !expr.includes(':')) {
+    return evaluateMediaRange(expr, env);
+  }
+
+  const colon = expr.indexOf(':');
+  if (colon === -1) {
+    // Boolean context: (color), (hover)
+    const value = getMediaFeatureValue(expr, env);
+    return value !== null && value !== 0 && value !== 'none';
+  }
+
+  let name = expr.slice(0, colon).trim();
+  const rawValue = expr.slice(colon + 1).trim();
+
+  let prefix = null;
+  const prefixMatch = name.match(/^(?:-webkit-)?(min|max)-(.+)$/);
+  if (prefixMatch) {
+    prefix = prefixMatch[1];
+    name = prefixMatch[2];
+  }
+
+  const actual = getMediaFeatureValue(name, env);
+  if (actual === null) return false;
+
+  if (typeof actual === 'string') {
+    return !prefix && actual === rawValue;
+  }
+
+  const expected = parseMediaValue(name, rawValue);
+  if (expected === null) return false;
+
+  if (prefix === 'min') return actual >= expected;
+  if (prefix === 'max') return actual <= expected;
+  return Math.abs(actual - expected) < 0.001;
+}
+
+/**
+ * Evaluate media range syntax
+ * @param {string} expr - Range expression
+ * @param {Object} env - Media environment
+ * @returns {boolean} - True if it matches
+ */
+function evaluateMediaRange(expr, env) {
+  const parts = expr.split(/(<=|>=|<|>|=)/).map(part => part.trim());
+  if (parts.length !== 3 && parts.length !== 5) return false;
+
+  // The feature name is whichever operand isn't a value
+  const nameIndex = parts.findIndex((part, index) => index % 2 === 0 && /^[a-z-]+$/.test(part));
+  if (nameIndex === -1) return false;
+
+  const name = parts[nameIndex];
+  const actual = getMediaFeatureValue(name, env);
+  if (typeof actual !== 'number') return false;
+
+  for (let i = 1; i < parts.length; i += 2) {
+    const left = i - 1 === nameIndex ? actual : parseMediaValue(name, parts[i - 1]);
+    const right = i + 1 === nameIndex ? actual : parseMediaValue(name, parts[i + 1]);
+    if (left === null || right === null) return false;
+
+    const operator = parts[i];
+    const holds =
+      operator === '<' ? left < right :
+      operator === '<=' ? left <= right :
+      operator === '>' ? left > right :
+      operator === '>=' ? left >= right :
+      Math.abs(left - right) < 0.001;
+
+    if (!holds) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Get the environment's value for a media feature
+ * @param {string} name - Feature name without min-/max- prefix
+ * @param {Object} env - Media environment
+ * @returns {number|string|null} - Value, or null if the feature is unknown
+ */
+function getMediaFeatureValue(name, env) {
+  switch (name) {
+    case 'width':
+    case 'device-width':
+      return env.width;
+    case 'height':
+    case 'device-height':
+      return env.height;
+    case 'aspect-ratio':
+    case 'device-aspect-ratio':
+      return env.width / env.height;
+    case 'orientation':
+      return env.height >= env.width ? 'portrait' : 'landscape';
+    case 'prefers-color-scheme':
+      return env.colorScheme;
+    case 'resolution':
+    case 'device-pixel-ratio':
+      return env.deviceScaleFactor;
+    case 'color':
+      return 8;
+    case 'color-index':
+    case 'monochrome':
+    case 'grid':
+      return 0;
+    default:
+      return DISCRETE_MEDIA_FEATURES[name] ?? null;
+  }
+}
+
+/**
+ * Parse a media feature value into the unit the environment uses
+ * @param {string} name - Feature name
+ * @param {string} value - Raw value
+ * @returns {number|null} - Parsed value
+ */
+function parseMediaValue(name, value) {
+  const str = value.trim();
+
+  if (name === 'aspect-ratio' || name === 'device-aspect-ratio') {
+    const [w, h] = str.split('/').map(part => parseFloat(part));
+    if (isNaN(w)) return null;
+    return w / (isNaN(h) ? 1 : h);
+  }
+
+  if (name === 'resolution') {
+    const number = parseFloat(str);
+    if (isNaN(number)) return null;
+    if (str.endsWith('dpi')) return number / 96;
+    if (str.endsWith('dpcm')) return (number * 2.54) / 96;
+    return number;
+  }
+
+  if (/^-?[\d.]+$/.test(str)) {
+    return parseFloat(str);
+  }
+
+  // Relative units in media queries resolve against the initial font size
+  const pixels = parsePixelValue(str);
+  return pixels || (parseFloat(str) === 0 ? 0 : null);
+}
+
+/**
+ * Evaluate a single @supports feature
+ * @param {string} expression - e.g. "display: grid", "selector(a > b)"
+ * @returns {boolean} - True if supported
+ */
+function evaluateSupportsFeature(expression) {
+  const expr = expression.trim();
+
+  if (/^(selector|font-tech|font-format)\(/i.test(expr)) {
+    return true;
+  }
+
+  const colon = expr.indexOf(':');
+  if (colon === -1) return false;
+
+  const property = expr.slice(0, colon).trim().toLowerCase();
+  const value = expr.slice(colon + 1).trim();
+
+  if (!value || !/^-{0,2}[a-z][a-z0-9-]*$/.test(property)) return false;
+  if (/^-(moz|ms|o)-/.test(property)) return false;
+
+  return true;
+}
+
+module.exports = {
+  flattenRules,
+  matchesMedia,
+  supportsCondition,
+  DEFAULT_MEDIA_ENVIRONMENT
+};
@@ -0,0 +1,60 @@
+/**
+ * loadFonts.js - Font File Loader
+ * Reads the font files supplied with a conversion from an uploaded bundle,
+ * the local base directory or the network and registers them for measurement
+ */
+
+const path = require('path');
+const { getDocumentBase, resolveUrl, readResource, DEFAULT_LOAD_OPTIONS } = require('./loadStylesheets');
+const { createFontRegistry, registerFont } = require('./measureText');
+
+/**
+ * Default font loader options
+ */
+const DEFAULT_FONT_OPTIONS = {
+  maxFontSize: 10 * 1024 * 1024
+};
+
+/**
+ * Load the font files supplied with a conversion into a new registry
+ * Paths resolve like the document's links, so local files must lie in baseDir
+ * @param {Document} document - DOM document
+ * @param {Object} options - Loader options
+ * @param {Array} options.fonts - Font files { family, path, weight, style }
+ * @param {string} options.baseUrl - URL the document was loaded from
+ * @param {string} options.baseDir - Local directory for relative files
+ * @param {Object} options.bundle - Map of relative path to file contents
+ * @param {number} options.maxFontSize - Per-file size limit in bytes
+ * @returns {Promise<Object>} - Font registry for the conversion
+ */
+async function loadFonts(document, options = {}) {
+  const context = {
+    ...DEFAULT_LOAD_OPTIONS,
+    ...DEFAULT_FONT_OPTIONS,
+    ...options,
+    baseDir: options.baseDir ? path.resolve(options.baseDir) : null
+  };
+
+  const registry = createFontRegistry();
+  const base = getDocumentBase(document, context);
+
+  for (const font of options.fonts || []) {
+    const url = resolveUrl(font.path, base);
+    try {
+      if (!url) {
+        throw new Error('Invalid path');
+      }
+      const buffer = await readResource(url, context, context.maxFontSize);
+      registerFont(registry, font.family, buffer, font);
+    } catch (error) {
+      console.warn(`Could not read font file ${font.path}:`, error.message);
+    }
+  }
+
+  return registry;
+}
+
+module.exports = {
+  loadFonts,
+  DEFAULT_FONT_OPTIONS
+};
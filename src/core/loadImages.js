@@ -0,0 +1,522 @@
+/**
+ * loadImages.js - Image Asset Loader
+ * Picks the source each <img> shows at the viewport from srcset, <picture>
+ * and lazy-loading attributes, loads it once and saves it under a content hash
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { JSDOM } = require('jsdom');
+const { getDocumentBase, resolveUrl, readResource, DEFAULT_LOAD_OPTIONS } = require('./loadStylesheets');
+const { flattenRules, matchesMedia, DEFAULT_MEDIA_ENVIRONMENT } = require('./flattenRules');
+const { splitSelectorList, getComputedStyles, getMatchingSpecificity } = require('./parseCSS');
+const { parseContent } = require('./parseContent');
+const { resolveLength } = require('./resolveUnits');
+const { parseViewBox, sanitizeSVG } = require('./parseSVG');
+
+/**
+ * Default image loader options
+ */
+const DEFAULT_IMAGE_OPTIONS = {
+  maxImageSize: 10 * 1024 * 1024,
+  assetsUrl: 'assets/images'
+};
+
+/**
+ * File extension of each image type
+ */
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/bmp': 'bmp',
+  'image/svg+xml': 'svg'
+};
+
+/**
+ * Load the image shown by every <img> of a document
+ * Images are read once per URL. With assetsDir they are saved there as
+ * <hash>.<ext>, and with inlineImages they are also kept as data: URLs
+ * @param {Document} document - DOM document
+ * @param {Object} viewport - Viewport { width, height, deviceScaleFactor } sources are picked for
+ * @param {Object} options - Loader options
+ * @param {string} options.baseUrl - URL the document was loaded from
+ * @param {string} options.baseDir - Local directory for relative files
+ * @param {Object} options.bundle - Map of relative path to file contents
+ * @param {string} options.assetsDir - Directory images are saved to
+ * @param {string} options.assetsUrl - Path the saved images are referenced by
+ * @param {boolean} options.inlineImages - Embed images as base64 data: URLs
+ * @param {number} options.maxImageSize - Per-image size limit in bytes
+ * @param {Array} cssRules - Document CSS rules, from loadStylesheets(); images in
+ *   display: none subtrees aren't loaded
+ * @returns {Promise<Map>} - <img> element, or absolute URL for the url() images of
+ *   ::before/::after content, to { src, density, hash, mimeType, width, height, asset, data },
+ *   with only src and density when the image could not be loaded; density is the pixel
+ *   density of the chosen candidate, which the natural size is divided by for layout
+ */
+async function loadImages(document, viewport, options = {}, cssRules = []) {
+  const context = createImageContext(options);
+  const environment = { ...DEFAULT_MEDIA_ENVIRONMENT, ...viewport };
+  const base = getDocumentBase(document, context);
+  const rules = flattenRules(cssRules, viewport);
+  const styleCache = new Map();
+  const images = new Map();
+
+  for (const img of document.querySelectorAll('img')) {
+    if (!isDisplayed(img, rules, viewport, styleCache)) continue;
+
+    const source = selectImageSource(img, environment);
+    const url = source ? resolveUrl(source.url, base) : null;
+    if (!url) continue;
+
+    if (!context.loaded.has(url)) {
+      context.loaded.set(url, await loadImage(url, context));
+    }
+    images.set(img, { ...context.loaded.get(url), density: source.density });
+  }
+
+  for (const url of collectContentImages(document, rules, base, viewport, styleCache)) {
+    if (!context.loaded.has(url)) {
+      context.loaded.set(url, await loadImage(url, context));
+    }
+    images.set(url, { ...context.loaded.get(url), density: 1 });
+  }
+
+  return images;
+}
+
+/**
+ * Collect the url() images in the content of the ::before/::after rules
+ * that match displayed elements
+ * @param {Document} document - DOM document
+ * @param {Array} rules - Flattened CSS rules
+ * @param {string|null} base - Base URL relative images resolve against
+ * @param {Object} viewport - Viewport for unit resolution
+ * @param {Map} styleCache - Computed styles by element, shared with isDisplayed()
+ * @returns {Set} - Absolute image URLs
+ */
+function collectContentImages(document, rules, base, viewport, styleCache) {
+  const urls = new Set();
+  const contentRules = rules.filter(rule => rule.selectorText && /url\(/i.test(rule.style?.getPropertyValue('content') || ''));
+  if (contentRules.length === 0 || !document.body) return urls;
+
+  for (const element of [document.body, ...document.body.querySelectorAll('*')]) {
+    for (const rule of contentRules) {
+      const matches = ['before', 'after'].some(pseudo => getMatchingSpecificity(element, rule.selectorText, pseudo));
+      if (!matches || !isDisplayed(element, rules, viewport, styleCache)) continue;
+
+      for (const part of parseContent(rule.style.getPropertyValue('content'), element) || []) {
+        const url = part.type === 'image' ? resolveUrl(part.url, base) : null;
+        if (url) urls.add(url);
+      }
+    }
+  }
+  return urls;
+}
+
+/**
+ * Check that neither an element nor any of its ancestors has display: none
+ * @param {Element} element - DOM element
+ * @param {Array} rules - Flattened CSS rules
+ * @param {Object} viewport - Viewport for unit resolution
+ * @param {Map} styleCache - Computed styles by element, shared between calls
+ * @returns {boolean} - Whether the element generates a box
+ */
+function isDisplayed(element, rules, viewport, styleCache) {
+  const chain = [];
+  for (let current = element; current; current = current.parentElement) {
+    chain.unshift(current);
+  }
+
+  let parentStyles = null;
+  for (const current of chain) {
+    let styles = styleCache.get(current);
+    if (!styles) {
+      styles = getComputedStyles(current, rules, parentStyles, { viewport });
+      styleCache.set(current, styles);
+    }
+    if (styles.display === 'none') return false;
+    parentStyles = styles;
+  }
+  return true;
+}
+
+/**
+ * Load images by URL, such as the sources a browser picked
+ * @param {Array} urls - Absolute image URLs
+ * @param {Object} options - Loader options, as for loadImages()
+ * @returns {Promise<Map>} - URL to { src, hash, mimeType, width, height, asset, data },
+ *   with only src when the image could not be loaded
+ */
+async function loadImageUrls(urls, options = {}) {
+  const context = createImageContext(options);
+
+  for (const url of urls) {
+    if (!context.loaded.has(url)) {
+      context.loaded.set(url, await loadImage(url, context));
+    }
+  }
+
+  return context.loaded;
+}
+
+/**
+ * Build the image loader context
+ * @param {Object} options - Loader options
+ * @returns {Object} - Loader context with the images loaded so far by URL
+ */
+function createImageContext(options) {
+  return {
+    ...DEFAULT_LOAD_OPTIONS,
+    ...DEFAULT_IMAGE_OPTIONS,
+    ...options,
+    baseDir: options.baseDir ? path.resolve(options.baseDir) : null,
+    loaded: new Map()
+  };
+}
+
+/**
+ * Load one image and save it as an asset
+ * Files that aren't images are dropped, and SVG files are sanitized
+ * before they are saved or inlined
+ * @param {string} url - Absolute image URL
+ * @param {Object} context - Loader context
+ * @returns {Promise<Object>} - Image record
+ */
+async function loadImage(url, context) {
+  let contents;
+  let info;
+  try {
+    contents = await readResource(url, context, context.maxImageSize);
+    info = getImageInfo(contents);
+    if (!info) {
+      throw new Error('Not a supported image format');
+    }
+    if (info.mimeType === 'image/svg+xml') {
+      contents = sanitizeSVGFile(contents);
+    }
+  } catch (error) {
+    console.warn(`Could not load image ${url}:`, error.message);
+    return { src: url };
+  }
+
+  const { mimeType, width, height } = info;
+  const image = {
+    src: url,
+    hash: crypto.createHash('sha256').update(contents).digest('hex').slice(0, 16),
+    mimeType,
+    width,
+    height
+  };
+
+  if (context.assetsDir) {
+    try {
+      image.asset = await saveAsset(contents, image, context);
+    } catch (error) {
+      console.warn(`Could not save image ${url}:`, error.message);
+    }
+  }
+  if (context.inlineImages) {
+    image.data = `data:${mimeType};base64,${contents.toString('base64')}`;
+  }
+
+  return image;
+}
+
+/**
+ * Write an image to the assets directory unless a file with its hash exists
+ * @param {Buffer} contents - Image file
+ * @param {Object} image - { hash, mimeType, src }
+ * @param {Object} context - Loader context
+ * @returns {Promise<string>} - Path the asset is referenced by
+ */
+async function saveAsset(contents, image, context) {
+  const fileName = `${image.hash}.${IMAGE_EXTENSIONS[image.mimeType]}`;
+  const filePath = path.join(context.assetsDir, fileName);
+
+  if (!fs.existsSync(filePath)) {
+    await fs.promises.mkdir(context.assetsDir, { recursive: true });
+    await fs.promises.writeFile(filePath, contents);
+  }
+
+  return `${context.assetsUrl.replace(/\/+$/, '')}/${fileName}`;
+}
+
+/**
+ * Remove scripts, event handlers and javascript: links from an SVG file
+ * @param {Buffer} contents - SVG file
+ * @returns {Buffer} - Sanitized markup of the root <svg> element
+ */
+function sanitizeSVGFile(contents) {
+  const { document } = new JSDOM(contents.toString('utf-8'), { contentType: 'image/svg+xml' }).window;
+  const root = document.documentElement;
+  if (root?.localName !== 'svg') {
+    throw new Error('Not an SVG document');
+  }
+  return Buffer.from(sanitizeSVG(root), 'utf-8');
+}
+
+/**
+ * Pick the source an <img> shows
+ * The first <source> of an enclosing <picture> whose media and type match wins,
+ * then the image's own srcset, then src. Lazy-loading data-srcset/data-src
+ * attributes take precedence over the placeholders in srcset/src
+ * @param {Element} img - img element
+ * @param {Object} environment - Media environment { width, height, deviceScaleFactor }
+ * @returns {Object|null} - { url, density } with the URL as written in the document
+ */
+function selectImageSource(img, environment) {
+  const picture = img.parentElement?.tagName.toLowerCase() === 'picture' ? img.parentElement : null;
+
+  for (const source of picture ? picture.children : []) {
+    if (source === img) break;
+    if (source.tagName.toLowerCase() !== 'source') continue;
+    if (!matchesMedia(source.getAttribute('media'), environment)) continue;
+
+    const type = String(source.getAttribute('type') || '').trim().toLowerCase();
+    if (type && !(type in IMAGE_EXTENSIONS)) continue;
+
+    const candidate = pickCandidate(parseSrcset(getLazyAttribute(source, 'srcset')), getLazyAttribute(source, 'sizes'), environment);
+    if (candidate) return candidate;
+  }
+
+  // src is the 1x candidate of a density-described srcset
+  const src = getLazyAttribute(img, 'src');
+  const candidates = parseSrcset(getLazyAttribute(img, 'srcset'));
+  if (src && candidates.every(candidate => candidate.width === null && candidate.density !== 1)) {
+    candidates.push({ url: src, width: null, density: 1 });
+  }
+
+  return pickCandidate(candidates, getLazyAttribute(img, 'sizes'), environment) ?? (src ? { url: src, density: 1 } : null);
+}
+
+/**
+ * Read an attribute, preferring its lazy-loading data- variant
+ * @param {Element} element - Element
+ * @param {string} name - Attribute name
+ * @returns {string|null} - Trimmed value, or null when empty
+ */
+function getLazyAttribute(element, name) {
+  const value = element.getAttribute(`data-${name}`) || element.getAttribute(name);
+  return value?.trim() || null;
+}
+
+/**
+ * Parse a srcset attribute
+ * @param {string} value - e.g. "a.jpg 480w, b.jpg 960w" or "a.png, a@2x.png 2x"
+ * @returns {Array} - Candidates { url, width, density } with width (w descriptors)
+ *   or density (x descriptors, 1 without one); the other is null
+ */
+function parseSrcset(value) {
+  const str = String(value || '');
+  const candidates = [];
+  let index = 0;
+
+  while (index < str.length) {
+    while (index < str.length && /[\s,]/.test(str[index])) index++;
+    if (index >= str.length) break;
+
+    // URLs run to the next whitespace and may contain commas (data: URLs)
+    let end = index;
+    while (end < str.length && !/\s/.test(str[end])) end++;
+    let url = str.slice(index, end);
+    let descriptor = '';
+    index = end;
+
+    if (url.endsWith(',')) {
+      url = url.replace(/,+$/, '');
+    } else {
+      const comma = str.indexOf(',', index);
+      const stop = comma === -1 ? str.length : comma;
+      descriptor = str.slice(index, stop).trim().toLowerCase();
+      index = stop + 1;
+    }
+
+    const width = descriptor.match(/^(\d+)w$/);
+    const density = descriptor.match(/^(\d*\.?\d+(?:e[-+]?\d+)?)x$/);
+    if (url && (width || density || !descriptor)) {
+      candidates.push({
+        url,
+        width: width ? parseInt(width[1], 10) : null,
+        density: width ? null : density ? parseFloat(density[1]) : 1
+      });
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Pick the candidate that best matches the device pixel ratio
+ * Width descriptors are divided by the slot width from sizes; the smallest
+ * candidate that is dense enough wins, or the densest one
+ * @param {Array} candidates - Candidates from parseSrcset
+ * @param {string|null} sizes - sizes attribute
+ * @param {Object} environment - Media environment
+ * @returns {Object|null} - { url, density }, or null without candidates
+ */
+function pickCandidate(candidates, sizes, environment) {
+  if (candidates.length === 0) return null;
+
+  const slotWidth = candidates.some(candidate => candidate.width !== null) ? evaluateSizes(sizes, environment) : null;
+  const scored = candidates
+    .map(candidate => ({
+      url: candidate.url,
+      density: candidate.width !== null ? candidate.width / Math.max(slotWidth, 1) : candidate.density
+    }))
+    .sort((a, b) => a.density - b.density);
+
+  const ratio = environment.deviceScaleFactor || 1;
+  return scored.find(candidate => candidate.density >= ratio) || scored[scored.length - 1];
+}
+
+/**
+ * Evaluate a sizes attribute to the image's slot width
+ * @param {string|null} sizes - e.g. "(max-width: 600px) 100vw, 50vw"
+ * @param {Object} environment - Media environment
+ * @returns {number} - Width in pixels (the viewport width by default)
+ */
+function evaluateSizes(sizes, environment) {
+  const units = { viewport: { width: environment.width, height: environment.height } };
+
+  for (const entry of splitSelectorList(String(sizes || ''))) {
+    // The length is the last component; a media condition may precede it
+    const match = entry.trim().match(/^(.*?)\s*((?:calc|min|max|clamp)\(.*\)|[^\s()]+)$/i);
+    if (!match || !matchesMedia(match[1], environment)) continue;
+
+    const width = resolveLength(match[2], units, environment.width);
+    if (width !== null) return width;
+  }
+
+  return environment.width;
+}
+
+/**
+ * Read an image's type and natural size from its file header
+ * @param {Buffer} contents - Image file
+ * @returns {Object|null} - { mimeType, width, height } with null sizes when unknown,
+ *   or null when the file isn't a supported image
+ */
+function getImageInfo(contents) {
+  const ascii = (start, end) => contents.toString('latin1', start, end);
+  const info = (mimeType, width = null, height = null) => ({ mimeType, width, height });
+
+  if (contents.length >= 24 && contents.readUInt32BE(0) === 0x89504e47) {
+    return info('image/png', contents.readUInt32BE(16), contents.readUInt32BE(20));
+  }
+  if (contents.length >= 10 && ascii(0, 4) === 'GIF8') {
+    return info('image/gif', contents.readUInt16LE(6), contents.readUInt16LE(8));
+  }
+  if (contents.length >= 4 && contents[0] === 0xff && contents[1] === 0xd8) {
+    return info('image/jpeg', ...getJpegSize(contents));
+  }
+  if (contents.length >= 30 && ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+    return info('image/webp', ...getWebpSize(contents));
+  }
+  if (contents.length >= 26 && ascii(0, 2) === 'BM') {
+    return info('image/bmp', contents.readInt32LE(18), Math.abs(contents.readInt32LE(22)));
+  }
+  if (contents.length >= 12 && ascii(4, 8) === 'ftyp' && /^avi[fs]$/.test(ascii(8, 12))) {
+    // The image spatial extents property holds the size
+    const ispe = contents.indexOf('ispe');
+    return ispe !== -1 && ispe + 16 <= contents.length
+      ? info('image/avif', contents.readUInt32BE(ispe + 8), contents.readUInt32BE(ispe + 12))
+      : info('image/avif');
+  }
+
+  const text = contents.toString('utf-8', 0, Math.min(contents.length, 4096));
+  const root = text.match(/<svg\b[^>]*>/i)?.[0];
+  if (root) {
+    return info('image/svg+xml', ...getSvgSize(root));
+  }
+
+  return null;
+}
+
+/**
+ * Read the size of a JPEG from its start-of-frame segment
+ * @param {Buffer} contents - JPEG file
+ * @returns {Array} - [width, height], or [null, null]
+ */
+function getJpegSize(contents) {
+  let offset = 2;
+
+  while (offset + 9 < contents.length) {
+    if (contents[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+
+    const marker = contents[offset + 1];
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return [contents.readUInt16BE(offset + 7), contents.readUInt16BE(offset + 5)];
+    }
+    // Markers without a length
+    if (marker === 0xff || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9)) {
+      offset += marker === 0xff ? 1 : 2;
+      continue;
+    }
+    offset += 2 + contents.readUInt16BE(offset + 2);
+  }
+
+  return [null, null];
+}
+
+/**
+ * Read the size of a WebP image from its first chunk
+ * @param {Buffer} contents - WebP file
+ * @returns {Array} - [width, height], or [null, null]
+ */
+function getWebpSize(contents) {
+  switch (contents.toString('latin1', 12, 16)) {
+    case 'VP8 ':
+      return [contents.readUInt16LE(26) & 0x3fff, contents.readUInt16LE(28) & 0x3fff];
+    case 'VP8L': {
+      const bits = contents.readUInt32LE(21);
+      return [(bits & 0x3fff) + 1, ((bits >> 14) & 0x3fff) + 1];
+    }
+    case 'VP8X':
+      return [contents.readUIntLE(24, 3) + 1, contents.readUIntLE(27, 3) + 1];
+    default:
+      return [null, null];
+  }
+}
+
+/**
+ * Read the size of an SVG image from its root element
+ * Missing or relative sizes follow the viewBox, or default to 300x150
+ * @param {string} root - Opening <svg> tag
+ * @returns {Array} - [width, height]
+ */
+function getSvgSize(root) {
+  const attribute = name => {
+    const value = root.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i'))?.[1].trim();
+    return /^[\d.]+(px)?$/i.test(value || '') ? parseFloat(value) : null;
+  };
+  const viewBox = parseViewBox(root.match(/\sviewBox\s*=\s*["']([^"']*)["']/i)?.[1]);
+  const ratio = viewBox ? viewBox.w / viewBox.h : null;
+
+  let width = attribute('width');
+  let height = attribute('height');
+  if (width === null && height === null && viewBox) {
+    width = viewBox.w;
+    height = viewBox.h;
+  }
+  width = width ?? (height !== null && ratio ? height * ratio : 300);
+  height = height ?? (ratio ? width / ratio : 150);
+
+  return [Math.round(width), Math.round(height)];
+}
+
+module.exports = {
+  loadImages,
+  loadImageUrls,
+  selectImageSource,
+  parseSrcset,
+  getImageInfo,
+  DEFAULT_IMAGE_OPTIONS
+};
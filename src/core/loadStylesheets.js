@@ -0,0 +1,345 @@
+/**
+ * loadStylesheets.js - Stylesheet Loader
+ * Resolves <style>, <link rel="stylesheet"> and @import chains
+ * from the network, a local base directory or an uploaded bundle
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+const cssom = require('cssom');
+const { parseCSS } = require('./parseCSS');
+
+/**
+ * Default loader options
+ */
+const DEFAULT_LOAD_OPTIONS = {
+  fetchTimeout: 10000,
+  maxStylesheetSize: 2 * 1024 * 1024,
+  maxImportDepth: 8
+};
+
+/**
+ * Base URL used for documents whose files come from an uploaded bundle
+ */
+const BUNDLE_BASE = 'bundle:///';
+
+/**
+ * Load all stylesheets of a document in cascade order
+ * @param {Document} document - DOM document
+ * @param {Object} options - Loader options
+ * @param {string} options.baseUrl - URL the document was loaded from
+ * @param {string} options.baseDir - Local directory for relative files
+ * @param {Object} options.bundle - Map of relative path to file contents
+ * @param {number} options.fetchTimeout - Per-request timeout in ms
+ * @param {number} options.maxStylesheetSize - Per-file size limit in bytes
+ * @returns {Promise<Array>} - Array of CSS rules
+ */
+async function loadStylesheets(document, options = {}) {
+  const context = {
+    ...DEFAULT_LOAD_OPTIONS,
+    ...options,
+    baseDir: options.baseDir ? path.resolve(options.baseDir) : null,
+    visited: new Set()
+  };
+
+  const documentBase = getDocumentBase(document, context);
+  const rules = [];
+
+  const nodes = document.querySelectorAll('style, link[rel~="stylesheet" i]');
+  for (const node of nodes) {
+    let sheetRules = [];
+
+    if (node.tagName.toLowerCase() === 'style') {
+      sheetRules = await expandImports(parseCSS(node.textContent).cssRules || [], documentBase, context, 0);
+    } else {
+      const href = node.getAttribute('href');
+      if (!href) continue;
+      sheetRules = await loadStylesheetRules(resolveUrl(href, documentBase), context, 0);
+    }
+
+    rules.push(...wrapInMedia(sheetRules, node.getAttribute('media')));
+  }
+
+  return rules;
+}
+
+/**
+ * Determine the base URL relative links are resolved against
+ * @param {Document} document - DOM document
+ * @param {Object} context - Loader context
+ * @returns {string|null} - Base URL
+ */
+function getDocumentBase(document, context) {
+  let base = context.baseUrl || null;
+  if (!base && context.bundle) {
+    base = BUNDLE_BASE;
+  } else if (!base && context.baseDir) {
+    base = pathToFileURL(context.baseDir + path.sep).href;
+  }
+
+  const baseHref = document.querySelector('base[href]')?.getAttribute('href');
+  if (baseHref) {
+    base = resolveUrl(baseHref, base) || base;
+  }
+
+  return base;
+}
+
+/**
+ * Resolve a possibly relative URL
+ * @param {string} href - URL from the document or stylesheet
+ * @param {string|null} base - Base URL
+ * @returns {string|null} - Absolute URL, or null if it cannot be resolved
+ */
+function resolveUrl(href, base) {
+  try {
+    return new URL(href, base || undefined).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Load a stylesheet and its @import chain
+ * @param {string|null} url - Absolute stylesheet URL
+ * @param {Object} context - Loader context
+ * @param {number} depth - Current @import depth
+ * @returns {Promise<Array>} - Array of CSS rules
+ */
+async function loadStylesheetRules(url, context, depth) {
+  if (!url || context.visited.has(url)) return [];
+  context.visited.add(url);
+
+  let css;
+  try {
+    css = await readStylesheet(url, context);
+  } catch (error) {
+    console.warn(`Could not load stylesheet ${url}:`, error.message);
+    return [];
+  }
+
+  return expandImports(parseCSS(css).cssRules || [], url, context, depth);
+}
+
+/**
+ * Replace @import rules with the rules of the imported stylesheet
+ * @param {Array} rules - Parsed CSS rules
+ * @param {string|null} base - URL of the stylesheet containing the rules
+ * @param {Object} context - Loader context
+ * @param {number} depth - Current @import depth
+ * @returns {Promise<Array>} - Flattened CSS rules
+ */
+async function expandImports(rules, base, context, depth) {
+  const expanded = [];
+
+  for (const rule of rules) {
+    if (!(rule instanceof cssom.CSSImportRule)) {
+      expanded.push(rule);
+      continue;
+    }
+
+    if (depth >= context.maxImportDepth) {
+      console.warn(`Skipping @import ${rule.href}: maximum depth reached`);
+      continue;
+    }
+
+    const imported = await loadStylesheetRules(resolveUrl(rule.href, base), context, depth + 1);
+    expanded.push(...wrapInMedia(imported, rule.media?.mediaText));
+  }
+
+  return expanded;
+}
+
+/**
+ * Wrap rules in an @media rule when a media query applies to them
+ * @param {Array} rules - CSS rules
+ * @param {string|null} mediaText - Media query list from media="" or @import
+ * @returns {Array} - Rules, possibly wrapped
+ */
+function wrapInMedia(rules, mediaText) {
+  if (!mediaText || !mediaText.trim() || mediaText.trim().toLowerCase() === 'all') {
+    return rules;
+  }
+
+  const mediaRule = new cssom.CSSMediaRule();
+  mediaRule.media.mediaText = mediaText;
+  mediaRule.cssRules = rules;
+  return [mediaRule];
+}
+
+/**
+ * Read stylesheet text from the bundle, disk or network
+ * @param {string} url - Absolute stylesheet URL
+ * @param {Object} context - Loader context
+ * @returns {Promise<string>} - Stylesheet text
+ */
+async function readStylesheet(url, context) {
+  const contents = await readResource(url, context, context.maxStylesheetSize);
+  return contents.toString('utf-8');
+}
+
+/**
+ * Read a file from the bundle, disk, network or a data: URL
+ * @param {string} url - Absolute URL
+ * @param {Object} context - Loader context
+ * @param {number} maxSize - Size limit in bytes
+ * @returns {Promise<Buffer>} - File contents
+ */
+async function readResource(url, context, maxSize) {
+  const parsed = new URL(url);
+
+  if (parsed.protocol === 'bundle:') {
+    const relativePath = decodeURIComponent(parsed.pathname).replace(/^\/+/, '');
+    if (context.bundle && Object.prototype.hasOwnProperty.call(context.bundle, relativePath)) {
+      return checkSize(toBuffer(context.bundle[relativePath]), maxSize);
+    }
+    if (context.baseDir) {
+      return readLocalFile(path.join(context.baseDir, relativePath), context, maxSize);
+    }
+    throw new Error('File not found in bundle');
+  }
+
+  if (parsed.protocol === 'data:') {
+    return checkSize(decodeDataUrl(url), maxSize);
+  }
+
+  if (parsed.protocol === 'file:') {
+    return readLocalFile(fileURLToPath(parsed), context, maxSize);
+  }
+
+  if (parsed.protocol === 'http:' || parsed.protocol === 'https:') {
+    return fetchBytes(url, context, maxSize);
+  }
+
+  throw new Error(`Unsupported protocol ${parsed.protocol}`);
+}
+
+/**
+ * Read a local file, restricted to the configured base directory
+ * Symlinks are resolved first so a link inside the directory cannot point out of it
+ * @param {string} filePath - Absolute file path
+ * @param {Object} context - Loader context
+ * @param {number} maxSize - Size limit in bytes
+ * @returns {Promise<Buffer>} - File contents
+ */
+async function readLocalFile(filePath, context, maxSize) {
+  if (!context.baseDir) {
+    throw new Error('Local file is outside the base directory');
+  }
+
+  const root = await fs.promises.realpath(context.baseDir);
+  const resolved = await fs.promises.realpath(path.resolve(filePath));
+  if (!resolved.startsWith(root + path.sep)) {
+    throw new Error('Local file is outside the base directory');
+  }
+
+  const stat = await fs.promises.stat(resolved);
+  if (!stat.isFile()) {
+    throw new Error('Not a regular file');
+  }
+  if (stat.size > maxSize) {
+    throw new Error(`File exceeds ${maxSize} bytes`);
+  }
+
+  return fs.promises.readFile(resolved);
+}
+
+/**
+ * Fetch a file with timeout and size limit
+ * @param {string} url - File URL
+ * @param {Object} context - Loader context
+ * @param {number} maxSize - Size limit in bytes
+ * @returns {Promise<Buffer>} - Response body
+ */
+async function fetchBytes(url, context, maxSize) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), context.fetchTimeout);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const declaredSize = parseInt(response.headers.get('content-length'), 10);
+    if (declaredSize > maxSize) {
+      throw new Error(`File exceeds ${maxSize} bytes`);
+    }
+
+    // Stream the body so oversized responses are cut off early
+    const reader = response.body.getReader();
+    const chunks = [];
+    let total = 0;
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      total += value.length;
+      if (total > maxSize) {
+        await reader.cancel();
+        throw new Error(`File exceeds ${maxSize} bytes`);
+      }
+      chunks.push(value);
+    }
+
+    return Buffer.concat(chunks);
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`Timed out after ${context.fetchTimeout}ms`);
+    }
+    throw error;
+
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Decode a data: URL
+ * @param {string} url - e.g. "data:image/png;base64,iVBOR..." or "data:text/css,a%7Bcolor:red%7D"
+ * @returns {Buffer} - Decoded contents
+ */
+function decodeDataUrl(url) {
+  const match = url.match(/^data:([^,]*?)(;base64)?,(.*)$/is);
+  if (!match) {
+    throw new Error('Malformed data: URL');
+  }
+  return match[2] ? Buffer.from(match[3], 'base64') : Buffer.from(decodeURIComponent(match[3]), 'utf-8');
+}
+
+/**
+ * Convert bundle contents to bytes
+ * Binary files can be bundled as Buffers or data: URLs; other strings are text
+ * @param {string|Buffer} value - Bundled file contents
+ * @returns {Buffer} - Contents
+ */
+function toBuffer(value) {
+  if (Buffer.isBuffer(value)) return value;
+
+  const str = String(value);
+  return str.startsWith('data:') ? decodeDataUrl(str) : Buffer.from(str, 'utf-8');
+}
+
+/**
+ * Enforce the size limit on in-memory contents
+ * @param {Buffer} contents - File contents
+ * @param {number} maxSize - Size limit in bytes
+ * @returns {Buffer} - The same contents
+ */
+function checkSize(contents, maxSize) {
+  if (contents.length > maxSize) {
+    throw new Error(`File exceeds ${maxSize} bytes`);
+  }
+  return contents;
+}
+
+module.exports = {
+  loadStylesheets,
+  getDocumentBase,
+  resolveUrl,
+  readResource,
+  DEFAULT_LOAD_OPTIONS
+};
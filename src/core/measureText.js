@@ -0,0 +1,653 @@
+/**
+ * measureText.js - Text Measurement
+ * Measures and wraps text with per-character advance widths, taken from
+ * bundled tables for common web fonts and generic families or from
+ * TTF/OTF/WOFF files registered with registerFont()
+ */
+
+const zlib = require('zlib');
+const { parsePixelValue } = require('./parseCSS');
+
+/**
+ * Advance widths of the printable ASCII characters (U+0020 to U+007E)
+ * in thousandths of an em, for the metric-compatible Helvetica/Arial and
+ * Times/Times New Roman designs. Monospaced fonts use a single width.
+ */
+const ADVANCE_WIDTHS = {
+  sans: {
+    regular: [
+      278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+      556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+      1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+      667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+      333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+      556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+      278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+      556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+      975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+      667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+      333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+      611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+  },
+  serif: {
+    regular: [
+      250, 333, 408, 500, 500, 833, 778, 180, 333, 333, 500, 564, 250, 333, 250, 278,
+      500, 500, 500, 500, 500, 500, 500, 500, 500, 500, 278, 278, 564, 564, 564, 444,
+      921, 722, 667, 667, 722, 611, 556, 722, 722, 333, 389, 722, 611, 889, 722, 722,
+      556, 722, 667, 556, 611, 722, 722, 944, 722, 722, 611, 333, 278, 333, 469, 500,
+      333, 444, 500, 444, 500, 444, 333, 500, 500, 278, 278, 500, 278, 778, 500, 500,
+      500, 500, 333, 389, 278, 500, 500, 722, 500, 500, 444, 480, 200, 480, 541
+    ],
+    bold: [
+      250, 333, 555, 500, 500, 1000, 833, 278, 333, 333, 500, 570, 250, 333, 250, 278,
+      500, 500, 500, 500, 500, 500, 500, 500, 500, 500, 333, 333, 570, 570, 570, 500,
+      930, 722, 667, 722, 722, 667, 611, 778, 778, 389, 500, 778, 667, 944, 722, 778,
+      611, 778, 722, 556, 667, 722, 722, 1000, 722, 722, 667, 333, 278, 333, 581, 500,
+      333, 500, 556, 444, 556, 444, 333, 500, 556, 278, 333, 556, 278, 833, 556, 500,
+      556, 556, 444, 389, 333, 556, 500, 722, 500, 500, 444, 394, 220, 394, 520
+    ]
+  },
+  mono: {
+    regular: new Array(95).fill(600),
+    bold: new Array(95).fill(600)
+  }
+};
+
+/**
+ * Advance widths (in em) of common punctuation outside ASCII
+ */
+const PUNCTUATION_WIDTHS = {
+  0x2013: 0.5,
+  0x2014: 1,
+  0x2018: 0.25,
+  0x2019: 0.25,
+  0x201c: 0.42,
+  0x201d: 0.42,
+  0x2022: 0.35,
+  0x2026: 1,
+  0x2002: 0.5,
+  0x2003: 1,
+  0x2009: 0.2
+};
+
+/**
+ * Bundled font families: the width table they share, their average width
+ * relative to it, and approximate vertical metrics (ascent, descent and
+ * line gap in em, as in the font's hhea table)
+ */
+const FONT_FAMILIES = {
+  'arial': { widths: 'sans', scale: 1, ascent: 0.905, descent: 0.212, lineGap: 0.033 },
+  'helvetica': { widths: 'sans', scale: 1, ascent: 0.905, descent: 0.212, lineGap: 0.033 },
+  'helvetica neue': { widths: 'sans', scale: 1, ascent: 0.952, descent: 0.213, lineGap: 0.028 },
+  'liberation sans': { widths: 'sans', scale: 1, ascent: 0.905, descent: 0.212, lineGap: 0.033 },
+  'arimo': { widths: 'sans', scale: 1, ascent: 0.905, descent: 0.212, lineGap: 0.033 },
+  'verdana': { widths: 'sans', scale: 1.13, ascent: 1.005, descent: 0.21, lineGap: 0 },
+  'tahoma': { widths: 'sans', scale: 0.94, ascent: 1, descent: 0.207, lineGap: 0 },
+  'trebuchet ms': { widths: 'sans', scale: 0.97, ascent: 0.939, descent: 0.222, lineGap: 0 },
+  'segoe ui': { widths: 'sans', scale: 0.98, ascent: 1.079, descent: 0.251, lineGap: 0 },
+  '-apple-system': { widths: 'sans', scale: 1, ascent: 0.952, descent: 0.238, lineGap: 0 },
+  'blinkmacsystemfont': { widths: 'sans', scale: 1, ascent: 0.952, descent: 0.238, lineGap: 0 },
+  'sf pro text': { widths: 'sans', scale: 1, ascent: 0.952, descent: 0.238, lineGap: 0 },
+  'sf pro display': { widths: 'sans', scale: 1, ascent: 0.952, descent: 0.238, lineGap: 0 },
+  'roboto': { widths: 'sans', scale: 0.97, ascent: 0.928, descent: 0.244, lineGap: 0 },
+  'inter': { widths: 'sans', scale: 1.04, ascent: 0.969, descent: 0.242, lineGap: 0 },
+  'open sans': { widths: 'sans', scale: 1.04, ascent: 1.069, descent: 0.293, lineGap: 0 },
+  'noto sans': { widths: 'sans', scale: 1.03, ascent: 1.069, descent: 0.293, lineGap: 0 },
+  'lato': { widths: 'sans', scale: 0.95, ascent: 0.987, descent: 0.213, lineGap: 0 },
+  'montserrat': { widths: 'sans', scale: 1.12, ascent: 0.968, descent: 0.251, lineGap: 0 },
+  'poppins': { widths: 'sans', scale: 1.1, ascent: 1.05, descent: 0.35, lineGap: 0.1 },
+  'source sans pro': { widths: 'sans', scale: 0.9, ascent: 0.984, descent: 0.273, lineGap: 0 },
+  'source sans 3': { widths: 'sans', scale: 0.9, ascent: 0.984, descent: 0.273, lineGap: 0 },
+  'nunito': { widths: 'sans', scale: 0.98, ascent: 1.011, descent: 0.353, lineGap: 0 },
+  'ubuntu': { widths: 'sans', scale: 1, ascent: 0.932, descent: 0.189, lineGap: 0.028 },
+  'dejavu sans': { widths: 'sans', scale: 1.1, ascent: 0.928, descent: 0.236, lineGap: 0 },
+  'comic sans ms': { widths: 'sans', scale: 1.1, ascent: 1.102, descent: 0.292, lineGap: 0 },
+  'times new roman': { widths: 'serif', scale: 1, ascent: 0.891, descent: 0.216, lineGap: 0.042 },
+  'times': { widths: 'serif', scale: 1, ascent: 0.891, descent: 0.216, lineGap: 0.042 },
+  'liberation serif': { widths: 'serif', scale: 1, ascent: 0.891, descent: 0.216, lineGap: 0.042 },
+  'tinos': { widths: 'serif', scale: 1, ascent: 0.891, descent: 0.216, lineGap: 0.042 },
+  'georgia': { widths: 'serif', scale: 1.1, ascent: 0.917, descent: 0.219, lineGap: 0 },
+  'cambria': { widths: 'serif', scale: 1.03, ascent: 0.95, descent: 0.222, lineGap: 0 },
+  'garamond': { widths: 'serif', scale: 0.92, ascent: 0.9, descent: 0.3, lineGap: 0 },
+  'eb garamond': { widths: 'serif', scale: 0.92, ascent: 0.9, descent: 0.3, lineGap: 0 },
+  'palatino': { widths: 'serif', scale: 1.03, ascent: 0.893, descent: 0.307, lineGap: 0 },
+  'palatino linotype': { widths: 'serif', scale: 1.03, ascent: 0.893, descent: 0.307, lineGap: 0 },
+  'book antiqua': { widths: 'serif', scale: 1.03, ascent: 0.893, descent: 0.307, lineGap: 0 },
+  'merriweather': { widths: 'serif', scale: 1.15, ascent: 0.984, descent: 0.273, lineGap: 0 },
+  'playfair display': { widths: 'serif', scale: 0.98, ascent: 1.082, descent: 0.251, lineGap: 0 },
+  'noto serif': { widths: 'serif', scale: 1.08, ascent: 1.069, descent: 0.293, lineGap: 0 },
+  'pt serif': { widths: 'serif', scale: 1.02, ascent: 1.039, descent: 0.286, lineGap: 0 },
+  'courier new': { widths: 'mono', scale: 1, ascent: 0.833, descent: 0.3, lineGap: 0 },
+  'courier': { widths: 'mono', scale: 1, ascent: 0.833, descent: 0.3, lineGap: 0 },
+  'consolas': { widths: 'mono', scale: 0.917, ascent: 0.743, descent: 0.257, lineGap: 0.172 },
+  'menlo': { widths: 'mono', scale: 1.003, ascent: 0.928, descent: 0.236, lineGap: 0 },
+  'monaco': { widths: 'mono', scale: 1, ascent: 1, descent: 0.25, lineGap: 0 },
+  'sf mono': { widths: 'mono', scale: 1, ascent: 0.95, descent: 0.24, lineGap: 0 },
+  'dejavu sans mono': { widths: 'mono', scale: 1.003, ascent: 0.928, descent: 0.236, lineGap: 0 },
+  'fira code': { widths: 'mono', scale: 1, ascent: 0.935, descent: 0.265, lineGap: 0 },
+  'fira mono': { widths: 'mono', scale: 1, ascent: 0.935, descent: 0.265, lineGap: 0 },
+  'jetbrains mono': { widths: 'mono', scale: 1, ascent: 1.02, descent: 0.3, lineGap: 0 },
+  'source code pro': { widths: 'mono', scale: 1, ascent: 0.984, descent: 0.273, lineGap: 0 },
+  'roboto mono': { widths: 'mono', scale: 1, ascent: 1.048, descent: 0.271, lineGap: 0 },
+  'ubuntu mono': { widths: 'mono', scale: 0.833, ascent: 0.83, descent: 0.17, lineGap: 0 }
+};
+
+/**
+ * Bundled families that generic family keywords resolve to
+ */
+const GENERIC_FAMILIES = {
+  'serif': 'times new roman',
+  'sans-serif': 'arial',
+  'monospace': 'courier new',
+  'system-ui': 'segoe ui',
+  'ui-sans-serif': 'segoe ui',
+  'ui-serif': 'times new roman',
+  'ui-monospace': 'sf mono',
+  'ui-rounded': 'nunito',
+  'cursive': 'comic sans ms',
+  'fantasy': 'arial',
+  'math': 'times new roman',
+  'emoji': 'arial'
+};
+
+/**
+ * Family used when none of the listed families is known (the browser default)
+ */
+const DEFAULT_FAMILY = 'times new roman';
+
+/**
+ * Resolved bundled font faces by family list, weight and style
+ */
+const faceCache = new Map();
+
+/**
+ * Measure the advance width of a run of text
+ * letter-spacing follows every character and word-spacing every space;
+ * text-transform applies before measuring
+ * @param {string} text - Text
+ * @param {Object} styles - Computed styles (fontFamily, fontWeight, fontStyle, letterSpacing, ...)
+ * @param {Object} units - Unit context; fontSize is the font size in px and fonts
+ *   the conversion's font registry
+ * @returns {number} - Width in pixels
+ */
+function measureText(text, styles = {}, units = {}) {
+  const fontSize = getFontSize(styles, units);
+  const face = resolveFontFace(styles, units.fonts);
+  const letterSpacing = getSpacing(styles.letterSpacing, units);
+  const wordSpacing = getSpacing(styles.wordSpacing, units);
+  let width = 0;
+
+  for (const char of applyTextTransform(String(text), styles.textTransform)) {
+    const advance = getAdvance(face, char.codePointAt(0));
+    width += advance * fontSize;
+    // Zero-width marks join the preceding character
+    if (advance > 0) width += letterSpacing;
+    if (char === ' ' || char === '\u00a0') width += wordSpacing;
+  }
+
+  return width;
+}
+
+/**
+ * Wrap text into lines at word boundaries
+ * white-space decides whether spaces collapse, newlines break and lines wrap;
+ * words wider than the line overflow it
+ * @param {string} text - Text
+ * @param {Object} styles - Computed styles
+ * @param {Object} units - Unit context
+ * @param {number|null} maxWidth - Line width in px; null for no wrapping
+ * @returns {Array} - Lines { text, width } without trailing spaces
+ */
+function wrapText(text, styles = {}, units = {}, maxWidth = null) {
+  const whiteSpace = String(styles.whiteSpace || 'normal').toLowerCase();
+  const collapse = ['normal', 'nowrap', 'pre-line'].includes(whiteSpace);
+  const wrap = whiteSpace !== 'nowrap' && whiteSpace !== 'pre' && maxWidth !== null;
+  const paragraphs = whiteSpace === 'normal' || whiteSpace === 'nowrap'
+    ? [String(text)]
+    : String(text).split('\n');
+  const lines = [];
+  const finish = lineText => {
+    const trimmed = lineText.replace(/ +$/, '');
+    lines.push({ text: trimmed, width: measureText(trimmed, styles, units) });
+  };
+
+  for (const paragraph of paragraphs) {
+    const source = collapse ? paragraph.replace(/\s+/g, ' ').trim() : paragraph;
+    if (!wrap) {
+      finish(source);
+      continue;
+    }
+
+    let line = '';
+    let lineWidth = 0;
+    for (const [token] of source.matchAll(/[^ ]+ *| +/g)) {
+      // Trailing spaces may hang past the line end
+      const word = token.replace(/ +$/, '');
+      const wordWidth = measureText(word, styles, units);
+      if (line && word && lineWidth + wordWidth > maxWidth + 0.01) {
+        finish(line);
+        line = '';
+        lineWidth = 0;
+      }
+      line += token;
+      lineWidth += measureText(token, styles, units);
+    }
+    finish(line);
+  }
+
+  return lines;
+}
+
+/**
+ * Get the vertical metrics of the font used for some text
+ * @param {Object} styles - Computed styles
+ * @param {Object} units - Unit context
+ * @returns {Object} - { ascent, descent, lineGap } in pixels; ascent + descent + lineGap
+ *   is the normal line height
+ */
+function getFontMetrics(styles = {}, units = {}) {
+  const fontSize = getFontSize(styles, units);
+  const face = resolveFontFace(styles, units.fonts);
+  return {
+    ascent: face.ascent * fontSize,
+    descent: face.descent * fontSize,
+    lineGap: face.lineGap * fontSize
+  };
+}
+
+/**
+ * Create an empty font registry
+ * Each conversion has its own, so fonts supplied with one don't change another
+ * @returns {Object} - { families, faces }: registered faces by lowercase family name
+ *   and resolved faces by family list, weight and style
+ */
+function createFontRegistry() {
+  return { families: new Map(), faces: new Map() };
+}
+
+/**
+ * Register a font file for a family
+ * Registered fonts take precedence over the bundled tables
+ * @param {Object} registry - Font registry from createFontRegistry()
+ * @param {string} family - Family name as used in font-family
+ * @param {Buffer} buffer - Contents of a TTF, OTF or WOFF file
+ * @param {Object} descriptor - { weight, style } the file provides (default 400, normal)
+ * @returns {Object|null} - Parsed font, or null when the file isn't supported
+ */
+function registerFont(registry, family, buffer, descriptor = {}) {
+  const font = parseFont(buffer);
+  if (!font) {
+    console.warn(`Unsupported font file for ${family}`);
+    return null;
+  }
+
+  const key = normalizeFamily(family);
+  const faces = registry.families.get(key) || [];
+  faces.push({
+    weight: parseWeight(descriptor.weight),
+    style: String(descriptor.style || 'normal').toLowerCase(),
+    font
+  });
+  registry.families.set(key, faces);
+  registry.faces.clear();
+  return font;
+}
+
+/**
+ * Parse a TrueType/OpenType font (optionally in a WOFF wrapper)
+ * Only what measurement needs is read: units per em, hhea metrics,
+ * horizontal advances and the character map
+ * @param {Buffer} buffer - Font file contents
+ * @returns {Object|null} - { ascent, descent, lineGap, advance(codePoint) } with metrics in em
+ *   and advance returning null for missing glyphs; null for unsupported files
+ */
+function parseFont(buffer) {
+  try {
+    const tables = readFontTables(buffer);
+    if (!tables || !tables.head || !tables.hhea || !tables.hmtx || !tables.cmap) return null;
+
+    const unitsPerEm = tables.head.readUInt16BE(18) || 1000;
+    const numberOfHMetrics = tables.hhea.readUInt16BE(34);
+    const glyphIndex = readCharacterMap(tables.cmap);
+    if (!glyphIndex || numberOfHMetrics === 0) return null;
+
+    const advances = new Map();
+    return {
+      ascent: tables.hhea.readInt16BE(4) / unitsPerEm,
+      descent: -tables.hhea.readInt16BE(6) / unitsPerEm,
+      lineGap: tables.hhea.readInt16BE(8) / unitsPerEm,
+      advance(codePoint) {
+        if (!advances.has(codePoint)) {
+          const glyph = glyphIndex(codePoint);
+          // Glyphs past the last long metric share its advance
+          const metric = Math.min(glyph, numberOfHMetrics - 1);
+          advances.set(codePoint, glyph === 0 ? null : tables.hmtx.readUInt16BE(metric * 4) / unitsPerEm);
+        }
+        return advances.get(codePoint);
+      }
+    };
+  } catch (error) {
+    console.warn(`Failed to parse font: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Read the tables of an sfnt, TrueType collection or WOFF file
+ * @param {Buffer} buffer - Font file contents
+ * @returns {Object|null} - Table contents by tag
+ */
+function readFontTables(buffer) {
+  const signature = buffer.toString('latin1', 0, 4);
+  const tables = {};
+
+  if (signature === 'wOFF') {
+    const numTables = buffer.readUInt16BE(12);
+    for (let i = 0; i < numTables; i++) {
+      const entry = 44 + i * 20;
+      const tag = buffer.toString('latin1', entry, entry + 4);
+      const offset = buffer.readUInt32BE(entry + 4);
+      const compLength = buffer.readUInt32BE(entry + 8);
+      const origLength = buffer.readUInt32BE(entry + 12);
+      const data = buffer.subarray(offset, offset + compLength);
+      tables[tag] = compLength < origLength ? zlib.inflateSync(data) : data;
+    }
+    return tables;
+  }
+
+  if (signature === 'wOF2') {
+    // WOFF2 needs Brotli and glyph table reconstruction
+    return null;
+  }
+
+  // Collections measure with their first font
+  const start = signature === 'ttcf' ? buffer.readUInt32BE(12) : 0;
+  const version = buffer.readUInt32BE(start);
+  if (version !== 0x00010000 && version !== 0x4f54544f && version !== 0x74727565) return null;
+
+  const numTables = buffer.readUInt16BE(start + 4);
+  for (let i = 0; i < numTables; i++) {
+    const entry = start + 12 + i * 16;
+    const tag = buffer.toString('latin1', entry, entry + 4);
+    const offset = buffer.readUInt32BE(entry + 8);
+    const length = buffer.readUInt32BE(entry + 12);
+    tables[tag] = buffer.subarray(offset, offset + length);
+  }
+  return tables;
+}
+
+/**
+ * Build a code point to glyph index lookup from a cmap table
+ * Prefers a full Unicode (format 12) subtable over a BMP (format 4) one
+ * @param {Buffer} cmap - cmap table
+ * @returns {Function|null} - Lookup returning 0 for missing characters
+ */
+function readCharacterMap(cmap) {
+  const numTables = cmap.readUInt16BE(2);
+  const subtables = [];
+  for (let i = 0; i < numTables; i++) {
+    const record = 4 + i * 8;
+    const platform = cmap.readUInt16BE(record);
+    const encoding = cmap.readUInt16BE(record + 2);
+    const offset = cmap.readUInt32BE(record + 4);
+    const isUnicode = platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10));
+    if (isUnicode) subtables.push({ offset, format: cmap.readUInt16BE(offset) });
+  }
+
+  const full = subtables.find(subtable => subtable.format === 12);
+  if (full) return readCharacterMapFormat12(cmap, full.offset);
+
+  const basic = subtables.find(subtable => subtable.format === 4);
+  return basic ? readCharacterMapFormat4(cmap, basic.offset) : null;
+}
+
+/**
+ * Glyph lookup for a format 4 (segment mapping) cmap subtable
+ * @param {Buffer} cmap - cmap table
+ * @param {number} offset - Subtable offset
+ * @returns {Function} - Lookup
+ */
+function readCharacterMapFormat4(cmap, offset) {
+  const segCountX2 = cmap.readUInt16BE(offset + 6);
+  const endCodes = offset + 14;
+  const startCodes = endCodes + segCountX2 + 2;
+  const idDeltas = startCodes + segCountX2;
+  const idRangeOffsets = idDeltas + segCountX2;
+
+  return codePoint => {
+    if (codePoint > 0xffff) return 0;
+    for (let i = 0; i < segCountX2; i += 2) {
+      if (cmap.readUInt16BE(endCodes + i) < codePoint) continue;
+
+      const start = cmap.readUInt16BE(startCodes + i);
+      if (start > codePoint) return 0;
+
+      const delta = cmap.readUInt16BE(idDeltas + i);
+      const rangeOffset = cmap.readUInt16BE(idRangeOffsets + i);
+      if (rangeOffset === 0) return (codePoint + delta) & 0xffff;
+
+      const glyph = cmap.readUInt16BE(idRangeOffsets + i + rangeOffset + 2 * (codePoint - start));
+      return glyph === 0 ? 0 : (glyph + delta) & 0xffff;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Glyph lookup for a format 12 (segmented coverage) cmap subtable
+ * @param {Buffer} cmap - cmap table
+ * @param {number} offset - Subtable offset
+ * @returns {Function} - Lookup
+ */
+function readCharacterMapFormat12(cmap, offset) {
+  const numGroups = cmap.readUInt32BE(offset + 12);
+
+  return codePoint => {
+    let low = 0;
+    let high = numGroups - 1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      const group = offset + 16 + middle * 12;
+      const start = cmap.readUInt32BE(group);
+      const end = cmap.readUInt32BE(group + 4);
+      if (codePoint < start) {
+        high = middle - 1;
+      } else if (codePoint > end) {
+        low = middle + 1;
+      } else {
+        return cmap.readUInt32BE(group + 8) + codePoint - start;
+      }
+    }
+    return 0;
+  };
+}
+
+/**
+ * Resolve the font face for some styles
+ * The first font-family entry that is registered, bundled or generic wins
+ * @param {Object} styles - Computed styles
+ * @param {Object} registry - Font registry; only bundled faces are used without one
+ * @returns {Object} - Face { ascent, descent, lineGap, advance(codePoint), fallback }
+ */
+function resolveFontFace(styles = {}, registry = null) {
+  const weight = parseWeight(styles.fontWeight);
+  const style = String(styles.fontStyle || 'normal').toLowerCase();
+  const key = `${styles.fontFamily}|${weight}|${style}`;
+  const cache = registry ? registry.faces : faceCache;
+  if (cache.has(key)) return cache.get(key);
+
+  const families = String(styles.fontFamily || '').split(',').map(normalizeFamily).filter(Boolean);
+  let face = null;
+  let bundled = null;
+
+  for (const family of families) {
+    const faces = registry?.families.get(family);
+    if (faces && !face) {
+      face = pickRegisteredFace(faces, weight, style);
+    }
+    const name = FONT_FAMILIES[family] ? family : GENERIC_FAMILIES[family];
+    if (name && !bundled) {
+      bundled = createBundledFace(FONT_FAMILIES[name], weight);
+    }
+    if (face && bundled) break;
+  }
+
+  // Characters a registered font lacks come from the bundled fallback
+  const fallback = bundled || createBundledFace(FONT_FAMILIES[DEFAULT_FAMILY], weight);
+  const resolved = face
+    ? { ascent: face.ascent, descent: face.descent, lineGap: face.lineGap, advance: face.advance, fallback }
+    : fallback;
+  cache.set(key, resolved);
+  return resolved;
+}
+
+/**
+ * Pick the registered face closest to a weight and style
+ * @param {Array} faces - Registered faces { weight, style, font }
+ * @param {number} weight - Requested weight
+ * @param {string} style - Requested style
+ * @returns {Object} - Parsed font
+ */
+function pickRegisteredFace(faces, weight, style) {
+  const score = face => Math.abs(face.weight - weight) + (face.style === style ? 0 : 1000);
+  return faces.reduce((best, face) => (score(face) < score(best) ? face : best)).font;
+}
+
+/**
+ * Create a face from a bundled width table
+ * @param {Object} family - Bundled family description
+ * @param {number} weight - Font weight (600 and above use the bold widths)
+ * @returns {Object} - Face
+ */
+function createBundledFace(family, weight) {
+  const widths = ADVANCE_WIDTHS[family.widths][weight >= 600 ? 'bold' : 'regular'];
+  const lowercase = widths.slice(65, 91);
+  const average = lowercase.reduce((sum, width) => sum + width, 0) / lowercase.length;
+
+  return {
+    ascent: family.ascent,
+    descent: family.descent,
+    lineGap: family.lineGap,
+    advance(codePoint) {
+      if (codePoint >= 0x20 && codePoint <= 0x7e) return widths[codePoint - 0x20] / 1000 * family.scale;
+      if (family.widths === 'mono') return 0.6 * family.scale;
+      if (PUNCTUATION_WIDTHS[codePoint] !== undefined) return PUNCTUATION_WIDTHS[codePoint] * family.scale;
+
+      // Accented letters are as wide as their base letter
+      const base = String.fromCodePoint(codePoint).normalize('NFD').codePointAt(0);
+      if (base !== codePoint && base >= 0x20 && base <= 0x7e) return widths[base - 0x20] / 1000 * family.scale;
+
+      return average / 1000 * family.scale;
+    }
+  };
+}
+
+/**
+ * Get a character's advance in em
+ * @param {Object} face - Font face
+ * @param {number} codePoint - Character code point
+ * @returns {number} - Advance in em
+ */
+function getAdvance(face, codePoint) {
+  // Combining marks, zero-width spaces and joiners, soft hyphens and byte order marks
+  if ((codePoint >= 0x300 && codePoint <= 0x36f) || (codePoint >= 0x200b && codePoint <= 0x200f) ||
+    codePoint === 0xad || codePoint === 0xfeff) {
+    return 0;
+  }
+  if (codePoint === 0xa0) return getAdvance(face, 0x20);
+
+  const advance = face.advance(codePoint);
+  if (advance !== null && advance !== undefined) return advance;
+
+  // Wide (CJK, Hangul, fullwidth) and emoji characters take a full em
+  if (isWideCharacter(codePoint)) return 1;
+  return face.fallback ? getAdvance(face.fallback, codePoint) : 0.5;
+}
+
+/**
+ * Check whether a character is full-width (or an emoji) when the font doesn't say
+ * @param {number} codePoint - Character code point
+ * @returns {boolean} - True for CJK, Hangul, fullwidth forms and emoji
+ */
+function isWideCharacter(codePoint) {
+  return (codePoint >= 0x1100 && codePoint <= 0x115f) ||
+    (codePoint >= 0x2e80 && codePoint <= 0xa4cf) ||
+    (codePoint >= 0xac00 && codePoint <= 0xd7a3) ||
+    (codePoint >= 0xf900 && codePoint <= 0xfaff) ||
+    (codePoint >= 0xff00 && codePoint <= 0xff60) ||
+    (codePoint >= 0x1f300 && codePoint <= 0x1faff) ||
+    (codePoint >= 0x20000 && codePoint <= 0x3fffd);
+}
+
+/**
+ * Apply text-transform
+ * @param {string} text - Text
+ * @param {string} transform - CSS text-transform
+ * @returns {string} - Transformed text
+ */
+function applyTextTransform(text, transform) {
+  switch (String(transform || 'none').toLowerCase()) {
+    case 'uppercase':
+      return text.toUpperCase();
+    case 'lowercase':
+      return text.toLowerCase();
+    case 'capitalize':
+      return text.replace(/(^|\s)(\S)/g, (match, space, char) => space + char.toUpperCase());
+    default:
+      return text;
+  }
+}
+
+/**
+ * Normalize a font-family entry for lookups
+ * @param {string} family - Family name, possibly quoted
+ * @returns {string} - Lowercase name without quotes
+ */
+function normalizeFamily(family) {
+  return String(family || '').trim().replace(/^["']|["']$/g, '').trim().toLowerCase();
+}
+
+/**
+ * Convert a font-weight to a number
+ * @param {string|number} weight - CSS font-weight
+ * @returns {number} - Numeric weight
+ */
+function parseWeight(weight) {
+  const keyword = String(weight ?? 'normal').trim().toLowerCase();
+  if (keyword === 'bold' || keyword === 'bolder') return 700;
+  if (keyword === 'normal' || keyword === 'lighter') return 400;
+  return parseFloat(keyword) || 400;
+}
+
+/**
+ * Resolve letter-spacing or word-spacing ('normal' is 0)
+ * @param {string} value - CSS value
+ * @param {Object} units - Unit context
+ * @returns {number} - Spacing in pixels
+ */
+function getSpacing(value, units) {
+  return !value || value === 'normal' ? 0 : parsePixelValue(value, units);
+}
+
+/**
+ * Get the font size in pixels
+ * @param {Object} styles - Computed styles
+ * @param {Object} units - Unit context
+ * @returns {number} - Font size
+ */
+function getFontSize(styles, units) {
+  return units.fontSize || parsePixelValue(styles.fontSize) || 16;
+}
+
+module.exports = {
+  measureText,
+  wrapText,
+  getFontMetrics,
+  createFontRegistry,
+  registerFont,
+  parseFont,
+  resolveFontFace
+};
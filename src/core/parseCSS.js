@@ -4,6 +4,54 @@
  */
 
 const cssom = require('cssom');
+const { resolveLength, resolveFontSize } = require('./resolveUnits');
+
+/**
+ * Inherited CSS properties and their initial values
+ */
+const INHERITED_PROPERTIES = {
+  color: 'rgb(0, 0, 0)',
+  fontFamily: 'Times New Roman',
+  fontSize: '16px',
+  fontStyle: 'normal',
+  fontVariant: 'normal',
+  fontWeight: 'normal',
+  lineHeight: 'normal',
+  letterSpacing: 'normal',
+  wordSpacing: 'normal',
+  textAlign: 'left',
+  textIndent: '0',
+  textTransform: 'none',
+  textShadow: 'none',
+  whiteSpace: 'normal',
+  wordBreak: 'normal',
+  overflowWrap: 'normal',
+  direction: 'ltr',
+  visibility: 'visible',
+  cursor: 'auto',
+  listStyleType: 'disc',
+  listStylePosition: 'outside'
+};
+
+/**
+ * Cascade layer block rule (@layer name { ... })
+ * cssom predates cascade layers, so these are produced by parseCSS itself
+ */
+class CSSLayerBlockRule {
+  constructor(name, cssRules = []) {
+    this.name = name;
+    this.cssRules = cssRules;
+  }
+}
+
+/**
+ * Cascade layer statement rule (@layer a, b;)
+ */
+class CSSLayerStatementRule {
+  constructor(nameList = []) {
+    this.nameList = nameList;
+  }
+}
 
 /**
  * Parse CSS string into stylesheet object
@@ -12,32 +60,167 @@ const cssom = require('cssom');
  */
 function parseCSS(css) {
   try {
-    return cssom.parse(css);
+    if (!/@layer\b/i.test(css)) {
+      return cssom.parse(css);
+    }
+    return { cssRules: parseLayeredRules(css) };
   } catch (error) {
     console.warn('CSS parsing error:', error.message);
     return { cssRules: [] };
   }
 }
 
+/**
+ * Parse CSS containing @layer rules
+ * @layer blocks are split out before the rest is handed to cssom
+ * @param {string} css - CSS string to parse
+ * @returns {Array} - Array of CSS rules
+ */
+function parseLayeredRules(css) {
+  const rules = [];
+  let pending = '';
+  
+  const flush = () => {
+    if (pending.trim()) {
+      rules.push(...cssom.parse(pending).cssRules);
+    }
+    pending = '';
+  };
+  
+  for (const statement of splitTopLevelStatements(css)) {
+    const prelude = statement.prelude.replace(/\/\*[\s\S]*?\*\//g, '').trim();
+    
+    if (/^@layer\b/i.test(prelude)) {
+      flush();
+      const names = prelude.slice('@layer'.length).split(',').map(name => name.trim()).filter(Boolean);
+      if (statement.body === null) {
+        rules.push(new CSSLayerStatementRule(names));
+      } else {
+        rules.push(new CSSLayerBlockRule(names[0] || null, parseCSS(statement.body).cssRules || []));
+      }
+    } else if (statement.body !== null && prelude.startsWith('@') && /@layer\b/i.test(statement.body)) {
+      // Grouping rule (@media, @supports) with layers inside
+      flush();
+      const [rule] = cssom.parse(`${prelude} {}`).cssRules;
+      if (rule) {
+        rule.cssRules = parseCSS(statement.body).cssRules || [];
+        rules.push(rule);
+      }
+    } else {
+      pending += statement.text;
+    }
+  }
+  
+  flush();
+  return rules;
+}
+
+/**
+ * Split CSS into top-level statements and blocks
+ * @param {string} css - CSS string
+ * @returns {Array} - Array of { prelude, body, text }; body is null for statements
+ */
+function splitTopLevelStatements(css) {
+  const statements = [];
+  let start = 0;
+  let depth = 0;
+  let bodyStart = -1;
+  let i = 0;
+  
+  while (i < css.length) {
+    const ch = css[i];
+    
+    if (ch === '/' && css[i + 1] === '*') {
+      const end = css.indexOf('*/', i + 2);
+      i = end === -1 ? css.length : end + 2;
+      continue;
+    }
+    
+    if (ch === '"' || ch === "'") {
+      i++;
+      while (i < css.length && css[i] !== ch) {
+        i += css[i] === '\\' ? 2 : 1;
+      }
+      i++;
+      continue;
+    }
+    
+    if (ch === '{') {
+      if (depth === 0) bodyStart = i;
+      depth++;
+    } else if (ch === '}' && depth > 0) {
+      depth--;
+      if (depth === 0) {
+        statements.push({
+          prelude: css.slice(start, bodyStart).trim(),
+          body: css.slice(bodyStart + 1, i),
+          text: css.slice(start, i + 1)
+        });
+        start = i + 1;
+      }
+    } else if (ch === ';' && depth === 0) {
+      statements.push({
+        prelude: css.slice(start, i).trim(),
+        body: null,
+        text: css.slice(start, i + 1)
+      });
+      start = i + 1;
+    }
+    
+    i++;
+  }
+  
+  const rest = css.slice(start);
+  if (rest.trim()) {
+    statements.push({ prelude: rest.trim(), body: null, text: rest });
+  }
+  
+  return statements;
+}
+
 /**
  * Extract inline styles from style attribute
  * @param {string} styleAttr - Style attribute string
  * @returns {Object} - Parsed style object
  */
 function parseInlineStyle(styleAttr) {
-  if (!styleAttr) return {};
-  
   const styles = {};
-  const declarations = styleAttr.split(';');
   
-  for (const declaration of declarations) {
-    const [property, value] = declaration.split(':').map(s => s?.trim());
+  for (const declaration of parseInlineDeclarations(styleAttr)) {
+    styles[declaration.property] = declaration.value;
+  }
+  
+  return styles;
+}
+
+/**
+ * Extract inline declarations with their !important flag
+ * @param {string} styleAttr - Style attribute string
+ * @returns {Array} - Array of { property, value, important }
+ */
+function parseInlineDeclarations(styleAttr) {
+  if (!styleAttr) return [];
+  
+  const declarations = [];
+  
+  // Semicolons inside quotes and url(data:...) don't end a declaration
+  for (const declaration of splitTopLevel(styleAttr, ';')) {
+    const colon = declaration.indexOf(':');
+    if (colon === -1) continue;
+    
+    const property = declaration.slice(0, colon).trim();
+    let value = declaration.slice(colon + 1).trim();
+    const important = /!\s*important$/i.test(value);
+    if (important) {
+      value = value.replace(/!\s*important$/i, '').trim();
+    }
+    
     if (property && value) {
-      styles[camelCase(property)] = value;
+      declarations.push({ property: toPropertyKey(property), value, important });
     }
   }
   
-  return styles;
+  return declarations;
 }
 
 /**
@@ -49,6 +232,16 @@ function camelCase(str) {
   return str.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
 }
 
+/**
+ * Convert a CSS property name to its key in computed style objects
+ * Custom properties keep their name; everything else is camelCased
+ * @param {string} property - CSS property name
+ * @returns {string} - Style object key
+ */
+function toPropertyKey(property) {
+  return property.startsWith('--') ? property : camelCase(property);
+}
+
 /**
  * Convert camelCase to kebab-case
  * @param {string} str - CamelCase string
@@ -76,6 +269,220 @@ function matchesSelector(element, selector) {
   }
 }
 
+/**
+ * Split a selector list on top-level commas
+ * @param {string} selectorText - Selector list, e.g. "a, .b:is(.c, .d)"
+ * @returns {Array} - Individual selectors
+ */
+function splitSelectorList(selectorText) {
+  return splitTopLevel(selectorText, ',');
+}
+
+/**
+ * Split text on a separator outside quotes, parentheses and brackets
+ * @param {string} text - Text, e.g. "a, .b:is(.c, .d)"
+ * @param {string} separator - Separator character
+ * @returns {Array} - Trimmed, non-empty parts
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  
+  for (const ch of text) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(' || ch === '[') {
+      depth++;
+    } else if (ch === ')' || ch === ']') {
+      depth--;
+    } else if (ch === separator && depth === 0) {
+      if (current.trim()) parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Find the index of the parenthesis closing the one at `start`
+ * @param {string} str - Source string
+ * @param {number} start - Index of the opening parenthesis
+ * @returns {number} - Index of the closing parenthesis
+ */
+function findClosingParen(str, start) {
+  let depth = 0;
+  for (let i = start; i < str.length; i++) {
+    if (str[i] === '(') depth++;
+    if (str[i] === ')' && --depth === 0) return i;
+  }
+  return str.length;
+}
+
+/**
+ * Skip over a CSS identifier
+ * @param {string} str - Source string
+ * @param {number} start - Index where the identifier starts
+ * @returns {number} - Index just past the identifier
+ */
+function skipIdentifier(str, start) {
+  let i = start;
+  while (i < str.length) {
+    if (str[i] === '\\') {
+      i += 2;
+    } else if (/[\w-]/.test(str[i]) || str.charCodeAt(i) > 127) {
+      i++;
+    } else {
+      break;
+    }
+  }
+  return i;
+}
+
+/**
+ * Compare two specificity tuples
+ * @param {Array} a - [ids, classes, types]
+ * @param {Array} b - [ids, classes, types]
+ * @returns {number} - Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareSpecificity(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+/**
+ * Calculate specificity of a single complex selector
+ * @param {string} selector - CSS selector (no commas at top level)
+ * @returns {Array} - Specificity as [ids, classes, types]
+ */
+function calculateSpecificity(selector) {
+  const result = [0, 0, 0];
+  const str = selector.trim();
+  const legacyPseudoElements = ['before', 'after', 'first-line', 'first-letter'];
+  let i = 0;
+  
+  while (i < str.length) {
+    const ch = str[i];
+    
+    if (ch === '#') {
+      result[0]++;
+      i = skipIdentifier(str, i + 1);
+    } else if (ch === '.') {
+      result[1]++;
+      i = skipIdentifier(str, i + 1);
+    } else if (ch === '[') {
+      result[1]++;
+      const close = str.indexOf(']', i);
+      i = close === -1 ? str.length : close + 1;
+    } else if (ch === ':') {
+      const isElement = str[i + 1] === ':';
+      const nameStart = i + (isElement ? 2 : 1);
+      const nameEnd = skipIdentifier(str, nameStart);
+      const name = str.slice(nameStart, nameEnd).toLowerCase();
+      i = nameEnd;
+      
+      let args = null;
+      if (str[i] === '(') {
+        const close = findClosingParen(str, i);
+        args = str.slice(i + 1, close);
+        i = close + 1;
+      }
+      
+      if (isElement || legacyPseudoElements.includes(name)) {
+        result[2]++;
+      } else if (name === 'where') {
+        // :where() never adds specificity
+      } else if (['is', 'not', 'has', 'matches'].includes(name) && args !== null) {
+        // Takes the specificity of its most specific argument
+        const max = splitSelectorList(args)
+          .map(calculateSpecificity)
+          .reduce((best, s) => (compareSpecificity(s, best) > 0 ? s : best), [0, 0, 0]);
+        for (let k = 0; k < 3; k++) result[k] += max[k];
+      } else {
+        result[1]++;
+      }
+    } else if (/[a-zA-Z_\\]/.test(ch) || str.charCodeAt(i) > 127) {
+      result[2]++;
+      i = skipIdentifier(str, i);
+    } else {
+      // Combinators, whitespace and the universal selector
+      i++;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Get specificity of the most specific selector in a list that matches
+ * @param {Element} element - DOM element
+ * @param {string} selectorText - Selector list
+ * @param {string} pseudoElement - Pseudo-element to match ('before', 'after'), or null for the element
+ * @returns {Array|null} - Specificity, or null if nothing matches
+ */
+function getMatchingSpecificity(element, selectorText, pseudoElement = null) {
+  let best = null;
+  
+  for (const selector of splitSelectorList(selectorText)) {
+    const target = splitPseudoElement(selector);
+    if (target.pseudoElement !== pseudoElement) continue;
+    if (!matchesSelector(element, target.selector)) continue;
+    
+    const specificity = calculateSpecificity(selector);
+    if (!best || compareSpecificity(specificity, best) > 0) {
+      best = specificity;
+    }
+  }
+  
+  return best;
+}
+
+/**
+ * Split a trailing pseudo-element off a selector
+ * @param {string} selector - Complex selector, e.g. "blockquote p::before" or "a:after"
+ * @returns {Object} - { selector, pseudoElement } where selector matches the originating
+ *   element and pseudoElement is the lower-case name, or null without one
+ */
+function splitPseudoElement(selector) {
+  const match = selector.match(/(::([\w-]+)(\([^)]*\))?|:(before|after|first-line|first-letter))$/i);
+  if (!match) return { selector, pseudoElement: null };
+  
+  // A bare pseudo-element ("::before", "div ::after") applies to any element
+  const rest = selector.slice(0, match.index);
+  return {
+    selector: !rest.trim() || /\s$/.test(rest) ? `${rest}*` : rest,
+    pseudoElement: (match[2] || match[4]).toLowerCase()
+  };
+}
+
+/**
+ * Order declarations by cascade precedence (lowest first)
+ * Importance, then inline vs. stylesheet, then cascade layer,
+ * then specificity, then source order
+ * @param {Object} a - Declaration
+ * @param {Object} b - Declaration
+ * @returns {number} - Sort comparison result
+ */
+function compareDeclarations(a, b) {
+  if (a.important !== b.important) return a.important ? 1 : -1;
+  if (a.inline !== b.inline) return a.inline ? 1 : -1;
+  if (a.layer !== b.layer) {
+    // Later layers win for normal declarations, earlier layers for !important
+    const later = a.layer > b.layer ? 1 : -1;
+    return a.important ? -later : later;
+  }
+  return compareSpecificity(a.specificity, b.specificity) || a.order - b.order;
+}
+
 /**
  * Collect all CSS rules from document
  * @param {Document} document - DOM document
@@ -98,41 +505,301 @@ function collectStylesheets(document) {
 
 /**
  * Get computed styles for an element
+ * Resolves the cascade: user-agent defaults, then author and inline
+ * declarations ordered by importance, layer, specificity and source order.
+ * Rules from flattenRules() carry their layer order; raw rules count as unlayered
+ * Inherited properties start from the parent's resolved values
+ * Font sizes and inherited lengths resolve to pixels here, so descendants
+ * inherit the computed value rather than the relative one
  * @param {Element} element - DOM element
  * @param {Array} cssRules - CSS rules to apply
+ * @param {Object} parentStyles - Computed styles of the parent element
+ * @param {Object} environment - { rootFontSize, viewport } for unit resolution
+ * @param {string} pseudoElement - 'before' or 'after' to style that pseudo-element of the element,
+ *   which inherits from the element itself (pass its styles as parentStyles)
  * @returns {Object} - Computed styles
  */
-function getComputedStyles(element, cssRules = []) {
-  // Start with defaults
-  const computed = getDefaultStyles(element.tagName?.toLowerCase());
-  
-  // Apply matching CSS rules
-  for (const rule of cssRules) {
-    if (!rule.selectorText || !rule.style) continue;
-    
-    try {
-      if (matchesSelector(element, rule.selectorText)) {
-        const style = rule.style;
-        for (let i = 0; i < style.length; i++) {
-          const prop = style[i];
-          const value = style.getPropertyValue(prop);
-          if (value) {
-            computed[camelCase(prop)] = value;
-          }
-        }
+function getComputedStyles(element, cssRules = [], parentStyles = null, environment = {}, pseudoElement = null) {
+  // Start with inherited values, then defaults; pseudo-elements are anonymous inline boxes
+  const computed = pseudoElement
+    ? getAnonymousStyles(parentStyles)
+    : { ...inheritStyles(parentStyles), ...getDefaultStyles(element.tagName?.toLowerCase()) };
+  const declarations = [];
+  
+  // Collect declarations from matching CSS rules
+  cssRules.forEach((rule, order) => {
+    if (!rule.selectorText || !rule.style) return;
+    
+    const specificity = getMatchingSpecificity(element, rule.selectorText, pseudoElement);
+    if (!specificity) return;
+    
+    const style = rule.style;
+    for (let i = 0; i < style.length; i++) {
+      const prop = style[i];
+      const value = style.getPropertyValue(prop);
+      if (value) {
+        declarations.push({
+          property: toPropertyKey(prop),
+          value: prop.startsWith('--') ? value.trim() : value,
+          important: style.getPropertyPriority(prop) === 'important',
+          inline: false,
+          layer: rule.layerOrder ?? Infinity,
+          specificity,
+          order
+        });
       }
-    } catch (error) {
-      // Skip invalid selectors
+    }
+  });
+  
+  // Inline styles beat any selector of the same importance
+  const inline = pseudoElement ? [] : parseInlineDeclarations(element.getAttribute?.('style'));
+  inline.forEach((declaration, index) => {
+    declarations.push({
+      ...declaration,
+      inline: true,
+      layer: Infinity,
+      specificity: [0, 0, 0],
+      order: cssRules.length + index
+    });
+  });
+  
+  declarations.sort(compareDeclarations);
+  
+  // Custom properties first: var() in other declarations resolves against them
+  for (const declaration of declarations) {
+    if (declaration.property.startsWith('--')) {
+      computed[declaration.property] = declaration.value;
     }
   }
+  resolveCascadeKeywords(computed, parentStyles);
+  const lookup = resolveCustomProperties(computed);
   
-  // Apply inline styles (highest priority)
-  const inlineStyles = parseInlineStyle(element.getAttribute?.('style'));
-  Object.assign(computed, inlineStyles);
+  for (const declaration of declarations) {
+    if (declaration.property.startsWith('--')) continue;
+    
+    let value = declaration.value;
+    let token = null;
+    if (value.includes('var(')) {
+      const substituted = substituteVariables(value, lookup);
+      token = getVariableToken(value, lookup);
+      // Unresolvable references make the declaration behave as 'unset'
+      value = substituted === null ? 'unset' : substituted.trim();
+    }
+    
+    // Shorthands are expanded so later longhands override them and vice versa
+    const longhands = expandShorthand(declaration.property, value) || { [declaration.property]: value };
+    for (const [property, longhandValue] of Object.entries(longhands)) {
+      computed[property] = longhandValue;
+      // A declared value replaces any token inherited from the parent
+      if (token) {
+        computed.tokens[property] = token;
+      } else {
+        delete computed.tokens[property];
+      }
+    }
+  }
+  
+  resolveCascadeKeywords(computed, parentStyles);
+  resolveInheritedLengths(computed, parentStyles, environment);
   
   return computed;
 }
 
+/**
+ * Resolve font-size and inherited length properties to pixels
+ * Unitless line-heights stay numbers so children scale them by their own font size
+ * @param {Object} computed - Computed styles (modified in place)
+ * @param {Object} parentStyles - Computed styles of the parent element
+ * @param {Object} environment - { rootFontSize, viewport }
+ */
+function resolveInheritedLengths(computed, parentStyles, environment = {}) {
+  const parentFontSize = parsePixelValue(parentStyles?.fontSize || INHERITED_PROPERTIES.fontSize);
+  const fontSize = resolveFontSize(computed.fontSize, parentFontSize, environment);
+  computed.fontSize = `${roundPixels(fontSize)}px`;
+  
+  const units = { ...environment, fontSize };
+  const lineHeight = String(computed.lineHeight).trim();
+  if (lineHeight !== 'normal' && !/^[\d.]+$/.test(lineHeight)) {
+    const resolved = resolveLength(lineHeight, units, fontSize);
+    computed.lineHeight = resolved === null ? 'normal' : `${roundPixels(resolved)}px`;
+  }
+  
+  for (const property of ['letterSpacing', 'wordSpacing']) {
+    if (computed[property] === 'normal') continue;
+    const resolved = resolveLength(computed[property], units, null);
+    computed[property] = resolved === null ? 'normal' : `${roundPixels(resolved)}px`;
+  }
+  
+  // Percentages depend on the containing block, so they are kept for layout
+  if (!String(computed.textIndent).includes('%')) {
+    computed.textIndent = `${roundPixels(parsePixelValue(computed.textIndent, units))}px`;
+  }
+}
+
+/**
+ * Round a pixel value to two decimal places
+ * @param {number} value - Pixels
+ * @returns {number} - Rounded pixels
+ */
+function roundPixels(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Get the computed styles of an anonymous box, such as the text run directly in a frame
+ * Anonymous boxes inherit from their parent and take initial values for everything else
+ * @param {Object} parentStyles - Computed styles of the parent
+ * @returns {Object} - Computed styles
+ */
+function getAnonymousStyles(parentStyles) {
+  return {
+    ...getDefaultStyles(),
+    ...inheritStyles(parentStyles),
+    display: 'inline'
+  };
+}
+
+/**
+ * Get the inherited property values passed down from a parent
+ * @param {Object} parentStyles - Computed styles of the parent, or null at the root
+ * @returns {Object} - Inherited property values
+ */
+function inheritStyles(parentStyles) {
+  const inherited = { tokens: {} };
+  
+  for (const [property, initial] of Object.entries(INHERITED_PROPERTIES)) {
+    inherited[property] = parentStyles?.[property] ?? initial;
+    if (parentStyles?.tokens?.[property]) {
+      inherited.tokens[property] = parentStyles.tokens[property];
+    }
+  }
+  
+  // Custom properties always inherit
+  for (const property of Object.keys(parentStyles || {})) {
+    if (property.startsWith('--')) {
+      inherited[property] = parentStyles[property];
+    }
+  }
+  
+  return inherited;
+}
+
+/**
+ * Substitute var() references in a value
+ * @param {string} value - CSS value
+ * @param {Function} lookup - Returns a custom property's value, or null if it is missing or invalid
+ * @returns {string|null} - Substituted value, or null if a reference cannot be resolved
+ */
+function substituteVariables(value, lookup) {
+  let result = '';
+  let index = 0;
+  let start;
+  
+  while ((start = value.indexOf('var(', index)) !== -1) {
+    const close = findClosingParen(value, start + 3);
+    const args = value.slice(start + 4, close);
+    const comma = args.indexOf(',');
+    const name = (comma === -1 ? args : args.slice(0, comma)).trim();
+    
+    let replacement = lookup(name);
+    if (replacement === null && comma !== -1) {
+      // Fallback is everything after the first comma, and may hold var() itself
+      replacement = substituteVariables(args.slice(comma + 1).trim(), lookup);
+    }
+    if (replacement === null) return null;
+    
+    result += value.slice(index, start) + replacement;
+    index = close + 1;
+  }
+  
+  return result + value.slice(index);
+}
+
+/**
+ * Resolve var() references between custom properties
+ * Properties in a reference cycle, or referencing missing properties
+ * without a fallback, are removed
+ * @param {Object} computed - Computed styles (modified in place)
+ * @returns {Function} - Lookup returning a custom property's value, or null
+ */
+function resolveCustomProperties(computed) {
+  const resolved = new Map();
+  const resolving = new Set();
+  
+  const lookup = (name) => {
+    if (resolved.has(name)) return resolved.get(name);
+    if (!(name in computed)) return null;
+    
+    const raw = computed[name];
+    if (!raw.includes('var(')) return raw;
+    
+    // Reference cycles make every property in the cycle invalid
+    if (resolving.has(name)) return null;
+    resolving.add(name);
+    const value = substituteVariables(raw, lookup);
+    resolving.delete(name);
+    
+    resolved.set(name, value);
+    return value;
+  };
+  
+  for (const property of Object.keys(computed)) {
+    if (!property.startsWith('--')) continue;
+    
+    const value = lookup(property);
+    if (value === null) {
+      delete computed[property];
+    } else {
+      computed[property] = value;
+    }
+  }
+  
+  return lookup;
+}
+
+/**
+ * Get the custom property a value refers to when it is a single var()
+ * @param {string} value - CSS value, e.g. "var(--color-primary)"
+ * @param {Function} lookup - Custom property lookup
+ * @returns {string|null} - Custom property name, or null
+ */
+function getVariableToken(value, lookup) {
+  const match = value.trim().match(/^var\(\s*(--[^,\s)]+)\s*(?:,[\s\S]*)?\)$/);
+  if (!match || lookup(match[1]) === null) return null;
+  return match[1];
+}
+
+/**
+ * Replace inherit, initial and unset keywords with concrete values
+ * @param {Object} computed - Computed styles (modified in place)
+ * @param {Object} parentStyles - Computed styles of the parent, or null at the root
+ */
+function resolveCascadeKeywords(computed, parentStyles) {
+  const initialStyles = getDefaultStyles();
+  
+  for (const [property, value] of Object.entries(computed)) {
+    if (typeof value !== 'string') continue;
+    
+    let keyword = value.trim().toLowerCase();
+    if (keyword === 'unset') {
+      keyword = property in INHERITED_PROPERTIES ? 'inherit' : 'initial';
+    }
+    
+    const initial = INHERITED_PROPERTIES[property] ?? initialStyles[property] ?? LONGHAND_INITIAL_VALUES[property];
+    if (keyword === 'inherit') {
+      computed[property] = parentStyles?.[property] ?? initial;
+    } else if (keyword === 'initial') {
+      computed[property] = initial;
+    } else {
+      continue;
+    }
+    
+    if (computed[property] === undefined) {
+      delete computed[property];
+    }
+  }
+}
+
 /**
  * Get default styles for an element type
  * @param {string} tagName - HTML tag name
@@ -146,30 +813,66 @@ function getDefaultStyles(tagName) {
     padding: '0',
     border: 'none',
     background: 'transparent',
-    color: 'inherit',
-    fontSize: '16px',
-    fontFamily: 'inherit',
-    fontWeight: 'normal',
-    lineHeight: 'normal',
-    textAlign: 'left',
     width: 'auto',
-    height: 'auto'
+    height: 'auto',
+    borderRadius: '0'
   };
   
   // Inline elements
-  const inlineTags = ['span', 'a', 'strong', 'em', 'b', 'i', 'label'];
+  const inlineTags = [
+    'span', 'a', 'strong', 'em', 'b', 'i', 'label', 'code', 'small', 'sub', 'sup', 'abbr',
+    'cite', 'mark', 'q', 's', 'u', 'del', 'ins', 'time', 'kbd', 'samp', 'var', 'dfn', 'bdi',
+    'bdo', 'data', 'br', 'wbr', 'img', 'svg', 'video', 'canvas', 'iframe', 'picture'
+  ];
   if (inlineTags.includes(tagName)) {
     defaults.display = 'inline';
   }
+
+  // Form controls flow inline but size like blocks
+  const inlineBlockTags = ['button', 'input', 'select', 'textarea', 'meter', 'progress'];
+  if (inlineBlockTags.includes(tagName)) {
+    defaults.display = 'inline-block';
+  }
+
+  // Subscripts and superscripts
+  if (tagName === 'sub' || tagName === 'sup') {
+    defaults.verticalAlign = tagName === 'sub' ? 'sub' : 'super';
+    defaults.fontSize = 'smaller';
+  }
+
+  // Text-level semantics
+  const phrasingDefaults = {
+    b: { fontWeight: 'bold' },
+    strong: { fontWeight: 'bold' },
+    i: { fontStyle: 'italic' },
+    em: { fontStyle: 'italic' },
+    cite: { fontStyle: 'italic' },
+    var: { fontStyle: 'italic' },
+    dfn: { fontStyle: 'italic' },
+    u: { textDecoration: 'underline' },
+    ins: { textDecoration: 'underline' },
+    s: { textDecoration: 'line-through' },
+    del: { textDecoration: 'line-through' },
+    a: { color: '#0000ee', textDecoration: 'underline' },
+    code: { fontFamily: 'monospace' },
+    kbd: { fontFamily: 'monospace' },
+    samp: { fontFamily: 'monospace' },
+    mark: { background: 'yellow', color: 'black' },
+    small: { fontSize: 'smaller' }
+  };
+  
+  if (phrasingDefaults[tagName]) {
+    Object.assign(defaults, phrasingDefaults[tagName]);
+  }
   
   // Headings
   const headingDefaults = {
-    h1: { fontSize: '32px', fontWeight: 'bold', margin: '0.67em 0' },
-    h2: { fontSize: '24px', fontWeight: 'bold', margin: '0.83em 0' },
-    h3: { fontSize: '18.72px', fontWeight: 'bold', margin: '1em 0' },
-    h4: { fontSize: '16px', fontWeight: 'bold', margin: '1.33em 0' },
-    h5: { fontSize: '13.28px', fontWeight: 'bold', margin: '1.67em 0' },
-    h6: { fontSize: '10.72px', fontWeight: 'bold', margin: '2.33em 0' }
+    h1: { fontSize: '2em', fontWeight: 'bold', margin: '0.67em 0' },
+    h2: { fontSize: '1.5em', fontWeight: 'bold', margin: '0.83em 0' },
+    h3: { fontSize: '1.17em', fontWeight: 'bold', margin: '1em 0' },
+    h4: { fontSize: '1em', fontWeight: 'bold', margin: '1.33em 0' },
+    h5: { fontSize: '0.83em', fontWeight: 'bold', margin: '1.67em 0' },
+    h6: { fontSize: '0.67em', fontWeight: 'bold', margin: '2.33em 0' }
   };
   
   if (headingDefaults[tagName]) {
@@ -185,10 +888,9 @@ function getDefaultStyles(tagName) {
   if (tagName === 'body') {
     defaults.margin = '8px';
     defaults.background = 'rgb(255, 255, 255)';
-    defaults.color = 'rgb(0, 0, 0)';
   }
   
-  return defaults;
+  return expandStyleObject(defaults);
 }
 
 /**
@@ -201,7 +903,7 @@ function parseSpacing(value) {
     return { top: 0, right: 0, bottom: 0, left: 0 };
   }
   
-  const parts = value.split(/\s+/).map(parsePixelValue);
+  const parts = splitValue(value).map(part => parsePixelValue(part));
   
   switch (parts.length) {
     case 1:
@@ -219,37 +921,22 @@ function parseSpacing(value) {
 
 /**
  * Parse pixel value from CSS value
+ * Without a unit context, font-relative units assume a 16px font and
+ * percentages resolve to 0
  * @param {string} value - CSS value
+ * @param {Object} units - Unit context (see resolveLength)
+ * @param {number} percentBase - What 100% resolves to
  * @returns {number} - Pixel value
  */
-function parsePixelValue(value) {
+function parsePixelValue(value, units = {}, percentBase = 0) {
   if (!value) return 0;
   if (typeof value === 'number') return value;
   
-  const str = String(value).trim();
+  const resolved = resolveLength(value, units, percentBase);
+  if (resolved !== null) return resolved;
   
-  // Handle pixel values
-  if (str.endsWith('px')) {
-    return parseFloat(str);
-  }
-  
-  // Handle em values (approximate)
-  if (str.endsWith('em')) {
-    return parseFloat(str) * 16;
-  }
-  
-  // Handle rem values
-  if (str.endsWith('rem')) {
-    return parseFloat(str) * 16;
-  }
-  
-  // Handle percentages (return 0 for simplicity)
-  if (str.endsWith('%')) {
-    return 0;
-  }
-  
-  // Try parsing as number
-  const num = parseFloat(str);
+  // Fall back to a leading number (e.g. "12px solid")
+  const num = parseFloat(value);
   return isNaN(num) ? 0 : num;
 }
 
@@ -277,16 +964,676 @@ function parseBorder(value) {
   return result;
 }
 
+/**
+ * Box sides in shorthand order
+ */
+const SIDES = ['Top', 'Right', 'Bottom', 'Left'];
+
+/**
+ * Corners in border-radius order
+ */
+const CORNERS = ['TopLeft', 'TopRight', 'BottomRight', 'BottomLeft'];
+
+/**
+ * Border width keywords
+ */
+const BORDER_WIDTH_KEYWORDS = { thin: '1px', medium: '3px', thick: '5px' };
+
+/**
+ * Border style keywords
+ */
+const BORDER_STYLES = ['none', 'hidden', 'dotted', 'dashed', 'solid', 'double', 'groove', 'ridge', 'inset', 'outset'];
+
+/**
+ * Longhands set by each supported shorthand, with their initial values
+ */
+const SHORTHANDS = {
+  margin: Object.fromEntries(SIDES.map(side => [`margin${side}`, '0'])),
+  padding: Object.fromEntries(SIDES.map(side => [`padding${side}`, '0'])),
+  inset: Object.fromEntries(SIDES.map(side => [side.toLowerCase(), 'auto'])),
+  borderWidth: Object.fromEntries(SIDES.map(side => [`border${side}Width`, 'medium'])),
+  borderStyle: Object.fromEntries(SIDES.map(side => [`border${side}Style`, 'none'])),
+  borderColor: Object.fromEntries(SIDES.map(side => [`border${side}Color`, 'currentcolor'])),
+  borderRadius: Object.fromEntries(CORNERS.map(corner => [`border${corner}Radius`, '0'])),
+  ...Object.fromEntries(SIDES.map(side => [`border${side}`, {
+    [`border${side}Width`]: 'medium',
+    [`border${side}Style`]: 'none',
+    [`border${side}Color`]: 'currentcolor'
+  }])),
+  border: Object.fromEntries(SIDES.flatMap(side => [
+    [`border${side}Width`, 'medium'],
+    [`border${side}Style`, 'none'],
+    [`border${side}Color`, 'currentcolor']
+  ])),
+  background: {
+    backgroundColor: 'transparent',
+    backgroundImage: 'none',
+    backgroundPosition: '0% 0%',
+    backgroundSize: 'auto',
+    backgroundRepeat: 'repeat',
+    backgroundAttachment: 'scroll',
+    backgroundOrigin: 'padding-box',
+    backgroundClip: 'border-box'
+  },
+  font: {
+    fontStyle: 'normal',
+    fontVariant: 'normal',
+    fontWeight: 'normal',
+    fontStretch: 'normal',
+    fontSize: '16px',
+    lineHeight: 'normal',
+    fontFamily: INHERITED_PROPERTIES.fontFamily
+  },
+  flex: { flexGrow: '0', flexShrink: '1', flexBasis: 'auto' },
+  flexFlow: { flexDirection: 'row', flexWrap: 'nowrap' },
+  gap: { rowGap: 'normal', columnGap: 'normal' },
+  gridGap: { rowGap: 'normal', columnGap: 'normal' },
+  gridRowGap: { rowGap: 'normal' },
+  gridColumnGap: { columnGap: 'normal' },
+  gridTemplate: { gridTemplateRows: 'none', gridTemplateColumns: 'none', gridTemplateAreas: 'none' },
+  grid: {
+    gridTemplateRows: 'none',
+    gridTemplateColumns: 'none',
+    gridTemplateAreas: 'none',
+    gridAutoRows: 'auto',
+    gridAutoColumns: 'auto',
+    gridAutoFlow: 'row'
+  },
+  gridRow: { gridRowStart: 'auto', gridRowEnd: 'auto' },
+  gridColumn: { gridColumnStart: 'auto', gridColumnEnd: 'auto' },
+  gridArea: { gridRowStart: 'auto', gridColumnStart: 'auto', gridRowEnd: 'auto', gridColumnEnd: 'auto' },
+  placeContent: { alignContent: 'normal', justifyContent: 'normal' },
+  placeItems: { alignItems: 'normal', justifyItems: 'legacy' },
+  placeSelf: { alignSelf: 'auto', justifySelf: 'auto' },
+  overflow: { overflowX: 'visible', overflowY: 'visible' },
+  textDecoration: {
+    textDecorationLine: 'none',
+    textDecorationStyle: 'solid',
+    textDecorationColor: 'currentcolor',
+    textDecorationThickness: 'auto'
+  }
+};
+
+/**
+ * Initial values of every longhand covered by SHORTHANDS
+ */
+const LONGHAND_INITIAL_VALUES = Object.assign({}, ...Object.values(SHORTHANDS));
+
+/**
+ * Split a value on top-level whitespace, keeping functions like calc() whole
+ * @param {string} value - CSS value
+ * @returns {Array} - Component values
+ */
+function splitValue(value) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  
+  for (const ch of String(value).trim()) {
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (/\s/.test(ch) && depth === 0) {
+      if (current) parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  
+  if (current) parts.push(current);
+  return parts;
+}
+
+/**
+ * Expand 1-4 box values to [top, right, bottom, left]
+ * @param {Array} parts - Component values
+ * @returns {Array} - Four values
+ */
+function expandBoxValues(parts) {
+  const [top, right = top, bottom = top, left = right] = parts;
+  return [top, right, bottom, left];
+}
+
+/**
+ * Check if a component value is a length, percentage or number
+ * @param {string} part - Component value
+ * @returns {boolean} - True if numeric
+ */
+function isLengthLike(part) {
+  return /^[-+]?(\d|\.\d)/.test(part) || /^(calc|min|max|clamp|var)\(/i.test(part);
+}
+
+/**
+ * Expand a shorthand declaration into longhands
+ * @param {string} property - camelCase property name
+ * @param {string} value - CSS value
+ * @returns {Object|null} - Longhand values, or null if not a supported shorthand
+ */
+function expandShorthand(property, value) {
+  const longhands = SHORTHANDS[property];
+  if (!longhands) return null;
+  
+  const str = String(value).trim();
+  
+  // CSS-wide keywords apply to every longhand
+  if (['inherit', 'initial', 'unset', 'revert'].includes(str.toLowerCase())) {
+    const keyword = str.toLowerCase() === 'revert' ? 'unset' : str.toLowerCase();
+    return Object.fromEntries(Object.keys(longhands).map(longhand => [longhand, keyword]));
+  }
+  
+  const parts = splitValue(str);
+  
+  switch (property) {
+    case 'margin':
+    case 'padding':
+    case 'inset':
+    case 'borderWidth':
+    case 'borderStyle':
+    case 'borderColor': {
+      const values = expandBoxValues(parts);
+      return Object.fromEntries(Object.keys(longhands).map((longhand, i) => [longhand, values[i]]));
+    }
+    
+    case 'borderRadius':
+      return expandBorderRadius(str);
+    
+    case 'border':
+    case 'borderTop':
+    case 'borderRight':
+    case 'borderBottom':
+    case 'borderLeft': {
+      const side = parseBorderSide(str);
+      const result = {};
+      for (const longhand of Object.keys(longhands)) {
+        if (longhand.endsWith('Width')) result[longhand] = side.width;
+        if (longhand.endsWith('Style')) result[longhand] = side.style;
+        if (longhand.endsWith('Color')) result[longhand] = side.color;
+      }
+      return result;
+    }
+    
+    case 'background':
+      return expandBackground(str);
+    
+    case 'font':
+      return expandFont(str);
+    
+    case 'flex':
+      return expandFlex(parts);
+    
+    case 'flexFlow': {
+      const result = { ...longhands };
+      for (const part of parts) {
+        if (/^(row|column)(-reverse)?$/.test(part)) result.flexDirection = part;
+        else result.flexWrap = part;
+      }
+      return result;
+    }
+    
+    case 'gap':
+    case 'gridGap':
+    case 'overflow':
+    case 'placeContent':
+    case 'placeItems':
+    case 'placeSelf': {
+      const [first, second = first] = parts;
+      const [a, b] = Object.keys(longhands);
+      return { [a]: first, [b]: second };
+    }
+    
+    case 'gridRowGap':
+    case 'gridColumnGap':
+      return { [Object.keys(longhands)[0]]: str };
+    
+    case 'gridRow':
+    case 'gridColumn':
+    case 'gridArea':
+      return expandGridPlacement(property, str);
+    
+    case 'gridTemplate':
+      return expandGridTemplate(str);
+    
+    case 'grid':
+      return expandGrid(str);
+    
+    case 'textDecoration': {
+      const result = { ...longhands };
+      const lines = [];
+      for (const part of parts) {
+        if (['none', 'underline', 'overline', 'line-through', 'blink'].includes(part)) lines.push(part);
+        else if (['solid', 'double', 'dotted', 'dashed', 'wavy'].includes(part)) result.textDecorationStyle = part;
+        else if (isLengthLike(part) || part === 'auto' || part === 'from-font') result.textDecorationThickness = part;
+        else result.textDecorationColor = part;
+      }
+      if (lines.length > 0) result.textDecorationLine = lines.join(' ');
+      return result;
+    }
+    
+    default:
+      return null;
+  }
+}
+
+/**
+ * Expand every shorthand in a style object
+ * @param {Object} styles - Style object that may contain shorthands
+ * @returns {Object} - Style object with only longhands
+ */
+function expandStyleObject(styles) {
+  const expanded = {};
+  for (const [property, value] of Object.entries(styles)) {
+    Object.assign(expanded, expandShorthand(property, value) || { [property]: value });
+  }
+  return expanded;
+}
+
+/**
+ * Parse one border side shorthand (width style color, any order)
+ * @param {string} value - e.g. "1px solid #ccc"
+ * @returns {Object} - Raw { width, style, color } values
+ */
+function parseBorderSide(value) {
+  const result = { width: 'medium', style: 'none', color: 'currentcolor' };
+  
+  for (const part of splitValue(value)) {
+    const lower = part.toLowerCase();
+    if (BORDER_STYLES.includes(lower)) {
+      result.style = lower;
+    } else if (isLengthLike(part) || lower in BORDER_WIDTH_KEYWORDS) {
+      result.width = part;
+    } else {
+      result.color = part;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Expand border-radius, including elliptical "h / v" radii
+ * @param {string} value - CSS border-radius value
+ * @returns {Object} - Per-corner longhands
+ */
+function expandBorderRadius(value) {
+  const [horizontal, vertical] = value.split('/').map(part => expandBoxValues(splitValue(part)));
+  const result = {};
+  
+  CORNERS.forEach((corner, i) => {
+    const h = horizontal[i] ?? '0';
+    const v = vertical?.[i];
+    result[`border${corner}Radius`] = v && v !== h ? `${h} ${v}` : h;
+  });
+  
+  return result;
+}
+
+/**
+ * Expand the background shorthand, including multiple layers
+ * @param {string} value - CSS background value
+ * @returns {Object} - Background longhands (layered values comma-separated)
+ */
+function expandBackground(value) {
+  const layers = splitSelectorList(value).map(parseBackgroundLayer);
+  const result = { ...SHORTHANDS.background };
+  
+  for (const key of ['backgroundImage', 'backgroundPosition', 'backgroundSize', 'backgroundRepeat',
+                     'backgroundAttachment', 'backgroundOrigin', 'backgroundClip']) {
+    result[key] = layers.map(layer => layer[key]).join(', ');
+  }
+  
+  // Only the final layer may carry a color
+  const color = layers[layers.length - 1]?.backgroundColor;
+  if (color) result.backgroundColor = color;
+  
+  return result;
+}
+
+/**
+ * Parse one background layer
+ * @param {string} layer - Single layer of the background shorthand
+ * @returns {Object} - Longhand values for the layer
+ */
+function parseBackgroundLayer(layer) {
+  const result = {
+    backgroundImage: 'none',
+    backgroundPosition: '0% 0%',
+    backgroundSize: 'auto',
+    backgroundRepeat: 'repeat',
+    backgroundAttachment: 'scroll',
+    backgroundOrigin: 'padding-box',
+    backgroundClip: 'border-box',
+    backgroundColor: null
+  };
+  
+  const position = [];
+  const size = [];
+  const repeat = [];
+  const boxes = [];
+  let afterSlash = false;
+  
+  // "center/cover" is written without spaces around the slash
+  const parts = splitValue(layer).flatMap(part =>
+    part.includes('/') && !part.includes('(') ? part.split(/(\/)/).filter(Boolean) : [part]
+  );
+  
+  for (const part of parts) {
+    const lower = part.toLowerCase();
+    
+    if (part === '/') {
+      afterSlash = true;
+    } else if (/^(url|image|image-set|cross-fade|element|(repeating-)?(linear|radial|conic)-gradient)\(/i.test(part) || lower === 'none') {
+      result.backgroundImage = part;
+    } else if (['repeat', 'repeat-x', 'repeat-y', 'no-repeat', 'space', 'round'].includes(lower)) {
+      repeat.push(lower);
+    } else if (['scroll', 'fixed', 'local'].includes(lower)) {
+      result.backgroundAttachment = lower;
+    } else if (['border-box', 'padding-box', 'content-box', 'text'].includes(lower)) {
+      boxes.push(lower);
+    } else if (afterSlash && (isLengthLike(part) || ['auto', 'cover', 'contain'].includes(lower))) {
+      size.push(part);
+    } else if (isLengthLike(part) || ['left', 'right', 'top', 'bottom', 'center'].includes(lower)) {
+      position.push(part);
+    } else {
+      result.backgroundColor = part;
+    }
+  }
+  
+  if (position.length > 0) result.backgroundPosition = position.join(' ');
+  if (size.length > 0) result.backgroundSize = size.join(' ');
+  if (repeat.length > 0) result.backgroundRepeat = repeat.join(' ');
+  if (boxes.length > 0) {
+    result.backgroundOrigin = boxes[0];
+    result.backgroundClip = boxes[1] || boxes[0];
+  }
+  
+  return result;
+}
+
+/**
+ * Expand the font shorthand
+ * @param {string} value - e.g. "italic bold 16px/1.5 Inter, sans-serif"
+ * @returns {Object} - Font longhands (empty for system font keywords)
+ */
+function expandFont(value) {
+  const match = value.match(
+    /^((?:(?:normal|italic|oblique|small-caps|bold|bolder|lighter|\d{3}|(?:ultra-|extra-|semi-)?(?:condensed|expanded))\s+)*)([^\s/]+)(?:\s*\/\s*([^\s]+))?\s+(.+)$/i
+  );
+  if (!match) return {};
+  
+  const result = { ...SHORTHANDS.font };
+  const [, prefix, size, lineHeight, family] = match;
+  
+  for (const part of splitValue(prefix)) {
+    const lower = part.toLowerCase();
+    if (lower === 'italic' || lower === 'oblique') result.fontStyle = lower;
+    else if (lower === 'small-caps') result.fontVariant = lower;
+    else if (['bold', 'bolder', 'lighter'].includes(lower) || /^\d{3}$/.test(lower)) result.fontWeight = lower;
+    else if (lower !== 'normal') result.fontStretch = lower;
+  }
+  
+  result.fontSize = size;
+  if (lineHeight) result.lineHeight = lineHeight;
+  result.fontFamily = family.trim();
+  
+  return result;
+}
+
+/**
+ * Expand the flex shorthand
+ * @param {Array} parts - Component values
+ * @returns {Object} - flex-grow, flex-shrink and flex-basis
+ */
+function expandFlex(parts) {
+  const keyword = parts.join(' ').toLowerCase();
+  if (keyword === 'none') return { flexGrow: '0', flexShrink: '0', flexBasis: 'auto' };
+  if (keyword === 'auto') return { flexGrow: '1', flexShrink: '1', flexBasis: 'auto' };
+  
+  // A bare number means flex: <n> 1 0%
+  const result = { flexGrow: '1', flexShrink: '1', flexBasis: '0%' };
+  const numbers = [];
+  
+  for (const part of parts) {
+    if (/^[-+]?(\d*\.)?\d+$/.test(part)) {
+      numbers.push(part);
+    } else {
+      result.flexBasis = part;
+    }
+  }
+  
+  if (numbers[0] !== undefined) result.flexGrow = numbers[0];
+  if (numbers[1] !== undefined) result.flexShrink = numbers[1];
+  
+  return result;
+}
+
+/**
+ * Split a value on top-level slashes
+ * @param {string} value - CSS value
+ * @returns {Array} - Trimmed parts
+ */
+function splitOnSlash(value) {
+  const parts = [''];
+  let depth = 0;
+  
+  for (const ch of String(value)) {
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (ch === '/' && depth === 0) {
+      parts.push('');
+    } else {
+      parts[parts.length - 1] += ch;
+    }
+  }
+  
+  return parts.map(part => part.trim());
+}
+
+/**
+ * Expand grid-row, grid-column or grid-area
+ * A missing end line copies a named start line, otherwise it is auto
+ * @param {string} property - 'gridRow', 'gridColumn' or 'gridArea'
+ * @param {string} value - e.g. "1 / span 2", "header"
+ * @returns {Object} - Grid line longhands
+ */
+function expandGridPlacement(property, value) {
+  const parts = splitOnSlash(value);
+  const isName = part => /^-?[a-z_][\w-]*$/i.test(part) && !/^(auto|span)$/i.test(part);
+  const fallback = part => (part && isName(part) ? part : 'auto');
+  
+  if (property === 'gridArea') {
+    const [rowStart = 'auto', columnStart = fallback(rowStart), rowEnd = fallback(rowStart), columnEnd = fallback(columnStart)] = parts;
+    return { gridRowStart: rowStart, gridColumnStart: columnStart, gridRowEnd: rowEnd, gridColumnEnd: columnEnd };
+  }
+  
+  const [start = 'auto', end = fallback(start)] = parts;
+  const [startKey, endKey] = Object.keys(SHORTHANDS[property]);
+  return { [startKey]: start, [endKey]: end };
+}
+
+/**
+ * Expand the grid-template shorthand
+ * @param {string} value - "none", "<rows> / <columns>" or rows interleaved with area strings
+ * @returns {Object} - grid-template-rows, grid-template-columns and grid-template-areas
+ */
+function expandGridTemplate(value) {
+  const result = { ...SHORTHANDS.gridTemplate };
+  if (value.toLowerCase() === 'none') return result;
+  
+  const [rows, columns] = splitOnSlash(value);
+  if (columns !== undefined) result.gridTemplateColumns = columns;
+  
+  // Area strings each start a row; a size may follow each string
+  const strings = rows.match(/"[^"]*"|'[^']*'/g);
+  if (!strings) {
+    result.gridTemplateRows = rows;
+    return result;
+  }
+  
+  const rowSizes = [];
+  let pendingNames = '';
+  let rest = rows;
+  for (const string of strings) {
+    const index = rest.indexOf(string);
+    const before = rest.slice(0, index).trim();
+    rest = rest.slice(index + string.length);
+    
+    // Whatever sits between two strings is the previous row's size and line names
+    if (rowSizes.length > 0 && before) {
+      const tokens = splitValue(before);
+      const sizeIndex = tokens.findIndex(token => !token.startsWith('['));
+      if (sizeIndex !== -1) {
+        rowSizes[rowSizes.length - 1] = tokens.splice(sizeIndex, 1)[0];
+      }
+      rowSizes[rowSizes.length - 1] += tokens.length > 0 ? ` ${tokens.join(' ')}` : '';
+    } else if (before) {
+      pendingNames = before;
+    }
+    rowSizes.push('auto');
+  }
+  if (rest.trim()) {
+    rowSizes[rowSizes.length - 1] = rest.trim();
+  }
+  
+  result.gridTemplateAreas = strings.join(' ');
+  result.gridTemplateRows = [pendingNames, ...rowSizes].filter(Boolean).join(' ');
+  return result;
+}
+
+/**
+ * Expand the grid shorthand
+ * @param {string} value - A grid-template value, or an auto-flow form such as "auto-flow 40px / 1fr 1fr"
+ * @returns {Object} - Grid longhands
+ */
+function expandGrid(value) {
+  const result = { ...SHORTHANDS.grid };
+  const [first, second] = splitOnSlash(value);
+  const autoFlow = part => /(^|\s)auto-flow(\s|$)/i.test(part || '');
+  const dense = part => /(^|\s)dense(\s|$)/i.test(part);
+  const sizes = part => part.replace(/\b(auto-flow|dense)\b/gi, '').trim();
+  
+  if (autoFlow(first)) {
+    result.gridAutoFlow = dense(first) ? 'row dense' : 'row';
+    result.gridAutoRows = sizes(first) || 'auto';
+    result.gridTemplateColumns = second ?? 'none';
+  } else if (autoFlow(second)) {
+    result.gridAutoFlow = dense(second) ? 'column dense' : 'column';
+    result.gridAutoColumns = sizes(second) || 'auto';
+    result.gridTemplateRows = first;
+  } else {
+    Object.assign(result, expandGridTemplate(value));
+  }
+  
+  return result;
+}
+
+/**
+ * Get resolved per-side spacing from longhands (or the shorthand)
+ * Percentages on every side refer to the containing block's width
+ * @param {Object} styles - Computed styles
+ * @param {string} property - 'margin' or 'padding'
+ * @param {Object} units - Unit context (see resolveLength)
+ * @returns {Object} - { top, right, bottom, left } in pixels
+ */
+function getBoxSpacing(styles, property, units = {}) {
+  const fallback = parseSpacing(styles[property]);
+  const percentBase = units.containingBlock?.width ?? 0;
+  const result = {};
+  
+  for (const side of SIDES) {
+    const value = styles[`${property}${side}`];
+    result[side.toLowerCase()] = value === undefined
+      ? fallback[side.toLowerCase()]
+      : parsePixelValue(value, units, percentBase);
+  }
+  
+  return result;
+}
+
+/**
+ * Get resolved per-side borders from longhands (or the shorthand)
+ * Sides with style none or hidden have zero width
+ * @param {Object} styles - Computed styles
+ * @param {Object} units - Unit context (see resolveLength)
+ * @returns {Object} - { top, right, bottom, left } of { width, style, color }
+ */
+function getBorderSides(styles, units = {}) {
+  const fallback = parseBorderSide(styles.border || 'none');
+  const result = {};
+  
+  for (const side of SIDES) {
+    const style = (styles[`border${side}Style`] ?? fallback.style).toLowerCase();
+    const rawWidth = styles[`border${side}Width`] ?? fallback.width;
+    let color = styles[`border${side}Color`] ?? fallback.color;
+    if (color.toLowerCase() === 'currentcolor') {
+      color = styles.color || INHERITED_PROPERTIES.color;
+    }
+    
+    result[side.toLowerCase()] = {
+      width: style === 'none' || style === 'hidden'
+        ? 0
+        : parsePixelValue(BORDER_WIDTH_KEYWORDS[rawWidth] || rawWidth, units),
+      style,
+      color
+    };
+  }
+  
+  return result;
+}
+
+/**
+ * Get resolved per-corner radii from longhands (or the shorthand)
+ * Elliptical corners report their horizontal radius
+ * @param {Object} styles - Computed styles
+ * @param {Object} units - Unit context (see resolveLength)
+ * @param {number} boxWidth - Border-box width that percentages refer to
+ * @returns {Object} - { topLeft, topRight, bottomRight, bottomLeft } in pixels
+ */
+function getCornerRadii(styles, units = {}, boxWidth = 0) {
+  const fallback = expandBorderRadius(styles.borderRadius || '0');
+  const result = {};
+  
+  for (const corner of CORNERS) {
+    const key = `border${corner}Radius`;
+    const name = corner[0].toLowerCase() + corner.slice(1);
+    const horizontal = splitValue(String(styles[key] ?? fallback[key]))[0];
+    result[name] = parsePixelValue(horizontal, units, boxWidth);
+  }
+  
+  return result;
+}
+
 module.exports = {
+  INHERITED_PROPERTIES,
+  CSSLayerBlockRule,
+  CSSLayerStatementRule,
   parseCSS,
   parseInlineStyle,
+  parseInlineDeclarations,
+  toPropertyKey,
   camelCase,
   kebabCase,
   matchesSelector,
+  splitSelectorList,
+  splitPseudoElement,
+  findClosingParen,
+  calculateSpecificity,
+  compareSpecificity,
+  getMatchingSpecificity,
   collectStylesheets,
   getComputedStyles,
+  inheritStyles,
+  getAnonymousStyles,
+  substituteVariables,
   getDefaultStyles,
   parseSpacing,
   parsePixelValue,
-  parseBorder
+  parseBorder,
+  splitValue,
+  splitOnSlash,
+  expandShorthand,
+  expandStyleObject,
+  parseBackgroundLayer,
+  getBoxSpacing,
+  getBorderSides,
+  getCornerRadii
 };
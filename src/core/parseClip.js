@@ -0,0 +1,245 @@
+/**
+ * parseClip.js - Clipping and Masking Parser
+ * Turns overflow, clip-path shapes and mask images into the clip and mask
+ * a frame applies to its content
+ */
+
+const { splitSelectorList, splitValue, parseBackgroundLayer } = require('./parseCSS');
+const { resolveLength } = require('./resolveUnits');
+const { buildFills, orderPosition, POSITION_KEYWORDS } = require('./parseFills');
+
+/**
+ * overflow values that clip the content
+ */
+const CLIPPING_OVERFLOW = ['hidden', 'clip', 'scroll', 'auto'];
+
+/**
+ * Get the overflow of an element on each axis
+ * @param {Object} computed - Computed styles
+ * @returns {Object} - { x, y, clips } where clips is true when either axis clips
+ */
+function getOverflow(computed) {
+  const x = String(computed.overflowX || computed.overflow || 'visible').trim().toLowerCase();
+  const y = String(computed.overflowY || computed.overflow || 'visible').trim().toLowerCase();
+  return { x, y, clips: CLIPPING_OVERFLOW.includes(x) || CLIPPING_OVERFLOW.includes(y) };
+}
+
+/**
+ * Build the clip shape of clip-path
+ * Coordinates are in pixels relative to the border box's top-left corner
+ * @param {string} value - CSS clip-path, e.g. "inset(10px round 8px)", "circle(50%)",
+ *   "polygon(50% 0, 100% 100%, 0 100%)"
+ * @param {Object} box - Border box { w, h }
+ * @param {Object} units - Unit context
+ * @returns {Object|null} - { type: 'inset', top, right, bottom, left, radius },
+ *   { type: 'circle', cx, cy, r }, { type: 'ellipse', cx, cy, rx, ry },
+ *   { type: 'polygon', fillRule, points: [{ x, y }] }, { type: 'path', fillRule, d }
+ *   or { type: 'url', url }; null for none and unsupported values
+ */
+function buildClipPath(value, box, units = {}) {
+  const str = String(value || 'none').trim();
+  const match = str.match(/([a-z-]+)\((.*)\)/is);
+  if (!match) return null;
+
+  const name = match[1].toLowerCase();
+  const body = match[2].trim();
+  const size = { w: box?.w || 0, h: box?.h || 0 };
+
+  switch (name) {
+    case 'inset':
+      return parseInset(body, size, units);
+    case 'circle':
+    case 'ellipse':
+      return parseEllipse(name, body, size, units);
+    case 'polygon':
+      return parsePolygon(body, size, units);
+    case 'path': {
+      const [first, second] = splitSelectorList(body);
+      const hasRule = second !== undefined;
+      return { type: 'path', fillRule: hasRule ? first.trim().toLowerCase() : 'nonzero', d: unquote(hasRule ? second : first) };
+    }
+    case 'url':
+      return { type: 'url', url: unquote(body) };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build the mask of an element from mask-image (or -webkit-mask-image)
+ * Each layer is a fill as in style.fills: images and gradients whose alpha
+ * (or luminance) masks the element
+ * @param {Object} computed - Computed styles
+ * @param {Object} options - { colorFormat, units, box }
+ * @returns {Object|null} - { mode, layers }, or null without a mask image
+ */
+function buildMask(computed, options = {}) {
+  const layers = getMaskLayers(computed);
+  if (!layers) return null;
+
+  const fills = buildFills({ ...layers, color: computed.color }, options);
+  if (fills.length === 0) return null;
+
+  const mode = String(computed.maskMode || 'match-source').trim().toLowerCase();
+  return { mode: mode === 'luminance' ? 'luminance' : 'alpha', layers: fills };
+}
+
+/**
+ * Collect mask layers as background longhands so they can be read like backgrounds
+ * @param {Object} computed - Computed styles
+ * @returns {Object|null} - { backgroundImage, backgroundSize, backgroundPosition, backgroundRepeat }
+ */
+function getMaskLayers(computed) {
+  const image = computed.maskImage || computed.WebkitMaskImage;
+  if (image && image !== 'none') {
+    return {
+      backgroundImage: image,
+      backgroundSize: computed.maskSize || computed.WebkitMaskSize || 'auto',
+      backgroundPosition: computed.maskPosition || computed.WebkitMaskPosition || '0% 0%',
+      backgroundRepeat: computed.maskRepeat || computed.WebkitMaskRepeat || 'repeat'
+    };
+  }
+
+  // The mask shorthand reads like the background shorthand
+  const shorthand = computed.mask || computed.WebkitMask;
+  if (!shorthand || shorthand === 'none') return null;
+
+  const parsed = splitSelectorList(shorthand).map(parseBackgroundLayer);
+  if (parsed.every(layer => layer.backgroundImage === 'none')) return null;
+
+  const join = property => parsed.map(layer => layer[property]).join(', ');
+  return {
+    backgroundImage: join('backgroundImage'),
+    backgroundSize: join('backgroundSize'),
+    backgroundPosition: join('backgroundPosition'),
+    backgroundRepeat: join('backgroundRepeat')
+  };
+}
+
+/**
+ * Parse inset()
+ * @param {string} body - Arguments, e.g. "10px 20% round 8px"
+ * @param {Object} size - Box { w, h }
+ * @param {Object} units - Unit context
+ * @returns {Object} - Inset clip
+ */
+function parseInset(body, size, units) {
+  const parts = splitValue(body);
+  const roundIndex = parts.findIndex(part => part.toLowerCase() === 'round');
+  const offsets = roundIndex === -1 ? parts : parts.slice(0, roundIndex);
+  const [top, right = top, bottom = top, left = right] = offsets;
+
+  const clip = {
+    type: 'inset',
+    top: round(resolveLength(top, units, size.h) ?? 0),
+    right: round(resolveLength(right, units, size.w) ?? 0),
+    bottom: round(resolveLength(bottom, units, size.h) ?? 0),
+    left: round(resolveLength(left, units, size.w) ?? 0),
+    radius: 0
+  };
+
+  // Corner radii take their first value, as for a uniform border-radius
+  if (roundIndex !== -1 && parts[roundIndex + 1]) {
+    clip.radius = round(resolveLength(parts[roundIndex + 1], units, size.w) ?? 0);
+  }
+  return clip;
+}
+
+/**
+ * Parse circle() or ellipse()
+ * @param {string} name - 'circle' or 'ellipse'
+ * @param {string} body - Arguments, e.g. "40% at 50% 30%"
+ * @param {Object} size - Box { w, h }
+ * @param {Object} units - Unit context
+ * @returns {Object} - Circle or ellipse clip
+ */
+function parseEllipse(name, body, size, units) {
+  const parts = splitValue(body);
+  const atIndex = parts.findIndex(part => part.toLowerCase() === 'at');
+  const radii = atIndex === -1 ? parts : parts.slice(0, atIndex);
+  const center = resolvePosition(atIndex === -1 ? [] : parts.slice(atIndex + 1), size, units);
+
+  // Radii may be keywords measured from the center to the box's sides
+  const resolveRadius = (radius, axis) => {
+    const lower = String(radius || 'closest-side').toLowerCase();
+    const sides = axis === 'x' ? [center.x, size.w - center.x] : axis === 'y' ? [center.y, size.h - center.y]
+      : [center.x, size.w - center.x, center.y, size.h - center.y];
+    if (lower === 'closest-side') return Math.min(...sides);
+    if (lower === 'farthest-side') return Math.max(...sides);
+    // Circle percentages refer to the box's normalized diagonal
+    const base = axis === 'x' ? size.w : axis === 'y' ? size.h : Math.hypot(size.w, size.h) / Math.SQRT2;
+    return Math.max(0, resolveLength(radius, units, base) ?? 0);
+  };
+
+  const cx = round(center.x);
+  const cy = round(center.y);
+  if (name === 'circle') {
+    return { type: 'circle', cx, cy, r: round(resolveRadius(radii[0], null)) };
+  }
+  return { type: 'ellipse', cx, cy, rx: round(resolveRadius(radii[0], 'x')), ry: round(resolveRadius(radii[1], 'y')) };
+}
+
+/**
+ * Parse polygon()
+ * @param {string} body - Arguments, e.g. "evenodd, 0 0, 100% 0, 50% 100%"
+ * @param {Object} size - Box { w, h }
+ * @param {Object} units - Unit context
+ * @returns {Object} - Polygon clip
+ */
+function parsePolygon(body, size, units) {
+  const args = splitSelectorList(body);
+  let fillRule = 'nonzero';
+  if (/^(nonzero|evenodd)$/i.test(args[0]?.trim() || '')) {
+    fillRule = args.shift().trim().toLowerCase();
+  }
+
+  const points = args.map(arg => {
+    const [x, y] = splitValue(arg);
+    return {
+      x: round(resolveLength(x, units, size.w) ?? 0),
+      y: round(resolveLength(y, units, size.h) ?? 0)
+    };
+  });
+  return { type: 'polygon', fillRule, points };
+}
+
+/**
+ * Resolve a position ("at" clause) to pixels within a box
+ * @param {Array} parts - Position components; empty for the center
+ * @param {Object} size - Box { w, h }
+ * @param {Object} units - Unit context
+ * @returns {Object} - { x, y }
+ */
+function resolvePosition(parts, size, units) {
+  const [x, y] = orderPosition(parts.map(part => part.toLowerCase()));
+  const resolve = (offset, base) => offset in POSITION_KEYWORDS
+    ? POSITION_KEYWORDS[offset] * base
+    : resolveLength(offset, units, base) ?? base / 2;
+  return { x: resolve(x, size.w), y: resolve(y, size.h) };
+}
+
+/**
+ * Strip quotes from a function argument
+ * @param {string} value - Argument
+ * @returns {string} - Unquoted value
+ */
+function unquote(value) {
+  const trimmed = value.trim();
+  const quote = trimmed[0];
+  return (quote === '"' || quote === "'") && trimmed.endsWith(quote) ? trimmed.slice(1, -1) : trimmed;
+}
+
+/**
+ * Round to two decimal places
+ * @param {number} value - Number
+ * @returns {number} - Rounded number
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  getOverflow,
+  buildClipPath,
+  buildMask
+};
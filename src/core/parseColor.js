@@ -0,0 +1,455 @@
+/**
+ * parseColor.js - CSS Color Parser
+ * Parses every CSS color syntax into canonical RGBA and formats it back out
+ */
+
+/**
+ * CSS named colors
+ */
+const NAMED_COLORS = {
+  aliceblue: '#f0f8ff', antiquewhite: '#faebd7', aqua: '#00ffff', aquamarine: '#7fffd4',
+  azure: '#f0ffff', beige: '#f5f5dc', bisque: '#ffe4c4', black: '#000000',
+  blanchedalmond: '#ffebcd', blue: '#0000ff', blueviolet: '#8a2be2', brown: '#a52a2a',
+  burlywood: '#deb887', cadetblue: '#5f9ea0', chartreuse: '#7fff00', chocolate: '#d2691e',
+  coral: '#ff7f50', cornflowerblue: '#6495ed', cornsilk: '#fff8dc', crimson: '#dc143c',
+  cyan: '#00ffff', darkblue: '#00008b', darkcyan: '#008b8b', darkgoldenrod: '#b8860b',
+  darkgray: '#a9a9a9', darkgreen: '#006400', darkgrey: '#a9a9a9', darkkhaki: '#bdb76b',
+  darkmagenta: '#8b008b', darkolivegreen: '#556b2f', darkorange: '#ff8c00', darkorchid: '#9932cc',
+  darkred: '#8b0000', darksalmon: '#e9967a', darkseagreen: '#8fbc8f', darkslateblue: '#483d8b',
+  darkslategray: '#2f4f4f', darkslategrey: '#2f4f4f', darkturquoise: '#00ced1', darkviolet: '#9400d3',
+  deeppink: '#ff1493', deepskyblue: '#00bfff', dimgray: '#696969', dimgrey: '#696969',
+  dodgerblue: '#1e90ff', firebrick: '#b22222', floralwhite: '#fffaf0', forestgreen: '#228b22',
+  fuchsia: '#ff00ff', gainsboro: '#dcdcdc', ghostwhite: '#f8f8ff', gold: '#ffd700',
+  goldenrod: '#daa520', gray: '#808080', green: '#008000', greenyellow: '#adff2f',
+  grey: '#808080', honeydew: '#f0fff0', hotpink: '#ff69b4', indianred: '#cd5c5c',
+  indigo: '#4b0082', ivory: '#fffff0', khaki: '#f0e68c', lavender: '#e6e6fa',
+  lavenderblush: '#fff0f5', lawngreen: '#7cfc00', lemonchiffon: '#fffacd', lightblue: '#add8e6',
+  lightcoral: '#f08080', lightcyan: '#e0ffff', lightgoldenrodyellow: '#fafad2', lightgray: '#d3d3d3',
+  lightgreen: '#90ee90', lightgrey: '#d3d3d3', lightpink: '#ffb6c1', lightsalmon: '#ffa07a',
+  lightseagreen: '#20b2aa', lightskyblue: '#87cefa', lightslategray: '#778899', lightslategrey: '#778899',
+  lightsteelblue: '#b0c4de', lightyellow: '#ffffe0', lime: '#00ff00', limegreen: '#32cd32',
+  linen: '#faf0e6', magenta: '#ff00ff', maroon: '#800000', mediumaquamarine: '#66cdaa',
+  mediumblue: '#0000cd', mediumorchid: '#ba55d3', mediumpurple: '#9370db', mediumseagreen: '#3cb371',
+  mediumslateblue: '#7b68ee', mediumspringgreen: '#00fa9a', mediumturquoise: '#48d1cc', mediumvioletred: '#c71585',
+  midnightblue: '#191970', mintcream: '#f5fffa', mistyrose: '#ffe4e1', moccasin: '#ffe4b5',
+  navajowhite: '#ffdead', navy: '#000080', oldlace: '#fdf5e6', olive: '#808000',
+  olivedrab: '#6b8e23', orange: '#ffa500', orangered: '#ff4500', orchid: '#da70d6',
+  palegoldenrod: '#eee8aa', palegreen: '#98fb98', paleturquoise: '#afeeee', palevioletred: '#db7093',
+  papayawhip: '#ffefd5', peachpuff: '#ffdab9', peru: '#cd853f', pink: '#ffc0cb',
+  plum: '#dda0dd', powderblue: '#b0e0e6', purple: '#800080', rebeccapurple: '#663399',
+  red: '#ff0000', rosybrown: '#bc8f8f', royalblue: '#4169e1', saddlebrown: '#8b4513',
+  salmon: '#fa8072', sandybrown: '#f4a460', seagreen: '#2e8b57', seashell: '#fff5ee',
+  sienna: '#a0522d', silver: '#c0c0c0', skyblue: '#87ceeb', slateblue: '#6a5acd',
+  slategray: '#708090', slategrey: '#708090', snow: '#fffafa', springgreen: '#00ff7f',
+  steelblue: '#4682b4', tan: '#d2b48c', teal: '#008080', thistle: '#d8bfd8',
+  tomato: '#ff6347', turquoise: '#40e0d0', violet: '#ee82ee', wheat: '#f5deb3',
+  white: '#ffffff', whitesmoke: '#f5f5f5', yellow: '#ffff00', yellowgreen: '#9acd32'
+};
+
+/**
+ * Supported output formats
+ */
+const COLOR_FORMATS = ['hex', 'rgb', 'hsl'];
+
+/**
+ * Default output format
+ */
+const DEFAULT_COLOR_FORMAT = 'hex';
+
+/**
+ * Parse a CSS color into canonical RGBA
+ * @param {string} value - CSS color value
+ * @param {string} currentColor - Value that currentColor refers to
+ * @returns {Object|null} - { r, g, b, a } with channels 0-255 and alpha 0-1, or null if not a color
+ */
+function parseColor(value, currentColor = null) {
+  if (value === null || value === undefined) return null;
+
+  const str = String(value).trim().toLowerCase();
+  if (!str) return null;
+
+  if (str === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+  if (str === 'currentcolor') {
+    return currentColor && currentColor.toLowerCase() !== 'currentcolor' ? parseColor(currentColor) : null;
+  }
+  if (NAMED_COLORS[str]) return parseHex(NAMED_COLORS[str]);
+  if (str.startsWith('#')) return parseHex(str);
+
+  const match = str.match(/^([a-z]+)\((.*)\)$/);
+  if (!match) return null;
+
+  const [, name, body] = match;
+  const args = splitColorArguments(body);
+  if (!args) return null;
+
+  let color;
+  switch (name) {
+    case 'rgb':
+    case 'rgba':
+      color = fromRgbArguments(args.channels);
+      break;
+    case 'hsl':
+    case 'hsla':
+      color = fromHslArguments(args.channels);
+      break;
+    case 'hwb':
+      color = fromHwbArguments(args.channels);
+      break;
+    case 'lab':
+    case 'lch':
+    case 'oklab':
+    case 'oklch':
+      color = fromLabArguments(name, args.channels);
+      break;
+    default:
+      return null;
+  }
+  if (!color) return null;
+
+  const alpha = args.alpha === undefined ? 1 : parseAlpha(args.alpha);
+  if (alpha === null) return null;
+
+  return clampColor({ ...color, a: alpha });
+}
+
+/**
+ * Format canonical RGBA as a CSS color string
+ * @param {Object} color - { r, g, b, a }
+ * @param {string} format - 'hex', 'rgb' or 'hsl'
+ * @returns {string} - Formatted color
+ */
+function formatColor(color, format = DEFAULT_COLOR_FORMAT) {
+  const r = Math.round(color.r);
+  const g = Math.round(color.g);
+  const b = Math.round(color.b);
+  const a = Math.round(color.a * 1000) / 1000;
+
+  if (format === 'rgb') {
+    return a === 1 ? `rgb(${r}, ${g}, ${b})` : `rgba(${r}, ${g}, ${b}, ${a})`;
+  }
+
+  if (format === 'hsl') {
+    const { h, s, l } = rgbToHsl(r, g, b);
+    return a === 1 ? `hsl(${h}, ${s}%, ${l}%)` : `hsla(${h}, ${s}%, ${l}%, ${a})`;
+  }
+
+  const hex = [r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('');
+  const alpha = a === 1 ? '' : Math.round(a * 255).toString(16).padStart(2, '0');
+  return `#${hex}${alpha}`;
+}
+
+/**
+ * Normalize a CSS color to the given output format
+ * Values that are not colors are returned unchanged
+ * @param {string} value - CSS color value
+ * @param {string} format - Output format
+ * @param {string} currentColor - Value that currentColor refers to
+ * @returns {string} - Normalized color
+ */
+function normalizeColor(value, format = DEFAULT_COLOR_FORMAT, currentColor = null) {
+  const color = parseColor(value, currentColor);
+  return color ? formatColor(color, format) : value;
+}
+
+/**
+ * Check whether a color is fully transparent
+ * @param {string} value - CSS color value
+ * @returns {boolean} - True if alpha is 0
+ */
+function isTransparent(value) {
+  const color = parseColor(value);
+  return color !== null && color.a === 0;
+}
+
+/**
+ * Parse #rgb, #rgba, #rrggbb and #rrggbbaa
+ * @param {string} str - Hex color
+ * @returns {Object|null} - { r, g, b, a }
+ */
+function parseHex(str) {
+  let hex = str.slice(1);
+  if (!/^[0-9a-f]+$/.test(hex)) return null;
+
+  if (hex.length === 3 || hex.length === 4) {
+    hex = hex.split('').map(ch => ch + ch).join('');
+  }
+  if (hex.length !== 6 && hex.length !== 8) return null;
+
+  return {
+    r: parseInt(hex.slice(0, 2), 16),
+    g: parseInt(hex.slice(2, 4), 16),
+    b: parseInt(hex.slice(4, 6), 16),
+    a: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1
+  };
+}
+
+/**
+ * Split function arguments in legacy (comma) or modern (space, slash) syntax
+ * @param {string} body - Text between the parentheses
+ * @returns {Object|null} - { channels, alpha }
+ */
+function splitColorArguments(body) {
+  if (body.includes(',')) {
+    const parts = body.split(',').map(part => part.trim());
+    if (parts.length < 3 || parts.length > 4) return null;
+    return { channels: parts.slice(0, 3), alpha: parts[3] };
+  }
+
+  const [channelText, alpha, extra] = body.split('/').map(part => part.trim());
+  if (extra !== undefined) return null;
+
+  const channels = channelText.split(/\s+/).filter(Boolean);
+  if (channels.length !== 3) return null;
+  return { channels, alpha };
+}
+
+/**
+ * Parse a number or percentage, where 100% maps to scale
+ * 'none' counts as zero
+ * @param {string} value - Component value
+ * @param {number} scale - Value of 100%
+ * @returns {number|null} - Parsed number
+ */
+function parseComponent(value, scale) {
+  if (value === 'none') return 0;
+  const num = parseFloat(value);
+  if (isNaN(num)) return null;
+  return value.endsWith('%') ? (num / 100) * scale : num;
+}
+
+/**
+ * Parse a hue in degrees (deg, rad, grad, turn or unitless)
+ * @param {string} value - Hue value
+ * @returns {number|null} - Hue in degrees, 0-360
+ */
+function parseHue(value) {
+  if (value === 'none') return 0;
+  const num = parseFloat(value);
+  if (isNaN(num)) return null;
+
+  let degrees = num;
+  if (value.endsWith('grad')) degrees = num * 0.9;
+  else if (value.endsWith('rad')) degrees = num * 180 / Math.PI;
+  else if (value.endsWith('turn')) degrees = num * 360;
+
+  return ((degrees % 360) + 360) % 360;
+}
+
+/**
+ * Parse an alpha value (number or percentage)
+ * @param {string} value - Alpha value
+ * @returns {number|null} - Alpha, 0-1
+ */
+function parseAlpha(value) {
+  const alpha = parseComponent(value, 1);
+  return alpha === null ? null : Math.min(1, Math.max(0, alpha));
+}
+
+/**
+ * Convert rgb() channels
+ * @param {Array} channels - Three channel strings
+ * @returns {Object|null} - { r, g, b }
+ */
+function fromRgbArguments(channels) {
+  const [r, g, b] = channels.map(channel => parseComponent(channel, 255));
+  if ([r, g, b].includes(null)) return null;
+  return { r, g, b };
+}
+
+/**
+ * Convert hsl() channels
+ * @param {Array} channels - Hue, saturation and lightness strings
+ * @returns {Object|null} - { r, g, b }
+ */
+function fromHslArguments(channels) {
+  const h = parseHue(channels[0]);
+  const s = parseComponent(channels[1], 100);
+  const l = parseComponent(channels[2], 100);
+  if ([h, s, l].includes(null)) return null;
+  return hslToRgb(h, s / 100, l / 100);
+}
+
+/**
+ * Convert hwb() channels
+ * @param {Array} channels - Hue, whiteness and blackness strings
+ * @returns {Object|null} - { r, g, b }
+ */
+function fromHwbArguments(channels) {
+  const h = parseHue(channels[0]);
+  let w = parseComponent(channels[1], 100);
+  let bl = parseComponent(channels[2], 100);
+  if ([h, w, bl].includes(null)) return null;
+
+  w /= 100;
+  bl /= 100;
+  if (w + bl >= 1) {
+    const gray = (w / (w + bl)) * 255;
+    return { r: gray, g: gray, b: gray };
+  }
+
+  const pure = hslToRgb(h, 1, 0.5);
+  const scale = channel => (channel / 255) * (1 - w - bl) * 255 + w * 255;
+  return { r: scale(pure.r), g: scale(pure.g), b: scale(pure.b) };
+}
+
+/**
+ * Convert lab(), lch(), oklab() and oklch() channels to sRGB
+ * Out-of-gamut colors are clipped
+ * @param {string} name - Function name
+ * @param {Array} channels - Lightness and the two remaining channel strings
+ * @returns {Object|null} - { r, g, b }
+ */
+function fromLabArguments(name, channels) {
+  const isOk = name.startsWith('ok');
+  const isPolar = name.endsWith('lch');
+  const lightness = parseComponent(channels[0], isOk ? 1 : 100);
+  const chromaScale = isOk ? 0.4 : (isPolar ? 150 : 125);
+
+  let a;
+  let b;
+  if (isPolar) {
+    const chroma = parseComponent(channels[1], chromaScale);
+    const hue = parseHue(channels[2]);
+    if ([lightness, chroma, hue].includes(null)) return null;
+    a = chroma * Math.cos(hue * Math.PI / 180);
+    b = chroma * Math.sin(hue * Math.PI / 180);
+  } else {
+    a = parseComponent(channels[1], chromaScale);
+    b = parseComponent(channels[2], chromaScale);
+    if ([lightness, a, b].includes(null)) return null;
+  }
+
+  const linear = isOk ? oklabToLinearRgb(lightness, a, b) : labToLinearRgb(lightness, a, b);
+  const [r, g, bl] = linear.map(channel => gammaEncode(channel) * 255);
+  return { r, g, b: bl };
+}
+
+/**
+ * Convert OKLab to linear sRGB
+ * @returns {Array} - [r, g, b] in 0-1
+ */
+function oklabToLinearRgb(L, a, b) {
+  const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+  ];
+}
+
+/**
+ * Convert CIE Lab (D50) to linear sRGB
+ * @returns {Array} - [r, g, b] in 0-1
+ */
+function labToLinearRgb(L, a, b) {
+  const epsilon = 216 / 24389;
+  const kappa = 24389 / 27;
+  const fy = (L + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+
+  // D50 white point
+  const x = 0.96422 * (fx ** 3 > epsilon ? fx ** 3 : (116 * fx - 16) / kappa);
+  const y = 1.0 * (L > kappa * epsilon ? fy ** 3 : L / kappa);
+  const z = 0.82521 * (fz ** 3 > epsilon ? fz ** 3 : (116 * fz - 16) / kappa);
+
+  // Bradford-adapted XYZ D50 to linear sRGB
+  return [
+    3.1338561 * x - 1.6168667 * y - 0.4906146 * z,
+    -0.9787684 * x + 1.9161415 * y + 0.0334540 * z,
+    0.0719453 * x - 0.2289914 * y + 1.4052427 * z
+  ];
+}
+
+/**
+ * Apply the sRGB transfer function
+ * @param {number} value - Linear channel, 0-1
+ * @returns {number} - Encoded channel, 0-1
+ */
+function gammaEncode(value) {
+  const sign = value < 0 ? -1 : 1;
+  const abs = Math.abs(value);
+  return sign * (abs > 0.0031308 ? 1.055 * abs ** (1 / 2.4) - 0.055 : 12.92 * abs);
+}
+
+/**
+ * Convert HSL to RGB
+ * @param {number} h - Hue in degrees
+ * @param {number} s - Saturation, 0-1
+ * @param {number} l - Lightness, 0-1
+ * @returns {Object} - { r, g, b } in 0-255
+ */
+function hslToRgb(h, s, l) {
+  s = Math.min(1, Math.max(0, s));
+  l = Math.min(1, Math.max(0, l));
+
+  const f = n => {
+    const k = (n + h / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    return (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255;
+  };
+
+  return { r: f(0), g: f(8), b: f(4) };
+}
+
+/**
+ * Convert RGB to HSL
+ * @param {number} r - Red, 0-255
+ * @param {number} g - Green, 0-255
+ * @param {number} b - Blue, 0-255
+ * @returns {Object} - { h, s, l } with h in degrees and s, l in percent (rounded)
+ */
+function rgbToHsl(r, g, b) {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  const d = max - min;
+
+  let h = 0;
+  let s = 0;
+  if (d !== 0) {
+    s = d / (1 - Math.abs(2 * l - 1));
+    if (max === r) h = ((g - b) / d) % 6;
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+    h = (h * 60 + 360) % 360;
+  }
+
+  return {
+    h: Math.round(h),
+    s: Math.round(s * 1000) / 10,
+    l: Math.round(l * 1000) / 10
+  };
+}
+
+/**
+ * Clamp channels to their valid ranges
+ * @param {Object} color - { r, g, b, a }
+ * @returns {Object} - Clamped color
+ */
+function clampColor(color) {
+  const clamp = (value, max) => Math.min(max, Math.max(0, value));
+  return {
+    r: clamp(color.r, 255),
+    g: clamp(color.g, 255),
+    b: clamp(color.b, 255),
+    a: clamp(color.a, 1)
+  };
+}
+
+module.exports = {
+  NAMED_COLORS,
+  COLOR_FORMATS,
+  DEFAULT_COLOR_FORMAT,
+  parseColor,
+  formatColor,
+  normalizeColor,
+  isTransparent
+};
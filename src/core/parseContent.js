@@ -0,0 +1,372 @@
+/**
+ * parseContent.js - Generated Content Parser
+ * Resolves the content property of ::before/::after pseudo-elements, with
+ * counters, quotes and attr(), and tracks CSS counters in document order
+ */
+
+const { findClosingParen } = require('./parseCSS');
+
+/**
+ * Quote marks for open-quote/close-quote by nesting depth
+ */
+const DEFAULT_QUOTES = [['“', '”'], ['‘', '’']];
+
+/**
+ * Markers of the symbolic counter styles
+ */
+const SYMBOLS = { disc: '•', circle: '◦', square: '▪' };
+
+/**
+ * Parse a content value into the parts it generates
+ * Parts are { type: 'text', text } or { type: 'image', url }. Quote depth in
+ * state changes as open-quote and close-quote are resolved
+ * @param {string} value - CSS content, e.g. '"\201C" counter(item, upper-roman) ". " attr(title)'
+ * @param {Element} element - Originating element, for attr()
+ * @param {Object} state - { counters, quoteDepth } in document order
+ * @returns {Array|null} - Parts, or null for none/normal (no pseudo-element)
+ */
+function parseContent(value, element, state = { counters: new Map(), quoteDepth: 0 }) {
+  // Alternative text after a slash is only for accessibility
+  const str = splitAltText(String(value || 'normal').trim());
+  const lower = str.toLowerCase();
+  if (!str || lower === 'none' || lower === 'normal') return null;
+
+  const parts = [];
+  const addText = text => {
+    const last = parts[parts.length - 1];
+    if (last?.type === 'text') {
+      last.text += text;
+    } else {
+      parts.push({ type: 'text', text });
+    }
+  };
+
+  for (const token of tokenizeContent(str)) {
+    const name = token.match(/^([\w-]+)\(/)?.[1].toLowerCase();
+    const args = name ? splitArguments(token.slice(name.length + 1, -1)) : [];
+
+    if (token.startsWith('"') || token.startsWith("'")) {
+      addText(unescapeString(token.slice(1, -1)));
+    } else if (name === 'counter') {
+      addText(formatCounter(getCounter(state.counters, args[0]).slice(-1)[0], args[1]));
+    } else if (name === 'counters') {
+      const separator = unescapeString((args[1] || '""').slice(1, -1));
+      addText(getCounter(state.counters, args[0]).map(count => formatCounter(count, args[2])).join(separator));
+    } else if (name === 'attr') {
+      // attr(name) and attr(name type, fallback) read the originating element's attribute
+      const attribute = String(args[0] || '').split(/\s+/)[0];
+      const fallback = args[1] ? unescapeString(args[1].replace(/^["']|["']$/g, '')) : '';
+      addText(element?.getAttribute?.(attribute) ?? fallback);
+    } else if (name === 'url') {
+      const url = token.slice(4, -1).trim().replace(/^["']|["']$/g, '');
+      if (url) parts.push({ type: 'image', url });
+    } else if (lower === 'none' || lower === 'normal') {
+      return null;
+    } else {
+      addText(resolveQuote(token.toLowerCase(), state));
+    }
+  }
+
+  return parts.filter(part => part.type !== 'text' || part.text !== '' || parts.length === 1);
+}
+
+/**
+ * Apply an element's counter-reset, counter-increment and counter-set
+ * Each counter holds a stack of nested instances; resets push a new one
+ * and increments or sets without an instance create it at 0
+ * @param {Map} counters - Counter name to stack of values (modified in place)
+ * @param {Object} styles - Computed styles
+ */
+function applyCounters(counters, styles) {
+  for (const { name, value } of parseCounterList(styles.counterReset, 0)) {
+    if (!counters.has(name)) counters.set(name, []);
+    counters.get(name).push(value);
+  }
+
+  for (const { name, value } of parseCounterList(styles.counterIncrement, 1)) {
+    const stack = getInstance(counters, name);
+    stack[stack.length - 1] += value;
+  }
+
+  for (const { name, value } of parseCounterList(styles.counterSet, 0)) {
+    const stack = getInstance(counters, name);
+    stack[stack.length - 1] = value;
+  }
+}
+
+/**
+ * Format a counter value in a list style
+ * @param {number} value - Counter value
+ * @param {string} style - Counter style, e.g. "decimal", "upper-roman", "lower-alpha"
+ * @returns {string} - Representation
+ */
+function formatCounter(value = 0, style = 'decimal') {
+  const name = String(style || 'decimal').trim().toLowerCase();
+
+  switch (name) {
+    case 'none':
+      return '';
+    case 'disc':
+    case 'circle':
+    case 'square':
+      return SYMBOLS[name];
+    case 'decimal-leading-zero':
+      return value < 0 ? `-${String(-value).padStart(2, '0')}` : String(value).padStart(2, '0');
+    case 'lower-roman':
+      return toRoman(value).toLowerCase();
+    case 'upper-roman':
+      return toRoman(value);
+    case 'lower-alpha':
+    case 'lower-latin':
+      return toAlphabetic(value, 'abcdefghijklmnopqrstuvwxyz');
+    case 'upper-alpha':
+    case 'upper-latin':
+      return toAlphabetic(value, 'ABCDEFGHIJKLMNOPQRSTUVWXYZ');
+    case 'lower-greek':
+      return toAlphabetic(value, 'αβγδεζηθικλμνξοπρστυφχψω');
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Parse counter-reset, counter-increment or counter-set
+ * @param {string} value - e.g. "item", "section 2 figure"
+ * @param {number} defaultValue - Value for names without an integer
+ * @returns {Array} - [{ name, value }]
+ */
+function parseCounterList(value, defaultValue) {
+  const parts = String(value || 'none').trim().split(/\s+/);
+  const list = [];
+
+  for (const part of parts) {
+    if (/^[-+]?\d+$/.test(part) && list.length > 0) {
+      list[list.length - 1].value = parseInt(part, 10);
+    } else if (part && !['none', 'initial', 'inherit', 'unset'].includes(part.toLowerCase())) {
+      list.push({ name: part, value: defaultValue });
+    }
+  }
+
+  return list;
+}
+
+/**
+ * Get a counter's instances, outermost first
+ * Counters that were never reset read as a single 0
+ * @param {Map} counters - Counter stacks
+ * @param {string} name - Counter name
+ * @returns {Array} - Values
+ */
+function getCounter(counters, name) {
+  const stack = counters.get(String(name || '').trim());
+  return stack?.length > 0 ? stack : [0];
+}
+
+/**
+ * Get a counter's stack, creating an instance at 0 if there is none
+ * @param {Map} counters - Counter stacks
+ * @param {string} name - Counter name
+ * @returns {Array} - Stack of values
+ */
+function getInstance(counters, name) {
+  if (!counters.get(name)?.length) counters.set(name, [0]);
+  return counters.get(name);
+}
+
+/**
+ * Resolve a quote keyword and update the nesting depth
+ * @param {string} keyword - open-quote, close-quote, no-open-quote or no-close-quote
+ * @param {Object} state - { quoteDepth }
+ * @returns {string} - Quote mark, or '' for other keywords
+ */
+function resolveQuote(keyword, state) {
+  const depth = state.quoteDepth || 0;
+  const marks = DEFAULT_QUOTES[Math.min(depth, DEFAULT_QUOTES.length - 1)];
+
+  switch (keyword) {
+    case 'open-quote':
+      state.quoteDepth = depth + 1;
+      return marks[0];
+    case 'no-open-quote':
+      state.quoteDepth = depth + 1;
+      return '';
+    case 'close-quote':
+      state.quoteDepth = Math.max(0, depth - 1);
+      return DEFAULT_QUOTES[Math.min(Math.max(0, depth - 1), DEFAULT_QUOTES.length - 1)][1];
+    case 'no-close-quote':
+      state.quoteDepth = Math.max(0, depth - 1);
+      return '';
+    default:
+      return '';
+  }
+}
+
+/**
+ * Split a content value into strings, functions and keywords
+ * @param {string} str - Content value
+ * @returns {Array} - Tokens
+ */
+function tokenizeContent(str) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < str.length) {
+    const ch = str[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '"' || ch === "'") {
+      const end = findStringEnd(str, i);
+      tokens.push(str.slice(i, end + 1));
+      i = end + 1;
+    } else {
+      let end = i;
+      while (end < str.length && !/[\s"']/.test(str[end])) {
+        end = str[end] === '(' ? findClosingParen(str, end) + 1 : end + 1;
+      }
+      tokens.push(str.slice(i, end));
+      i = end;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Drop the alternative text from a content value ("★" / "Featured")
+ * @param {string} str - Content value
+ * @returns {string} - Value without the alternative text
+ */
+function splitAltText(str) {
+  let depth = 0;
+
+  for (let i = 0; i < str.length; i++) {
+    const ch = str[i];
+    if (ch === '"' || ch === "'") {
+      i = findStringEnd(str, i);
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+    } else if (ch === '/' && depth === 0) {
+      return str.slice(0, i).trim();
+    }
+  }
+
+  return str;
+}
+
+/**
+ * Split function arguments on top-level commas
+ * @param {string} str - Arguments
+ * @returns {Array} - Trimmed arguments
+ */
+function splitArguments(str) {
+  const args = [];
+  let depth = 0;
+  let start = 0;
+
+  for (let i = 0; i < str.length; i++) {
+    const ch = str[i];
+    if (ch === '"' || ch === "'") {
+      i = findStringEnd(str, i);
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+    } else if (ch === ',' && depth === 0) {
+      args.push(str.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+
+  args.push(str.slice(start).trim());
+  return args.filter(Boolean);
+}
+
+/**
+ * Find the closing quote of a string
+ * @param {string} str - Source
+ * @param {number} start - Index of the opening quote
+ * @returns {number} - Index of the closing quote (or the last index if unterminated)
+ */
+function findStringEnd(str, start) {
+  const quote = str[start];
+
+  for (let i = start + 1; i < str.length; i++) {
+    if (str[i] === '\\') {
+      i++;
+    } else if (str[i] === quote) {
+      return i;
+    }
+  }
+
+  return str.length - 1;
+}
+
+/**
+ * Resolve CSS escapes in a string's contents
+ * @param {string} str - String contents without the quotes, e.g. "\201C" or "\"x\""
+ * @returns {string} - Unescaped text
+ */
+function unescapeString(str) {
+  return str.replace(/\\(?:([0-9a-fA-F]{1,6})\s?|(\n)|(.))/g, (match, hex, newline, char) => {
+    if (hex) {
+      const code = parseInt(hex, 16);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '�';
+    }
+    return newline ? '' : char;
+  });
+}
+
+/**
+ * Convert a number to upper-case roman numerals
+ * Values outside 1-3999 fall back to decimal
+ * @param {number} value - Number
+ * @returns {string} - Numeral
+ */
+function toRoman(value) {
+  if (value < 1 || value > 3999) return String(value);
+
+  const numerals = [
+    [1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+    [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']
+  ];
+  let rest = value;
+  let result = '';
+  for (const [amount, numeral] of numerals) {
+    while (rest >= amount) {
+      result += numeral;
+      rest -= amount;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Convert a number to an alphabetic counter (a, b, ..., z, aa, ab, ...)
+ * Values below 1 fall back to decimal
+ * @param {number} value - Number
+ * @param {string} letters - Alphabet
+ * @returns {string} - Representation
+ */
+function toAlphabetic(value, letters) {
+  if (value < 1) return String(value);
+
+  const alphabet = [...letters];
+  let rest = value;
+  let result = '';
+  while (rest > 0) {
+    rest--;
+    result = alphabet[rest % alphabet.length] + result;
+    rest = Math.floor(rest / alphabet.length);
+  }
+
+  return result;
+}
+
+module.exports = {
+  parseContent,
+  applyCounters,
+  formatCounter
+};
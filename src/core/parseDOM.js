@@ -3,7 +3,24 @@
  * Parses HTML string into a traversable DOM structure
  */
 
-const { JSDOM } = require('jsdom');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+/**
+ * Create a virtual console that forwards page output
+ * jsdom's own CSS parser predates @layer and similar rules, so its
+ * stylesheet parse errors are dropped; parseCSS handles those rules
+ * @returns {VirtualConsole} - Virtual console
+ */
+function createVirtualConsole() {
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+  virtualConsole.on('jsdomError', (error) => {
+    if (error.message !== 'Could not parse CSS stylesheet') {
+      console.error(error);
+    }
+  });
+  return virtualConsole;
+}
 
 /**
  * Parse HTML string into DOM document
@@ -13,7 +30,8 @@ const { JSDOM } = require('jsdom');
 function parseHTML(html) {
   const dom = new JSDOM(html, {
     resources: 'usable',
-    runScripts: 'outside-only'
+    runScripts: 'outside-only',
+    virtualConsole: createVirtualConsole()
   });
   
   return {
@@ -31,7 +49,8 @@ function parseHTML(html) {
 async function parseFromURL(url) {
   const dom = await JSDOM.fromURL(url, {
     resources: 'usable',
-    runScripts: 'outside-only'
+    runScripts: 'outside-only',
+    virtualConsole: createVirtualConsole()
   });
   
   return {
@@ -137,9 +156,20 @@ function getElementType(tagName) {
   return 'frame';
 }
 
+/**
+ * Parse an HTML fragment without a browsing context
+ * Scripts don't run and resources aren't loaded
+ * @param {string} html - HTML fragment
+ * @returns {DocumentFragment} - Parsed fragment
+ */
+function parseFragment(html) {
+  return JSDOM.fragment(html);
+}
+
 module.exports = {
   parseHTML,
   parseFromURL,
+  parseFragment,
   extractElementData,
   traverseDOM,
   getAllElements,
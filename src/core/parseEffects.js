@@ -0,0 +1,180 @@
+/**
+ * parseEffects.js - Visual Effects Parser
+ * Turns shadows, filters, backdrop filters and blend modes into typed effects
+ */
+
+const { splitSelectorList, splitValue, findClosingParen } = require('./parseCSS');
+const { resolveLength } = require('./resolveUnits');
+const { parseColor, normalizeColor, DEFAULT_COLOR_FORMAT } = require('./parseColor');
+const { parseAngle } = require('./parseFills');
+
+/**
+ * Filter functions that take a single amount
+ */
+const AMOUNT_FILTERS = ['brightness', 'contrast', 'grayscale', 'invert', 'opacity', 'saturate', 'sepia'];
+
+/**
+ * Build the effects for an element
+ * Shadows are ordered bottom to top (the first CSS shadow paints on top)
+ * @param {Object} computed - Computed styles
+ * @param {Object} options - { colorFormat, units, text } where text is true for text nodes;
+ *   text-shadow is inherited, so only text nodes draw it
+ * @returns {Array} - Effect objects
+ */
+function buildEffects(computed, options = {}) {
+  const { colorFormat = DEFAULT_COLOR_FORMAT, units = {}, text = false } = options;
+  const toColor = value => normalizeColor(value, colorFormat, computed.color);
+  const effects = [];
+
+  parseShadowList(computed.boxShadow, units).reverse().forEach(shadow => {
+    effects.push({
+      type: shadow.inset ? 'inner-shadow' : 'drop-shadow',
+      x: shadow.x,
+      y: shadow.y,
+      blur: shadow.blur,
+      spread: shadow.spread,
+      color: toColor(shadow.color)
+    });
+  });
+
+  parseShadowList(text ? computed.textShadow : 'none', units).reverse().forEach(shadow => {
+    effects.push({
+      type: 'text-shadow',
+      x: shadow.x,
+      y: shadow.y,
+      blur: shadow.blur,
+      color: toColor(shadow.color)
+    });
+  });
+
+  effects.push(...parseFilterList(computed.filter, units, toColor, false));
+  effects.push(...parseFilterList(computed.backdropFilter || computed.webkitBackdropFilter, units, toColor, true));
+
+  const blendMode = String(computed.mixBlendMode || 'normal').toLowerCase();
+  if (blendMode !== 'normal') {
+    effects.push({ type: 'blend-mode', mode: blendMode });
+  }
+
+  return effects;
+}
+
+/**
+ * Parse a box-shadow or text-shadow list
+ * Missing colors default to currentColor
+ * @param {string} value - Shadow list
+ * @param {Object} units - Unit context
+ * @returns {Array} - Shadows of { inset, x, y, blur, spread, color } in CSS order
+ */
+function parseShadowList(value, units = {}) {
+  if (!value || String(value).trim().toLowerCase() === 'none') return [];
+
+  return splitSelectorList(String(value))
+    .map(shadow => parseShadow(shadow, units))
+    .filter(Boolean);
+}
+
+/**
+ * Parse a single shadow
+ * @param {string} value - Shadow value, e.g. "inset 0 1px 2px rgba(0,0,0,.2)"
+ * @param {Object} units - Unit context
+ * @returns {Object|null} - { inset, x, y, blur, spread, color }
+ */
+function parseShadow(value, units) {
+  const lengths = [];
+  let color = 'currentcolor';
+  let inset = false;
+
+  for (const part of splitValue(value)) {
+    if (part.toLowerCase() === 'inset') {
+      inset = true;
+    } else if (part.toLowerCase() === 'currentcolor' || parseColor(part)) {
+      color = part;
+    } else {
+      const length = resolveLength(part, units, null);
+      if (length === null) return null;
+      lengths.push(length);
+    }
+  }
+
+  if (lengths.length < 2 || lengths.length > 4) return null;
+
+  const [x, y, blur = 0, spread = 0] = lengths;
+  return { inset, x, y, blur: Math.max(0, blur), spread, color };
+}
+
+/**
+ * Parse a filter or backdrop-filter function list
+ * @param {string} value - Filter value
+ * @param {Object} units - Unit context
+ * @param {Function} toColor - Color normalizer
+ * @param {boolean} backdrop - Whether this is backdrop-filter
+ * @returns {Array} - Effect objects
+ */
+function parseFilterList(value, units, toColor, backdrop) {
+  if (!value || String(value).trim().toLowerCase() === 'none') return [];
+
+  const effects = [];
+  const pattern = /([a-z-]+)\(/gi;
+  const str = String(value);
+  let match;
+
+  while ((match = pattern.exec(str)) !== null) {
+    const name = match[1].toLowerCase();
+    const close = findClosingParen(str, match.index + match[0].length - 1);
+    const args = str.slice(match.index + match[0].length, close).trim();
+    pattern.lastIndex = close + 1;
+
+    const effect = parseFilterFunction(name, args, units, toColor);
+    if (!effect) continue;
+
+    // Backdrop blur is a background blur; other backdrop functions are flagged
+    if (backdrop) {
+      if (effect.type === 'layer-blur') {
+        effect.type = 'background-blur';
+      } else {
+        effect.backdrop = true;
+      }
+    }
+    effects.push(effect);
+  }
+
+  return effects;
+}
+
+/**
+ * Parse one filter function
+ * @param {string} name - Function name
+ * @param {string} args - Function arguments
+ * @param {Object} units - Unit context
+ * @param {Function} toColor - Color normalizer
+ * @returns {Object|null} - Effect object
+ */
+function parseFilterFunction(name, args, units, toColor) {
+  if (name === 'blur') {
+    const radius = args ? resolveLength(args, units, null) : 0;
+    return radius === null ? null : { type: 'layer-blur', radius };
+  }
+
+  if (name === 'drop-shadow') {
+    const shadow = parseShadow(args, units);
+    if (!shadow) return null;
+    return { type: 'drop-shadow', x: shadow.x, y: shadow.y, blur: shadow.blur, spread: 0, color: toColor(shadow.color), filter: true };
+  }
+
+  if (name === 'hue-rotate') {
+    return { type: 'filter', name, value: args ? parseAngle(args) ?? 0 : 0 };
+  }
+
+  if (AMOUNT_FILTERS.includes(name)) {
+    const amount = args ? parseFloat(args) / (args.endsWith('%') ? 100 : 1) : 1;
+    return isNaN(amount) ? null : { type: 'filter', name, value: amount };
+  }
+
+  return null;
+}
+
+module.exports = {
+  buildEffects,
+  parseShadowList,
+  parseShadow
+};
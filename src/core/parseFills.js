@@ -0,0 +1,453 @@
+/**
+ * parseFills.js - Background Fill Parser
+ * Turns background colors, gradients and images into typed fill layers
+ */
+
+const { splitSelectorList, splitValue } = require('./parseCSS');
+const { resolveLength } = require('./resolveUnits');
+const { parseColor, normalizeColor, DEFAULT_COLOR_FORMAT } = require('./parseColor');
+
+/**
+ * Position keywords as fractions of the box
+ */
+const POSITION_KEYWORDS = {
+  left: 0,
+  top: 0,
+  center: 0.5,
+  right: 1,
+  bottom: 1
+};
+
+/**
+ * Build the fills for an element's background
+ * Fills are ordered bottom to top: the background color first, then the
+ * image layers in reverse CSS order (the first CSS layer paints on top)
+ * @param {Object} computed - Computed styles
+ * @param {Object} options - { colorFormat, units, box: { w, h } }
+ * @returns {Array} - Fill objects
+ */
+function buildFills(computed, options = {}) {
+  const { colorFormat = DEFAULT_COLOR_FORMAT, units = {}, box = null } = options;
+  const toColor = value => normalizeColor(value, colorFormat, computed.color);
+  const fills = [];
+
+  const background = parseColor(computed.backgroundColor, computed.color);
+  if (background && background.a > 0) {
+    fills.push({ type: 'solid', color: toColor(computed.backgroundColor) });
+  }
+
+  const images = splitSelectorList(computed.backgroundImage || 'none');
+  const layerValue = (property, index, fallback) => {
+    const values = splitSelectorList(computed[property] || fallback);
+    // Shorter lists repeat to match the number of images
+    return values.length > 0 ? values[index % values.length] : fallback;
+  };
+
+  const layers = [];
+  images.forEach((image, index) => {
+    const fill = parseImageLayer(image, { toColor, units, box });
+    if (!fill) return;
+
+    if (fill.type === 'image') {
+      fill.size = parseBackgroundSize(layerValue('backgroundSize', index, 'auto'), units, box);
+      fill.position = parseBackgroundPosition(layerValue('backgroundPosition', index, '0% 0%'), units);
+      fill.repeat = normalizeRepeat(layerValue('backgroundRepeat', index, 'repeat'));
+    }
+    if (layerValue('backgroundClip', index, 'border-box') === 'text') {
+      fill.clip = 'text';
+    }
+
+    layers.push(fill);
+  });
+
+  return fills.concat(layers.reverse());
+}
+
+/**
+ * Parse one background-image layer
+ * @param {string} image - Layer value
+ * @param {Object} context - { toColor, units, box }
+ * @returns {Object|null} - Fill, or null for 'none' and unsupported images
+ */
+function parseImageLayer(image, context) {
+  const match = image.trim().match(/^([a-z-]+)\((.*)\)$/is);
+  if (!match) return null;
+
+  const name = match[1].toLowerCase();
+  const body = match[2];
+
+  if (name === 'url') {
+    return { type: 'image', url: unquote(body) };
+  }
+
+  const gradient = name.match(/^(repeating-)?(linear|radial|conic)-gradient$/);
+  if (gradient) {
+    return parseGradient(gradient[2], body, !!gradient[1], context);
+  }
+
+  return null;
+}
+
+/**
+ * Parse a gradient function
+ * @param {string} kind - 'linear', 'radial' or 'conic'
+ * @param {string} body - Function arguments
+ * @param {boolean} repeating - Whether it is a repeating-*-gradient
+ * @param {Object} context - { toColor, units, box }
+ * @returns {Object|null} - Gradient fill
+ */
+function parseGradient(kind, body, repeating, context) {
+  const args = splitSelectorList(body);
+  if (args.length === 0) return null;
+
+  const fill = { type: `${kind}-gradient` };
+  if (repeating) fill.repeating = true;
+
+  // The first argument describes the geometry unless it starts with a color
+  const hasPrelude = !isColor(splitValue(args[0])[0]);
+  const prelude = hasPrelude ? splitValue(args.shift().toLowerCase()) : [];
+
+  let lineLength = null;
+  if (kind === 'linear') {
+    fill.angle = Math.round(parseLinearAngle(prelude, context.box) * 100) / 100;
+    lineLength = getGradientLineLength(fill.angle, context.box);
+  } else if (kind === 'radial') {
+    Object.assign(fill, parseRadialPrelude(prelude, context));
+  } else {
+    Object.assign(fill, parseConicPrelude(prelude, context));
+  }
+
+  fill.stops = parseColorStops(args, kind === 'conic', lineLength, context);
+  return fill.stops.length > 0 ? fill : null;
+}
+
+/**
+ * Get the angle of a linear gradient in degrees (0 = to top, clockwise)
+ * @param {Array} prelude - Direction components
+ * @param {Object} box - Element box { w, h } for corner directions
+ * @returns {number} - Angle in degrees
+ */
+function parseLinearAngle(prelude, box) {
+  if (prelude.length === 0) return 180;
+
+  if (prelude[0] !== 'to') {
+    return parseAngle(prelude[0]) ?? 180;
+  }
+
+  const sides = prelude.slice(1);
+  const vertical = sides.find(side => side === 'top' || side === 'bottom');
+  const horizontal = sides.find(side => side === 'left' || side === 'right');
+
+  if (!horizontal) return vertical === 'top' ? 0 : 180;
+  if (!vertical) return horizontal === 'right' ? 90 : 270;
+
+  // Corners: the gradient line is perpendicular to the other diagonal
+  const corner = box && box.w > 0 ? Math.atan(box.h / box.w) * 180 / Math.PI : 45;
+  if (vertical === 'top') return horizontal === 'right' ? corner : 360 - corner;
+  return horizontal === 'right' ? 180 - corner : 180 + corner;
+}
+
+/**
+ * Get the length of a linear gradient line for a box
+ * @param {number} angle - Gradient angle in degrees
+ * @param {Object} box - Element box { w, h }
+ * @returns {number|null} - Line length in px, or null without a box
+ */
+function getGradientLineLength(angle, box) {
+  if (!box) return null;
+  const radians = angle * Math.PI / 180;
+  return Math.abs(box.w * Math.sin(radians)) + Math.abs(box.h * Math.cos(radians));
+}
+
+/**
+ * Parse the shape, size and center of a radial gradient
+ * @param {Array} prelude - Prelude components
+ * @param {Object} context - { units, box }
+ * @returns {Object} - { shape, size, center }
+ */
+function parseRadialPrelude(prelude, context) {
+  const at = prelude.indexOf('at');
+  const shapeParts = at === -1 ? prelude : prelude.slice(0, at);
+  const positionParts = at === -1 ? [] : prelude.slice(at + 1);
+
+  const result = { shape: 'ellipse', size: 'farthest-corner' };
+  const lengths = [];
+
+  for (const part of shapeParts) {
+    if (part === 'circle' || part === 'ellipse') {
+      result.shape = part;
+    } else if (/^(closest|farthest)-(side|corner)$/.test(part)) {
+      result.size = part;
+    } else {
+      lengths.push(part);
+    }
+  }
+
+  // Explicit radii: one length for circles, two for ellipses
+  if (lengths.length > 0) {
+    const { units, box } = context;
+    const radii = lengths.map((length, i) => {
+      const base = box ? (i === 0 ? box.w : box.h) : null;
+      return resolveLength(length, units, base);
+    });
+    if (radii.every(radius => radius !== null)) {
+      if (lengths.length === 1 && !shapeParts.includes('ellipse')) {
+        result.shape = 'circle';
+      }
+      result.size = radii.length === 1 ? { radius: radii[0] } : { radiusX: radii[0], radiusY: radii[1] };
+    }
+  }
+
+  result.center = parseCenter(positionParts, context);
+  return result;
+}
+
+/**
+ * Parse the start angle and center of a conic gradient
+ * @param {Array} prelude - Prelude components
+ * @param {Object} context - { units, box }
+ * @returns {Object} - { angle, center }
+ */
+function parseConicPrelude(prelude, context) {
+  const from = prelude.indexOf('from');
+  const at = prelude.indexOf('at');
+
+  return {
+    angle: from === -1 ? 0 : parseAngle(prelude[from + 1]) ?? 0,
+    center: parseCenter(at === -1 ? [] : prelude.slice(at + 1), context)
+  };
+}
+
+/**
+ * Parse a gradient center as fractions of the box
+ * @param {Array} parts - Position components
+ * @param {Object} context - { units, box }
+ * @returns {Object} - { x, y } in 0-1
+ */
+function parseCenter(parts, context) {
+  const [x, y] = orderPosition(parts);
+  const { units, box } = context;
+
+  const toFraction = (value, size) => {
+    if (value in POSITION_KEYWORDS) return POSITION_KEYWORDS[value];
+    if (value.endsWith('%')) return parseFloat(value) / 100;
+    const pixels = resolveLength(value, units, null);
+    return pixels !== null && size ? pixels / size : 0.5;
+  };
+
+  return {
+    x: toFraction(x, box?.w),
+    y: toFraction(y, box?.h)
+  };
+}
+
+/**
+ * Order one- or two-value positions as [horizontal, vertical]
+ * Four-value offsets ("right 10px top 5px") are reduced to their keywords
+ * @param {Array} parts - Position components
+ * @returns {Array} - [x, y]
+ */
+function orderPosition(parts) {
+  const values = parts.filter(part => part !== '');
+  if (values.length === 0) return ['center', 'center'];
+
+  if (values.length === 1) {
+    const [value] = values;
+    return value === 'top' || value === 'bottom' ? ['center', value] : [value, 'center'];
+  }
+
+  const [first, second] = values.length > 2
+    ? values.filter(value => value in POSITION_KEYWORDS)
+    : values;
+  if (first === 'top' || first === 'bottom' || second === 'left' || second === 'right') {
+    return [second ?? 'center', first];
+  }
+  return [first, second ?? 'center'];
+}
+
+/**
+ * Parse color stops and fill in missing positions
+ * @param {Array} args - Stop arguments
+ * @param {boolean} angular - Positions are angles (conic gradients)
+ * @param {number|null} lineLength - Gradient line length for length positions
+ * @param {Object} context - { toColor, units }
+ * @returns {Array} - Stops of { color, position } with position in 0-1
+ */
+function parseColorStops(args, angular, lineLength, context) {
+  const stops = [];
+
+  for (const arg of args) {
+    const parts = splitValue(arg);
+    const colorIndex = parts.findIndex(isColor);
+
+    // Interpolation hints (a bare position) are not represented
+    if (colorIndex === -1) continue;
+
+    const color = context.toColor(parts[colorIndex]);
+    const positions = parts.filter((part, i) => i !== colorIndex)
+      .map(part => parseStopPosition(part, angular, lineLength, context.units));
+
+    if (positions.length === 0) {
+      stops.push({ color, position: null });
+    } else {
+      positions.forEach(position => stops.push({ color, position }));
+    }
+  }
+
+  if (stops.length === 0) return stops;
+
+  // First and last stops default to the ends; positions never decrease
+  if (stops[0].position === null) stops[0].position = 0;
+  if (stops[stops.length - 1].position === null) {
+    stops[stops.length - 1].position = Math.max(1, ...stops.map(stop => stop.position ?? 0));
+  }
+  let max = 0;
+  for (const stop of stops) {
+    if (stop.position !== null) {
+      stop.position = Math.max(stop.position, max);
+      max = stop.position;
+    }
+  }
+
+  // Spread unpositioned stops evenly between their neighbours
+  for (let i = 1; i < stops.length; i++) {
+    if (stops[i].position !== null) continue;
+    let next = i;
+    while (stops[next].position === null) next++;
+    const start = stops[i - 1].position;
+    const step = (stops[next].position - start) / (next - i + 1);
+    for (let j = i; j < next; j++) {
+      stops[j].position = start + step * (j - i + 1);
+    }
+  }
+
+  stops.forEach(stop => {
+    stop.position = Math.round(stop.position * 10000) / 10000;
+  });
+  return stops;
+}
+
+/**
+ * Parse a stop position as a fraction of the gradient
+ * @param {string} value - Position value
+ * @param {boolean} angular - Position is an angle
+ * @param {number|null} lineLength - Gradient line length
+ * @param {Object} units - Unit context
+ * @returns {number|null} - Fraction, or null if it can't be resolved
+ */
+function parseStopPosition(value, angular, lineLength, units) {
+  if (value.endsWith('%')) return parseFloat(value) / 100;
+
+  if (angular) {
+    const angle = parseAngle(value);
+    return angle === null ? null : angle / 360;
+  }
+
+  const pixels = resolveLength(value, units, lineLength);
+  return pixels !== null && lineLength ? pixels / lineLength : null;
+}
+
+/**
+ * Check whether a component is a color
+ * @param {string} value - Component value
+ * @returns {boolean} - True for colors, including currentColor
+ */
+function isColor(value) {
+  return String(value).toLowerCase() === 'currentcolor' || parseColor(value) !== null;
+}
+
+/**
+ * Parse an angle in degrees
+ * @param {string} value - Angle (deg, rad, grad, turn)
+ * @returns {number|null} - Degrees
+ */
+function parseAngle(value) {
+  const match = String(value || '').match(/^(-?[\d.]+)(deg|rad|grad|turn)?$/);
+  if (!match) return null;
+
+  const num = parseFloat(match[1]);
+  switch (match[2]) {
+    case 'rad': return num * 180 / Math.PI;
+    case 'grad': return num * 0.9;
+    case 'turn': return num * 360;
+    default: return match[2] || num === 0 ? num : null;
+  }
+}
+
+/**
+ * Parse background-size
+ * @param {string} value - background-size value for one layer
+ * @param {Object} units - Unit context
+ * @param {Object} box - Element box { w, h }
+ * @returns {string|Object} - 'cover', 'contain', 'auto' or { width, height } (px or 'auto')
+ */
+function parseBackgroundSize(value, units, box) {
+  const lower = value.trim().toLowerCase();
+  if (lower === 'cover' || lower === 'contain' || lower === 'auto' || lower === 'auto auto') {
+    return lower === 'auto auto' ? 'auto' : lower;
+  }
+
+  const [width, height = 'auto'] = splitValue(lower);
+  const resolve = (length, size) => {
+    if (length === 'auto') return 'auto';
+    const pixels = resolveLength(length, units, size ?? null);
+    return pixels === null ? length : pixels;
+  };
+
+  return { width: resolve(width, box?.w), height: resolve(height, box?.h) };
+}
+
+/**
+ * Parse background-position into horizontal and vertical CSS offsets
+ * Keywords become percentages; lengths resolve to px
+ * @param {string} value - background-position value for one layer
+ * @param {Object} units - Unit context
+ * @returns {Object} - { x, y } as CSS strings
+ */
+function parseBackgroundPosition(value, units) {
+  const [x, y] = orderPosition(splitValue(value.toLowerCase()));
+
+  const normalize = offset => {
+    if (offset in POSITION_KEYWORDS) return `${POSITION_KEYWORDS[offset] * 100}%`;
+    if (offset.endsWith('%')) return offset;
+    const pixels = resolveLength(offset, units, null);
+    return pixels === null ? offset : `${pixels}px`;
+  };
+
+  return { x: normalize(x), y: normalize(y) };
+}
+
+/**
+ * Normalize background-repeat to a single keyword where possible
+ * @param {string} value - background-repeat value for one layer
+ * @returns {string} - repeat, no-repeat, repeat-x, repeat-y, space, round or a two-value pair
+ */
+function normalizeRepeat(value) {
+  const [x, y = x] = splitValue(value.toLowerCase());
+  if (x === 'repeat-x' || x === 'repeat-y') return x;
+  if (x === y) return x;
+  if (x === 'repeat' && y === 'no-repeat') return 'repeat-x';
+  if (x === 'no-repeat' && y === 'repeat') return 'repeat-y';
+  return `${x} ${y}`;
+}
+
+/**
+ * Strip quotes from a url() argument
+ * @param {string} value - url() argument
+ * @returns {string} - Unquoted URL
+ */
+function unquote(value) {
+  const trimmed = value.trim();
+  const quote = trimmed[0];
+  return (quote === '"' || quote === "'") && trimmed.endsWith(quote) ? trimmed.slice(1, -1) : trimmed;
+}
+
+module.exports = {
+  POSITION_KEYWORDS,
+  buildFills,
+  parseGradient,
+  parseColorStops,
+  parseAngle,
+  parseBackgroundPosition,
+  orderPosition
+};
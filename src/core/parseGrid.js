@@ -0,0 +1,278 @@
+/**
+ * parseGrid.js - CSS Grid Value Parser
+ * Parses track lists, named areas and grid line placements into the
+ * structures the grid layout works with
+ */
+
+const { splitValue, findClosingParen } = require('./parseCSS');
+const { resolveLength } = require('./resolveUnits');
+
+/**
+ * Parse a track list (grid-template-columns/rows or grid-auto-columns/rows)
+ * Track sizes are { min, max } sizing functions, each one of
+ * { type: 'length', value }, { type: 'fr', value }, { type: 'auto' },
+ * { type: 'min-content' }, { type: 'max-content' } or { type: 'fit-content', value }
+ * @param {string} value - CSS track list, e.g. "[full-start] repeat(auto-fill, minmax(200px, 1fr))"
+ * @param {Object} units - Unit context
+ * @param {number|null} base - Size that percentages refer to; null if they can't resolve
+ * @returns {Object} - { tracks, lineNames, autoRepeat } where lineNames has one entry per line
+ *   and autoRepeat is { index, type, tracks, lineNames, namesBefore } for auto-fill/auto-fit, or null
+ */
+function parseTrackList(value, units = {}, base = null) {
+  const result = { tracks: [], lineNames: [[]], autoRepeat: null };
+  const str = String(value || 'none').trim();
+  if (!str || str.toLowerCase() === 'none') return result;
+
+  for (const token of tokenizeTrackList(str)) {
+    if (token.startsWith('[')) {
+      addLineNames(result, token);
+      continue;
+    }
+
+    const repeat = token.match(/^repeat\(/i) && parseRepeat(token, units, base);
+    if (repeat && repeat.type !== 'count') {
+      // Names written before repeat() stay on the line where the repetitions start
+      const namesBefore = result.lineNames.pop();
+      result.lineNames.push([]);
+      result.autoRepeat = { index: result.tracks.length, type: repeat.type, tracks: repeat.tracks, lineNames: repeat.lineNames, namesBefore };
+      continue;
+    }
+    if (repeat) {
+      for (let i = 0; i < repeat.count; i++) {
+        repeat.tracks.forEach((track, j) => {
+          if (j === 0) mergeNames(result.lineNames[result.lineNames.length - 1], repeat.lineNames[0]);
+          result.tracks.push(track);
+          result.lineNames.push([...repeat.lineNames[j + 1]]);
+        });
+      }
+      continue;
+    }
+
+    result.tracks.push(parseTrackSize(token, units, base));
+    result.lineNames.push([]);
+  }
+
+  return result;
+}
+
+/**
+ * Expand a track list's auto-repeat into a fixed number of repetitions
+ * @param {Object} list - Parsed track list
+ * @param {number} count - Number of repetitions
+ * @returns {Object} - { tracks, lineNames, repeated } where repeated lists the repeated track indices
+ */
+function expandTrackList(list, count) {
+  const { autoRepeat } = list;
+  if (!autoRepeat) {
+    return { tracks: [...list.tracks], lineNames: list.lineNames.map(names => [...names]), repeated: [] };
+  }
+
+  const tracks = list.tracks.slice(0, autoRepeat.index);
+  const lineNames = list.lineNames.slice(0, autoRepeat.index).map(names => [...names]);
+  lineNames.push([...autoRepeat.namesBefore]);
+  const repeated = [];
+
+  for (let i = 0; i < count; i++) {
+    autoRepeat.tracks.forEach((track, j) => {
+      if (j === 0) mergeNames(lineNames[lineNames.length - 1], autoRepeat.lineNames[0]);
+      repeated.push(tracks.length);
+      tracks.push(track);
+      lineNames.push([...autoRepeat.lineNames[j + 1]]);
+    });
+  }
+
+  // The line after the repetitions also carries the names after repeat()
+  mergeNames(lineNames[lineNames.length - 1], list.lineNames[autoRepeat.index]);
+  list.tracks.slice(autoRepeat.index).forEach((track, i) => {
+    tracks.push(track);
+    lineNames.push([...list.lineNames[autoRepeat.index + i + 1]]);
+  });
+
+  return { tracks, lineNames, repeated };
+}
+
+/**
+ * Parse grid-template-areas
+ * @param {string} value - e.g. '"header header" "sidebar main"'
+ * @returns {Object|null} - { rows, columns, areas } where each area is
+ *   { rowStart, rowEnd, columnStart, columnEnd } as 0-based line indices; null for none/invalid
+ */
+function parseTemplateAreas(value) {
+  const strings = String(value || '').match(/"[^"]*"|'[^']*'/g);
+  if (!strings) return null;
+
+  const grid = strings.map(string => string.slice(1, -1).trim().split(/\s+/).filter(Boolean));
+  const columns = grid[0]?.length || 0;
+  if (columns === 0 || grid.some(row => row.length !== columns)) return null;
+
+  const areas = {};
+  grid.forEach((row, r) => {
+    row.forEach((cell, c) => {
+      // Runs of dots mark empty cells
+      if (/^\.+$/.test(cell)) return;
+
+      const area = areas[cell];
+      if (!area) {
+        areas[cell] = { rowStart: r, rowEnd: r + 1, columnStart: c, columnEnd: c + 1 };
+      } else {
+        area.rowEnd = Math.max(area.rowEnd, r + 1);
+        area.columnEnd = Math.max(area.columnEnd, c + 1);
+      }
+    });
+  });
+
+  return { rows: grid.length, columns, areas };
+}
+
+/**
+ * Parse a grid line value (grid-row-start, grid-column-end, ...)
+ * @param {string} value - e.g. "auto", "2", "-1", "span 2", "header", "col 3"
+ * @returns {Object} - { type: 'auto' }, { type: 'span', count, name } or { type: 'line', number, name }
+ */
+function parseGridLine(value) {
+  const parts = splitValue(String(value || 'auto').trim());
+  if (parts.length === 0 || parts[0].toLowerCase() === 'auto') return { type: 'auto' };
+
+  const isSpan = parts.some(part => part.toLowerCase() === 'span');
+  const number = parts.find(part => /^[-+]?\d+$/.test(part));
+  const name = parts.find(part => part.toLowerCase() !== 'span' && part !== number) || null;
+
+  if (isSpan) {
+    return { type: 'span', count: Math.max(1, parseInt(number ?? '1', 10)), name };
+  }
+  if (number !== undefined && parseInt(number, 10) === 0) return { type: 'auto' };
+  return { type: 'line', number: number === undefined ? null : parseInt(number, 10), name };
+}
+
+/**
+ * Split a track list into sizes, repeat() calls and [line names]
+ * @param {string} str - Track list
+ * @returns {Array} - Tokens
+ */
+function tokenizeTrackList(str) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < str.length) {
+    if (/\s/.test(str[i])) {
+      i++;
+    } else if (str[i] === '[') {
+      const end = str.indexOf(']', i);
+      const stop = end === -1 ? str.length : end + 1;
+      tokens.push(str.slice(i, stop));
+      i = stop;
+    } else {
+      let end = i;
+      while (end < str.length && !/[\s[]/.test(str[end])) {
+        end = str[end] === '(' ? findClosingParen(str, end) + 1 : end + 1;
+      }
+      tokens.push(str.slice(i, end));
+      i = end;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse repeat()
+ * @param {string} token - e.g. "repeat(3, 1fr)", "repeat(auto-fit, minmax(120px, 1fr))"
+ * @param {Object} units - Unit context
+ * @param {number|null} base - Percentage base
+ * @returns {Object|null} - { type: 'count'|'auto-fill'|'auto-fit', count, tracks, lineNames }
+ */
+function parseRepeat(token, units, base) {
+  const open = token.indexOf('(');
+  const inner = token.slice(open + 1, findClosingParen(token, open));
+  const comma = inner.indexOf(',');
+  if (comma === -1) return null;
+
+  const countText = inner.slice(0, comma).trim().toLowerCase();
+  const list = parseTrackList(inner.slice(comma + 1), units, base);
+  if (list.tracks.length === 0 || list.autoRepeat) return null;
+
+  if (countText === 'auto-fill' || countText === 'auto-fit') {
+    return { type: countText, tracks: list.tracks, lineNames: list.lineNames };
+  }
+
+  const count = parseInt(countText, 10);
+  return count > 0 ? { type: 'count', count, tracks: list.tracks, lineNames: list.lineNames } : null;
+}
+
+/**
+ * Parse one track size
+ * @param {string} token - e.g. "1fr", "200px", "minmax(100px, auto)", "fit-content(40%)"
+ * @param {Object} units - Unit context
+ * @param {number|null} base - Percentage base
+ * @returns {Object} - { min, max } sizing functions
+ */
+function parseTrackSize(token, units, base) {
+  const lower = token.toLowerCase();
+
+  if (lower.startsWith('minmax(')) {
+    const inner = token.slice(7, findClosingParen(token, 6));
+    const comma = inner.indexOf(',');
+    const min = parseSizingFunction(inner.slice(0, comma).trim(), units, base);
+    const max = parseSizingFunction(inner.slice(comma + 1).trim(), units, base);
+    // Flexible minimums are invalid and behave as auto
+    return { min: min.type === 'fr' ? { type: 'auto' } : min, max };
+  }
+
+  if (lower.startsWith('fit-content(')) {
+    const inner = token.slice(12, findClosingParen(token, 11));
+    const limit = resolveLength(inner.trim(), units, base);
+    return {
+      min: { type: 'auto' },
+      max: limit === null ? { type: 'max-content' } : { type: 'fit-content', value: limit }
+    };
+  }
+
+  const size = parseSizingFunction(token, units, base);
+  return { min: size.type === 'fr' ? { type: 'auto' } : size, max: size };
+}
+
+/**
+ * Parse a single sizing function
+ * Percentages that can't resolve behave as auto
+ * @param {string} value - Length, percentage, fr, auto, min-content or max-content
+ * @param {Object} units - Unit context
+ * @param {number|null} base - Percentage base
+ * @returns {Object} - Sizing function
+ */
+function parseSizingFunction(value, units, base) {
+  const lower = value.toLowerCase();
+
+  if (lower === 'min-content' || lower === 'max-content' || lower === 'auto') return { type: lower };
+  if (/^[\d.]+fr$/.test(lower)) return { type: 'fr', value: parseFloat(lower) };
+
+  const length = resolveLength(value, units, base);
+  return length === null ? { type: 'auto' } : { type: 'length', value: Math.max(0, length) };
+}
+
+/**
+ * Add a [name ...] token to the last line of a track list
+ * @param {Object} list - Track list being built
+ * @param {string} token - Bracketed line names
+ */
+function addLineNames(list, token) {
+  const names = token.replace(/^\[|\]$/g, '').trim().split(/\s+/).filter(Boolean);
+  mergeNames(list.lineNames[list.lineNames.length - 1], names);
+}
+
+/**
+ * Append names to a line's name list
+ * @param {Array} target - Names of the line
+ * @param {Array} names - Names to add
+ */
+function mergeNames(target, names = []) {
+  for (const name of names) {
+    if (!target.includes(name)) target.push(name);
+  }
+}
+
+module.exports = {
+  parseTrackList,
+  expandTrackList,
+  parseTemplateAreas,
+  parseGridLine
+};
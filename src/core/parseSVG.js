@@ -0,0 +1,808 @@
+/**
+ * parseSVG.js - Inline SVG Parser
+ * Sanitizes inline SVG markup and breaks its shapes into vector paths with
+ * their transforms flattened into page coordinates
+ */
+
+const { normalizeColor, DEFAULT_COLOR_FORMAT } = require('./parseColor');
+const { IDENTITY, parseTransform, multiply, applyToPoint } = require('./parseTransform');
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/**
+ * Elements removed from sanitized markup
+ */
+const UNSAFE_TAGS = ['script', 'foreignobject', 'iframe', 'embed', 'object'];
+
+/**
+ * Elements whose children are drawn in place
+ */
+const CONTAINER_TAGS = ['g', 'a', 'switch', 'svg', 'symbol'];
+
+/**
+ * Shape elements that become vectors
+ */
+const SHAPE_TAGS = ['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon'];
+
+/**
+ * Inherited paint properties, their presentation attributes and initial values
+ */
+const PAINT_PROPERTIES = {
+  fill: ['fill', 'black'],
+  fillRule: ['fill-rule', 'nonzero'],
+  fillOpacity: ['fill-opacity', '1'],
+  stroke: ['stroke', 'none'],
+  strokeWidth: ['stroke-width', '1'],
+  strokeOpacity: ['stroke-opacity', '1'],
+  strokeLinecap: ['stroke-linecap', 'butt'],
+  strokeLinejoin: ['stroke-linejoin', 'miter'],
+  strokeDasharray: ['stroke-dasharray', 'none'],
+  visibility: ['visibility', 'visible']
+};
+
+/**
+ * Number of parameters per path command
+ */
+const PATH_PARAMETERS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+/**
+ * Control point distance for quarter ellipses drawn with cubic curves
+ */
+const KAPPA = 0.5522847498;
+
+/**
+ * Serialize an SVG element without scripts, event handlers or javascript: links
+ * @param {Element} element - svg element
+ * @returns {string} - Markup
+ */
+function sanitizeSVG(element) {
+  const clone = element.cloneNode(true);
+
+  for (const child of Array.from(clone.querySelectorAll('*'))) {
+    // Animations could swap a link for a script
+    const animatesLink = /^(set|animate)$/i.test(child.localName) && /href$/i.test(child.getAttribute('attributeName') || '');
+    if (UNSAFE_TAGS.includes(child.localName.toLowerCase()) || animatesLink) {
+      child.remove();
+    }
+  }
+
+  for (const node of [clone, ...clone.querySelectorAll('*')]) {
+    for (const { name, localName, value } of Array.from(node.attributes)) {
+      const lower = name.toLowerCase();
+      // Prefixes are ignored so any namespace prefix on href is caught
+      const isLink = ['href', 'values', 'from', 'to'].includes(localName.toLowerCase());
+      // Control characters and whitespace are ignored in URL schemes
+      if (lower.startsWith('on') || (isLink && /^javascript:/i.test(value.replace(/[\s\u0000-\u001f]/g, '')))) {
+        node.removeAttribute(name);
+      }
+    }
+  }
+
+  if (!clone.getAttribute('xmlns')) {
+    clone.setAttribute('xmlns', SVG_NAMESPACE);
+  }
+  return clone.outerHTML;
+}
+
+/**
+ * Parse a viewBox attribute
+ * @param {string} value - e.g. "0 0 24 24"
+ * @returns {Object|null} - { x, y, w, h }, or null when missing or invalid
+ */
+function parseViewBox(value) {
+  const numbers = String(value || '').trim().split(/[\s,]+/).map(Number);
+  if (numbers.length !== 4 || !numbers.every(Number.isFinite)) return null;
+
+  const [x, y, w, h] = numbers;
+  return w > 0 && h > 0 ? { x, y, w, h } : null;
+}
+
+/**
+ * Get the matrix mapping viewBox coordinates into a viewport box
+ * @param {Object|null} viewBox - { x, y, w, h }, or null for user units in pixels
+ * @param {Object} box - Viewport { x, y, w, h } in page coordinates
+ * @param {string} preserveAspectRatio - e.g. "xMidYMid meet", "xMinYMax slice", "none"
+ * @returns {Array} - Matrix
+ */
+function getViewBoxTransform(viewBox, box, preserveAspectRatio) {
+  if (!viewBox) return [1, 0, 0, 1, box.x, box.y];
+
+  const [align = 'xmidymid', meetOrSlice = 'meet'] = String(preserveAspectRatio || 'xMidYMid meet')
+    .trim().toLowerCase().replace(/^defer\s+/, '').split(/\s+/);
+  let sx = box.w / viewBox.w;
+  let sy = box.h / viewBox.h;
+  let dx = 0;
+  let dy = 0;
+
+  // Uniform scaling aligns the viewBox within the viewport
+  if (align !== 'none') {
+    sx = sy = meetOrSlice === 'slice' ? Math.max(sx, sy) : Math.min(sx, sy);
+    const factor = position => position === 'min' ? 0 : position === 'max' ? 1 : 0.5;
+    dx = (box.w - viewBox.w * sx) * factor(align.slice(1, 4));
+    dy = (box.h - viewBox.h * sy) * factor(align.slice(5, 8));
+  }
+
+  return [sx, 0, 0, sy, box.x + dx - viewBox.x * sx, box.y + dy - viewBox.y * sy];
+}
+
+/**
+ * Build vector nodes for the shapes of an SVG element
+ * Groups are flattened: each shape becomes one vector whose layout is its bounds in
+ * page coordinates and whose path is relative to that layout
+ * @param {Element} svg - svg element
+ * @param {Object} box - Content box { x, y, w, h } the SVG is drawn into
+ * @param {Object} options - { getStyles(element, parentStyles), styles, colorFormat } where
+ *   getStyles returns computed styles and styles are the svg element's
+ * @returns {Array} - Vector nodes
+ */
+function buildVectorNodes(svg, box, options = {}) {
+  const matrix = getViewBoxTransform(parseViewBox(svg.getAttribute('viewBox')), box, svg.getAttribute('preserveAspectRatio'));
+  const paint = resolvePaint(svg, options.styles || {}, getInitialPaint());
+  const nodes = [];
+
+  for (const child of svg.children) {
+    collectVectors(child, matrix, paint, options.styles || {}, options, nodes, []);
+  }
+  return nodes;
+}
+
+/**
+ * Walk an SVG subtree and add a vector node for each visible shape
+ * @param {Element} element - SVG element
+ * @param {Array} parentMatrix - Matrix from the parent's user space to the page
+ * @param {Object} parentPaint - Inherited paint properties and opacity
+ * @param {Object} parentStyles - Computed styles of the parent
+ * @param {Object} options - Options of buildVectorNodes
+ * @param {Array} nodes - Vector nodes (modified in place)
+ * @param {Array} references - <use> elements being drawn, innermost last, to stop cycles
+ */
+function collectVectors(element, parentMatrix, parentPaint, parentStyles, options, nodes, references) {
+  const tagName = element.tagName.toLowerCase();
+  if (!CONTAINER_TAGS.includes(tagName) && !SHAPE_TAGS.includes(tagName) && tagName !== 'use') return;
+  // Symbols are only drawn through <use>
+  if (tagName === 'symbol' && references.length === 0) return;
+
+  const styles = options.getStyles ? options.getStyles(element, parentStyles) : {};
+  if (styles.display === 'none' || element.getAttribute('display') === 'none') return;
+
+  const paint = resolvePaint(element, styles, parentPaint);
+  const matrix = multiply(parentMatrix, getElementTransform(element, styles));
+
+  if (tagName === 'use') {
+    const target = getUseTarget(element);
+    if (!target || references.some(use => getUseTarget(use) === target)) return;
+
+    const offset = [1, 0, 0, 1, length(element, 'x'), length(element, 'y')];
+    collectVectors(target, multiply(matrix, offset), paint, styles, options, nodes, [...references, element]);
+  } else if (tagName === 'svg' || tagName === 'symbol') {
+    // Nested viewports map their own viewBox into their box; symbols take the size of their <use>
+    const sized = tagName === 'symbol' ? references[references.length - 1] : element;
+    const box = {
+      x: length(element, 'x'),
+      y: length(element, 'y'),
+      w: length(sized, 'width') || length(element, 'width'),
+      h: length(sized, 'height') || length(element, 'height')
+    };
+    const viewBox = parseViewBox(element.getAttribute('viewBox'));
+    const inner = viewBox && box.w > 0 && box.h > 0
+      ? getViewBoxTransform(viewBox, box, element.getAttribute('preserveAspectRatio'))
+      : [1, 0, 0, 1, box.x, box.y];
+    for (const child of element.children) {
+      collectVectors(child, multiply(matrix, inner), paint, styles, options, nodes, references);
+    }
+  } else if (CONTAINER_TAGS.includes(tagName)) {
+    for (const child of element.children) {
+      collectVectors(child, matrix, paint, styles, options, nodes, references);
+    }
+  } else if (paint.visibility !== 'hidden' && paint.visibility !== 'collapse') {
+    const segments = getShapeSegments(element);
+    if (segments.length > 0) {
+      nodes.push(createVectorNode(element, transformSegments(segments, matrix), paint, matrix, styles, options));
+    }
+  }
+}
+
+/**
+ * Get the element a <use> draws
+ * @param {Element} use - use element
+ * @returns {Element|null} - Referenced element
+ */
+function getUseTarget(use) {
+  const id = (use.getAttribute('href') || use.getAttribute('xlink:href') || '').replace(/^#/, '');
+  return id ? use.ownerDocument.getElementById(id) : null;
+}
+
+/**
+ * Build a vector node from a transformed path
+ * @param {Element} element - Shape element
+ * @param {Array} segments - Path segments in page coordinates
+ * @param {Object} paint - Resolved paint properties
+ * @param {Array} matrix - Matrix of the shape, to scale its stroke
+ * @param {Object} styles - Computed styles of the shape
+ * @param {Object} options - { colorFormat }
+ * @returns {Object} - Vector node
+ */
+function createVectorNode(element, segments, paint, matrix, styles, options) {
+  const bounds = getSegmentBounds(segments);
+  const colorFormat = options.colorFormat || DEFAULT_COLOR_FORMAT;
+  const toPaint = value => resolvePaintValue(value, colorFormat, styles.color || options.styles?.color);
+
+  const style = {
+    fill: toPaint(paint.fill),
+    stroke: toPaint(paint.stroke)
+  };
+  if (paint.fillRule === 'evenodd') {
+    style.fillRule = 'evenodd';
+  }
+  if (parseFloat(paint.fillOpacity) < 1) {
+    style.fillOpacity = parseFloat(paint.fillOpacity);
+  }
+  if (style.stroke) {
+    // Strokes scale with the shape's transform
+    const scale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+    style.strokeWidth = round((parseFloat(paint.strokeWidth) || 0) * scale);
+    if (parseFloat(paint.strokeOpacity) < 1) {
+      style.strokeOpacity = parseFloat(paint.strokeOpacity);
+    }
+    if (paint.strokeLinecap !== 'butt') {
+      style.strokeLinecap = paint.strokeLinecap;
+    }
+    if (paint.strokeLinejoin !== 'miter') {
+      style.strokeLinejoin = paint.strokeLinejoin;
+    }
+    if (paint.strokeDasharray !== 'none') {
+      style.strokeDasharray = paint.strokeDasharray.split(/[\s,]+/).map(value => round((parseFloat(value) || 0) * scale));
+    }
+  }
+  if (paint.opacity < 1) {
+    style.opacity = round(paint.opacity);
+  }
+
+  const node = {
+    type: 'vector',
+    name: element.tagName.toLowerCase(),
+    layout: bounds,
+    style,
+    path: formatPath(segments, bounds)
+  };
+  if (element.id) {
+    node.id = element.id;
+  }
+  return node;
+}
+
+/**
+ * Get the initial paint properties of an SVG viewport
+ * @returns {Object} - Paint properties and opacity
+ */
+function getInitialPaint() {
+  const paint = { opacity: 1 };
+  for (const [property, [, initial]] of Object.entries(PAINT_PROPERTIES)) {
+    paint[property] = initial;
+  }
+  return paint;
+}
+
+/**
+ * Resolve an element's paint properties
+ * Style rules override presentation attributes, which override inherited values.
+ * Group opacity is folded into the shapes inside the group
+ * @param {Element} element - SVG element
+ * @param {Object} styles - Computed styles
+ * @param {Object} parentPaint - Inherited paint properties
+ * @returns {Object} - Paint properties and opacity
+ */
+function resolvePaint(element, styles, parentPaint) {
+  const paint = { ...parentPaint };
+
+  for (const [property, [attribute]] of Object.entries(PAINT_PROPERTIES)) {
+    const value = String(styles[property] ?? element.getAttribute(attribute) ?? 'inherit').trim();
+    if (value.toLowerCase() !== 'inherit') {
+      paint[property] = value;
+    }
+  }
+
+  const opacity = parseFloat(styles.opacity ?? element.getAttribute('opacity') ?? 1);
+  paint.opacity = parentPaint.opacity * (Number.isFinite(opacity) ? Math.min(1, Math.max(0, opacity)) : 1);
+  return paint;
+}
+
+/**
+ * Resolve a fill or stroke value
+ * @param {string} value - Paint, e.g. "none", "currentColor", "#f00", "url(#gradient) red"
+ * @param {string} colorFormat - Output color format
+ * @param {string} currentColor - Value that currentColor refers to
+ * @returns {string|Object|null} - Color, { type: 'url', url } for paint servers, or null for none
+ */
+function resolvePaintValue(value, colorFormat, currentColor) {
+  const str = String(value || 'none').trim();
+  if (str.toLowerCase() === 'none') return null;
+
+  const url = str.match(/^url\(\s*["']?([^"')]*)["']?\s*\)\s*(.*)$/i);
+  if (url) {
+    // Gradients and patterns stay in the markup; a fallback color stands in for them
+    return url[2] && url[2].toLowerCase() !== 'none'
+      ? normalizeColor(url[2], colorFormat, currentColor)
+      : { type: 'url', url: url[1] };
+  }
+  return normalizeColor(str, colorFormat, currentColor);
+}
+
+/**
+ * Get the transform of an SVG element
+ * The transform property overrides the transform attribute
+ * @param {Element} element - SVG element
+ * @param {Object} styles - Computed styles
+ * @returns {Array} - Matrix from the element's user space to its parent's
+ */
+function getElementTransform(element, styles) {
+  if (styles.transform && styles.transform !== 'none') {
+    return parseTransform(styles.transform) || IDENTITY;
+  }
+  return parseSVGTransform(element.getAttribute('transform'));
+}
+
+/**
+ * Parse an SVG transform attribute
+ * @param {string} value - e.g. "translate(10 20) rotate(45 12 12) scale(2)"
+ * @returns {Array} - Matrix
+ */
+function parseSVGTransform(value) {
+  const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/gi;
+  let matrix = IDENTITY;
+  let match;
+
+  while ((match = pattern.exec(String(value || ''))) !== null) {
+    const args = match[2].trim().split(/[\s,]+/).filter(Boolean).map(Number);
+    if (!args.every(Number.isFinite)) return IDENTITY;
+
+    const [a = 0, b, c, d, e, f] = args;
+    const radians = a * Math.PI / 180;
+    switch (match[1].toLowerCase()) {
+      case 'matrix':
+        if (args.length !== 6) return IDENTITY;
+        matrix = multiply(matrix, args);
+        break;
+      case 'translate':
+        matrix = multiply(matrix, [1, 0, 0, 1, a, b ?? 0]);
+        break;
+      case 'scale':
+        matrix = multiply(matrix, [a, 0, 0, b ?? a, 0, 0]);
+        break;
+      case 'rotate': {
+        // rotate(angle cx cy) turns around a center point
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        const cx = b ?? 0;
+        const cy = c ?? 0;
+        matrix = multiply(matrix, [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy]);
+        break;
+      }
+      case 'skewx':
+        matrix = multiply(matrix, [1, 0, Math.tan(radians), 1, 0, 0]);
+        break;
+      case 'skewy':
+        matrix = multiply(matrix, [1, Math.tan(radians), 0, 1, 0, 0]);
+        break;
+    }
+  }
+
+  return matrix;
+}
+
+/**
+ * Get the outline of a shape element as path segments in its user space
+ * @param {Element} element - Shape element
+ * @returns {Array} - Segments { command, points } with commands M, L, C, Q and Z
+ */
+function getShapeSegments(element) {
+  switch (element.tagName.toLowerCase()) {
+    case 'path':
+      return parsePathData(element.getAttribute('d'));
+    case 'rect': {
+      const w = length(element, 'width');
+      const h = length(element, 'height');
+      if (!(w > 0 && h > 0)) return [];
+      // A missing corner radius takes the other one
+      const rx = element.hasAttribute('rx') ? length(element, 'rx') : length(element, 'ry');
+      const ry = element.hasAttribute('ry') ? length(element, 'ry') : rx;
+      return roundedRect(length(element, 'x'), length(element, 'y'), w, h, Math.min(Math.max(rx, 0), w / 2), Math.min(Math.max(ry, 0), h / 2));
+    }
+    case 'circle': {
+      const r = length(element, 'r');
+      return r > 0 ? roundedRect(length(element, 'cx') - r, length(element, 'cy') - r, 2 * r, 2 * r, r, r) : [];
+    }
+    case 'ellipse': {
+      const rx = length(element, 'rx');
+      const ry = length(element, 'ry');
+      return rx > 0 && ry > 0 ? roundedRect(length(element, 'cx') - rx, length(element, 'cy') - ry, 2 * rx, 2 * ry, rx, ry) : [];
+    }
+    case 'line':
+      return [
+        { command: 'M', points: [{ x: length(element, 'x1'), y: length(element, 'y1') }] },
+        { command: 'L', points: [{ x: length(element, 'x2'), y: length(element, 'y2') }] }
+      ];
+    case 'polyline':
+    case 'polygon': {
+      const numbers = String(element.getAttribute('points') || '').trim().split(/[\s,]+/).filter(Boolean).map(Number);
+      const segments = [];
+      for (let i = 0; i + 1 < numbers.length && Number.isFinite(numbers[i + 1]); i += 2) {
+        segments.push({ command: i === 0 ? 'M' : 'L', points: [{ x: numbers[i], y: numbers[i + 1] }] });
+      }
+      if (element.tagName.toLowerCase() === 'polygon' && segments.length > 0) {
+        segments.push({ command: 'Z', points: [] });
+      }
+      return segments;
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Outline a rectangle with elliptical corners
+ * Ellipses and circles are rectangles whose corners meet
+ * @param {number} x - Left
+ * @param {number} y - Top
+ * @param {number} w - Width
+ * @param {number} h - Height
+ * @param {number} rx - Horizontal corner radius
+ * @param {number} ry - Vertical corner radius
+ * @returns {Array} - Segments
+ */
+function roundedRect(x, y, w, h, rx, ry) {
+  // Corners are either round on both axes or sharp
+  if (!(rx > 0 && ry > 0)) {
+    rx = 0;
+    ry = 0;
+  }
+  const right = x + w;
+  const bottom = y + h;
+  const kx = rx * KAPPA;
+  const ky = ry * KAPPA;
+  const segments = [{ command: 'M', points: [{ x: x + rx, y }] }];
+  const line = (px, py) => segments.push({ command: 'L', points: [{ x: px, y: py }] });
+  const curve = (...coords) => {
+    if (rx > 0) {
+      segments.push({ command: 'C', points: [0, 2, 4].map(i => ({ x: coords[i], y: coords[i + 1] })) });
+    }
+  };
+
+  if (w > 2 * rx) line(right - rx, y);
+  curve(right - rx + kx, y, right, y + ry - ky, right, y + ry);
+  if (h > 2 * ry) line(right, bottom - ry);
+  curve(right, bottom - ry + ky, right - rx + kx, bottom, right - rx, bottom);
+  if (w > 2 * rx) line(x + rx, bottom);
+  curve(x + rx - kx, bottom, x, bottom - ry + ky, x, bottom - ry);
+  if (h > 2 * ry && rx > 0) line(x, y + ry);
+  curve(x, y + ry - ky, x + rx - kx, y, x + rx, y);
+  segments.push({ command: 'Z', points: [] });
+
+  return segments;
+}
+
+/**
+ * Parse path data into absolute segments
+ * Horizontal, vertical, smooth and arc commands are converted to lines and curves.
+ * Parsing stops at the first error, keeping the segments before it, as browsers do
+ * @param {string} d - Path data, e.g. "M2 2h20v20H2z" or "M0 0a5 5 0 1 0 10 0"
+ * @returns {Array} - Segments { command, points } with commands M, L, C, Q and Z
+ */
+function parsePathData(d) {
+  const str = String(d || '');
+  const segments = [];
+  let index = 0;
+
+  const skip = () => {
+    while (index < str.length && /[\s,]/.test(str[index])) index++;
+  };
+  const readNumber = () => {
+    skip();
+    const match = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/.exec(str.slice(index));
+    if (!match) return null;
+    index += match[0].length;
+    return parseFloat(match[0]);
+  };
+  // Arc flags are single digits and may run into the next number
+  const readFlag = () => {
+    skip();
+    const ch = str[index];
+    if (ch !== '0' && ch !== '1') return null;
+    index++;
+    return Number(ch);
+  };
+
+  let command = null;
+  let current = { x: 0, y: 0 };
+  let start = current;
+  let control = null;
+  let previous = null;
+
+  while (true) {
+    skip();
+    if (index >= str.length) break;
+    if (/[a-z]/i.test(str[index])) {
+      command = str[index++];
+    } else if (!command || command.toUpperCase() === 'Z') {
+      break;
+    }
+
+    const upper = command.toUpperCase();
+    if (!(upper in PATH_PARAMETERS)) break;
+
+    const params = [];
+    for (let i = 0; i < PATH_PARAMETERS[upper]; i++) {
+      const value = upper === 'A' && (i === 3 || i === 4) ? readFlag() : readNumber();
+      if (value === null) return segments;
+      params.push(value);
+    }
+
+    // Relative coordinates are offsets from the current point
+    const relative = command !== upper;
+    const point = (px, py) => ({ x: px + (relative ? current.x : 0), y: py + (relative ? current.y : 0) });
+    const reflect = types => types.includes(previous) && control
+      ? { x: 2 * current.x - control.x, y: 2 * current.y - control.y }
+      : current;
+    let next = null;
+
+    switch (upper) {
+      case 'M':
+        next = point(params[0], params[1]);
+        segments.push({ command: 'M', points: [next] });
+        start = next;
+        // Further coordinate pairs are line segments
+        command = relative ? 'l' : 'L';
+        break;
+      case 'L':
+        next = point(params[0], params[1]);
+        segments.push({ command: 'L', points: [next] });
+        break;
+      case 'H':
+        next = { x: params[0] + (relative ? current.x : 0), y: current.y };
+        segments.push({ command: 'L', points: [next] });
+        break;
+      case 'V':
+        next = { x: current.x, y: params[0] + (relative ? current.y : 0) };
+        segments.push({ command: 'L', points: [next] });
+        break;
+      case 'C':
+      case 'S': {
+        const points = upper === 'C'
+          ? [point(params[0], params[1]), point(params[2], params[3]), point(params[4], params[5])]
+          : [reflect(['C', 'S']), point(params[0], params[1]), point(params[2], params[3])];
+        segments.push({ command: 'C', points });
+        control = points[1];
+        next = points[2];
+        break;
+      }
+      case 'Q':
+      case 'T': {
+        const points = upper === 'Q'
+          ? [point(params[0], params[1]), point(params[2], params[3])]
+          : [reflect(['Q', 'T']), point(params[0], params[1])];
+        segments.push({ command: 'Q', points });
+        control = points[0];
+        next = points[1];
+        break;
+      }
+      case 'A':
+        next = point(params[5], params[6]);
+        segments.push(...arcToCurves(current, params[0], params[1], params[2], params[3], params[4], next));
+        break;
+      case 'Z':
+        segments.push({ command: 'Z', points: [] });
+        next = start;
+        break;
+    }
+
+    previous = upper;
+    current = next;
+  }
+
+  return segments;
+}
+
+/**
+ * Convert an elliptical arc to cubic curves (SVG implementation notes, F.6)
+ * @param {Object} from - Start point { x, y }
+ * @param {number} rx - X radius
+ * @param {number} ry - Y radius
+ * @param {number} angle - Rotation of the ellipse in degrees
+ * @param {number} largeArc - Large arc flag
+ * @param {number} sweep - Sweep flag
+ * @param {Object} to - End point { x, y }
+ * @returns {Array} - C segments, or one L segment when a radius is zero
+ */
+function arcToCurves(from, rx, ry, angle, largeArc, sweep, to) {
+  if (from.x === to.x && from.y === to.y) return [];
+  if (!rx || !ry) return [{ command: 'L', points: [to] }];
+
+  const phi = angle * Math.PI / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (from.x - to.x) / 2;
+  const dy = (from.y - to.y) / 2;
+  const x1 = cos * dx + sin * dy;
+  const y1 = -sin * dx + cos * dy;
+
+  // Radii too small to reach the end point are scaled up
+  let radiusX = Math.abs(rx);
+  let radiusY = Math.abs(ry);
+  const lambda = (x1 * x1) / (radiusX * radiusX) + (y1 * y1) / (radiusY * radiusY);
+  if (lambda > 1) {
+    radiusX *= Math.sqrt(lambda);
+    radiusY *= Math.sqrt(lambda);
+  }
+
+  const rx2 = radiusX * radiusX;
+  const ry2 = radiusY * radiusY;
+  const sign = largeArc === sweep ? -1 : 1;
+  const coefficient = sign * Math.sqrt(Math.max(0, (rx2 * ry2 - rx2 * y1 * y1 - ry2 * x1 * x1) / (rx2 * y1 * y1 + ry2 * x1 * x1)));
+  const cx1 = coefficient * radiusX * y1 / radiusY;
+  const cy1 = -coefficient * radiusY * x1 / radiusX;
+  const cx = cos * cx1 - sin * cy1 + (from.x + to.x) / 2;
+  const cy = sin * cx1 + cos * cy1 + (from.y + to.y) / 2;
+
+  const vectorAngle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const theta = vectorAngle(1, 0, (x1 - cx1) / radiusX, (y1 - cy1) / radiusY);
+  let delta = vectorAngle((x1 - cx1) / radiusX, (y1 - cy1) / radiusY, (-x1 - cx1) / radiusX, (-y1 - cy1) / radiusY);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  // Each curve spans at most a quarter turn
+  const count = Math.max(1, Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9));
+  const step = delta / count;
+  const k = 4 / 3 * Math.tan(step / 4);
+  const pointAt = t => ({
+    x: cx + radiusX * Math.cos(t) * cos - radiusY * Math.sin(t) * sin,
+    y: cy + radiusX * Math.cos(t) * sin + radiusY * Math.sin(t) * cos
+  });
+  const tangentAt = t => ({
+    x: -radiusX * Math.sin(t) * cos - radiusY * Math.cos(t) * sin,
+    y: -radiusX * Math.sin(t) * sin + radiusY * Math.cos(t) * cos
+  });
+
+  const segments = [];
+  for (let i = 0; i < count; i++) {
+    const t1 = theta + i * step;
+    const t2 = t1 + step;
+    const p1 = pointAt(t1);
+    const p2 = i === count - 1 ? to : pointAt(t2);
+    const d1 = tangentAt(t1);
+    const d2 = tangentAt(t2);
+    segments.push({
+      command: 'C',
+      points: [
+        { x: p1.x + k * d1.x, y: p1.y + k * d1.y },
+        { x: p2.x - k * d2.x, y: p2.y - k * d2.y },
+        p2
+      ]
+    });
+  }
+  return segments;
+}
+
+/**
+ * Apply a matrix to every point of a path
+ * @param {Array} segments - Segments
+ * @param {Array} matrix - Matrix
+ * @returns {Array} - Transformed segments
+ */
+function transformSegments(segments, matrix) {
+  return segments.map(({ command, points }) => ({
+    command,
+    points: points.map(point => applyToPoint(matrix, point.x, point.y))
+  }));
+}
+
+/**
+ * Get the bounds of a path, including the extremes of its curves
+ * @param {Array} segments - Segments in page coordinates
+ * @returns {Object} - { x, y, w, h }
+ */
+function getSegmentBounds(segments) {
+  const xs = [];
+  const ys = [];
+  let current = { x: 0, y: 0 };
+
+  for (const { command, points } of segments) {
+    if (points.length === 0) continue;
+    const end = points[points.length - 1];
+    xs.push(end.x);
+    ys.push(end.y);
+
+    if (command === 'C' || command === 'Q') {
+      const curve = [current, ...points];
+      for (const t of getCurveExtremes(curve.map(point => point.x))) xs.push(evaluateCurve(curve.map(point => point.x), t));
+      for (const t of getCurveExtremes(curve.map(point => point.y))) ys.push(evaluateCurve(curve.map(point => point.y), t));
+    }
+    current = end;
+  }
+
+  if (xs.length === 0) return { x: 0, y: 0, w: 0, h: 0 };
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x: round(x), y: round(y), w: round(Math.max(...xs) - x), h: round(Math.max(...ys) - y) };
+}
+
+/**
+ * Find where a quadratic or cubic curve turns on one axis
+ * @param {Array} values - Coordinates of the curve's points on the axis
+ * @returns {Array} - Parameters t between 0 and 1
+ */
+function getCurveExtremes(values) {
+  const inRange = t => t > 0 && t < 1;
+  if (values.length === 3) {
+    const [p0, p1, p2] = values;
+    const denominator = p0 - 2 * p1 + p2;
+    return denominator === 0 ? [] : [(p0 - p1) / denominator].filter(inRange);
+  }
+
+  // The derivative of a cubic is a quadratic a t² + b t + c
+  const [p0, p1, p2, p3] = values;
+  const a = p3 - 3 * p2 + 3 * p1 - p0;
+  const b = 2 * (p2 - 2 * p1 + p0);
+  const c = p1 - p0;
+  if (Math.abs(a) < 1e-12) {
+    return b === 0 ? [] : [-c / b].filter(inRange);
+  }
+  const discriminant = b * b - 4 * a * c;
+  if (discriminant < 0) return [];
+  const root = Math.sqrt(discriminant);
+  return [(-b + root) / (2 * a), (-b - root) / (2 * a)].filter(inRange);
+}
+
+/**
+ * Evaluate a quadratic or cubic curve on one axis
+ * @param {Array} values - Coordinates of the curve's points on the axis
+ * @param {number} t - Curve parameter
+ * @returns {number} - Coordinate
+ */
+function evaluateCurve(values, t) {
+  const u = 1 - t;
+  if (values.length === 3) {
+    return u * u * values[0] + 2 * u * t * values[1] + t * t * values[2];
+  }
+  return u * u * u * values[0] + 3 * u * u * t * values[1] + 3 * u * t * t * values[2] + t * t * t * values[3];
+}
+
+/**
+ * Format segments as path data relative to a box
+ * @param {Array} segments - Segments in page coordinates
+ * @param {Object} origin - { x, y } the coordinates are made relative to
+ * @returns {string} - Path data, e.g. "M0 0 L10 0 C10 5 5 10 0 10 Z"
+ */
+function formatPath(segments, origin) {
+  return segments.map(({ command, points }) => command + points
+    .map(point => `${round(point.x - origin.x)} ${round(point.y - origin.y)}`)
+    .join(' ')).join(' ');
+}
+
+/**
+ * Read a length attribute in user units
+ * @param {Element} element - SVG element
+ * @param {string} name - Attribute name
+ * @returns {number} - Value, 0 when missing or invalid
+ */
+function length(element, name) {
+  const value = parseFloat(element.getAttribute(name));
+  return Number.isFinite(value) ? value : 0;
+}
+
+/**
+ * Round to two decimal places
+ * @param {number} value - Number
+ * @returns {number} - Rounded number
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  sanitizeSVG,
+  parseViewBox,
+  getViewBoxTransform,
+  buildVectorNodes,
+  parseSVGTransform,
+  parsePathData
+};
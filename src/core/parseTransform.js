@@ -0,0 +1,287 @@
+/**
+ * parseTransform.js - CSS Transform Parser
+ * Converts transform, translate, rotate, scale and transform-origin into
+ * 2D affine matrices [a, b, c, d, e, f] (the CSS matrix() order)
+ */
+
+const { splitValue } = require('./parseCSS');
+const { resolveLength } = require('./resolveUnits');
+
+/**
+ * Identity matrix
+ */
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Get an element's transform in page coordinates
+ * Combines the translate, rotate and scale properties with transform,
+ * applied around transform-origin
+ * @param {Object} styles - Computed styles
+ * @param {Object} units - Unit context
+ * @param {Object} box - Untransformed border box { x, y, w, h } in page coordinates
+ * @returns {Array|null} - Matrix, or null when the element is not transformed
+ */
+function getTransformMatrix(styles, units, box) {
+  let matrix = IDENTITY;
+
+  // Individual transform properties apply before transform, in this order
+  if (styles.translate && styles.translate !== 'none') {
+    const [x = '0', y = '0'] = splitValue(styles.translate);
+    matrix = multiply(matrix, parseTransform(`translate(${x}, ${y})`, units, box) || IDENTITY);
+  }
+  if (styles.rotate && styles.rotate !== 'none') {
+    // Only rotation around the z axis affects the 2D result
+    const angle = splitValue(styles.rotate).pop();
+    matrix = multiply(matrix, parseTransform(`rotate(${angle})`, units, box) || IDENTITY);
+  }
+  if (styles.scale && styles.scale !== 'none') {
+    const [x, y = x] = splitValue(styles.scale);
+    matrix = multiply(matrix, parseTransform(`scale(${x}, ${y})`, units, box) || IDENTITY);
+  }
+  matrix = multiply(matrix, parseTransform(styles.transform, units, box) || IDENTITY);
+
+  if (isIdentity(matrix)) return null;
+
+  const origin = parseTransformOrigin(styles.transformOrigin, units, box);
+  const ox = box.x + origin.x;
+  const oy = box.y + origin.y;
+
+  return multiply(multiply([1, 0, 0, 1, ox, oy], matrix), [1, 0, 0, 1, -ox, -oy]);
+}
+
+/**
+ * Parse a transform function list into a matrix
+ * 3D functions contribute their 2D (x/y) part
+ * @param {string} value - CSS transform value
+ * @param {Object} units - Unit context
+ * @param {Object} box - Border box { w, h } that translate percentages refer to
+ * @returns {Array|null} - Matrix, or null for none / invalid values
+ */
+function parseTransform(value, units = {}, box = { w: 0, h: 0 }) {
+  if (!value || String(value).trim().toLowerCase() === 'none') return null;
+
+  const pattern = /([a-z0-9]+)\(([^()]*(?:\([^()]*\)[^()]*)*)\)/gi;
+  const str = String(value);
+  let matrix = IDENTITY;
+  let match;
+  let matched = false;
+
+  while ((match = pattern.exec(str)) !== null) {
+    const fn = parseTransformFunction(match[1].toLowerCase(), splitArguments(match[2]), units, box);
+    if (!fn || !fn.every(Number.isFinite)) return null;
+    matrix = multiply(matrix, fn);
+    matched = true;
+  }
+
+  return matched ? matrix : null;
+}
+
+/**
+ * Convert one transform function to a matrix
+ * @param {string} name - Function name
+ * @param {Array} args - Arguments
+ * @param {Object} units - Unit context
+ * @param {Object} box - Border box { w, h }
+ * @returns {Array|null} - Matrix
+ */
+function parseTransformFunction(name, args, units, box) {
+  const length = (value, base) => resolveLength(value ?? '0', units, base);
+  const number = value => {
+    const num = parseFloat(value);
+    return String(value).endsWith('%') ? num / 100 : num;
+  };
+
+  switch (name) {
+    case 'translate':
+    case 'translate3d':
+      return [1, 0, 0, 1, length(args[0], box.w), length(args[1], box.h)];
+    case 'translatex':
+      return [1, 0, 0, 1, length(args[0], box.w), 0];
+    case 'translatey':
+      return [1, 0, 0, 1, 0, length(args[0], box.h)];
+    case 'translatez':
+      return IDENTITY;
+    case 'scale':
+    case 'scale3d': {
+      const x = number(args[0]);
+      const y = args[1] === undefined ? x : number(args[1]);
+      return [x, 0, 0, y, 0, 0];
+    }
+    case 'scalex':
+      return [number(args[0]), 0, 0, 1, 0, 0];
+    case 'scaley':
+      return [1, 0, 0, number(args[0]), 0, 0];
+    case 'scalez':
+      return IDENTITY;
+    case 'rotate':
+    case 'rotatez': {
+      const radians = toRadians(args[0]);
+      if (radians === null) return null;
+      const cos = Math.cos(radians);
+      const sin = Math.sin(radians);
+      return [cos, sin, -sin, cos, 0, 0];
+    }
+    case 'skew':
+      return [1, Math.tan(toRadians(args[1] ?? '0')), Math.tan(toRadians(args[0])), 1, 0, 0];
+    case 'skewx':
+      return [1, 0, Math.tan(toRadians(args[0])), 1, 0, 0];
+    case 'skewy':
+      return [1, Math.tan(toRadians(args[0])), 0, 1, 0, 0];
+    case 'matrix':
+      return args.length === 6 ? args.map(parseFloat) : null;
+    case 'matrix3d': {
+      if (args.length !== 16) return null;
+      const m = args.map(parseFloat);
+      return [m[0], m[1], m[4], m[5], m[12], m[13]];
+    }
+    case 'perspective':
+    case 'rotatex':
+    case 'rotatey':
+    case 'rotate3d':
+      // Depth-only functions have no 2D equivalent
+      return IDENTITY;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse transform-origin relative to the border box
+ * @param {string} value - CSS transform-origin value (default "50% 50%")
+ * @param {Object} units - Unit context
+ * @param {Object} box - Border box { w, h }
+ * @returns {Object} - { x, y } offset from the box's top-left corner
+ */
+function parseTransformOrigin(value, units, box) {
+  const keywords = { left: 0, top: 0, center: 0.5, right: 1, bottom: 1 };
+  // The optional third (z) value doesn't affect the 2D result
+  const parts = splitValue(String(value || '50% 50%').toLowerCase()).slice(0, 2);
+  const isVertical = part => part === 'top' || part === 'bottom';
+  const isHorizontal = part => part === 'left' || part === 'right';
+
+  let [x = 'center', y = 'center'] = parts;
+  if (parts.length === 1 && isVertical(x)) {
+    [x, y] = ['center', x];
+  } else if (isVertical(x) || isHorizontal(y)) {
+    [x, y] = [y, x];
+  }
+
+  const resolve = (part, size) => part in keywords
+    ? keywords[part] * size
+    : resolveLength(part, units, size) ?? size / 2;
+
+  return { x: resolve(x, box.w), y: resolve(y, box.h) };
+}
+
+/**
+ * Multiply two matrices (m1 applied after m2)
+ * @param {Array} m1 - Left matrix
+ * @param {Array} m2 - Right matrix
+ * @returns {Array} - Product
+ */
+function multiply(m1, m2) {
+  const [a1, b1, c1, d1, e1, f1] = m1;
+  const [a2, b2, c2, d2, e2, f2] = m2;
+
+  return [
+    a1 * a2 + c1 * b2,
+    b1 * a2 + d1 * b2,
+    a1 * c2 + c1 * d2,
+    b1 * c2 + d1 * d2,
+    a1 * e2 + c1 * f2 + e1,
+    b1 * e2 + d1 * f2 + f1
+  ];
+}
+
+/**
+ * Apply a matrix to a point
+ * @param {Array} matrix - Matrix
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {Object} - { x, y }
+ */
+function applyToPoint(matrix, x, y) {
+  const [a, b, c, d, e, f] = matrix;
+  return { x: a * x + c * y + e, y: b * x + d * y + f };
+}
+
+/**
+ * Get the axis-aligned bounds of a transformed rectangle
+ * @param {Array} matrix - Matrix mapping rectangle coordinates to page coordinates
+ * @param {number} w - Rectangle width
+ * @param {number} h - Rectangle height
+ * @returns {Object} - { x, y, w, h }
+ */
+function transformBounds(matrix, w, h) {
+  const corners = [[0, 0], [w, 0], [w, h], [0, h]].map(([x, y]) => applyToPoint(matrix, x, y));
+  const xs = corners.map(point => point.x);
+  const ys = corners.map(point => point.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+
+  return {
+    x: Math.round(x),
+    y: Math.round(y),
+    w: Math.round(Math.max(...xs) - x),
+    h: Math.round(Math.max(...ys) - y)
+  };
+}
+
+/**
+ * Get the rotation of a matrix in degrees (clockwise, as in CSS)
+ * @param {Array} matrix - Matrix
+ * @returns {number} - Rotation in degrees, -180 to 180
+ */
+function getRotation(matrix) {
+  return Math.round(Math.atan2(matrix[1], matrix[0]) * 180 / Math.PI * 100) / 100;
+}
+
+/**
+ * Check whether a matrix is (numerically) the identity
+ * @param {Array} matrix - Matrix
+ * @returns {boolean} - True for the identity
+ */
+function isIdentity(matrix) {
+  return matrix.every((value, i) => Math.abs(value - IDENTITY[i]) < 1e-9);
+}
+
+/**
+ * Split function arguments on commas, or on whitespace in space-separated syntax
+ * @param {string} args - Argument text
+ * @returns {Array} - Arguments
+ */
+function splitArguments(args) {
+  return args.includes(',')
+    ? args.split(',').map(arg => arg.trim()).filter(Boolean)
+    : splitValue(args);
+}
+
+/**
+ * Convert an angle to radians
+ * @param {string} value - Angle (deg, rad, grad, turn, or 0)
+ * @returns {number|null} - Radians
+ */
+function toRadians(value) {
+  const match = String(value || '').trim().match(/^(-?[\d.]+(?:e[-+]?\d+)?)(deg|rad|grad|turn)?$/i);
+  if (!match) return null;
+
+  const num = parseFloat(match[1]);
+  switch ((match[2] || '').toLowerCase()) {
+    case 'rad': return num;
+    case 'grad': return num * Math.PI / 200;
+    case 'turn': return num * 2 * Math.PI;
+    case 'deg': return num * Math.PI / 180;
+    default: return num === 0 ? 0 : null;
+  }
+}
+
+module.exports = {
+  IDENTITY,
+  getTransformMatrix,
+  parseTransform,
+  parseTransformOrigin,
+  multiply,
+  applyToPoint,
+  transformBounds,
+  getRotation
+};
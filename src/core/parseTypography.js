@@ -0,0 +1,136 @@
+/**
+ * parseTypography.js - Typography Parser
+ * Turns line height, spacing, case, decoration, wrapping, truncation and
+ * vertical alignment into typed, resolved text styles
+ */
+
+const { resolveLength } = require('./resolveUnits');
+const { normalizeColor, DEFAULT_COLOR_FORMAT } = require('./parseColor');
+const { getLineHeight } = require('./computeLayout');
+
+/**
+ * vertical-align keywords kept as they are
+ */
+const VERTICAL_ALIGN_KEYWORDS = ['sub', 'super', 'text-top', 'text-bottom', 'middle', 'top', 'bottom'];
+
+/**
+ * Build the typography styles for an element
+ * Only values that differ from the initial ones are returned
+ * @param {Object} computed - Computed styles
+ * @param {Object} options - { colorFormat, units }
+ * @returns {Object} - { fontStyle, lineHeight, letterSpacing, textTransform, textDecoration,
+ *   whiteSpace, textOverflow, lineClamp, verticalAlign } with lengths in pixels
+ */
+function buildTypography(computed, options = {}) {
+  const { colorFormat = DEFAULT_COLOR_FORMAT, units = {} } = options;
+  const typography = {};
+
+  const fontStyle = keyword(computed.fontStyle, 'normal').split(/\s+/)[0];
+  if (fontStyle === 'italic' || fontStyle === 'oblique') {
+    typography.fontStyle = fontStyle;
+  }
+
+  if (keyword(computed.lineHeight, 'normal') !== 'normal') {
+    typography.lineHeight = round(getLineHeight(computed, units));
+  }
+
+  const letterSpacing = keyword(computed.letterSpacing, 'normal') === 'normal'
+    ? 0
+    : resolveLength(computed.letterSpacing, units, 0) ?? 0;
+  if (letterSpacing !== 0) {
+    typography.letterSpacing = round(letterSpacing);
+  }
+
+  const textTransform = keyword(computed.textTransform, 'none');
+  if (textTransform !== 'none') {
+    typography.textTransform = textTransform;
+  }
+
+  const decoration = buildTextDecoration(computed, colorFormat, units);
+  if (decoration) {
+    typography.textDecoration = decoration;
+  }
+
+  const whiteSpace = keyword(computed.whiteSpace, 'normal');
+  if (whiteSpace !== 'normal') {
+    typography.whiteSpace = whiteSpace;
+  }
+
+  if (keyword(computed.textOverflow, 'clip') === 'ellipsis') {
+    typography.textOverflow = 'ellipsis';
+  }
+
+  const lineClamp = parseInt(computed.WebkitLineClamp ?? computed.lineClamp, 10);
+  if (lineClamp > 0) {
+    typography.lineClamp = lineClamp;
+  }
+
+  const verticalAlign = parseVerticalAlign(computed, units);
+  if (verticalAlign !== null) {
+    typography.verticalAlign = verticalAlign;
+  }
+
+  return typography;
+}
+
+/**
+ * Build the text decoration of an element
+ * @param {Object} computed - Computed styles
+ * @param {string} colorFormat - Output color format
+ * @param {Object} units - Unit context
+ * @returns {Object|null} - { line, style, color, thickness } where thickness is null for auto,
+ *   or null without decoration lines
+ */
+function buildTextDecoration(computed, colorFormat, units) {
+  const line = keyword(computed.textDecorationLine, 'none');
+  if (line === 'none') return null;
+
+  const thickness = keyword(computed.textDecorationThickness, 'auto');
+  return {
+    line,
+    style: keyword(computed.textDecorationStyle, 'solid'),
+    color: normalizeColor(computed.textDecorationColor || 'currentcolor', colorFormat, computed.color),
+    thickness: thickness === 'auto' || thickness === 'from-font'
+      ? null
+      : round(resolveLength(thickness, units, units.fontSize || 16) ?? 0)
+  };
+}
+
+/**
+ * Parse vertical-align
+ * Percentages refer to the line height
+ * @param {Object} computed - Computed styles
+ * @param {Object} units - Unit context
+ * @returns {string|number|null} - Keyword, a shift in pixels (positive raises), or null for baseline
+ */
+function parseVerticalAlign(computed, units) {
+  const value = keyword(computed.verticalAlign, 'baseline');
+  if (value === 'baseline') return null;
+  if (VERTICAL_ALIGN_KEYWORDS.includes(value)) return value;
+
+  const shift = resolveLength(value, units, getLineHeight(computed, units));
+  return shift ? round(shift) : null;
+}
+
+/**
+ * Normalize a keyword-valued property
+ * @param {string} value - CSS value
+ * @param {string} fallback - Value when unset
+ * @returns {string} - Lower-case trimmed value
+ */
+function keyword(value, fallback) {
+  return String(value || fallback).trim().toLowerCase();
+}
+
+/**
+ * Round to two decimal places
+ * @param {number} value - Number
+ * @returns {number} - Rounded number
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  buildTypography
+};
@@ -0,0 +1,351 @@
+/**
+ * resolveUnits.js - CSS Unit Resolver
+ * Converts CSS lengths to pixels using the element's font size, the root
+ * font size, the containing block and the viewport, and evaluates
+ * calc(), min(), max() and clamp() expressions
+ */
+
+/**
+ * Pixels per absolute unit
+ */
+const ABSOLUTE_UNITS = {
+  px: 1,
+  in: 96,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4,
+  q: 96 / 101.6,
+  pt: 96 / 72,
+  pc: 16
+};
+
+/**
+ * Absolute font-size keywords in pixels (medium = 16px)
+ */
+const FONT_SIZE_KEYWORDS = {
+  'xx-small': 9,
+  'x-small': 10,
+  'small': 13,
+  'medium': 16,
+  'large': 18,
+  'x-large': 24,
+  'xx-large': 32,
+  'xxx-large': 48
+};
+
+/**
+ * Default unit context
+ */
+const DEFAULT_UNIT_CONTEXT = {
+  fontSize: 16,
+  rootFontSize: 16,
+  lineHeight: null,
+  viewport: { width: 1200, height: 800 },
+  containingBlock: null
+};
+
+/**
+ * Resolve a CSS length to pixels
+ * @param {string|number} value - CSS value, e.g. "1.5rem", "calc(100% - 2em)"
+ * @param {Object} units - Unit context
+ * @param {number} units.fontSize - Element font size in px (for em, ex, ch)
+ * @param {number} units.rootFontSize - Root font size in px (for rem)
+ * @param {number} units.lineHeight - Element line height in px (for lh)
+ * @param {Object} units.viewport - Viewport { width, height } (for vw, vh)
+ * @param {Object} units.containingBlock - Containing block { width, height } (for cqw, cqh)
+ * @param {number|null} percentBase - What 100% resolves to; null if percentages can't resolve
+ * @returns {number|null} - Pixels, or null if the value is not a resolvable length
+ */
+function resolveLength(value, units = {}, percentBase = 0) {
+  if (typeof value === 'number') return value;
+  if (value === null || value === undefined) return null;
+
+  const str = String(value).trim().toLowerCase();
+  if (!str) return null;
+
+  const ctx = { ...DEFAULT_UNIT_CONTEXT, ...units, percentBase };
+
+  try {
+    const tokens = tokenize(str);
+    const parser = { tokens, index: 0, ctx };
+    const result = parseExpression(parser);
+    if (parser.index !== tokens.length || result === null) return null;
+    return result.value;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resolve a font-size value against the parent font size
+ * @param {string} value - CSS font-size value
+ * @param {number} parentFontSize - Parent font size in px
+ * @param {Object} units - Unit context (rootFontSize, viewport)
+ * @returns {number} - Font size in px
+ */
+function resolveFontSize(value, parentFontSize = 16, units = {}) {
+  const str = String(value || '').trim().toLowerCase();
+
+  if (str in FONT_SIZE_KEYWORDS) return FONT_SIZE_KEYWORDS[str];
+  if (str === 'larger') return parentFontSize * 1.2;
+  if (str === 'smaller') return parentFontSize / 1.2;
+
+  // em and % refer to the parent's font size
+  const resolved = resolveLength(str, { ...units, fontSize: parentFontSize }, parentFontSize);
+  return resolved === null || resolved < 0 ? parentFontSize : resolved;
+}
+
+/**
+ * Split an expression into numbers, operators, parentheses and function names
+ * @param {string} str - Lowercased CSS value
+ * @returns {Array} - Tokens
+ */
+function tokenize(str) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < str.length) {
+    const ch = str[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // A sign belongs to the number unless it follows a value
+    const previous = tokens[tokens.length - 1];
+    const signAllowed = !previous || previous.type === 'op' || previous.type === '(' || previous.type === ',';
+    const numberMatch = str.slice(i).match(/^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)([a-z%]*)/);
+
+    if (numberMatch && (signAllowed || /[\d.]/.test(ch))) {
+      tokens.push({ type: 'number', value: parseFloat(numberMatch[1]), unit: numberMatch[2] });
+      i += numberMatch[0].length;
+    } else if ('+-*/'.includes(ch)) {
+      tokens.push({ type: 'op', value: ch });
+      i++;
+    } else if (ch === '(' || ch === ')' || ch === ',') {
+      tokens.push({ type: ch });
+      i++;
+    } else {
+      const identMatch = str.slice(i).match(/^[a-z-]+/);
+      if (!identMatch) throw new Error(`Unexpected character ${ch}`);
+      tokens.push({ type: 'ident', value: identMatch[0] });
+      i += identMatch[0].length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a sum: term (('+' | '-') term)*
+ * @param {Object} parser - Parser state
+ * @returns {Object|null} - { value, isNumber }
+ */
+function parseExpression(parser) {
+  let left = parseTerm(parser);
+
+  while (left && peek(parser)?.type === 'op' && '+-'.includes(peek(parser).value)) {
+    const operator = parser.tokens[parser.index++].value;
+    const right = parseTerm(parser);
+    if (!right) return null;
+
+    left = {
+      value: operator === '+' ? left.value + right.value : left.value - right.value,
+      isNumber: left.isNumber && right.isNumber
+    };
+  }
+
+  return left;
+}
+
+/**
+ * Parse a product: factor (('*' | '/') factor)*
+ * @param {Object} parser - Parser state
+ * @returns {Object|null} - { value, isNumber }
+ */
+function parseTerm(parser) {
+  let left = parseFactor(parser);
+
+  while (left && peek(parser)?.type === 'op' && '*/'.includes(peek(parser).value)) {
+    const operator = parser.tokens[parser.index++].value;
+    const right = parseFactor(parser);
+    if (!right) return null;
+
+    if (operator === '*') {
+      left = { value: left.value * right.value, isNumber: left.isNumber && right.isNumber };
+    } else {
+      if (!right.isNumber || right.value === 0) return null;
+      left = { value: left.value / right.value, isNumber: left.isNumber };
+    }
+  }
+
+  return left;
+}
+
+/**
+ * Parse a number, parenthesized expression or math function
+ * @param {Object} parser - Parser state
+ * @returns {Object|null} - { value, isNumber }
+ */
+function parseFactor(parser) {
+  const token = parser.tokens[parser.index++];
+  if (!token) return null;
+
+  if (token.type === 'number') {
+    return convertNumber(token, parser.ctx);
+  }
+
+  if (token.type === '(') {
+    const inner = parseExpression(parser);
+    expect(parser, ')');
+    return inner;
+  }
+
+  if (token.type === 'ident' && peek(parser)?.type === '(') {
+    parser.index++;
+    const args = [parseExpression(parser)];
+    while (peek(parser)?.type === ',') {
+      parser.index++;
+      args.push(parseExpression(parser));
+    }
+    expect(parser, ')');
+
+    if (args.some(arg => arg === null)) return null;
+    return applyFunction(token.value, args);
+  }
+
+  return null;
+}
+
+/**
+ * Apply a CSS math function
+ * @param {string} name - Function name
+ * @param {Array} args - Evaluated arguments
+ * @returns {Object|null} - { value, isNumber }
+ */
+function applyFunction(name, args) {
+  const isNumber = args.every(arg => arg.isNumber);
+  const values = args.map(arg => arg.value);
+
+  switch (name) {
+    case 'calc':
+      return args.length === 1 ? args[0] : null;
+    case 'min':
+      return { value: Math.min(...values), isNumber };
+    case 'max':
+      return { value: Math.max(...values), isNumber };
+    case 'clamp':
+      if (args.length !== 3) return null;
+      return { value: Math.max(values[0], Math.min(values[1], values[2])), isNumber };
+    case 'abs':
+      return { value: Math.abs(values[0]), isNumber };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Convert a numeric token to pixels (or a plain number)
+ * @param {Object} token - Number token with unit
+ * @param {Object} ctx - Unit context
+ * @returns {Object|null} - { value, isNumber }
+ */
+function convertNumber(token, ctx) {
+  const { value, unit } = token;
+
+  if (!unit) return { value, isNumber: true };
+  if (unit in ABSOLUTE_UNITS) return { value: value * ABSOLUTE_UNITS[unit], isNumber: false };
+
+  const viewport = ctx.viewport || DEFAULT_UNIT_CONTEXT.viewport;
+  const container = ctx.containingBlock || viewport;
+  const lineHeight = ctx.lineHeight || ctx.fontSize * 1.2;
+
+  let factor;
+  switch (unit) {
+    case '%':
+      if (ctx.percentBase === null || ctx.percentBase === undefined) return null;
+      factor = ctx.percentBase / 100;
+      break;
+    case 'em':
+    case 'ic':
+      factor = ctx.fontSize;
+      break;
+    case 'rem':
+      factor = ctx.rootFontSize;
+      break;
+    case 'ex':
+    case 'ch':
+      // Typical x-height and "0" advance are about half an em
+      factor = ctx.fontSize * 0.5;
+      break;
+    case 'cap':
+      factor = ctx.fontSize * 0.7;
+      break;
+    case 'lh':
+      factor = lineHeight;
+      break;
+    case 'rlh':
+      factor = ctx.rootFontSize * 1.2;
+      break;
+    case 'vw':
+    case 'svw':
+    case 'lvw':
+    case 'dvw':
+    case 'vi':
+      factor = viewport.width / 100;
+      break;
+    case 'vh':
+    case 'svh':
+    case 'lvh':
+    case 'dvh':
+    case 'vb':
+      factor = viewport.height / 100;
+      break;
+    case 'vmin':
+      factor = Math.min(viewport.width, viewport.height) / 100;
+      break;
+    case 'vmax':
+      factor = Math.max(viewport.width, viewport.height) / 100;
+      break;
+    case 'cqw':
+    case 'cqi':
+      factor = container.width / 100;
+      break;
+    case 'cqh':
+    case 'cqb':
+      factor = container.height / 100;
+      break;
+    default:
+      return null;
+  }
+
+  return { value: value * factor, isNumber: false };
+}
+
+/**
+ * Look at the next token without consuming it
+ * @param {Object} parser - Parser state
+ * @returns {Object|undefined} - Next token
+ */
+function peek(parser) {
+  return parser.tokens[parser.index];
+}
+
+/**
+ * Consume a token of the given type or fail
+ * @param {Object} parser - Parser state
+ * @param {string} type - Expected token type
+ */
+function expect(parser, type) {
+  if (peek(parser)?.type !== type) {
+    throw new Error(`Expected ${type}`);
+  }
+  parser.index++;
+}
+
+module.exports = {
+  resolveLength,
+  resolveFontSize,
+  FONT_SIZE_KEYWORDS,
+  DEFAULT_UNIT_CONTEXT
+};
@@ -3,290 +3,2353 @@
  * Main entry point for HTML-to-Design conversion
  */
 
-const { parseHTML, parseFromURL, getAllElements, getElementType } = require('./parseDOM');
-const { collectStylesheets, getComputedStyles, parseSpacing, parseBorder, parsePixelValue } = require('./parseCSS');
-const { computeLayout, buildLayoutTree, DEFAULT_VIEWPORT } = require('./computeLayout');
+const { parseHTML, parseFromURL, parseFragment, getAllElements, getElementType } = require('./parseDOM');
+const {
+  collectStylesheets,
+  getComputedStyles,
+  getAnonymousStyles,
+  parsePixelValue,
+  getBoxSpacing,
+  getBorderSides,
+  getCornerRadii
+} = require('./parseCSS');
+const {
+  DEFAULT_VIEWPORT,
+  computeFlexLayout,
+  computeGridLayout,
+  computeInlineLayout,
+  getLineHeight,
+  getBoxExtras,
+  resolveBorderBoxSize,
+  clamp
+} = require('./computeLayout');
+const { loadStylesheets, getDocumentBase, resolveUrl } = require('./loadStylesheets');
+const { loadImages, loadImageUrls } = require('./loadImages');
+const { loadFonts } = require('./loadFonts');
+const { flattenRules } = require('./flattenRules');
+const { resolveLength } = require('./resolveUnits');
+const { measureText, wrapText, createFontRegistry } = require('./measureText');
+const { parseColor, formatColor, normalizeColor, DEFAULT_COLOR_FORMAT } = require('./parseColor');
+const { buildFills, parseBackgroundPosition } = require('./parseFills');
+const { buildEffects } = require('./parseEffects');
+const { getTransformMatrix, multiply, transformBounds, getRotation } = require('./parseTransform');
+const { parseContent, applyCounters } = require('./parseContent');
+const { buildTypography } = require('./parseTypography');
+const { getOverflow, buildClipPath, buildMask } = require('./parseClip');
+const { sanitizeSVG, parseViewBox, buildVectorNodes } = require('./parseSVG');
+const { snapshotPage } = require('../screenshot/capture');
 
 /**
  * Convert HTML string to design tree
  * @param {string} html - HTML string
  * @param {Object} options - Conversion options
- * @returns {Object} - Design tree JSON
+ * @returns {Promise<Object>} - Design tree JSON
+ */
+async function htmlToDesignTree(html, options = {}) {
+  const viewport = options.viewport || DEFAULT_VIEWPORT;
+  
+  // Parse HTML
+  const { document, dom } = parseHTML(html);
+  
+  try {
+    // Load inline, linked and imported stylesheets, the images shown and the supplied fonts
+    const cssRules = await loadStylesheets(document, options);
+    const images = await loadImages(document, viewport, options, cssRules);
+    const fonts = await loadFonts(document, options);
+    
+    // Convert to design tree
+    return documentToDesignTree(document, viewport, cssRules, options, images, fonts);
+  } finally {
+    // Cleanup
+    dom.window.close();
+  }
+}
+
+/**
+ * Convert URL to design tree
+ * @param {string} url - URL to convert
+ * @param {Object} options - Conversion options
+ * @returns {Promise<Object>} - Design tree JSON
+ */
+async function urlToDesignTree(url, options = {}) {
+  const viewport = options.viewport || DEFAULT_VIEWPORT;
+  
+  // Parse from URL
+  const { document, dom } = await parseFromURL(url);
+  
+  try {
+    // Linked stylesheets, images and fonts resolve against the final (post-redirect) URL
+    const loadOptions = { ...options, baseUrl: dom.window.location.href };
+    const cssRules = await loadStylesheets(document, loadOptions);
+    const images = await loadImages(document, viewport, loadOptions, cssRules);
+    const fonts = await loadFonts(document, loadOptions);
+    
+    // Convert to design tree
+    return documentToDesignTree(document, viewport, cssRules, loadOptions, images, fonts);
+  } finally {
+    // Cleanup
+    dom.window.close();
+  }
+}
+
+/**
+ * Convert URL or HTML to design tree using real browser layout
+ * Positions and styles come from Chromium instead of the jsdom estimates
+ * @param {Object} source - Either { url } or { html }
+ * @param {Object} options - Conversion options
+ * @returns {Promise<Object>} - Design tree JSON
+ */
+async function browserToDesignTree(source, options = {}) {
+  const viewport = options.viewport || DEFAULT_VIEWPORT;
+
+  const snapshot = await snapshotPage(source, {
+    width: viewport.width,
+    height: viewport.height,
+    deviceScaleFactor: viewport.deviceScaleFactor,
+    colorScheme: viewport.colorScheme,
+    delay: options.delay || 0
+  });
+
+  if (!snapshot) {
+    return createEmptyDesignTree(viewport, options.colorFormat);
+  }
+
+  // The sources the browser picked are loaded and saved like in the jsdom modes
+  const images = await loadImageUrls(collectSnapshotImages(snapshot), options);
+
+  // Snapshot nodes stand in for elements, with their computed styles as the style cache
+  const context = {
+    viewport,
+    options,
+    images,
+    fonts: createFontRegistry(),
+    rootFontSize: 16,
+    styleCache: new Map(),
+    nodeElements: new WeakMap()
+  };
+
+  const tree = snapshotToDesignNode(snapshot, context);
+  markClippedNodes(tree, context, []);
+  orderByPaint(tree, context);
+
+  return tree;
+}
+
+/**
+ * Collect the image URLs of a snapshot tree
+ * @param {Object} snapshot - Snapshot node from snapshotPage()
+ * @param {Set} urls - URLs found so far
+ * @returns {Set} - Absolute URLs of the images shown
+ */
+function collectSnapshotImages(snapshot, urls = new Set()) {
+  if (getElementType(snapshot.tagName) === 'image' && /^(https?|file|data):/i.test(snapshot.src || '')) {
+    urls.add(snapshot.src);
+  }
+  for (const child of snapshot.children) {
+    collectSnapshotImages(child, urls);
+  }
+  return urls;
+}
+
+/**
+ * Convert browser snapshot node to design node
+ * @param {Object} snapshot - Snapshot node from snapshotPage()
+ * @param {Object} context - Browser conversion context (viewport, options, images by URL)
+ * @returns {Object} - Design node
+ */
+function snapshotToDesignNode(snapshot, context) {
+  const type = getElementType(snapshot.tagName);
+  const styles = snapshot.styles;
+  const units = getUnitContext(styles, context, null);
+
+  const node = {
+    type,
+    name: snapshot.tagName,
+    layout: { ...snapshot.bounds },
+    style: buildStyleObject(styles, context.options, units, { ...snapshot.bounds }, type)
+  };
+
+  if (type === 'text' && snapshot.text) {
+    const { text, runs } = buildTextRuns([{ type: 'text', text: snapshot.text, styles }], styles, context.options);
+    node.text = text;
+    if (runs.length > 0) {
+      node.runs = runs;
+    }
+    node.textAutoResize = snapshot.textAutoResize || 'auto-height';
+  }
+
+  if (type === 'image') {
+    const image = context.images.get(snapshot.src);
+    addImageDetails(node, snapshot.src, image && {
+      ...image,
+      width: image.width ?? snapshot.naturalWidth,
+      height: image.height ?? snapshot.naturalHeight
+    }, styles, units);
+  }
+
+  if (type === 'svg' && snapshot.svg) {
+    const element = parseFragment(snapshot.svg).querySelector('svg');
+    if (element) {
+      addSVGDetails(node, element);
+    }
+  }
+
+  if (snapshot.id) {
+    node.id = snapshot.id;
+  }
+  if (snapshot.classes.length > 0) {
+    node.classes = snapshot.classes;
+  }
+
+  Object.assign(node, getPositioningFlags(styles.position));
+  if (getOverflow(styles).clips) {
+    node.clipsContent = true;
+  }
+
+  // Text directly in other elements becomes anonymous text nodes among the children
+  const children = snapshot.children.map(child => snapshotToDesignNode(child, context));
+  if (type !== 'text') {
+    for (const box of [...(snapshot.textBoxes || [])].reverse()) {
+      const content = buildTextRuns([{ type: 'text', text: box.text, styles }], styles, context.options);
+      if (content.text) {
+        children.splice(box.index, 0, buildAnonymousTextNode(context, styles, null, box.bounds, content));
+      }
+    }
+  }
+  if (children.length > 0) {
+    node.children = children;
+  }
+  context.nodeElements.set(node, snapshot);
+  context.styleCache.set(snapshot, styles);
+
+  return node;
+}
+
+/**
+ * Tags that never produce design nodes
+ */
+const SKIP_TAGS = ['script', 'style', 'noscript', 'meta', 'link', 'head', 'template'];
+
+/**
+ * Replaced elements are atomic inline boxes even when display is inline
+ */
+const REPLACED_TAGS = ['img', 'svg', 'video', 'canvas', 'iframe', 'input', 'select', 'textarea', 'button', 'picture', 'meter', 'progress'];
+
+/**
+ * Namespace of HTML elements
+ */
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+/**
+ * Replaced elements whose children are fallback or private content rather than laid-out boxes
+ */
+const OPAQUE_TAGS = ['img', 'svg', 'video', 'canvas', 'iframe', 'input', 'meter', 'progress'];
+
+/**
+ * Convert document to design tree
+ * @param {Document} document - DOM document
+ * @param {Object} viewport - Viewport dimensions
+ * @param {Array} cssRules - CSS rules (defaults to inline <style> tags)
+ * @param {Object} options - Conversion options
+ * @param {boolean} options.pruneClipped - Drop nodes hidden by a clipping ancestor instead of marking them
+ * @param {boolean} options.vectorizeSVG - Break inline SVGs into vector nodes for their shapes
+ * @param {Map} images - Loaded images by <img> element and by URL for generated content, from loadImages()
+ * @param {Object} fonts - Font registry to measure text with, from loadFonts()
+ * @returns {Object} - Design tree
+ */
+function documentToDesignTree(document, viewport, cssRules = collectStylesheets(document), options = {}, images = new Map(), fonts = createFontRegistry()) {
+  const body = document.body;
+  if (!body) {
+    return createEmptyDesignTree(viewport, options.colorFormat);
+  }
+  
+  // Conversion context shared by every node
+  const context = {
+    // Keep only rules whose @media/@supports conditions hold, in layer order
+    cssRules: flattenRules(cssRules, viewport),
+    viewport,
+    options,
+    images,
+    fonts,
+    rootFontSize: 16,
+    // Elements are styled once and laid out once per distinct size
+    styleCache: new Map(),
+    layoutCache: new Map(),
+    intrinsicCache: new Map(),
+    minContentCache: new Map(),
+    // Source element and out-of-flow static positions of each laid-out node
+    nodeElements: new WeakMap(),
+    staticPositions: new WeakMap(),
+    // Boxes of inline elements folded into their paragraph's text
+    inlineBoxes: new WeakMap(),
+    // Elements generated for ::before/::after, with their pseudo-element and node type
+    pseudoElements: new WeakMap()
+  };
+  
+  // Styles on <html> are inherited by <body>; its font size is what rem refers to
+  const rootStyles = getComputedStyles(document.documentElement, context.cssRules, null, { viewport });
+  context.rootFontSize = parsePixelValue(rootStyles.fontSize) || 16;
+  
+  // ::before/::after content becomes elements of its own before layout
+  generatePseudoElements(body, context, rootStyles);
+  
+  // Build design tree recursively
+  const tree = elementToDesignNode(body, context, 0, 0, rootStyles);
+  
+  // Absolute and fixed elements are placed once their containing blocks are final
+  if (tree) {
+    const initialContainingBlock = { x: 0, y: 0, width: viewport.width, height: viewport.height };
+    layoutOutOfFlowNodes(tree, context, { absolute: initialContainingBlock, fixed: initialContainingBlock }, []);
+    markClippedNodes(tree, context, []);
+    orderByPaint(tree, context);
+  }
+  
+  return tree;
+}
+
+/**
+ * Convert single element to design node
+ * @param {Element} element - DOM element
+ * @param {Object} context - Conversion context (cssRules, viewport, options, rootFontSize)
+ * @param {number} offsetX - X offset from parent
+ * @param {number} offsetY - Y offset from parent
+ * @param {Object} parentStyles - Computed styles of the parent element
+ * @param {Object} containingBlock - Parent content box { width, height }; the viewport if omitted.
+ *   For absolute and fixed elements, the containing block's padding box { x, y, width, height }
+ *   and the offsets are their static position
+ * @param {Object} constraints - Border-box { x, y, width, height } decided by the parent's layout
+ * @returns {Object} - Design node
+ */
+function elementToDesignNode(element, context, offsetX = 0, offsetY = 0, parentStyles = null, containingBlock = null, constraints = {}) {
+  // Skip invisible elements
+  if (!isRendered(element, context, parentStyles)) {
+    return null;
+  }
+  
+  // Get computed styles
+  const computedStyles = getElementStyles(element, context, parentStyles);
+  
+  // Relative units resolve against this element's font and containing block
+  const units = getUnitContext(computedStyles, context, containingBlock);
+  
+  // Compute layout (height stays null until the content is known)
+  const position = computedStyles.position || 'static';
+  const layout = isOutOfFlow(computedStyles)
+    ? computePositionedLayout(element, computedStyles, units, context, units.containingBlock, offsetX, offsetY)
+    : computeNodeLayout(element, computedStyles, units, context, offsetX, offsetY, constraints);
+  
+  // Relative offsets move the box without affecting the flow around it
+  if (position === 'relative') {
+    const offset = getRelativeOffset(computedStyles, units);
+    layout.x += offset.x;
+    layout.y += offset.y;
+  }
+  
+  // Reuse an earlier layout of this element at the same size, moved into place
+  const cacheKey = [units.containingBlock.width, units.containingBlock.height, layout.w, layout.h].join('|');
+  const cached = getLayoutCache(context, element).get(cacheKey);
+  if (cached) {
+    translateNode(cached, layout.x - cached.layout.x, layout.y - cached.layout.y);
+    return alignToBottom(cached, layout);
+  }
+  
+  // Process children; replaced elements are as tall as their intrinsic size at their width
+  // and SVG content is kept as markup rather than laid out
+  const extras = getBoxExtras(computedStyles, units);
+  const intrinsic = getIntrinsicSize(element, context);
+  const { nodes, contentHeight, grid, lines, staticPositions, text, runs } = intrinsic
+    ? { nodes: [], contentHeight: resolveReplacedSize(intrinsic, Math.max(0, layout.w - extras.width), null).height }
+    : processChildren(element, context, layout, computedStyles, units);
+  
+  // Auto heights wrap the line boxes and in-flow children
+  if (layout.h === null) {
+    layout.h = Math.round(clamp(
+      contentHeight + extras.height,
+      resolveBorderBoxSize(computedStyles.minHeight, 'height', computedStyles, units, units.containingBlock.height) ?? 0,
+      resolveBorderBoxSize(computedStyles.maxHeight, 'height', computedStyles, units, units.containingBlock.height) ?? Infinity
+    ));
+  }
+  
+  // SVG shapes become vectors drawn into the content box
+  const children = getNodeType(element, context) === 'svg' && context.options.vectorizeSVG
+    ? buildSVGVectors(element, context, computedStyles, units, layout)
+    : nodes;
+  
+  const node = createDesignNode(element, context, computedStyles, units, layout, children, { grid, lines, staticPositions, text, runs });
+  
+  getLayoutCache(context, element).set(cacheKey, node);
+  return alignToBottom(node, layout);
+}
+
+/**
+ * Build the design node of a laid-out element
+ * @param {Element} element - DOM element
+ * @param {Object} context - Conversion context
+ * @param {Object} styles - Computed styles
+ * @param {Object} units - Unit context
+ * @param {Object} layout - Final border box { x, y, w, h }
+ * @param {Array} children - Child design nodes
+ * @param {Object} details - { grid, lines, staticPositions, text, runs } from the children's layout;
+ *   inline is true for inline boxes, which transforms don't apply to
+ * @returns {Object} - Design node
+ */
+function createDesignNode(element, context, styles, units, layout, children, details = {}) {
+  const tagName = element.tagName?.toLowerCase() || 'div';
+  const type = getNodeType(element, context);
+  const pseudo = context.pseudoElements?.get(element);
+  const { grid, lines, staticPositions, text, runs, inline } = details;
+  
+  // Build style object (grid containers pass on their sized tracks)
+  const style = buildStyleObject(styles, context.options, units, grid ? { ...layout, grid } : layout, type);
+  
+  // Create design node
+  const node = {
+    type,
+    name: pseudo ? `::${pseudo.pseudoElement}` : tagName,
+    layout: {
+      x: layout.x,
+      y: layout.y,
+      w: layout.w,
+      h: layout.h
+    },
+    style
+  };
+  
+  // Add text content for text nodes, styled by runs when inline elements were folded in
+  if (type === 'text') {
+    const textContent = text ?? getDirectTextContent(element, Boolean(pseudo));
+    if (textContent) {
+      node.text = textContent;
+    }
+    if (runs?.length > 0) {
+      node.runs = runs;
+    }
+    node.textAutoResize = getTextAutoResize(styles, units, inline);
+  }
+  
+  // Images reference the chosen source, its saved or inlined asset and its natural size
+  if (type === 'image') {
+    addImageDetails(node, element.src, context.images?.get(element), styles, units);
+  }
+  
+  // Inline SVG keeps its sanitized markup and coordinate system
+  if (type === 'svg') {
+    addSVGDetails(node, element);
+  }
+  
+  // Add ID and classes as metadata
+  if (element.id) {
+    node.id = element.id;
+  }
+  if (element.classList?.length > 0) {
+    node.classes = Array.from(element.classList);
+  }
+  
+  Object.assign(node, getPositioningFlags(styles.position));
+  if (getOverflow(styles).clips) {
+    node.clipsContent = true;
+  }
+  
+  if (lines?.length > 0) {
+    node.lines = lines;
+  }
+  if (children.length > 0) {
+    node.children = children;
+  }
+  context.nodeElements?.set(node, element);
+  context.staticPositions?.set(node, staticPositions);
+  
+  // Transforms don't affect flow; they are applied to the finished subtree
+  const transform = !inline && getTransformMatrix(styles, units, node.layout);
+  if (transform) {
+    applyTransform(node, transform);
+  }
+  
+  return node;
+}
+
+/**
+ * Add the source, loaded image and object-fit of an image node
+ * @param {Object} node - Image design node
+ * @param {string} src - Source the element reports
+ * @param {Object} image - Image record from loadImages(), if any
+ * @param {Object} styles - Computed styles
+ * @param {Object} units - Unit context
+ */
+function addImageDetails(node, src, image, styles, units) {
+  if (image?.src || src) {
+    node.src = image?.src || src;
+  }
+  if (image?.hash) {
+    node.image = buildImageDetails(image);
+  }
+  node.style.objectFit = String(styles.objectFit || 'fill').trim().toLowerCase();
+  node.style.objectPosition = parseBackgroundPosition(styles.objectPosition || '50% 50%', units);
+}
+
+/**
+ * Add the sanitized markup and viewBox of an SVG node
+ * @param {Object} node - SVG design node
+ * @param {Element} element - svg element
+ */
+function addSVGDetails(node, element) {
+  node.svg = sanitizeSVG(element);
+  const viewBox = parseViewBox(element.getAttribute('viewBox'));
+  if (viewBox) {
+    node.viewBox = viewBox;
+  }
+}
+
+/**
+ * Describe a loaded image for its design node
+ * @param {Object} image - Image record from loadImages()
+ * @returns {Object} - { hash, mimeType, naturalWidth, naturalHeight, asset, data }
+ */
+function buildImageDetails(image) {
+  const details = {
+    hash: image.hash,
+    mimeType: image.mimeType,
+    naturalWidth: image.width,
+    naturalHeight: image.height
+  };
+  if (image.asset) {
+    details.asset = image.asset;
+  }
+  if (image.data) {
+    details.data = image.data;
+  }
+  return details;
+}
+
+/**
+ * Break an SVG element into vector nodes for its shapes
+ * @param {Element} element - svg element
+ * @param {Object} context - Conversion context
+ * @param {Object} styles - Computed styles of the svg element
+ * @param {Object} units - Unit context
+ * @param {Object} layout - Border box { x, y, w, h }
+ * @returns {Array} - Vector nodes
+ */
+function buildSVGVectors(element, context, styles, units, layout) {
+  // Shapes are drawn in the content box
+  const extras = getBoxExtras(styles, units);
+  const padding = getBoxSpacing(styles, 'padding', units);
+  const border = getBorderSides(styles, units);
+  const box = {
+    x: layout.x + padding.left + border.left.width,
+    y: layout.y + padding.top + border.top.width,
+    w: Math.max(0, layout.w - extras.width),
+    h: Math.max(0, layout.h - extras.height)
+  };
+  
+  return buildVectorNodes(element, box, {
+    styles,
+    colorFormat: context.options.colorFormat,
+    getStyles: (child, parentStyles) => getElementStyles(child, context, parentStyles)
+  });
+}
+
+/**
+ * Process child elements
+ * Dispatches to the layout for the parent's formatting context
+ * @param {Element} parent - Parent element
+ * @param {Object} context - Conversion context
+ * @param {Object} parentLayout - Parent layout (h is null while auto)
+ * @param {Object} parentStyles - Computed styles of the parent
+ * @param {Object} parentUnits - Unit context of the parent
+ * @returns {Object} - { nodes, contentHeight, lines, staticPositions, text, runs } where contentHeight
+ *   is the in-flow extent, lines are the line boxes of inline content, staticPositions maps
+ *   out-of-flow children to their static position relative to the parent's border box and
+ *   text/runs are the styled text of text elements
+ */
+function processChildren(parent, context, parentLayout, parentStyles, parentUnits) {
+  // Children are laid out in the parent's content box
+  const extras = getBoxExtras(parentStyles, parentUnits);
+  const padding = getBoxSpacing(parentStyles, 'padding', parentUnits);
+  const border = getBorderSides(parentStyles, parentUnits);
+  const content = {
+    x: parentLayout.x + padding.left + border.left.width,
+    y: parentLayout.y + padding.top + border.top.width,
+    width: Math.max(0, parentLayout.w - extras.width),
+    // Percentage heights only resolve against a definite parent height
+    height: parentLayout.h === null ? null : Math.max(0, parentLayout.h - extras.height)
+  };
+  
+  const display = parentStyles.display;
+  let result;
+  if (display === 'flex' || display === 'inline-flex') {
+    result = layoutFlexChildren(parent, context, content, parentStyles, parentUnits);
+  } else if (display === 'grid' || display === 'inline-grid') {
+    result = layoutGridChildren(parent, context, content, parentStyles, parentUnits);
+  } else {
+    result = layoutBlockChildren(parent, context, content, parentStyles, parentUnits);
+  }
+  
+  // Out-of-flow children sit at the content box origin unless the flow says otherwise
+  const staticPositions = new Map();
+  for (const child of parent.children) {
+    if (!isRendered(child, context, parentStyles)) continue;
+    if (!isOutOfFlow(getElementStyles(child, context, parentStyles))) continue;
+    
+    staticPositions.set(child, { x: content.x - parentLayout.x, y: content.y - parentLayout.y });
+  }
+  // The flow also places those inside inline elements folded into the text
+  result.staticPositions?.forEach((position, child) => {
+    staticPositions.set(child, { x: position.x - parentLayout.x, y: position.y - parentLayout.y });
+  });
+  
+  return { ...result, staticPositions };
+}
+
+/**
+ * Lay out children in normal block flow
+ * Adjacent vertical margins of siblings collapse; runs of text and inline-level
+ * children between block children are laid out in line boxes
+ * @param {Element} parent - Parent element
+ * @param {Object} context - Conversion context
+ * @param {Object} content - Parent content box { x, y, width, height }
+ * @param {Object} parentStyles - Computed styles of the parent
+ * @param {Object} parentUnits - Unit context of the parent
+ * @returns {Object} - { nodes, contentHeight, lines, staticPositions }, plus { text, runs }
+ *   for text elements, whose inline elements are folded into their text
+ */
+function layoutBlockChildren(parent, context, content, parentStyles, parentUnits) {
+  const nodes = [];
+  const lines = [];
+  const paragraphs = [];
+  const containingBlock = { width: content.width, height: content.height };
+  const foldInline = getNodeType(parent, context) === 'text';
+  let currentY = content.y;
+  let previousMargin = 0;
+  let hasFlow = false;
+  let run = [];
+  
+  const staticPositions = new Map();
+  
+  // Inline runs collapse away entirely when they hold only white space
+  const flushRun = () => {
+    if (run.length === 0) return;
+    
+    const items = collectInlineItems(run, context, containingBlock, parentStyles, parentUnits);
+    const hasContent = hasInlineContent(items);
+    const top = currentY + (hasContent ? previousMargin : Math.max(0, previousMargin));
+    const inline = layoutInlineItems(items, context, { ...content, y: top }, parentStyles, parentUnits, foldInline);
+    
+    nodes.push(...inline.nodes);
+    inline.staticPositions.forEach((position, child) => staticPositions.set(child, position));
+    if (hasContent) {
+      if (foldInline) paragraphs.push(buildTextRuns(items, parentStyles, context.options, context.pseudoElements.has(parent)));
+      lines.push(...inline.lines);
+      currentY = top + inline.height;
+      previousMargin = 0;
+      hasFlow = true;
+    }
+    run = [];
+  };
+  
+  for (const child of parent.childNodes) {
+    if (child.nodeType === 3) {
+      run.push(child);
+      continue;
+    }
+    if (child.nodeType !== 1 || !isRendered(child, context, parentStyles)) continue;
+    
+    const childStyles = getElementStyles(child, context, parentStyles);
+    if (isOutOfFlow(childStyles)) {
+      // Inside a run, the static position is wherever the inline content leaves off
+      if (run.length > 0) {
+        run.push(child);
+      } else {
+        staticPositions.set(child, { x: content.x, y: currentY + Math.max(0, previousMargin) });
+      }
+      continue;
+    }
+    if (isInlineLevel(childStyles)) {
+      run.push(child);
+      continue;
+    }
+    
+    flushRun();
+    
+    const margin = getBoxSpacing(childStyles, 'margin', getUnitContext(childStyles, context, containingBlock));
+    const collapsed = collapseMargins(previousMargin, margin.top);
+    
+    const node = elementToDesignNode(
+      child, 
+      context, 
+      content.x,
+      currentY + collapsed - margin.top,
+      parentStyles,
+      containingBlock
+    );
+    
+    if (node) {
+      // Flow continues from the unshifted box, whatever relative offset it has
+      nodes.push(node);
+      currentY += collapsed + node.layout.h;
+      previousMargin = margin.bottom;
+      hasFlow = true;
+    }
+  }
+  flushRun();
+  
+  return {
+    nodes,
+    contentHeight: hasFlow ? currentY + previousMargin - content.y : 0,
+    lines,
+    staticPositions,
+    ...(foldInline ? joinTextRuns(paragraphs) : {})
+  };
+}
+
+/**
+ * Collect a run of DOM nodes as inline layout items
+ * Inline elements contribute their content between start and end items;
+ * inline-blocks and replaced elements are laid out as atomic boxes
+ * @param {Array} domNodes - Text nodes and elements in document order
+ * @param {Object} context - Conversion context
+ * @param {Object} containingBlock - Content box { width, height } of the block container
+ * @param {Object} parentStyles - Computed styles of the nodes' parent
+ * @param {Object} parentUnits - Unit context of the nodes' parent
+ * @param {Array} items - Items collected so far
+ * @returns {Array} - Inline items, with the element of start, atomic and anchor items
+ *   and the laid-out node of atomics
+ */
+function collectInlineItems(domNodes, context, containingBlock, parentStyles, parentUnits, items = []) {
+  for (const domNode of domNodes) {
+    if (domNode.nodeType === 3) {
+      items.push({ type: 'text', text: domNode.textContent, styles: parentStyles, units: parentUnits });
+      continue;
+    }
+    if (domNode.nodeType !== 1 || !isRendered(domNode, context, parentStyles)) continue;
+    
+    const tagName = domNode.tagName.toLowerCase();
+    const styles = getElementStyles(domNode, context, parentStyles);
+    const units = getUnitContext(styles, context, containingBlock);
+    
+    if (isOutOfFlow(styles)) {
+      items.push({ type: 'anchor', element: domNode });
+    } else if (tagName === 'br') {
+      items.push({ type: 'break', element: domNode });
+    } else if (styles.display === 'inline' && !REPLACED_TAGS.includes(tagName)) {
+      items.push({ type: 'start', element: domNode, styles, units });
+      collectInlineItems(domNode.childNodes, context, containingBlock, styles, units, items);
+      items.push({ type: 'end' });
+    } else {
+      items.push(createAtomicItem(domNode, context, containingBlock, parentStyles, styles, units));
+    }
+  }
+  
+  return items;
+}
+
+/**
+ * Lay out an atomic inline (inline-block, replaced element, or a block nested in an inline)
+ * Atomics shrink to fit unless their width is set; blocks take the full line
+ * @param {Element} element - DOM element
+ * @param {Object} context - Conversion context
+ * @param {Object} containingBlock - Content box { width, height } of the block container
+ * @param {Object} parentStyles - Computed styles of the parent
+ * @param {Object} styles - Computed styles of the element
+ * @param {Object} units - Unit context of the element
+ * @returns {Object} - Atomic inline item, laid out at the origin
+ */
+function createAtomicItem(element, context, containingBlock, parentStyles, styles, units) {
+  const margin = getBoxSpacing(styles, 'margin', units);
+  const available = Math.max(0, containingBlock.width - margin.left - margin.right);
+  // Max-content widths are rounded up so the whole-pixel box doesn't wrap its own text
+  const width = isInlineLevel(styles)
+    ? Math.min(Math.ceil(estimateMaxContentWidth(element, styles, units, context)), available)
+    : resolveBorderBoxSize(styles.width, 'width', styles, units, containingBlock.width) ?? available;
+  
+  const node = elementToDesignNode(element, context, 0, 0, parentStyles, containingBlock, { x: 0, y: 0, width });
+  
+  // The baseline is the last line box inside, or the bottom margin edge without one
+  const baseline = getOverflow(styles).clips ? null : getLastBaseline(node);
+  
+  return {
+    type: 'atomic',
+    element,
+    node,
+    styles,
+    units,
+    width: node.layout.w,
+    height: node.layout.h,
+    margin,
+    baseline: baseline === null ? null : baseline - node.layout.y
+  };
+}
+
+/**
+ * Lay out collected inline items from a given top and build their design nodes
+ * Text directly in a frame (or in plain inline formatting inside it) becomes
+ * anonymous text nodes between the frame's other children
+ * @param {Array} items - Inline items
+ * @param {Object} context - Conversion context
+ * @param {Object} box - Content box { x, y, width, height } with y at the top of the first line
+ * @param {Object} parentStyles - Computed styles of the block container
+ * @param {Object} parentUnits - Unit context of the block container
+ * @param {boolean} foldInline - Fold inline elements into the container's text instead of
+ *   giving them nodes; their boxes are recorded in context.inlineBoxes
+ * @returns {Object} - { nodes, height, lines, staticPositions } where staticPositions holds
+ *   page positions of out-of-flow descendants placed by the block container
+ */
+function layoutInlineItems(items, context, box, parentStyles, parentUnits, foldInline = false) {
+  const inline = computeInlineLayout(
+    { x: box.x, y: box.y, width: box.width, styles: parentStyles, units: parentUnits, measureText },
+    items
+  );
+  
+  const containingBlock = { width: box.width, height: box.height };
+  const root = { styles: parentStyles, children: [], staticPositions: new Map(), text: [], anonymous: !foldInline };
+  const stack = [root];
+  
+  // Pending text of a frame becomes an anonymous text node before its next child box
+  const flushText = entry => {
+    if (!entry.anonymous || entry.text.length === 0) return;
+    
+    const node = createAnonymousTextNode(entry.text, context, entry.styles, containingBlock);
+    if (node) entry.children.push(node);
+    entry.text = [];
+  };
+  
+  items.forEach((item, i) => {
+    const current = stack[stack.length - 1];
+    const result = inline.results[i];
+    
+    switch (item.type) {
+      case 'start': {
+        const anonymous = !foldInline && getNodeType(item.element, context) !== 'text';
+        stack.push({ item, box: result, styles: item.styles, children: [], staticPositions: new Map(), text: [], anonymous });
+        break;
+      }
+      case 'end': {
+        const entry = stack.pop();
+        const parent = stack[stack.length - 1];
+        if (foldInline || (entry.anonymous && isPlainInlineBox(entry))) {
+          // The element's content joins the enclosing box
+          context.inlineBoxes?.set(entry.item.element, entry.box || { x: box.x, y: box.y, w: 0, h: 0 });
+          parent.children.push(...entry.children);
+          parent.text.push({ item: entry.item, result: entry.box }, ...entry.text, { item });
+          entry.staticPositions.forEach((position, child) => parent.staticPositions.set(child, position));
+        } else {
+          flushText(entry);
+          flushText(parent);
+          parent.children.push(createInlineBoxNode(entry, context, containingBlock, box));
+        }
+        break;
+      }
+      case 'atomic':
+        flushText(current);
+        translateNode(item.node, result.x - item.node.layout.x, result.y - item.node.layout.y);
+        current.children.push(item.node);
+        break;
+      case 'text':
+      case 'break':
+        current.text.push({ item, result });
+        break;
+      case 'anchor':
+        current.staticPositions.set(item.element, result);
+        break;
+    }
+  });
+  flushText(root);
+  
+  return {
+    nodes: root.children,
+    height: inline.height,
+    lines: inline.lines,
+    staticPositions: root.staticPositions
+  };
+}
+
+/**
+ * Check whether an inline element can fold into the surrounding text
+ * Elements that only format text (no box of their own, no child boxes, no shift
+ * off the baseline) can
+ * @param {Object} entry - Laid-out inline element { item, children }
+ * @returns {boolean} - True when the element draws nothing but its text
+ */
+function isPlainInlineBox(entry) {
+  const { styles, units } = entry.item;
+  if (entry.children.length > 0 || styles.position === 'relative') return false;
+  if (String(styles.verticalAlign || 'baseline') !== 'baseline') return false;
+  
+  return !drawsBox(styles, units);
+}
+
+/**
+ * Check whether an element draws a box around its content
+ * @param {Object} styles - Computed styles
+ * @param {Object} units - Unit context
+ * @returns {boolean} - True with padding, borders or a background
+ */
+function drawsBox(styles, units) {
+  const padding = getBoxSpacing(styles, 'padding', units);
+  const border = getBorderSides(styles, units);
+  return padding.top + padding.right + padding.bottom + padding.left > 0 ||
+    ['top', 'right', 'bottom', 'left'].some(side => border[side].width > 0) ||
+    parseColor(styles.backgroundColor)?.a > 0 ||
+    String(styles.backgroundImage || 'none') !== 'none';
+}
+
+/**
+ * Build an anonymous text node from text laid out directly in a frame
+ * @param {Array} entries - Laid-out inline items { item, result } making up the text
+ * @param {Object} context - Conversion context
+ * @param {Object} parentStyles - Computed styles of the box the text is in
+ * @param {Object} containingBlock - Containing block { width, height }
+ * @returns {Object|null} - Design node, or null when the text collapses away
+ */
+function createAnonymousTextNode(entries, context, parentStyles, containingBlock) {
+  const { text, runs } = buildTextRuns(entries.map(entry => entry.item), parentStyles, context.options);
+  if (!text) return null;
+  
+  // The node wraps every fragment of its text
+  const rects = entries.flatMap(entry => Array.isArray(entry.result) ? entry.result : [])
+    .filter(fragment => fragment.w > 0 && /\S/.test(fragment.text));
+  if (rects.length === 0) return null;
+  
+  const x = Math.min(...rects.map(rect => rect.x));
+  const y = Math.min(...rects.map(rect => rect.y));
+  const layout = {
+    x,
+    y,
+    w: Math.max(...rects.map(rect => rect.x + rect.w)) - x,
+    h: Math.max(...rects.map(rect => rect.y + rect.h)) - y
+  };
+  
+  return buildAnonymousTextNode(context, parentStyles, containingBlock, layout, { text, runs });
+}
+
+/**
+ * Build the design node of an anonymous text box
+ * @param {Object} context - Conversion context
+ * @param {Object} parentStyles - Computed styles of the box the text is in
+ * @param {Object} containingBlock - Containing block { width, height }
+ * @param {Object} layout - Border box { x, y, w, h }
+ * @param {Object} content - { text, runs }
+ * @returns {Object} - Design node
+ */
+function buildAnonymousTextNode(context, parentStyles, containingBlock, layout, content) {
+  const styles = getAnonymousStyles(parentStyles);
+  const units = getUnitContext(styles, context, containingBlock);
+  
+  const node = {
+    type: 'text',
+    name: '#text',
+    anonymous: true,
+    layout: {
+      x: Math.round(layout.x),
+      y: Math.round(layout.y),
+      w: Math.round(layout.w),
+      h: Math.round(layout.h)
+    },
+    style: buildStyleObject(styles, context.options, units, layout, 'text'),
+    text: content.text,
+    // Anonymous text is as wide as its line until it wraps
+    textAutoResize: layout.h > getLineHeight(styles, units) * 1.5 ? 'auto-height' : 'auto-width'
+  };
+  if (content.runs.length > 0) {
+    node.runs = content.runs;
+  }
+  return node;
+}
+
+/**
+ * Build the text and style runs of a paragraph from its inline items
+ * White space collapses as it does in layout; runs cover the text of each
+ * inline element with its own font, color, decoration and link
+ * @param {Array} items - Inline items
+ * @param {Object} parentStyles - Computed styles of the block container
+ * @param {Object} options - Conversion options (colorFormat)
+ * @param {boolean} keepEdges - Keep a space at the start and end, as written in the
+ *   strings of a pseudo-element's content
+ * @returns {Object} - { text, runs } where runs are { start, end, ... } character ranges
+ */
+function buildTextRuns(items, parentStyles, options = {}, keepEdges = false) {
+  const colorFormat = options.colorFormat || DEFAULT_COLOR_FORMAT;
+  const owners = [{ styles: parentStyles }];
+  const runs = [];
+  let text = '';
+  let afterSpace = !keepEdges;
+  
+  for (const item of items) {
+    switch (item.type) {
+      case 'start':
+        owners.push(item);
+        break;
+      case 'end':
+        owners.pop();
+        break;
+      case 'break':
+        text = text.replace(/ $/, '') + '\n';
+        afterSpace = true;
+        break;
+      case 'atomic':
+        // The box isn't part of the text, so the spaces around it collapse into one
+        break;
+      case 'text': {
+        const content = collapseWhiteSpace(item.text, item.styles.whiteSpace, afterSpace);
+        if (!content) break;
+        
+        runs.push({ start: text.length, end: text.length + content.length, ...getRunStyle(item.styles, owners, colorFormat) });
+        text += content;
+        afterSpace = /[ \n]$/.test(content);
+        break;
+      }
+    }
+  }
+  
+  // A collapsible space at the end of the paragraph is dropped
+  if (!keepEdges && text.endsWith(' ') && afterSpace) {
+    text = text.slice(0, -1);
+  }
+  return { text, runs: mergeTextRuns(runs, text.length) };
+}
+
+/**
+ * Collapse white space in a text node as white-space prescribes
+ * @param {string} text - Source text
+ * @param {string} whiteSpace - CSS white-space
+ * @param {boolean} afterSpace - Whether the text so far ends in collapsible space
+ * @returns {string} - Rendered text
+ */
+function collapseWhiteSpace(text, whiteSpace = 'normal', afterSpace = false) {
+  let content = String(text);
+  switch (String(whiteSpace).toLowerCase()) {
+    case 'pre':
+    case 'pre-wrap':
+    case 'break-spaces':
+      return content;
+    case 'pre-line':
+      content = content.replace(/[ \t\r\f]*\n[ \t\r\f]*/g, '\n').replace(/[ \t\r\f]+/g, ' ');
+      break;
+    default:
+      content = content.replace(/[ \t\n\r\f]+/g, ' ');
+  }
+  return afterSpace ? content.replace(/^ /, '') : content;
+}
+
+/**
+ * Get the style of a text run
+ * @param {Object} styles - Computed styles of the text's element
+ * @param {Array} owners - The block container and start items of the inline elements the text is in, outermost first
+ * @param {string} colorFormat - Output color format
+ * @returns {Object} - { fontFamily, fontSize, fontWeight, fontStyle, color, decoration, href, background }
+ */
+function getRunStyle(styles, owners, colorFormat) {
+  // Decorations propagate from every enclosing inline element
+  const decorations = new Set();
+  for (const owner of owners) {
+    String(owner.styles.textDecorationLine || 'none').split(/\s+/)
+      .filter(line => line && line !== 'none')
+      .forEach(line => decorations.add(line));
+  }
+  
+  const link = [...owners].reverse().find(owner => owner.element?.tagName.toLowerCase() === 'a' && owner.element.hasAttribute('href'));
+  const highlight = [...owners].slice(1).reverse().find(owner => parseColor(owner.styles.backgroundColor)?.a > 0);
+  
+  const run = {
+    fontFamily: styles.fontFamily,
+    fontSize: parsePixelValue(styles.fontSize) || 16,
+    fontWeight: parseFontWeight(styles.fontWeight),
+    fontStyle: styles.fontStyle || 'normal',
+    color: normalizeColor(styles.color, colorFormat),
+    decoration: decorations.size > 0 ? [...decorations].join(' ') : 'none'
+  };
+  if (link) {
+    run.href = link.element.getAttribute('href');
+  }
+  if (highlight) {
+    run.background = normalizeColor(highlight.styles.backgroundColor, colorFormat, highlight.styles.color);
+  }
+  return run;
+}
+
+/**
+ * Merge adjacent runs with the same style and clip them to the text
+ * @param {Array} runs - Runs in text order
+ * @param {number} length - Text length
+ * @returns {Array} - Merged runs
+ */
+function mergeTextRuns(runs, length) {
+  const merged = [];
+  for (const run of runs) {
+    const clipped = { ...run, end: Math.min(run.end, length) };
+    if (clipped.end <= clipped.start) continue;
+    
+    const last = merged[merged.length - 1];
+    const { start: lastStart, end: lastEnd, ...lastStyle } = last || {};
+    const { start, end, ...style } = clipped;
+    if (last && lastEnd === start && JSON.stringify(lastStyle) === JSON.stringify(style)) {
+      last.end = end;
+    } else {
+      merged.push(clipped);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Join the paragraphs of a text element (inline runs separated by blocks) with line breaks
+ * @param {Array} paragraphs - { text, runs } per inline run
+ * @returns {Object} - { text, runs }, or {} without text
+ */
+function joinTextRuns(paragraphs) {
+  const filled = paragraphs.filter(paragraph => paragraph.text);
+  if (filled.length === 0) return {};
+  
+  let text = '';
+  const runs = [];
+  filled.forEach((paragraph, i) => {
+    if (i > 0) text += '\n';
+    const offset = text.length;
+    runs.push(...paragraph.runs.map(run => ({ ...run, start: run.start + offset, end: run.end + offset })));
+    text += paragraph.text;
+  });
+  return { text, runs };
+}
+
+/**
+ * Convert a font-weight to a number
+ * @param {string} weight - CSS font-weight
+ * @returns {number} - Numeric weight (400 normal, 700 bold)
+ */
+function parseFontWeight(weight) {
+  const keyword = String(weight || 'normal').trim().toLowerCase();
+  if (keyword === 'bold' || keyword === 'bolder') return 700;
+  if (keyword === 'normal' || keyword === 'lighter') return 400;
+  return parseFloat(keyword) || 400;
+}
+
+/**
+ * Build the design node of an inline box from its laid-out content
+ * @param {Object} entry - { item, box, children, staticPositions, text, anonymous } collected for the inline element
+ * @param {Object} context - Conversion context
+ * @param {Object} containingBlock - Content box { width, height } of the block container
+ * @param {Object} fallback - Position { x, y } for boxes that never made it onto a line
+ * @returns {Object} - Design node
+ */
+function createInlineBoxNode(entry, context, containingBlock, fallback) {
+  const { item, children } = entry;
+  const box = entry.box || { x: Math.round(fallback.x), y: Math.round(fallback.y), w: 0, h: 0 };
+  const layout = { ...box };
+  const units = getUnitContext(item.styles, context, containingBlock);
+  
+  // Relative offsets carry the inline box's content along
+  if (item.styles.position === 'relative') {
+    const offset = getRelativeOffset(item.styles, units);
+    layout.x += offset.x;
+    layout.y += offset.y;
+    children.forEach(child => translateNode(child, offset.x, offset.y));
+  }
+  
+  // Out-of-flow children are placed later, relative to this box
+  const staticPositions = new Map();
+  entry.staticPositions.forEach((position, child) => {
+    staticPositions.set(child, { x: position.x - box.x, y: position.y - box.y });
+  });
+  
+  // Text elements carry the text folded into them
+  const details = { staticPositions, inline: true };
+  if (!entry.anonymous && entry.text.length > 0) {
+    const keepEdges = context.pseudoElements.has(item.element);
+    Object.assign(details, buildTextRuns(entry.text.map(part => part.item), item.styles, context.options, keepEdges));
+  }
+  
+  return createDesignNode(item.element, context, item.styles, units, layout, children, details);
+}
+
+/**
+ * Check whether inline items produce line boxes
+ * Runs of collapsible white space, empty inline elements and anchors don't
+ * @param {Array} items - Inline items
+ * @returns {boolean} - True when there is something to lay out
+ */
+function hasInlineContent(items) {
+  return items.some(item => {
+    switch (item.type) {
+      case 'text': {
+        const whiteSpace = String(item.styles.whiteSpace || 'normal');
+        const preserved = whiteSpace.startsWith('pre') || whiteSpace === 'break-spaces';
+        return preserved ? item.text.length > 0 : /[^ \t\n\r\f]/.test(item.text);
+      }
+      case 'start': {
+        const padding = getBoxSpacing(item.styles, 'padding', item.units);
+        const margin = getBoxSpacing(item.styles, 'margin', item.units);
+        const border = getBorderSides(item.styles, item.units);
+        return padding.left + padding.right + border.left.width + border.right.width > 0 ||
+          margin.left !== 0 || margin.right !== 0;
+      }
+      case 'atomic':
+      case 'break':
+        return true;
+      default:
+        return false;
+    }
+  });
+}
+
+/**
+ * Find the last line box baseline in a node's in-flow content
+ * @param {Object} node - Design node
+ * @returns {number|null} - Page y of the baseline, or null without line boxes
+ */
+function getLastBaseline(node) {
+  if (node.lines?.length > 0) {
+    return node.lines[node.lines.length - 1].baseline;
+  }
+  for (const child of [...(node.children || [])].reverse()) {
+    if (child.layoutPositioning === 'absolute') continue;
+    const baseline = getLastBaseline(child);
+    if (baseline !== null) return baseline;
+  }
+  return null;
+}
+
+/**
+ * Lay out the children of a flex container
+ * @param {Element} parent - Flex container element
+ * @param {Object} context - Conversion context
+ * @param {Object} content - Container content box { x, y, width, height }
+ * @param {Object} parentStyles - Computed styles of the container
+ * @param {Object} parentUnits - Unit context of the container
+ * @returns {Object} - { nodes, contentHeight }
+ */
+function layoutFlexChildren(parent, context, content, parentStyles, parentUnits) {
+  const containingBlock = { width: content.width, height: content.height };
+  const items = createLayoutItems(parent, context, containingBlock, parentStyles);
+  const boxes = computeFlexLayout({ ...content, styles: parentStyles, units: parentUnits }, items);
+  
+  return placeLayoutItems(items, boxes, context, content, parentStyles);
+}
+
+/**
+ * Lay out the children of a grid container
+ * @param {Element} parent - Grid container element
+ * @param {Object} context - Conversion context
+ * @param {Object} content - Container content box { x, y, width, height }
+ * @param {Object} parentStyles - Computed styles of the container
+ * @param {Object} parentUnits - Unit context of the container
+ * @returns {Object} - { nodes, contentHeight, grid } where grid holds the sized tracks
+ */
+function layoutGridChildren(parent, context, content, parentStyles, parentUnits) {
+  const containingBlock = { width: content.width, height: content.height };
+  const items = createLayoutItems(parent, context, containingBlock, parentStyles);
+  const grid = computeGridLayout({ ...content, styles: parentStyles, units: parentUnits }, items);
+  const result = placeLayoutItems(items, grid.boxes, context, content, parentStyles, grid.areas);
+  
+  // The grid's own extent counts even where tracks are empty
+  const lastRow = grid.rows[grid.rows.length - 1];
+  if (lastRow) {
+    result.contentHeight = Math.max(result.contentHeight, lastRow.start + lastRow.size);
+  }
+  
+  result.grid = { columns: grid.columns, rows: grid.rows };
+  return result;
+}
+
+/**
+ * Collect the rendered children of a flex or grid container as layout items
+ * Each run of text directly in the container is an anonymous item of its own
+ * @param {Element} parent - Container element
+ * @param {Object} context - Conversion context
+ * @param {Object} containingBlock - Container content box { width, height }
+ * @param {Object} parentStyles - Computed styles of the container
+ * @returns {Array} - Items { element, styles, units, minContentWidth(), maxContentWidth(), heightForWidth(width) };
+ *   text items have content { text, runs } instead of an element, and textNode is true when
+ *   the text gets a node of its own (text elements keep it as their text)
+ */
+function createLayoutItems(parent, context, containingBlock, parentStyles) {
+  const items = [];
+  const textNode = getNodeType(parent, context) !== 'text';
+  let pending = '';
+  
+  const flushText = () => {
+    const content = buildTextRuns([{ type: 'text', text: pending, styles: parentStyles }], parentStyles, context.options);
+    pending = '';
+    if (!content.text) return;
+    
+    const styles = getAnonymousStyles(parentStyles);
+    const units = getUnitContext(styles, context, containingBlock);
+    items.push({
+      element: null,
+      content,
+      textNode,
+      styles,
+      units,
+      minContentWidth: () => Math.ceil(Math.max(0, ...wrapText(content.text, styles, units, 0).map(line => line.width))),
+      maxContentWidth: () => Math.ceil(Math.max(0, ...content.text.split('\n').map(line => measureText(line, styles, units)))),
+      heightForWidth: width => wrapText(content.text, styles, units, width).length * getLineHeight(styles, units)
+    });
+  };
+  
+  for (const child of parent.childNodes) {
+    if (child.nodeType === 3) {
+      pending += child.textContent;
+      continue;
+    }
+    if (child.nodeType !== 1) continue;
+    
+    flushText();
+    if (!isRendered(child, context, parentStyles)) continue;
+    
+    const styles = getElementStyles(child, context, parentStyles);
+    if (isOutOfFlow(styles)) continue;
+    
+    const units = getUnitContext(styles, context, containingBlock);
+    items.push({
+      element: child,
+      styles,
+      units,
+      // Rounded up like atomic inline boxes, so shrunk items keep their text on one line
+      // The automatic minimum comes from the content, whatever the item's own width
+      minContentWidth: () => Math.ceil(estimateMinContentWidth(child, { ...styles, width: 'auto' }, units, context)),
+      maxContentWidth: () => Math.ceil(estimateMaxContentWidth(child, styles, units, context)),
+      heightForWidth: width => elementToDesignNode(
+        child, context, 0, 0, parentStyles, containingBlock, { x: 0, y: 0, width }
+      ).layout.h
+    });
+  }
+  flushText();
+  
+  return items;
+}
+
+/**
+ * Convert layout items into design nodes at the boxes the container's layout chose
+ * @param {Array} items - Layout items
+ * @param {Array} boxes - Border-box layout { x, y, w, h } per item
+ * @param {Object} context - Conversion context
+ * @param {Object} content - Container content box { x, y, width, height }
+ * @param {Object} parentStyles - Computed styles of the container
+ * @param {Array} areas - Grid areas { rowStart, rowEnd, columnStart, columnEnd } per item, for grid items
+ * @returns {Object} - { nodes, contentHeight }
+ */
+function placeLayoutItems(items, boxes, context, content, parentStyles, areas = null) {
+  const containingBlock = { width: content.width, height: content.height };
+  const nodes = [];
+  let bottom = content.y;
+  
+  items.forEach((item, i) => {
+    const box = boxes[i];
+    let node = null;
+    if (!item.element) {
+      node = item.textNode ? buildAnonymousTextNode(context, parentStyles, containingBlock, box, item.content) : null;
+    } else {
+      node = elementToDesignNode(item.element, context, 0, 0, parentStyles, containingBlock, {
+        x: box.x,
+        y: box.y,
+        width: box.w,
+        height: box.h
+      });
+      if (!node) return;
+    }
+    
+    const margin = getBoxSpacing(item.styles, 'margin', item.units);
+    bottom = Math.max(bottom, box.y + box.h + margin.bottom);
+    if (!node) return;
+    
+    // Each grid item records the grid lines it occupies
+    const area = areas?.[i];
+    if (area) {
+      node.style.gridArea = {
+        row: area.rowStart,
+        column: area.columnStart,
+        rowSpan: area.rowEnd - area.rowStart,
+        columnSpan: area.columnEnd - area.columnStart
+      };
+    }
+    nodes.push(node);
+  });
+  
+  return { nodes, contentHeight: bottom - content.y };
+}
+
+/**
+ * Order each node's children by paint order
+ * Within a stacking context, negative z-indices paint first, then the normal
+ * flow, then positioned boxes and stacking contexts with z-index auto or 0,
+ * then positive z-indices; ties keep document order. A child whose subtree
+ * holds a positive z-index painting in the same stacking context is raised
+ * to that z-index. Children record their position among the design tree's
+ * children before reordering (anonymous text and pseudo-elements included) as childIndex
+ * @param {Object} node - Laid-out design node
+ * @param {Object} context - Conversion context
+ * @returns {number|null} - Highest positive z-index in the subtree that paints in the
+ *   node's parent stacking context, or null
+ */
+function orderByPaint(node, context) {
+  const element = context.nodeElements.get(node);
+  const styles = element && context.styleCache.get(element);
+  let raised = null;
+  
+  const entries = (node.children || []).map((child, index) => {
+    child.childIndex = index;
+    const childElement = context.nodeElements.get(child);
+    const childStyles = childElement && context.styleCache.get(childElement);
+    const paint = childStyles ? getPaintLayer(childStyles, styles) : { layer: 1, zIndex: null, isolated: false };
+    
+    // Positive z-indices inside a child that isn't a stacking context compete with its siblings
+    const inner = orderByPaint(child, context);
+    let { layer, zIndex } = paint;
+    if (zIndex !== null) {
+      child.zIndex = zIndex;
+    }
+    if (!paint.isolated && inner !== null) {
+      layer = 3;
+      zIndex = inner;
+    }
+    
+    const escaping = [paint.zIndex > 0 ? paint.zIndex : null, paint.isolated ? null : inner].filter(value => value !== null);
+    if (escaping.length > 0) raised = Math.max(raised ?? 0, ...escaping);
+    return { child, layer, z: zIndex ?? 0, index };
+  });
+  
+  entries.sort((a, b) => a.layer - b.layer || a.z - b.z || a.index - b.index);
+  if (node.children) {
+    node.children = entries.map(entry => entry.child);
+  }
+  return raised;
+}
+
+/**
+ * Get where a box paints within its stacking context
+ * @param {Object} styles - Computed styles of the box
+ * @param {Object} parentStyles - Computed styles of its parent
+ * @returns {Object} - { layer, zIndex, isolated } where layer is 0 (negative z-index),
+ *   1 (normal flow), 2 (positioned or stacking context, z-index auto or 0) or 3 (positive
+ *   z-index), zIndex is the z-index that applies (null for auto) and isolated is true
+ *   when the box creates a stacking context
+ */
+function getPaintLayer(styles, parentStyles) {
+  const position = styles.position || 'static';
+  const parentDisplay = String(parentStyles?.display || '');
+  const isItem = /(^|-)(flex|grid)$/.test(parentDisplay);
+  
+  // z-index applies to positioned boxes and to flex and grid items
+  const value = String(styles.zIndex ?? 'auto').trim();
+  const zIndex = /^[-+]?\d+$/.test(value) && (position !== 'static' || isItem) ? parseInt(value, 10) : null;
+  
+  const isolated = zIndex !== null ||
+    position === 'fixed' || position === 'sticky' ||
+    parseFloat(styles.opacity ?? 1) < 1 ||
+    ['transform', 'translate', 'rotate', 'scale', 'filter', 'backdropFilter', 'clipPath', 'maskImage', 'WebkitMaskImage']
+      .some(property => styles[property] && styles[property] !== 'none') ||
+    (styles.mixBlendMode && styles.mixBlendMode !== 'normal') ||
+    styles.isolation === 'isolate';
+  
+  let layer = 1;
+  if (zIndex !== null && zIndex < 0) {
+    layer = 0;
+  } else if (zIndex > 0) {
+    layer = 3;
+  } else if (position !== 'static' || isolated) {
+    layer = 2;
+  }
+  return { layer, zIndex, isolated };
+}
+
+/**
+ * Mark the descendants that lie entirely outside a clipping ancestor
+ * Overflow clips to the padding box. Absolute descendants escape clipping
+ * ancestors outside their containing block, and fixed ones escape them all.
+ * Marked nodes get clipped: true (their own descendants are left alone), or
+ * are removed with options.pruneClipped
+ * @param {Object} node - Laid-out design node
+ * @param {Object} context - Conversion context
+ * @param {Array} ancestors - { clip, contains } per ancestor, outermost first, where clip is the
+ *   { left, top, right, bottom } its overflow clips to (or null) and contains is true for containing
+ *   blocks of absolute descendants
+ */
+function markClippedNodes(node, context, ancestors) {
+  const element = context.nodeElements.get(node);
+  const styles = element && context.styleCache.get(element);
+  
+  const units = styles && getUnitContext(styles, context, null);
+  let own = null;
+  const overflow = styles ? getOverflow(styles) : { clips: false };
+  if (overflow.clips) {
+    const border = getBorderSides(styles, units);
+    const clipsX = overflow.x !== 'visible';
+    const clipsY = overflow.y !== 'visible';
+    own = {
+      left: clipsX ? node.layout.x + border.left.width : -Infinity,
+      top: clipsY ? node.layout.y + border.top.width : -Infinity,
+      right: clipsX ? node.layout.x + node.layout.w - border.right.width : Infinity,
+      bottom: clipsY ? node.layout.y + node.layout.h - border.bottom.width : Infinity
+    };
+  }
+  const contains = !!styles && ((styles.position && styles.position !== 'static') || !!getTransformMatrix(styles, units, node.layout));
+  const chain = [...ancestors, { clip: own, contains }];
+  
+  const kept = [];
+  for (const child of node.children || []) {
+    const childElement = context.nodeElements.get(child);
+    const position = childElement && context.styleCache.get(childElement)?.position;
+    
+    // The clips that apply depend on the child's containing block
+    let applicable = chain;
+    if (position === 'fixed') {
+      applicable = [];
+    } else if (position === 'absolute') {
+      const containerIndex = chain.map(entry => entry.contains).lastIndexOf(true);
+      applicable = containerIndex === -1 ? [] : chain.slice(containerIndex);
+    }
+    
+    const { x, y, w, h } = child.layout;
+    const hidden = applicable.some(({ clip }) => clip &&
+      (x + w <= clip.left || x >= clip.right || y + h <= clip.top || y >= clip.bottom));
+    if (hidden) {
+      if (context.options.pruneClipped) continue;
+      child.clipped = true;
+    } else {
+      markClippedNodes(child, context, applicable);
+    }
+    kept.push(child);
+  }
+  
+  if (node.children) {
+    if (kept.length > 0) {
+      node.children = kept;
+    } else {
+      delete node.children;
+    }
+  }
+}
+
+/**
+ * Lay out the absolutely positioned and fixed descendants of a finished subtree
+ * Each is placed against its containing block (the padding box of the nearest
+ * positioned or transformed ancestor, or the viewport) and inserted among its
+ * in-flow siblings in document order
+ * @param {Object} node - Laid-out design node
+ * @param {Object} context - Conversion context
+ * @param {Object} containers - Containing blocks { absolute, fixed } for the node's children
+ * @param {Array} transforms - Page-space matrices of transformed ancestors, innermost first
+ */
+function layoutOutOfFlowNodes(node, context, containers, transforms) {
+  const element = context.nodeElements.get(node);
+  const styles = element && context.styleCache.get(element);
+  if (!styles) return;
+  
+  const units = getUnitContext(styles, context, null);
+  const border = getBorderSides(styles, units);
+  const paddingBox = {
+    x: node.layout.x + border.left.width,
+    y: node.layout.y + border.top.width,
+    width: Math.max(0, node.layout.w - border.left.width - border.right.width),
+    height: Math.max(0, node.layout.h - border.top.width - border.bottom.width)
+  };
+  
+  // Positioned elements contain absolute descendants; transformed ones contain fixed ones too
+  const transform = getTransformMatrix(styles, units, node.layout);
+  if (transform) {
+    containers = { absolute: paddingBox, fixed: paddingBox };
+    transforms = [transform, ...transforms];
+  } else if (styles.position && styles.position !== 'static') {
+    containers = { ...containers, absolute: paddingBox };
+  }
+  
+  const inFlow = node.children || [];
+  const staticPositions = context.staticPositions.get(node) || new Map();
+  const children = [];
+  let next = 0;
+  
+  const visit = (parent, parentStyles, parentContainers) => {
+    for (const child of parent.children) {
+      if (!isRendered(child, context, parentStyles)) continue;
+      
+      const childStyles = getElementStyles(child, context, parentStyles);
+      if (!isOutOfFlow(childStyles)) {
+        // Keep the in-flow nodes up to this child's, including nodes without an element of their own
+        const index = inFlow.findIndex((candidate, i) => i >= next && context.nodeElements.get(candidate) === child);
+        if (index !== -1) {
+          children.push(...inFlow.slice(next, index + 1));
+          next = index + 1;
+        } else if (context.inlineBoxes?.has(child)) {
+          // Inline elements folded into the text still hold positioned descendants
+          const box = context.inlineBoxes.get(child);
+          const positioned = childStyles.position && childStyles.position !== 'static';
+          visit(child, childStyles, positioned
+            ? { ...parentContainers, absolute: { x: box.x, y: box.y, width: box.w, height: box.h } }
+            : parentContainers);
+        }
+        continue;
+      }
+      
+      const container = childStyles.position === 'fixed' ? parentContainers.fixed : parentContainers.absolute;
+      const position = staticPositions.get(child) || { x: 0, y: 0 };
+      const childNode = elementToDesignNode(
+        child,
+        context,
+        node.layout.x + position.x,
+        node.layout.y + position.y,
+        parentStyles,
+        container
+      );
+      for (const matrix of transforms) {
+        applyTransform(childNode, matrix);
+      }
+      children.push(childNode);
+    }
+  };
+  visit(element, styles, containers);
+  children.push(...inFlow.slice(next));
+  
+  if (children.length > 0) {
+    node.children = children;
+  }
+  for (const child of children) {
+    layoutOutOfFlowNodes(child, context, containers, transforms);
+  }
+}
+
+/**
+ * Compute layout for a single node
+ * @param {Element} element - DOM element
+ * @param {Object} styles - Computed styles
+ * @param {Object} units - Unit context (font sizes, viewport, containing block)
+ * @param {Object} context - Conversion context
+ * @param {number} offsetX - X offset
+ * @param {number} offsetY - Y offset
+ * @param {Object} constraints - Border-box position and size set by the parent's layout
+ * @returns {Object} - Layout object (h is null when it depends on the content)
+ */
+function computeNodeLayout(element, styles, units, context, offsetX, offsetY, constraints = {}) {
+  const { containingBlock } = units;
+  const margin = getBoxSpacing(styles, 'margin', units);
+  const sizeLimit = (property, axis) =>
+    resolveBorderBoxSize(styles[property], axis, styles, units, containingBlock[axis]);
+  
+  // Calculate width: explicit, intrinsic for replaced elements, or fill the containing block
+  const intrinsic = getIntrinsicSize(element, context);
+  let width = constraints.width ?? sizeLimit('width', 'width');
+  let height = constraints.height ?? sizeLimit('height', 'height');
+  if (width === null && intrinsic) {
+    const extras = getBoxExtras(styles, units);
+    const size = resolveReplacedSize(intrinsic, null, height === null ? null : height - extras.height);
+    width = size.width === null ? null : size.width + extras.width;
+  }
+  if (width === null) {
+    width = containingBlock.width - margin.left - margin.right;
+  }
+  if (constraints.width === undefined) {
+    width = clamp(width, sizeLimit('minWidth', 'width') ?? 0, sizeLimit('maxWidth', 'width') ?? Infinity);
+  }
+  
+  // Calculate height (auto heights are resolved after the children)
+  if (height !== null && constraints.height === undefined) {
+    height = clamp(height, sizeLimit('minHeight', 'height') ?? 0, sizeLimit('maxHeight', 'height') ?? Infinity);
+  }
+  
+  // Calculate position; auto side margins center or push the box
+  let x = constraints.x;
+  let y = constraints.y;
+  if (x === undefined) {
+    const autoLeft = styles.marginLeft === 'auto';
+    const autoRight = styles.marginRight === 'auto';
+    const free = containingBlock.width - width - (autoLeft ? 0 : margin.left) - (autoRight ? 0 : margin.right);
+    let marginLeft = margin.left;
+    if (autoLeft && autoRight) {
+      marginLeft = Math.max(0, free / 2);
+    } else if (autoLeft) {
+      marginLeft = Math.max(0, free);
+    }
+    
+    x = offsetX + marginLeft;
+    y = offsetY + margin.top;
+  }
+  
+  return {
+    x: Math.round(x),
+    y: Math.round(y),
+    w: Math.round(Math.max(0, width)),
+    h: height === null ? null : Math.round(Math.max(0, height))
+  };
+}
+
+/**
+ * Compute layout for an absolutely positioned or fixed element
+ * Insets place the box against its containing block; auto insets keep the static position
+ * @param {Element} element - DOM element
+ * @param {Object} styles - Computed styles
+ * @param {Object} units - Unit context
+ * @param {Object} context - Conversion context
+ * @param {Object} container - Containing block padding box { x, y, width, height }
+ * @param {number} staticX - Static position x (margin edge)
+ * @param {number} staticY - Static position y (margin edge)
+ * @returns {Object} - Layout object; h is null and bottom is the target bottom edge
+ *   when an auto height is anchored to the bottom
  */
-function htmlToDesignTree(html, options = {}) {
-  const viewport = options.viewport || DEFAULT_VIEWPORT;
+function computePositionedLayout(element, styles, units, context, container, staticX, staticY) {
+  const margin = getBoxSpacing(styles, 'margin', units);
+  const inset = (side, base) => {
+    const value = styles[side];
+    return value === undefined || value === 'auto' ? null : resolveLength(value, units, base);
+  };
+  const left = inset('left', container.width);
+  const right = inset('right', container.width);
+  const top = inset('top', container.height);
+  const bottom = inset('bottom', container.height);
+  const sizeLimit = (property, axis) => resolveBorderBoxSize(styles[property], axis, styles, units, container[axis]);
   
-  // Parse HTML
-  const { document, dom } = parseHTML(html);
+  // Width: explicit, stretched between both insets, or shrink-to-fit (rounded up so the
+  // whole-pixel box doesn't wrap its own text)
+  let width = sizeLimit('width', 'width');
+  if (width === null) {
+    const available = container.width - (left ?? 0) - (right ?? 0) - margin.left - margin.right;
+    width = left !== null && right !== null
+      ? available
+      : Math.min(Math.ceil(estimateMaxContentWidth(element, styles, units, context)), Math.max(0, available));
+  }
+  width = Math.max(0, clamp(width, sizeLimit('minWidth', 'width') ?? 0, sizeLimit('maxWidth', 'width') ?? Infinity));
+  
+  let height = sizeLimit('height', 'height');
+  if (height === null && top !== null && bottom !== null) {
+    height = container.height - top - bottom - margin.top - margin.bottom;
+  }
+  if (height !== null) {
+    height = Math.max(0, clamp(height, sizeLimit('minHeight', 'height') ?? 0, sizeLimit('maxHeight', 'height') ?? Infinity));
+  }
   
-  // Convert to design tree
-  const designTree = documentToDesignTree(document, viewport);
+  // Auto margins between two insets center the box
+  const centered = (start, end, size, available, marginStart, marginEnd, autoStart, autoEnd) => {
+    const free = available - start - end - size - (autoStart ? 0 : marginStart) - (autoEnd ? 0 : marginEnd);
+    if (autoStart && autoEnd) return Math.max(0, free / 2);
+    return autoStart ? free : marginStart;
+  };
+  const isAuto = side => String(styles[`margin${side}`]).trim() === 'auto';
+  
+  let x;
+  if (left !== null && right !== null) {
+    x = container.x + left + centered(left, right, width, container.width, margin.left, margin.right, isAuto('Left'), isAuto('Right'));
+  } else if (left !== null) {
+    x = container.x + left + margin.left;
+  } else if (right !== null) {
+    x = container.x + container.width - right - margin.right - width;
+  } else {
+    x = staticX + margin.left;
+  }
   
-  // Cleanup
-  dom.window.close();
+  const layout = { x: 0, y: 0, w: Math.round(width), h: height === null ? null : Math.round(height) };
+  let y;
+  if (top !== null && bottom !== null && height !== null) {
+    y = container.y + top + centered(top, bottom, height, container.height, margin.top, margin.bottom, isAuto('Top'), isAuto('Bottom'));
+  } else if (top !== null) {
+    y = container.y + top + margin.top;
+  } else if (bottom !== null) {
+    const edge = container.y + container.height - bottom - margin.bottom;
+    if (height === null) {
+      // Placed at the static position until the content height is known
+      layout.bottom = Math.round(edge);
+      y = staticY + margin.top;
+    } else {
+      y = edge - height;
+    }
+  } else {
+    y = staticY + margin.top;
+  }
   
-  return designTree;
+  layout.x = Math.round(x);
+  layout.y = Math.round(y);
+  return layout;
 }
 
 /**
- * Convert URL to design tree
- * @param {string} url - URL to convert
- * @param {Object} options - Conversion options
- * @returns {Promise<Object>} - Design tree JSON
+ * Get the offset of a relatively positioned element
+ * top and left win over bottom and right
+ * @param {Object} styles - Computed styles
+ * @param {Object} units - Unit context
+ * @returns {Object} - { x, y } in pixels
  */
-async function urlToDesignTree(url, options = {}) {
-  const viewport = options.viewport || DEFAULT_VIEWPORT;
+function getRelativeOffset(styles, units) {
+  const { containingBlock } = units;
+  const inset = (side, base) => {
+    const value = styles[side];
+    return value === undefined || value === 'auto' ? null : resolveLength(value, units, base);
+  };
+  const left = inset('left', containingBlock.width);
+  const top = inset('top', containingBlock.height);
   
-  // Parse from URL
-  const { document, dom } = await parseFromURL(url);
+  return {
+    x: Math.round(left ?? -(inset('right', containingBlock.width) ?? 0)),
+    y: Math.round(top ?? -(inset('bottom', containingBlock.height) ?? 0))
+  };
+}
+
+/**
+ * Apply a transform to a design node and its descendants
+ * node.layout keeps the untransformed box; node.transform gets the matrix
+ * from the node's local coordinates to the page, its rotation and the
+ * axis-aligned bounds of the transformed box
+ * @param {Object} node - Design node
+ * @param {Array} matrix - Page-space matrix to apply
+ */
+function applyTransform(node, matrix) {
+  const { x, y, w, h } = node.layout;
+  const local = node.transform?.matrix || [1, 0, 0, 1, x, y];
+  const combined = multiply(matrix, local).map(value => Math.round(value * 1e6) / 1e6);
+  
+  node.transform = {
+    rotation: getRotation(combined),
+    matrix: combined,
+    bounds: transformBounds(combined, w, h)
+  };
   
-  // Convert to design tree
-  const designTree = documentToDesignTree(document, viewport);
+  for (const child of node.children || []) {
+    applyTransform(child, matrix);
+  }
+}
+
+/**
+ * Move a laid-out design node and its descendants
+ * @param {Object} node - Design node
+ * @param {number} dx - Horizontal distance
+ * @param {number} dy - Vertical distance
+ */
+function translateNode(node, dx, dy) {
+  if (dx === 0 && dy === 0) return;
   
-  // Cleanup
-  dom.window.close();
+  node.layout.x += dx;
+  node.layout.y += dy;
+  if (node.transform) {
+    node.transform.matrix[4] += dx;
+    node.transform.matrix[5] += dy;
+    node.transform.bounds.x += dx;
+    node.transform.bounds.y += dy;
+  }
+  for (const line of node.lines || []) {
+    line.x += dx;
+    line.y += dy;
+    line.baseline += dy;
+  }
   
-  return designTree;
+  for (const child of node.children || []) {
+    translateNode(child, dx, dy);
+  }
 }
 
 /**
- * Convert document to design tree
- * @param {Document} document - DOM document
- * @param {Object} viewport - Viewport dimensions
- * @returns {Object} - Design tree
+ * Move a bottom-anchored node into place once its height is known
+ * @param {Object} node - Design node
+ * @param {Object} layout - Layout the node was built from (with bottom when anchored)
+ * @returns {Object} - The node
  */
-function documentToDesignTree(document, viewport) {
-  const body = document.body;
-  if (!body) {
-    return createEmptyDesignTree(viewport);
+function alignToBottom(node, layout) {
+  if (layout.bottom !== undefined) {
+    translateNode(node, 0, layout.bottom - node.layout.h - node.layout.y);
+  }
+  return node;
+}
+
+/**
+ * Estimate the max-content (unwrapped) border-box width of an element
+ * @param {Element} element - DOM element
+ * @param {Object} styles - Computed styles
+ * @param {Object} units - Unit context
+ * @param {Object} context - Conversion context
+ * @returns {number} - Width in pixels
+ */
+function estimateMaxContentWidth(element, styles, units, context) {
+  const explicit = resolveBorderBoxSize(styles.width, 'width', styles, units, null);
+  if (explicit !== null) return explicit;
+  
+  if (!context.intrinsicCache) context.intrinsicCache = new Map();
+  if (context.intrinsicCache.has(element)) return context.intrinsicCache.get(element);
+  
+  const extras = getBoxExtras(styles, units);
+  const clampWidth = width => clamp(
+    width + extras.width,
+    resolveBorderBoxSize(styles.minWidth, 'width', styles, units, null) ?? 0,
+    resolveBorderBoxSize(styles.maxWidth, 'width', styles, units, null) ?? Infinity
+  );
+  
+  // Replaced elements use their intrinsic size (or fill the line without one) or width attribute;
+  // their content (such as SVG text) doesn't size them
+  const intrinsic = getIntrinsicSize(element, context);
+  let attributeWidth = parseFloat(element.getAttribute?.('width'));
+  if (intrinsic) {
+    const height = resolveBorderBoxSize(styles.height, 'height', styles, units, null);
+    attributeWidth = resolveReplacedSize(intrinsic, null, height === null ? null : height - extras.height).width ??
+      Math.max(0, units.containingBlock.width - extras.width);
+  }
+  if (OPAQUE_TAGS.includes(element.tagName?.toLowerCase())) {
+    const width = clampWidth(attributeWidth || 0);
+    context.intrinsicCache.set(element, width);
+    return width;
   }
   
-  // Collect CSS rules
-  const cssRules = collectStylesheets(document);
+  const text = getDirectTextContent(element);
+  let inline = text ? measureText(text, styles, units) : (attributeWidth || 0);
+  let block = 0;
   
-  // Build design tree recursively
-  const tree = elementToDesignNode(body, cssRules, viewport, 0, 0);
+  const isFlexRow = (styles.display === 'flex' || styles.display === 'inline-flex') &&
+    !String(styles.flexDirection || 'row').startsWith('column');
+  const gap = isFlexRow ? parsePixelValue(styles.columnGap === 'normal' ? 0 : styles.columnGap, units) : 0;
+  let flexItems = 0;
   
-  return tree;
+  // Grid containers are as wide as their tracks sized to max-content
+  const isGrid = styles.display === 'grid' || styles.display === 'inline-grid';
+  if (isGrid) {
+    const items = createLayoutItems(element, context, units.containingBlock, styles);
+    const { columns } = computeGridLayout({ x: 0, y: 0, width: null, height: null, styles, units }, items);
+    const last = columns[columns.length - 1];
+    block = last ? last.start + last.size : 0;
+  }
+  
+  for (const child of isGrid ? [] : element.children) {
+    if (!isRendered(child, context, styles)) continue;
+    
+    const childStyles = getElementStyles(child, context, styles);
+    if (isOutOfFlow(childStyles)) continue;
+    
+    const childUnits = getUnitContext(childStyles, context, units.containingBlock);
+    const margin = getBoxSpacing(childStyles, 'margin', childUnits);
+    const outer = estimateMaxContentWidth(child, childStyles, childUnits, context) + margin.left + margin.right;
+    
+    if (isFlexRow) {
+      inline += outer + (flexItems++ > 0 ? gap : 0);
+    } else if (isInlineLevel(childStyles)) {
+      inline += outer;
+    } else {
+      block = Math.max(block, outer);
+    }
+  }
+  
+  const width = clampWidth(Math.max(inline, block));
+  context.intrinsicCache.set(element, width);
+  return width;
 }
 
 /**
- * Convert single element to design node
+ * Estimate the min-content border-box width of an element
+ * The element is as narrow as its text gets when it wraps at every opportunity;
+ * replaced elements keep their max-content width
  * @param {Element} element - DOM element
- * @param {Array} cssRules - CSS rules
- * @param {Object} viewport - Viewport dimensions
- * @param {number} offsetX - X offset from parent
- * @param {number} offsetY - Y offset from parent
- * @returns {Object} - Design node
+ * @param {Object} styles - Computed styles
+ * @param {Object} units - Unit context
+ * @param {Object} context - Conversion context
+ * @returns {number} - Width in pixels
  */
-function elementToDesignNode(element, cssRules, viewport, offsetX = 0, offsetY = 0) {
-  const tagName = element.tagName?.toLowerCase() || 'div';
-  
-  // Skip invisible elements
-  const skipTags = ['script', 'style', 'noscript', 'meta', 'link', 'head'];
-  if (skipTags.includes(tagName)) {
-    return null;
+function estimateMinContentWidth(element, styles, units, context) {
+  const explicit = resolveBorderBoxSize(styles.width, 'width', styles, units, null);
+  if (explicit !== null) return explicit;
+  if (OPAQUE_TAGS.includes(element.tagName?.toLowerCase())) {
+    return estimateMaxContentWidth(element, styles, units, context);
   }
   
-  // Get computed styles
-  const computedStyles = getComputedStyles(element, cssRules);
+  if (!context.minContentCache) context.minContentCache = new Map();
+  if (context.minContentCache.has(element)) return context.minContentCache.get(element);
   
-  // Skip hidden elements
-  if (computedStyles.display === 'none' || computedStyles.visibility === 'hidden') {
-    return null;
-  }
+  const text = getDirectTextContent(element);
+  let content = text ? Math.max(0, ...wrapText(text, styles, units, 0).map(line => line.width)) : 0;
   
-  // Determine element type
-  const type = getElementType(tagName);
+  // Items of a single-line flex row sit side by side; other children can each take a line
+  const isFlexRow = (styles.display === 'flex' || styles.display === 'inline-flex') &&
+    !String(styles.flexDirection || 'row').startsWith('column') &&
+    !String(styles.flexWrap || 'nowrap').startsWith('wrap');
+  const gap = isFlexRow ? parsePixelValue(styles.columnGap === 'normal' ? 0 : styles.columnGap, units) : 0;
+  let flexItems = 0;
   
-  // Compute layout
-  const layout = computeNodeLayout(element, computedStyles, viewport, offsetX, offsetY);
+  for (const child of element.children) {
+    if (!isRendered(child, context, styles)) continue;
+    
+    const childStyles = getElementStyles(child, context, styles);
+    if (isOutOfFlow(childStyles)) continue;
+    
+    const childUnits = getUnitContext(childStyles, context, units.containingBlock);
+    const margin = getBoxSpacing(childStyles, 'margin', childUnits);
+    const outer = estimateMinContentWidth(child, childStyles, childUnits, context) + margin.left + margin.right;
+    content = isFlexRow ? content + outer + (flexItems++ > 0 ? gap : 0) : Math.max(content, outer);
+  }
   
-  // Build style object
-  const style = buildStyleObject(computedStyles);
+  const width = clamp(
+    content + getBoxExtras(styles, units).width,
+    resolveBorderBoxSize(styles.minWidth, 'width', styles, units, null) ?? 0,
+    resolveBorderBoxSize(styles.maxWidth, 'width', styles, units, null) ?? Infinity
+  );
+  context.minContentCache.set(element, width);
+  return width;
+}
+
+/**
+ * Get the intrinsic size of a replaced element
+ * SVG reads its width and height attributes, with the aspect ratio of its viewBox.
+ * Images read their width and height attributes and the natural size of the loaded file
+ * @param {Element} element - DOM element
+ * @param {Object} context - Conversion context
+ * @returns {Object|null} - Content-box { width, height, ratio } with null for unknown
+ *   values, or null for elements without an intrinsic size
+ */
+function getIntrinsicSize(element, context) {
+  const tagName = element.tagName?.toLowerCase();
+  if (tagName !== 'svg' && tagName !== 'img') return null;
   
-  // Create design node
-  const node = {
-    type,
-    name: tagName,
-    layout: {
-      x: layout.x,
-      y: layout.y,
-      w: layout.w,
-      h: layout.h
-    },
-    style
+  // Percentages and auto size the element from its container
+  const attribute = name => {
+    const value = String(element.getAttribute(name) ?? '').trim();
+    return /^[\d.]+(px)?$/i.test(value) ? parseFloat(value) : null;
   };
+  const width = attribute('width');
+  const height = attribute('height');
   
-  // Add text content for text nodes
-  if (type === 'text') {
-    const textContent = getDirectTextContent(element);
-    if (textContent) {
-      node.text = textContent;
-    }
+  if (tagName === 'svg') {
+    const viewBox = parseViewBox(element.getAttribute('viewBox'));
+    const ratio = viewBox ? viewBox.w / viewBox.h : (width && height ? width / height : null);
+    return { width, height: height ?? (ratio ? null : 150), ratio };
   }
   
-  // Add src for images
-  if (type === 'image' && element.src) {
-    node.src = element.src;
-  }
+  // A loaded image's own aspect ratio wins over the attributes'; high-density
+  // candidates are laid out at their size in CSS pixels
+  const image = context.images?.get(element);
+  const density = image?.density > 0 ? image.density : 1;
+  const natural = image?.width > 0 && image?.height > 0
+    ? { width: image.width / density, height: image.height / density }
+    : null;
+  const ratio = natural ? natural.width / natural.height : (width && height ? width / height : null);
+  if (width === null && height === null && !natural) return null;
   
-  // Add ID and classes as metadata
-  if (element.id) {
-    node.id = element.id;
+  return {
+    width: width ?? (height !== null && ratio ? height * ratio : natural?.width ?? null),
+    height: height ?? (width !== null && ratio ? width / ratio : natural?.height ?? null),
+    ratio
+  };
+}
+
+/**
+ * Size a replaced element from its intrinsic size
+ * A set dimension gives the other through the aspect ratio; without either, the
+ * intrinsic size is used
+ * @param {Object} intrinsic - { width, height, ratio } from getIntrinsicSize
+ * @param {number|null} width - Content-box width, or null when auto
+ * @param {number|null} height - Content-box height, or null when auto
+ * @returns {Object} - { width, height } where width is null when the element fills its container
+ */
+function resolveReplacedSize(intrinsic, width, height) {
+  const { ratio } = intrinsic;
+  if (width === null) {
+    if (height !== null) {
+      width = ratio ? height * ratio : intrinsic.width;
+    } else {
+      width = intrinsic.width ?? (intrinsic.height !== null && ratio ? intrinsic.height * ratio : null);
+    }
   }
-  if (element.classList?.length > 0) {
-    node.classes = Array.from(element.classList);
+  if (height === null) {
+    height = width !== null && ratio ? width / ratio : intrinsic.height ?? 0;
   }
-  
-  // Process children
-  const children = processChildren(element, cssRules, viewport, layout);
-  if (children.length > 0) {
-    node.children = children;
+  return { width, height };
+}
+
+/**
+ * Collapse two adjoining vertical margins
+ * @param {number} a - First margin
+ * @param {number} b - Second margin
+ * @returns {number} - Collapsed margin
+ */
+function collapseMargins(a, b) {
+  return Math.max(a, b, 0) + Math.min(a, b, 0);
+}
+
+/**
+ * Check whether an element is taken out of the flow (absolute or fixed)
+ * @param {Object} styles - Computed styles
+ * @returns {boolean} - True when positioned outside the flow
+ */
+function isOutOfFlow(styles) {
+  return styles.position === 'absolute' || styles.position === 'fixed';
+}
+
+/**
+ * Check whether an in-flow element takes part in its parent's inline formatting context
+ * @param {Object} styles - Computed styles
+ * @returns {boolean} - True for inline, inline-block, inline-flex, ... display values
+ */
+function isInlineLevel(styles) {
+  return String(styles.display || '').startsWith('inline');
+}
+
+/**
+ * Get the design node flags for a position value
+ * @param {string} position - CSS position
+ * @returns {Object} - { layoutPositioning, fixed } or { sticky }, empty for in-flow positions
+ */
+function getPositioningFlags(position) {
+  switch (position) {
+    case 'absolute':
+      return { layoutPositioning: 'absolute' };
+    case 'fixed':
+      return { layoutPositioning: 'absolute', fixed: true };
+    case 'sticky':
+      return { sticky: true };
+    default:
+      return {};
   }
+}
+
+/**
+ * Get how a text node's box follows its text
+ * @param {Object} styles - Computed styles
+ * @param {Object} units - Unit context
+ * @param {boolean} inline - Whether the node is an inline box
+ * @returns {string} - 'fixed' when the height is set, 'auto-width' when the box shrinks to
+ *   fit its text and 'auto-height' when the text wraps at a given width
+ */
+function getTextAutoResize(styles, units, inline = false) {
+  const containingBlock = units.containingBlock || {};
+  if (resolveBorderBoxSize(styles.height, 'height', styles, units, containingBlock.height) !== null) return 'fixed';
+  if (resolveBorderBoxSize(styles.width, 'width', styles, units, containingBlock.width) !== null) return 'auto-height';
   
-  return node;
+  const display = String(styles.display || 'block');
+  const stretched = styles.left !== undefined && styles.left !== 'auto' && styles.right !== undefined && styles.right !== 'auto';
+  const shrinks = inline || display.startsWith('inline') ||
+    (styles.float && styles.float !== 'none') ||
+    (isOutOfFlow(styles) && !stretched);
+  return shrinks ? 'auto-width' : 'auto-height';
 }
 
 /**
- * Process child elements
- * @param {Element} parent - Parent element
- * @param {Array} cssRules - CSS rules
- * @param {Object} viewport - Viewport dimensions
- * @param {Object} parentLayout - Parent layout
- * @returns {Array} - Child design nodes
+ * Get the design node type of an element
+ * @param {Element} element - DOM element
+ * @param {Object} context - Conversion context
+ * @returns {string} - 'frame', 'text', 'image' or 'svg'
  */
-function processChildren(parent, cssRules, viewport, parentLayout) {
-  const children = [];
-  let currentY = parentLayout.y;
+function getNodeType(element, context) {
+  return context.pseudoElements?.get(element)?.type ?? getElementType(element.tagName?.toLowerCase() || 'div');
+}
+
+/**
+ * Generate the ::before and ::after pseudo-elements of a subtree
+ * Styles, counters and quotes are resolved in document order before any
+ * generated element is inserted, so selectors still see the authored DOM.
+ * Each pseudo-element becomes a child element holding its text and images
+ * @param {Element} root - Subtree root
+ * @param {Object} context - Conversion context
+ * @param {Object} parentStyles - Computed styles of the root's parent
+ */
+function generatePseudoElements(root, context, parentStyles) {
+  const state = { counters: new Map(), quoteDepth: 0 };
+  const generated = [];
+  applyCounters(state.counters, parentStyles);
   
-  for (const child of parent.children) {
-    const node = elementToDesignNode(
-      child, 
-      cssRules, 
-      viewport, 
-      parentLayout.x,
-      currentY
-    );
+  const visit = (element, inherited) => {
+    // Only HTML elements generate pseudo-elements; SVG and MathML content is left as written
+    if (element.namespaceURI !== HTML_NAMESPACE) return;
+    if (SKIP_TAGS.includes(element.tagName.toLowerCase())) return;
     
-    if (node) {
-      children.push(node);
-      currentY = node.layout.y + node.layout.h;
+    // Elements that aren't displayed don't count
+    const styles = getElementStyles(element, context, inherited);
+    if (styles.display === 'none') return;
+    applyCounters(state.counters, styles);
+    
+    // Counters reset inside the element go out of scope after it
+    const depths = new Map([...state.counters].map(([name, stack]) => [name, stack.length]));
+    const replaced = REPLACED_TAGS.includes(element.tagName.toLowerCase());
+    
+    if (!replaced) generated.push(resolvePseudoElement(element, 'before', styles, context, state));
+    if (!OPAQUE_TAGS.includes(element.tagName.toLowerCase())) {
+      for (const child of element.children) {
+        visit(child, styles);
+      }
+    }
+    if (!replaced) generated.push(resolvePseudoElement(element, 'after', styles, context, state));
+    
+    for (const [name, stack] of state.counters) {
+      stack.length = Math.min(stack.length, depths.get(name) ?? 0);
     }
+  };
+  visit(root, parentStyles);
+  
+  for (const pseudo of generated) {
+    if (pseudo) insertPseudoElement(pseudo, context);
   }
+}
+
+/**
+ * Resolve the styles and content of an element's pseudo-element
+ * @param {Element} element - Originating element
+ * @param {string} pseudoElement - 'before' or 'after'
+ * @param {Object} styles - Computed styles of the originating element
+ * @param {Object} context - Conversion context
+ * @param {Object} state - { counters, quoteDepth } in document order
+ * @returns {Object|null} - { element, pseudoElement, styles, parts }, or null when nothing is generated
+ */
+function resolvePseudoElement(element, pseudoElement, styles, context, state) {
+  const { cssRules, viewport, rootFontSize } = context;
+  const pseudoStyles = getComputedStyles(element, cssRules, styles, { viewport, rootFontSize }, pseudoElement);
+  const content = String(pseudoStyles.content || 'normal').trim().toLowerCase();
+  if (pseudoStyles.display === 'none' || content === 'none' || content === 'normal') return null;
   
-  return children;
+  // The pseudo-element's counters apply before its content is read
+  applyCounters(state.counters, pseudoStyles);
+  const parts = parseContent(pseudoStyles.content, element, state);
+  return parts && { element, pseudoElement, styles: pseudoStyles, parts };
 }
 
 /**
- * Compute layout for a single node
- * @param {Element} element - DOM element
- * @param {Object} styles - Computed styles
- * @param {Object} viewport - Viewport dimensions
- * @param {number} offsetX - X offset
- * @param {number} offsetY - Y offset
- * @returns {Object} - Layout object
+ * Insert the element standing in for a pseudo-element
+ * Text parts become its text and url() parts images; it is a frame when it
+ * draws a box or holds images and a text node otherwise
+ * @param {Object} pseudo - { element, pseudoElement, styles, parts } from resolvePseudoElement()
+ * @param {Object} context - Conversion context
  */
-function computeNodeLayout(element, styles, viewport, offsetX, offsetY) {
-  const margin = parseSpacing(styles.margin);
-  const padding = parseSpacing(styles.padding);
-  const border = parseBorder(styles.border);
+function insertPseudoElement(pseudo, context) {
+  const { element, pseudoElement, styles, parts } = pseudo;
+  const document = element.ownerDocument;
+  const generated = document.createElement('pseudo-element');
   
-  // Calculate width
-  let width = parsePixelValue(styles.width);
-  if (!width || styles.width === 'auto') {
-    width = viewport.width - margin.left - margin.right;
-  }
-  if (typeof styles.width === 'string' && styles.width.endsWith('%')) {
-    width = (parseFloat(styles.width) / 100) * viewport.width;
+  for (const part of parts) {
+    if (part.type === 'text') {
+      generated.appendChild(document.createTextNode(part.text));
+    } else {
+      // Relative URLs resolve like <img> sources, and use the image loaded for them
+      const url = resolveUrl(part.url, getDocumentBase(document, context.options)) ?? part.url;
+      const image = document.createElement('img');
+      image.setAttribute('src', url);
+      if (context.images.has(url)) {
+        context.images.set(image, context.images.get(url));
+      }
+      context.styleCache.set(image, getAnonymousStyles(styles));
+      generated.appendChild(image);
+    }
   }
   
-  // Calculate height
-  let height = parsePixelValue(styles.height);
-  if (!height || styles.height === 'auto') {
-    height = estimateElementHeight(element, styles);
+  const hasText = parts.some(part => part.type === 'text' && part.text.trim());
+  const isText = hasText && parts.every(part => part.type === 'text');
+  const type = isText && !drawsBox(styles, getUnitContext(styles, context, null)) ? 'text' : 'frame';
+  
+  context.styleCache.set(generated, styles);
+  context.pseudoElements.set(generated, { pseudoElement, type });
+  if (pseudoElement === 'before') {
+    element.insertBefore(generated, element.firstChild);
+  } else {
+    element.appendChild(generated);
   }
+}
+
+/**
+ * Check whether an element produces a design node
+ * @param {Element} element - DOM element
+ * @param {Object} context - Conversion context
+ * @param {Object} parentStyles - Computed styles of the parent
+ * @returns {boolean} - False for skipped tags and hidden elements
+ */
+function isRendered(element, context, parentStyles) {
+  const tagName = element.tagName?.toLowerCase() || 'div';
+  if (SKIP_TAGS.includes(tagName)) return false;
   
-  // Calculate position
-  const x = offsetX + margin.left;
-  const y = offsetY + margin.top;
+  const styles = getElementStyles(element, context, parentStyles);
+  return styles.display !== 'none' && styles.visibility !== 'hidden';
+}
+
+/**
+ * Get an element's computed styles, computing them once per conversion
+ * @param {Element} element - DOM element
+ * @param {Object} context - Conversion context
+ * @param {Object} parentStyles - Computed styles of the parent
+ * @returns {Object} - Computed styles
+ */
+function getElementStyles(element, context, parentStyles) {
+  if (!context.styleCache) context.styleCache = new Map();
   
+  let styles = context.styleCache.get(element);
+  if (!styles) {
+    const { cssRules, viewport, rootFontSize } = context;
+    styles = getComputedStyles(element, cssRules, parentStyles, { viewport, rootFontSize });
+    context.styleCache.set(element, styles);
+  }
+  return styles;
+}
+
+/**
+ * Build the unit context for an element
+ * @param {Object} styles - Computed styles of the element
+ * @param {Object} context - Conversion context
+ * @param {Object} containingBlock - Containing block { width, height }; the viewport if omitted
+ * @returns {Object} - Unit context
+ */
+function getUnitContext(styles, context, containingBlock) {
+  const { viewport, rootFontSize, fonts } = context;
   return {
-    x: Math.round(x),
-    y: Math.round(y),
-    w: Math.round(width),
-    h: Math.round(height)
+    fontSize: parsePixelValue(styles.fontSize) || 16,
+    rootFontSize,
+    viewport,
+    // Text is measured with the fonts supplied with the conversion
+    fonts,
+    containingBlock: containingBlock || { width: viewport.width, height: viewport.height }
   };
 }
 
 /**
- * Estimate element height based on content
+ * Get the layout cache of an element
+ * @param {Object} context - Conversion context
  * @param {Element} element - DOM element
- * @param {Object} styles - Computed styles
- * @returns {number} - Estimated height
+ * @returns {Map} - Laid-out nodes by size key
  */
-function estimateElementHeight(element, styles) {
-  const padding = parseSpacing(styles.padding);
-  const lineHeight = parsePixelValue(styles.lineHeight) || 
-                     parsePixelValue(styles.fontSize) * 1.4 || 
-                     22;
-  
-  // Get text content
-  const text = getDirectTextContent(element);
-  let contentHeight = lineHeight;
+function getLayoutCache(context, element) {
+  if (!context.layoutCache) context.layoutCache = new Map();
   
-  if (text) {
-    // Estimate lines based on character count
-    const fontSize = parsePixelValue(styles.fontSize) || 16;
-    const charWidth = fontSize * 0.5;
-    const containerWidth = parsePixelValue(styles.width) || 1000;
-    const charsPerLine = Math.floor(containerWidth / charWidth);
-    const lines = Math.max(1, Math.ceil(text.length / charsPerLine));
-    contentHeight = lines * lineHeight;
+  let cache = context.layoutCache.get(element);
+  if (!cache) {
+    cache = new Map();
+    context.layoutCache.set(element, cache);
   }
-  
-  // Add children height estimate
-  if (element.children.length > 0) {
-    contentHeight = Math.max(contentHeight, element.children.length * lineHeight);
-  }
-  
-  return contentHeight + padding.top + padding.bottom;
+  return cache;
 }
 
 /**
  * Get direct text content (not from children)
  * @param {Element} element - DOM element
+ * @param {boolean} keepWhiteSpace - Keep leading and trailing white space, as written
+ *   in the strings of a pseudo-element's content
  * @returns {string|null} - Text content
  */
-function getDirectTextContent(element) {
+function getDirectTextContent(element, keepWhiteSpace = false) {
   let text = '';
   for (const node of element.childNodes) {
     if (node.nodeType === 3) { // Text node
       text += node.textContent;
     }
   }
-  return text.trim() || null;
+  if (!text.trim()) return null;
+  return keepWhiteSpace ? text : text.trim();
 }
 
 /**
  * Build style object from computed styles
  * @param {Object} computed - Computed CSS styles
+ * @param {Object} options - Conversion options
+ * @param {boolean} options.tokens - Record the custom property behind each value
+ * @param {string} options.colorFormat - Output color format: 'hex' (default), 'rgb' or 'hsl'
+ * @param {Object} units - Unit context for relative lengths
+ * @param {Object} box - Element size { w, h } for gradient geometry, plus the sized grid tracks
+ *   { columns, rows } of grid containers
+ * @param {string} type - Node type; text-shadow only applies to 'text' nodes
  * @returns {Object} - Design tree style object
  */
-function buildStyleObject(computed) {
+function buildStyleObject(computed, options = {}, units = {}, box = null, type = 'frame') {
   const style = {};
+  const tokens = {};
+  const colorFormat = options.colorFormat || DEFAULT_COLOR_FORMAT;
+  const toColor = value => normalizeColor(value, colorFormat, computed.color);
   
-  // Background
-  if (computed.background && computed.background !== 'transparent') {
-    style.background = computed.background;
+  // Background (fully transparent colors are omitted)
+  const background = parseColor(computed.backgroundColor, computed.color);
+  if (background ? background.a > 0 : computed.backgroundColor && computed.backgroundColor !== 'transparent') {
+    style.background = toColor(computed.backgroundColor);
+    tokens.background = computed.tokens?.backgroundColor;
   }
-  if (computed.backgroundColor && computed.backgroundColor !== 'transparent') {
-    style.background = computed.backgroundColor;
+  
+  // Typed fill layers: solid color, gradients and images
+  const fills = buildFills(computed, { colorFormat, units, box });
+  if (fills.length > 0) {
+    style.fills = fills;
   }
   
   // Text styles
   if (computed.color && computed.color !== 'inherit') {
-    style.color = computed.color;
+    style.color = toColor(computed.color);
   }
   if (computed.fontSize) {
     style.fontSize = computed.fontSize;
@@ -300,26 +2363,47 @@ function buildStyleObject(computed) {
   if (computed.textAlign && computed.textAlign !== 'left') {
     style.textAlign = computed.textAlign;
   }
+  Object.assign(style, buildTypography(computed, { colorFormat, units }));
   
   // Spacing
-  const padding = parseSpacing(computed.padding);
+  const padding = getBoxSpacing(computed, 'padding', units);
   if (padding.top || padding.right || padding.bottom || padding.left) {
     style.padding = padding;
   }
   
-  const margin = parseSpacing(computed.margin);
+  const margin = getBoxSpacing(computed, 'margin', units);
   if (margin.top || margin.right || margin.bottom || margin.left) {
     style.margin = margin;
   }
   
-  // Border
-  const border = parseBorder(computed.border);
-  if (border.width > 0) {
-    style.border = border;
+  // Border: uniform width/style/color, plus per-side values when sides differ
+  const sides = getBorderSides(computed, units);
+  for (const side of Object.values(sides)) {
+    side.color = toColor(side.color);
+  }
+  const visibleSides = Object.values(sides).filter(side => side.width > 0);
+  if (visibleSides.length > 0) {
+    const [first] = visibleSides;
+    style.border = { width: first.width, style: first.style, color: first.color };
+    
+    const uniform = visibleSides.length === 4 && visibleSides.every(side =>
+      side.width === first.width && side.style === first.style && side.color === first.color
+    );
+    if (!uniform) {
+      style.border.sides = sides;
+    }
   }
-  if (computed.borderRadius) {
+  
+  // Radius: a single value when all corners match, otherwise per corner
+  const radii = getCornerRadii(computed, units, resolveLength(computed.width, units, units.containingBlock?.width) || 0);
+  const radiusValues = Object.values(radii);
+  if (radiusValues.some(radius => radius > 0)) {
     style.border = style.border || {};
-    style.border.radius = parsePixelValue(computed.borderRadius);
+    if (radiusValues.every(radius => radius === radii.topLeft)) {
+      style.border.radius = radii.topLeft;
+    } else {
+      style.border.radii = radii;
+    }
   }
   
   // Display and flex
@@ -335,8 +2419,19 @@ function buildStyleObject(computed) {
   if (computed.alignItems) {
     style.alignItems = computed.alignItems;
   }
-  if (computed.gap) {
-    style.gap = parsePixelValue(computed.gap);
+  const rowGap = parsePixelValue(computed.rowGap ?? computed.gap, units);
+  const columnGap = parsePixelValue(computed.columnGap ?? computed.gap, units);
+  if (rowGap === columnGap && rowGap) {
+    style.gap = rowGap;
+  } else if (rowGap || columnGap) {
+    style.rowGap = rowGap;
+    style.columnGap = columnGap;
+  }
+  
+  // Grid tracks, so the layout grid can be rebuilt
+  const grid = buildGridStyle(computed, box);
+  if (grid) {
+    style.grid = grid;
   }
   
   // Opacity
@@ -344,15 +2439,51 @@ function buildStyleObject(computed) {
     style.opacity = parseFloat(computed.opacity);
   }
   
+  // Shadows, blurs, filters and blend modes
+  const effects = buildEffects(computed, { colorFormat, units, text: type === 'text' });
+  if (effects.length > 0) {
+    style.effects = effects;
+  }
+  
+  // Overflow clipping, clip-path shapes and masks
+  const overflow = getOverflow(computed);
+  if (overflow.clips) {
+    style.overflow = { x: overflow.x, y: overflow.y };
+  }
+  const clipPath = buildClipPath(computed.clipPath || computed.WebkitClipPath, box, units);
+  if (clipPath) {
+    style.clipPath = clipPath;
+  }
+  const mask = buildMask(computed, { colorFormat, units, box });
+  if (mask) {
+    style.mask = mask;
+  }
+  
+  // Design tokens (custom properties) behind the emitted values
+  if (options.tokens && computed.tokens) {
+    for (const [property, token] of Object.entries(computed.tokens)) {
+      if (property !== 'background' && property !== 'backgroundColor' && property in style) {
+        tokens[property] = token;
+      }
+    }
+    for (const property of Object.keys(tokens)) {
+      if (!tokens[property]) delete tokens[property];
+    }
+    if (Object.keys(tokens).length > 0) {
+      style.tokens = tokens;
+    }
+  }
+  
   return style;
 }
 
 /**
  * Create empty design tree
  * @param {Object} viewport - Viewport dimensions
+ * @param {string} colorFormat - Output color format
  * @returns {Object} - Empty design tree
  */
-function createEmptyDesignTree(viewport) {
+function createEmptyDesignTree(viewport, colorFormat = DEFAULT_COLOR_FORMAT) {
   return {
     type: 'frame',
     name: 'body',
@@ -363,25 +2494,75 @@ function createEmptyDesignTree(viewport) {
       h: viewport.height
     },
     style: {
-      background: 'rgb(255, 255, 255)'
+      background: formatColor({ r: 255, g: 255, b: 255, a: 1 }, colorFormat)
     },
     children: []
   };
 }
 
+/**
+ * Build the grid description of a grid container
+ * Track sizes come from the layout, or from the resolved templates a browser reports
+ * @param {Object} computed - Computed CSS styles
+ * @param {Object} box - Layout box with the sized tracks as grid { columns, rows }
+ * @returns {Object|null} - Grid style, or null for other containers
+ */
+function buildGridStyle(computed, box) {
+  if (computed.display !== 'grid' && computed.display !== 'inline-grid') return null;
+  
+  const pixelTracks = value => {
+    const sizes = String(value || '').replace(/\[[^\]]*\]/g, ' ').trim().split(/\s+/);
+    return sizes.every(size => /^[\d.]+px$/.test(size)) ? sizes.map(size => Math.round(parseFloat(size))) : [];
+  };
+  
+  const grid = {
+    columns: box?.grid ? box.grid.columns.map(track => track.size) : pixelTracks(computed.gridTemplateColumns),
+    rows: box?.grid ? box.grid.rows.map(track => track.size) : pixelTracks(computed.gridTemplateRows)
+  };
+  
+  if (computed.gridTemplateColumns && computed.gridTemplateColumns !== 'none') {
+    grid.templateColumns = computed.gridTemplateColumns;
+  }
+  if (computed.gridTemplateRows && computed.gridTemplateRows !== 'none') {
+    grid.templateRows = computed.gridTemplateRows;
+  }
+  const areas = String(computed.gridTemplateAreas || '').match(/"[^"]*"|'[^']*'/g);
+  if (areas) {
+    grid.templateAreas = areas.map(row => row.slice(1, -1).trim().replace(/\s+/g, ' '));
+  }
+  if (computed.gridAutoFlow && computed.gridAutoFlow !== 'row') {
+    grid.autoFlow = computed.gridAutoFlow;
+  }
+  
+  return grid;
+}
+
 /**
  * Extract color palette from design tree
+ * Colors are deduplicated by their RGBA value; fully transparent colors are skipped
  * @param {Object} tree - Design tree
+ * @param {string} format - Output color format
  * @returns {Array} - Array of unique colors
  */
-function extractColorPalette(tree) {
-  const colors = new Set();
+function extractColorPalette(tree, format = DEFAULT_COLOR_FORMAT) {
+  const colors = new Map();
+  
+  function add(value) {
+    const color = parseColor(value);
+    if (!color || color.a === 0) return;
+    
+    const key = formatColor(color, 'hex');
+    if (!colors.has(key)) {
+      colors.set(key, formatColor(color, format));
+    }
+  }
   
   function traverse(node) {
     if (node.style) {
-      if (node.style.background) colors.add(node.style.background);
-      if (node.style.color) colors.add(node.style.color);
-      if (node.style.border?.color) colors.add(node.style.border.color);
+      add(node.style.background);
+      add(node.style.color);
+      add(node.style.border?.color);
+      Object.values(node.style.border?.sides || {}).forEach(side => add(side.color));
     }
     if (node.children) {
       for (const child of node.children) {
@@ -391,12 +2572,13 @@ function extractColorPalette(tree) {
   }
   
   traverse(tree);
-  return Array.from(colors);
+  return Array.from(colors.values());
 }
 
 module.exports = {
   htmlToDesignTree,
   urlToDesignTree,
+  browserToDesignTree,
   documentToDesignTree,
   elementToDesignNode,
   buildStyleObject,
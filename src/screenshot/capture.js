@@ -545,6 +545,221 @@ async function getPageHtml(url) {
   }
 }
 
+/**
+ * Snapshot rendered layout and computed styles of a page
+ * Walks the live DOM and records getBoundingClientRect() and
+ * getComputedStyle() for every visible element under <body>, plus the
+ * boxes of the text directly in each element, the markup of inline SVG and
+ * the natural size of images
+ * @param {Object} source - Either { url } or { html }
+ * @param {Object} options - Viewport { width, height, deviceScaleFactor, colorScheme } and delay options
+ * @returns {Promise<Object>} - Raw snapshot tree rooted at <body>
+ */
+async function snapshotPage(source, options = {}) {
+  const engine = getEngine();
+  await engine.init();
+
+  const page = await engine.browser.newPage();
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+
+  try {
+    // Media queries see the same viewport as in the jsdom modes
+    await page.setViewport({
+      width: opts.width,
+      height: opts.height,
+      deviceScaleFactor: opts.deviceScaleFactor || 1
+    });
+    await page.emulateMediaFeatures([
+      { name: 'prefers-color-scheme', value: opts.colorScheme === 'dark' ? 'dark' : 'light' }
+    ]);
+
+    if (source.html) {
+      await page.setContent(source.html, {
+        waitUntil: 'networkidle0',
+        timeout: 30000
+      });
+    } else {
+      await page.goto(source.url, {
+        waitUntil: 'networkidle2',
+        timeout: 30000
+      });
+    }
+
+    if (opts.delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, opts.delay));
+    }
+
+    return await page.evaluate(() => {
+      const skipTags = ['script', 'style', 'noscript', 'meta', 'link', 'head', 'template'];
+      const sides = ['Top', 'Right', 'Bottom', 'Left'];
+      const corners = ['TopLeft', 'TopRight', 'BottomRight', 'BottomLeft'];
+      const flexProps = ['flexDirection', 'justifyContent', 'alignItems', 'rowGap', 'columnGap'];
+      const gridProps = [
+        'gridTemplateColumns', 'gridTemplateRows', 'gridTemplateAreas', 'gridAutoFlow',
+        'justifyContent', 'alignItems', 'rowGap', 'columnGap'
+      ];
+      const styleProps = [
+        'display', 'position', 'visibility', 'backgroundColor', 'backgroundImage',
+        'backgroundPosition', 'backgroundSize', 'backgroundRepeat', 'backgroundClip', 'color',
+        'boxShadow', 'textShadow', 'filter', 'backdropFilter', 'mixBlendMode',
+        'fontSize', 'fontFamily', 'fontWeight', 'lineHeight', 'textAlign', 'opacity',
+        'fontStyle', 'letterSpacing', 'wordSpacing', 'textTransform', 'textDecorationLine',
+        'textDecorationStyle', 'textDecorationColor', 'textDecorationThickness', 'whiteSpace',
+        'textOverflow', 'WebkitLineClamp', 'verticalAlign',
+        'overflowX', 'overflowY', 'clipPath', 'maskImage', 'WebkitMaskImage', 'maskSize',
+        'maskPosition', 'maskRepeat', 'maskMode',
+        'zIndex', 'isolation', 'transform', 'translate', 'rotate', 'scale',
+        'objectFit', 'objectPosition',
+        'width', 'height',
+        ...sides.flatMap(side => [
+          `margin${side}`, `padding${side}`,
+          `border${side}Width`, `border${side}Style`, `border${side}Color`
+        ]),
+        ...corners.map(corner => `border${corner}Radius`)
+      ];
+
+      // Chromium reports unset colors as fully transparent black
+      function normalizeValue(value) {
+        if (value === 'rgba(0, 0, 0, 0)') return 'transparent';
+        if (value === 'start') return 'left';
+        return value;
+      }
+
+      // Helper to get computed styles
+      function getStyles(el) {
+        const computed = window.getComputedStyle(el);
+        const styles = {};
+        for (const prop of styleProps) {
+          styles[prop] = normalizeValue(computed[prop]);
+        }
+        if (styles.display === 'flex' || styles.display === 'inline-flex') {
+          for (const prop of flexProps) {
+            styles[prop] = computed[prop];
+          }
+        }
+        if (styles.display === 'grid' || styles.display === 'inline-grid') {
+          for (const prop of gridProps) {
+            styles[prop] = computed[prop];
+          }
+        }
+        return styles;
+      }
+
+      // Helper to get document-relative bounds
+      function getBounds(el) {
+        const rect = el.getBoundingClientRect();
+        return {
+          x: Math.round(rect.x + window.scrollX),
+          y: Math.round(rect.y + window.scrollY),
+          w: Math.round(rect.width),
+          h: Math.round(rect.height)
+        };
+      }
+
+      // Helper to get the document-relative bounds of a rendered text node
+      function getTextBounds(textNode) {
+        const range = document.createRange();
+        range.selectNodeContents(textNode);
+        const rect = range.getBoundingClientRect();
+        if (rect.width === 0 && rect.height === 0) return null;
+        return {
+          x: Math.round(rect.x + window.scrollX),
+          y: Math.round(rect.y + window.scrollY),
+          w: Math.round(rect.width),
+          h: Math.round(rect.height)
+        };
+      }
+
+      function getDirectText(el) {
+        let text = '';
+        for (const child of el.childNodes) {
+          if (child.nodeType === 3) text += child.textContent;
+        }
+        return text.trim() || null;
+      }
+
+      // A property is set when its computed value isn't auto; the resolved
+      // values of getComputedStyle() are always pixels
+      function isSet(computed, property) {
+        const value = computed.get(property);
+        return Boolean(value) && String(value) !== 'auto';
+      }
+
+      // Text boxes are fixed with a set height, auto-height with a set width,
+      // and auto-width when they shrink to fit their text
+      function getTextAutoResize(el, styles) {
+        const computed = el.computedStyleMap();
+        if (isSet(computed, 'height')) return 'fixed';
+        if (isSet(computed, 'width')) return 'auto-height';
+
+        const parentStyles = el.parentElement ? window.getComputedStyle(el.parentElement) : null;
+        const inFlexRow = /(^|-)flex$/.test(parentStyles?.display || '') &&
+          !parentStyles.flexDirection.startsWith('column') && String(computed.get('flex-grow')) === '0';
+        const outOfFlow = styles.position === 'absolute' || styles.position === 'fixed';
+        const stretched = isSet(computed, 'left') && isSet(computed, 'right');
+        const shrinks = styles.display.startsWith('inline') || String(computed.get('float')) !== 'none' ||
+          (outOfFlow && !stretched) || inFlexRow;
+        return shrinks ? 'auto-width' : 'auto-height';
+      }
+
+      function walk(el) {
+        const tagName = el.tagName.toLowerCase();
+        if (skipTags.includes(tagName)) return null;
+
+        const styles = getStyles(el);
+        if (styles.display === 'none' || styles.visibility === 'hidden') return null;
+
+        const node = {
+          tagName,
+          id: el.id || null,
+          classes: Array.from(el.classList),
+          bounds: getBounds(el),
+          styles,
+          text: getDirectText(el),
+          src: el.currentSrc || el.src || null,
+          children: []
+        };
+
+        if (node.text) {
+          node.textAutoResize = getTextAutoResize(el, styles);
+        }
+        if (tagName === 'img') {
+          node.naturalWidth = el.naturalWidth || null;
+          node.naturalHeight = el.naturalHeight || null;
+        }
+
+        // Inline SVG is kept as markup rather than walked
+        if (tagName === 'svg') {
+          node.svg = el.outerHTML;
+          return node;
+        }
+
+        // Text directly in the element is recorded with its box and the number
+        // of child elements before it, so it can be placed among them
+        node.textBoxes = [];
+        for (const child of el.childNodes) {
+          if (child.nodeType === 3) {
+            const bounds = getTextBounds(child);
+            if (bounds && /\S/.test(child.textContent)) {
+              node.textBoxes.push({ text: child.textContent, bounds, index: node.children.length });
+            }
+          } else if (child.nodeType === 1) {
+            const childNode = walk(child);
+            if (childNode) node.children.push(childNode);
+          }
+        }
+
+        return node;
+      }
+
+      return document.body ? walk(document.body) : null;
+    });
+
+  } finally {
+    await page.close();
+  }
+}
+
 /**
  * Cleanup resources
  */
@@ -1076,6 +1291,7 @@ module.exports = {
   captureScreenshot,
   captureAndSaveWithTimestamp,
   getPageHtml,
+  snapshotPage,
   cleanup,
   extractComponents,
   captureComponent,
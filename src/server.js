@@ -8,7 +8,8 @@ const path = require('path');
 const fs = require('fs');
 
 // Core modules
-const { htmlToDesignTree, urlToDesignTree, extractColorPalette } = require('./core/toDesignTree');
+const { htmlToDesignTree, urlToDesignTree, browserToDesignTree, extractColorPalette } = require('./core/toDesignTree');
+const { COLOR_FORMATS, DEFAULT_COLOR_FORMAT } = require('./core/parseColor');
 const { captureAndSaveWithTimestamp, getPageHtml, cleanup, extractComponents, captureComponent, captureAllComponents } = require('./screenshot/capture');
 
 // Configuration
@@ -16,10 +17,13 @@ const PORT = process.env.PORT || 3000;
 const ASSETS_DIR = path.join(__dirname, '..', 'assets');
 const SCREENSHOTS_DIR = path.join(ASSETS_DIR, 'screenshots');
 const COMPONENTS_DIR = path.join(ASSETS_DIR, 'components');
+const IMAGES_DIR = path.join(ASSETS_DIR, 'images');
+// Directory that a request's baseDir must sit under; local files can't be read without it
+const LOCAL_ROOT = process.env.LOCAL_ROOT ? path.resolve(process.env.LOCAL_ROOT) : null;
 
 // Ensure directories exist
 function ensureDirectories() {
-  const dirs = [ASSETS_DIR, SCREENSHOTS_DIR, COMPONENTS_DIR, path.join(ASSETS_DIR, 'images')];
+  const dirs = [ASSETS_DIR, SCREENSHOTS_DIR, COMPONENTS_DIR, IMAGES_DIR];
   for (const dir of dirs) {
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
@@ -27,6 +31,27 @@ function ensureDirectories() {
   }
 }
 
+// Resolve a request's baseDir inside LOCAL_ROOT, following symlinks
+function resolveBaseDir(baseDir) {
+  if (!LOCAL_ROOT) {
+    throw new Error('baseDir is disabled: set LOCAL_ROOT to allow local files');
+  }
+
+  let root;
+  let resolved;
+  try {
+    root = fs.realpathSync(LOCAL_ROOT);
+    resolved = fs.realpathSync(path.resolve(root, String(baseDir)));
+  } catch (error) {
+    throw new Error(`baseDir not found: ${baseDir}`);
+  }
+
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+    throw new Error('baseDir is outside LOCAL_ROOT');
+  }
+  return resolved;
+}
+
 // Create Express app
 const app = express();
 
@@ -36,6 +61,10 @@ app.use(express.urlencoded({ extended: true }));
 
 // Serve static files
 app.use(express.static(path.join(__dirname, 'ui')));
+// Saved images come from the converted pages, so they are served without scripts
+app.use('/assets/images', express.static(IMAGES_DIR, {
+  setHeaders: res => res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox")
+}));
 app.use('/assets', express.static(ASSETS_DIR));
 
 // CORS for local development
@@ -128,7 +157,7 @@ app.post('/api/screenshot', async (req, res) => {
  */
 app.post('/api/convert', async (req, res) => {
   try {
-    const { html, url, viewport } = req.body;
+    const { html, url, viewport, mode, baseUrl, baseDir, bundle, tokens, colorFormat, fonts, pruneClipped, vectorizeSVG, inlineImages } = req.body;
 
     if (!html && !url) {
       return res.status(400).json({
@@ -137,25 +166,67 @@ app.post('/api/convert', async (req, res) => {
       });
     }
 
-    console.log(`Converting to design tree: ${url || 'HTML input'}`);
+    if (mode && mode !== 'jsdom' && mode !== 'browser') {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown conversion mode: ${mode}`
+      });
+    }
+
+    if (colorFormat && !COLOR_FORMATS.includes(colorFormat)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown color format: ${colorFormat}`
+      });
+    }
+
+    let localDir = null;
+    if (baseDir) {
+      try {
+        localDir = resolveBaseDir(baseDir);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+    }
+
+    console.log(`Converting to design tree: ${url || 'HTML input'} (${mode || 'jsdom'})`);
 
     const options = {
       viewport: {
         width: viewport?.width || 1200,
-        height: viewport?.height || 800
-      }
+        height: viewport?.height || 800,
+        colorScheme: viewport?.colorScheme === 'dark' ? 'dark' : 'light',
+        deviceScaleFactor: parseFloat(viewport?.deviceScaleFactor) || 1
+      },
+      baseUrl,
+      baseDir: localDir,
+      bundle,
+      tokens: tokens === true,
+      colorFormat: colorFormat || DEFAULT_COLOR_FORMAT,
+      fonts: Array.isArray(fonts) ? fonts.filter(font => typeof font?.family === 'string' && typeof font?.path === 'string') : [],
+      pruneClipped: pruneClipped === true,
+      vectorizeSVG: vectorizeSVG === true,
+      // Images are saved once under their content hash and served from /assets/images
+      assetsDir: IMAGES_DIR,
+      assetsUrl: '/assets/images',
+      inlineImages: inlineImages === true
     };
 
     let designTree;
 
-    if (html) {
-      designTree = htmlToDesignTree(html, options);
+    if (mode === 'browser') {
+      designTree = await browserToDesignTree(html ? { html } : { url }, options);
+    } else if (html) {
+      designTree = await htmlToDesignTree(html, options);
     } else {
       designTree = await urlToDesignTree(url, options);
     }
 
     // Extract color palette
-    const colors = extractColorPalette(designTree);
+    const colors = extractColorPalette(designTree, options.colorFormat);
 
     // Save design tree to file
     const timestamp = Date.now();
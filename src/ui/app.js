@@ -16,6 +16,7 @@
     widthInput: document.getElementById('width-input'),
     heightInput: document.getElementById('height-input'),
     fullpageCheckbox: document.getElementById('fullpage-checkbox'),
+    browserLayoutCheckbox: document.getElementById('browser-layout-checkbox'),
     fetchBtn: document.getElementById('fetch-btn'),
     screenshotBtn: document.getElementById('screenshot-btn'),
     convertBtn: document.getElementById('convert-btn'),
@@ -173,6 +174,7 @@
     const options = {
       html: html || undefined,
       url: !html ? url : undefined,
+      mode: elements.browserLayoutCheckbox.checked ? 'browser' : 'jsdom',
       viewport: {
         width: parseInt(elements.widthInput.value) || 1200,
         height: parseInt(elements.heightInput.value) || 800
@@ -0,0 +1,60 @@
+/**
+ * toDesignTree.test.js - Design Tree Conversion Tests
+ * Converts small documents in jsdom mode and checks the resulting nodes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { htmlToDesignTree } = require('../src/core/toDesignTree');
+
+/**
+ * Collect the nodes of a design tree that match a predicate
+ * @param {Object} node - Design node
+ * @param {Function} predicate - Test for each node
+ * @param {Array} found - Nodes found so far
+ * @returns {Array} - Matching nodes in tree order
+ */
+function findNodes(node, predicate, found = []) {
+  if (predicate(node)) found.push(node);
+  for (const child of node.children || []) {
+    findNodes(child, predicate, found);
+  }
+  return found;
+}
+
+test('SVG text does not widen the SVG', async () => {
+  const tree = await htmlToDesignTree(
+    '<body style="margin:0"><div style="display:flex">' +
+    '<svg width="24" height="24" viewBox="0 0 24 24"><text>Label</text><a><tspan>hi</tspan></a></svg>' +
+    '</div></body>'
+  );
+  const [svg] = findNodes(tree, node => node.type === 'svg');
+  assert.strictEqual(svg.layout.w, 24);
+  assert.strictEqual(svg.layout.h, 24);
+});
+
+test('pseudo-elements are not generated inside SVG', async () => {
+  const markup = '<svg width="24" height="24" viewBox="0 0 24 24"><a href="#x"><path d="M0 0h24v24H0z"></path></a></svg>';
+  const tree = await htmlToDesignTree(
+    `<html><head><style>a::after { content: " ext"; } path::before { content: "x"; }</style></head>` +
+    `<body style="margin:0"><a href="#y">link</a>${markup}</body></html>`
+  );
+  const [svg] = findNodes(tree, node => node.type === 'svg');
+  assert.strictEqual(svg.svg, markup.replace('"0 0 24 24"', '"0 0 24 24" xmlns="http://www.w3.org/2000/svg"'));
+  assert.strictEqual(svg.layout.w, 24);
+  assert.strictEqual(svg.layout.h, 24);
+  assert.strictEqual(findNodes(tree, node => node.name === '::after').length, 1);
+});
+
+test('flex items do not shrink below their min-content width', async () => {
+  const tree = await htmlToDesignTree(
+    '<body style="margin:0"><div style="display:flex;width:100px">' +
+    '<div style="flex:1">Supercalifragilistic</div><div style="flex:1">b</div>' +
+    '</div></body>'
+  );
+  const [row] = tree.children;
+  const [first, second] = row.children;
+  assert.strictEqual(first.layout.w, first.children[0].layout.w);
+  assert.ok(first.layout.w > 50);
+  assert.strictEqual(second.layout.x, first.layout.w);
+});